@@ -23,6 +23,7 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { getPayTypeName } = require('../utils/payTypeRegistry');
 
 // ==================== 配置加载 ====================
 
@@ -848,7 +849,6 @@ function sendMessage(chatId, message, options = {}) {
 async function notifyPayment(orderInfo) {
   const { trade_no, out_trade_no, money, real_money, type, name, status, merchant_id, pid } = orderInfo;
   
-  const payTypeNames = { alipay: '支付宝', wxpay: '微信支付', qqpay: 'QQ钱包', bank: '网银支付', jdpay: '京东支付', paypal: 'PayPal', ecny: '数字人民币' };
   const statusInfo = status === 2 ? { emoji: '✅', text: '已完成' } : { emoji: '⚠️', text: '已支付(未回调)' };
   
   const message = `
@@ -857,7 +857,7 @@ async function notifyPayment(orderInfo) {
 订单号：\`${trade_no}\`
 商户单号：\`${out_trade_no || '-'}\`
 商品名：${name || '-'}
-支付方式：${payTypeNames[type] || type}
+支付方式：${getPayTypeName(type)}
 订单金额：¥${parseFloat(money).toFixed(2)}
 实付金额：¥${parseFloat(real_money || money).toFixed(2)}
 状态：*${statusInfo.text}*
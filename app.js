@@ -48,6 +48,15 @@ const telegramService = require('./Telegram');
 const emailService = require('./utils/emailService');
 const autoSettlementService = require('./utils/autoSettlementService');
 const recordCleanupService = require('./utils/recordCleanupService');
+const notifyRetryService = require('./utils/notifyRetryService');
+const orderReconcileService = require('./utils/orderReconcileService');
+const orderTimeoutService = require('./utils/orderTimeoutService');
+const refundStatusService = require('./utils/refundStatusService');
+const upstreamCallLogs = require('./utils/upstreamCallLogs');
+const channelStats = require('./utils/channelStats');
+const channelBreaker = require('./utils/channelBreaker');
+const payTypeRegistry = require('./utils/payTypeRegistry');
+const channelSchedule = require('./utils/channelSchedule');
 
 const app = express();
 const distPath = path.join(__dirname, 'dist');
@@ -196,6 +205,19 @@ emailService.start().then(() => {
 // 启动自动结算调度服务
 autoSettlementService.start();
 recordCleanupService.start();
+notifyRetryService.start();
+orderReconcileService.start();
+orderTimeoutService.start();
+refundStatusService.start();
+upstreamCallLogs.start();
+channelStats.start();
+channelBreaker.load().catch((error) => {
+  console.error('[ChannelBreaker] 恢复熔断状态失败:', error.message);
+});
+
+// 预加载支付方式注册表和通道节假日
+payTypeRegistry.refresh();
+channelSchedule.refreshHolidays();
 
 // 启动服务器
 const PORT = 3000;
@@ -224,5 +246,11 @@ process.on('SIGINT', () => {
   emailService.stop();
   autoSettlementService.stop();
   recordCleanupService.stop();
+  notifyRetryService.stop();
+  orderReconcileService.stop();
+  orderTimeoutService.stop();
+  refundStatusService.stop();
+  upstreamCallLogs.stop();
+  channelStats.stop();
   process.exit(0);
 });
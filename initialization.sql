@@ -96,6 +96,10 @@ CREATE TABLE IF NOT EXISTS `merchants` (
   `fee_rates` json DEFAULT NULL,
   `fee_payer` enum('merchant','buyer') DEFAULT 'merchant',
   `pay_group_id` int unsigned DEFAULT NULL,
+  `order_timeout` int DEFAULT NULL COMMENT '订单超时关闭分钟数（NULL使用全局配置，0不自动关闭）',
+  `refund_notify` tinyint(1) NOT NULL DEFAULT '0' COMMENT '退款结果通知：0关闭 1开启',
+  `refund_notify_url` varchar(500) DEFAULT NULL COMMENT '退款结果通知地址（为空时使用订单 notify_url）',
+  `pay_limits` json DEFAULT NULL COMMENT '商户支付限制：单笔上限、允许的支付方式、按支付方式每日限额',
   `balance` decimal(12,2) DEFAULT '0.00',
   `approved_at` datetime DEFAULT NULL,
   `status` enum('pending','active','paused','disabled','banned') DEFAULT 'pending',
@@ -232,6 +236,11 @@ CREATE TABLE IF NOT EXISTS `orders` (
   `refund_status` tinyint(1) DEFAULT NULL COMMENT '退款状态：0处理中 1成功 2失败',
   `refund_at` datetime DEFAULT NULL COMMENT '退款时间',
   `cert_info` json DEFAULT NULL COMMENT '买家身份限制信息：{cert_no, cert_name, min_age}',
+  `exception_note` varchar(255) DEFAULT NULL COMMENT '异常标记（关闭后到账、金额不符、上游关单失败等，需人工核对）',
+  `close_attempts` tinyint unsigned NOT NULL DEFAULT '0' COMMENT '超时关单尝试次数',
+  `next_close_at` datetime DEFAULT NULL COMMENT '下次尝试超时关单时间（为空表示立即）',
+  `reconcile_attempts` tinyint unsigned NOT NULL DEFAULT '0' COMMENT '主动查单次数',
+  `next_reconcile_at` datetime DEFAULT NULL COMMENT '下次主动查单时间（为空表示尽快）',
   PRIMARY KEY (`id`),
   UNIQUE KEY `uk_trade_no` (`trade_no`),
   KEY `idx_merchant_id` (`merchant_id`),
@@ -242,6 +251,73 @@ CREATE TABLE IF NOT EXISTS `orders` (
   KEY `idx_created_at` (`created_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='订单表';
 
+-- 商户异步通知队列（持久化重试）
+CREATE TABLE IF NOT EXISTS `notify_queue` (
+  `id` int NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `order_id` int NOT NULL COMMENT '订单ID',
+  `trade_no` varchar(30) NOT NULL COMMENT '平台交易号',
+  `notify_type` varchar(20) NOT NULL DEFAULT 'payment' COMMENT '通知类型：payment支付',
+  `biz_no` varchar(64) NOT NULL COMMENT '业务单号（支付通知为平台交易号）',
+  `notify_url` varchar(500) NOT NULL COMMENT '商户通知地址',
+  `params` text COMMENT '已签名的回调参数JSON',
+  `attempts` int DEFAULT '0' COMMENT '已投递次数',
+  `status` tinyint DEFAULT '0' COMMENT '状态：0待投递 1已成功 2已放弃',
+  `next_time` datetime DEFAULT NULL COMMENT '下次投递时间',
+  `last_error` varchar(255) DEFAULT NULL COMMENT '最近一次失败原因',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_type_biz_no` (`notify_type`, `biz_no`),
+  KEY `idx_order_id` (`order_id`),
+  KEY `idx_status_next_time` (`status`, `next_time`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='商户异步通知队列';
+
+-- 商户异步通知投递日志（每次 HTTP 请求一条）
+CREATE TABLE IF NOT EXISTS `notify_attempts` (
+  `id` bigint NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `trade_no` varchar(30) NOT NULL COMMENT '平台交易号',
+  `notify_type` varchar(20) NOT NULL DEFAULT 'payment' COMMENT '通知类型：payment支付 refund退款',
+  `url` varchar(1000) DEFAULT NULL COMMENT '最终请求地址（含 callbackProxy 前缀）',
+  `method` varchar(10) DEFAULT NULL COMMENT '请求方式',
+  `params` text COMMENT '已签名的回调参数JSON',
+  `http_status` int DEFAULT NULL COMMENT 'HTTP状态码',
+  `latency_ms` int DEFAULT NULL COMMENT '耗时（毫秒）',
+  `response_body` varchar(1000) DEFAULT NULL COMMENT '响应内容（截断）',
+  `success` tinyint(1) DEFAULT '0' COMMENT '商户是否返回成功',
+  `error` varchar(500) DEFAULT NULL COMMENT '错误信息',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_trade_no` (`trade_no`),
+  KEY `idx_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='商户异步通知投递日志';
+
+-- 订单退款记录表（一笔退款一条，支持多次部分退款）
+CREATE TABLE IF NOT EXISTS `order_refunds` (
+  `id` int NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `order_id` int NOT NULL COMMENT '订单ID',
+  `trade_no` varchar(30) NOT NULL COMMENT '平台交易号',
+  `merchant_id` int DEFAULT NULL COMMENT '商户用户ID',
+  `refund_no` varchar(30) NOT NULL COMMENT '退款单号',
+  `money` decimal(10,2) NOT NULL COMMENT '退款金额',
+  `reduce_money` decimal(10,2) DEFAULT '0.00' COMMENT '扣减商户余额',
+  `order_status` tinyint DEFAULT NULL COMMENT '发起退款时的订单状态（退款全部失败时据此恢复，如已冻结）',
+  `reason` varchar(255) DEFAULT NULL COMMENT '退款原因',
+  `operator` varchar(64) DEFAULT NULL COMMENT '操作人ID',
+  `operator_type` varchar(20) DEFAULT 'system' COMMENT '发起方：merchant商户 admin管理员 system系统 api接口',
+  `out_refund_no` varchar(64) DEFAULT NULL COMMENT '商户退款单号（API 退款幂等键）',
+  `api_refund_no` varchar(64) DEFAULT NULL COMMENT '上游退款单号',
+  `status` tinyint DEFAULT '0' COMMENT '状态：0处理中 1成功 2失败',
+  `error_msg` varchar(255) DEFAULT NULL COMMENT '失败原因',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  `finished_at` datetime DEFAULT NULL COMMENT '完成时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_refund_no` (`refund_no`),
+  KEY `idx_order_id` (`order_id`),
+  KEY `idx_merchant_id` (`merchant_id`),
+  UNIQUE KEY `uk_merchant_out_refund_no` (`merchant_id`, `out_refund_no`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='订单退款记录表';
+
 -- ==================== 支付通道相关表 ====================
 
 -- 支付通道表
@@ -264,8 +340,11 @@ CREATE TABLE IF NOT EXISTS `provider_channels` (
   `min_money` decimal(10,2) DEFAULT '0.00' COMMENT '最小金额',
   `max_money` decimal(10,2) DEFAULT '0.00' COMMENT '最大金额，0为无限制',
   `day_limit` decimal(12,2) DEFAULT '0.00' COMMENT '日限额',
+  `month_limit` decimal(14,2) DEFAULT '0.00' COMMENT '月限额，0为无限制',
+  `day_count_limit` int DEFAULT '0' COMMENT '每日笔数上限，0为无限制',
   `time_start` tinyint DEFAULT NULL COMMENT '开放开始时间（0-23小时），NULL表示不限制',
   `time_stop` tinyint DEFAULT NULL COMMENT '开放结束时间（0-23小时），NULL表示不限制',
+  `schedule` text COMMENT '开放时段JSON（按星期、精确到分钟，设置后优先于 time_start/time_stop）',
   `priority` int DEFAULT '0' COMMENT '优先级',
   `status` tinyint(1) DEFAULT '1' COMMENT '状态：1启用 0禁用',
   `is_deleted` tinyint(1) DEFAULT '0' COMMENT '是否已删除',
@@ -274,6 +353,143 @@ CREATE TABLE IF NOT EXISTS `provider_channels` (
   PRIMARY KEY (`id`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='支付通道配置表';
 
+-- 通道额度计数器（按通道 / 商户+通道、日 / 月预聚合，merchant_id = 0 表示通道总量）
+CREATE TABLE IF NOT EXISTS `quota_counters` (
+  `id` bigint NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `channel_id` int NOT NULL COMMENT '通道ID',
+  `merchant_id` int NOT NULL DEFAULT '0' COMMENT '商户用户ID，0表示通道总量',
+  `period_type` varchar(5) NOT NULL COMMENT '周期类型：day日 month月',
+  `period_key` varchar(10) NOT NULL COMMENT '周期：2026-01-01 / 2026-01',
+  `amount` decimal(14,2) NOT NULL DEFAULT '0.00' COMMENT '已占用金额',
+  `order_count` int NOT NULL DEFAULT '0' COMMENT '已占用笔数',
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_counter` (`channel_id`, `merchant_id`, `period_type`, `period_key`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='通道额度计数器';
+
+-- 订单额度占用记录（锁定通道时占用，未支付关闭时释放）
+CREATE TABLE IF NOT EXISTS `quota_reservations` (
+  `id` bigint NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `trade_no` varchar(30) NOT NULL COMMENT '平台交易号',
+  `order_id` int DEFAULT NULL COMMENT '订单ID',
+  `channel_id` int NOT NULL COMMENT '通道ID',
+  `merchant_id` int NOT NULL DEFAULT '0' COMMENT '商户用户ID',
+  `money` decimal(10,2) NOT NULL COMMENT '占用金额',
+  `day_key` varchar(10) NOT NULL COMMENT '占用的日周期',
+  `month_key` varchar(7) NOT NULL COMMENT '占用的月周期',
+  `status` tinyint NOT NULL DEFAULT '0' COMMENT '状态：0占用中 1已释放',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_trade_no` (`trade_no`),
+  KEY `idx_status_updated` (`status`, `updated_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='订单额度占用记录';
+
+-- 商户单通道限额
+CREATE TABLE IF NOT EXISTS `merchant_channel_quotas` (
+  `id` int NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `merchant_id` int NOT NULL COMMENT '商户用户ID',
+  `channel_id` int NOT NULL COMMENT '通道ID',
+  `day_limit` decimal(12,2) DEFAULT '0.00' COMMENT '日限额，0为无限制',
+  `month_limit` decimal(14,2) DEFAULT '0.00' COMMENT '月限额，0为无限制',
+  `day_count_limit` int DEFAULT '0' COMMENT '每日笔数上限，0为无限制',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_merchant_channel` (`merchant_id`, `channel_id`),
+  KEY `idx_channel_id` (`channel_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='商户单通道限额表';
+
+-- 通道节假日（开放时段设置了节假日休息的通道在这些日期关闭）
+CREATE TABLE IF NOT EXISTS `channel_holidays` (
+  `id` int NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `holiday_date` date NOT NULL COMMENT '节假日日期',
+  `name` varchar(50) DEFAULT NULL COMMENT '节日名称',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_holiday_date` (`holiday_date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='通道节假日表';
+
+-- 通道配置版本（每次创建/修改/回滚通道保存一份完整配置，用于对比和回滚）
+CREATE TABLE IF NOT EXISTS `channel_config_versions` (
+  `id` int NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `channel_id` int NOT NULL COMMENT '通道ID',
+  `version` int NOT NULL COMMENT '版本号（按通道递增）',
+  `action` varchar(20) NOT NULL COMMENT '操作：init初始 create创建 update修改 rollback回滚 import导入',
+  `snapshot` mediumtext NOT NULL COMMENT '该版本的通道配置快照JSON',
+  `changed_fields` json DEFAULT NULL COMMENT '相对上一版本变更的字段',
+  `rollback_from` int DEFAULT NULL COMMENT '回滚来源版本号',
+  `operator_id` varchar(32) DEFAULT NULL COMMENT '操作人用户ID（RAM子账户为其user_id）',
+  `operator_name` varchar(64) DEFAULT NULL COMMENT '操作人名称',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_channel_version` (`channel_id`, `version`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='通道配置版本表';
+
+-- 通道上游提交日志（智能路由统计提交失败率）
+CREATE TABLE IF NOT EXISTS `channel_submit_logs` (
+  `id` bigint NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `channel_id` int NOT NULL COMMENT '通道ID',
+  `trade_no` varchar(30) DEFAULT NULL COMMENT '平台交易号',
+  `success` tinyint(1) NOT NULL DEFAULT '0' COMMENT '上游是否成功返回：0失败 1成功',
+  `error_msg` varchar(255) DEFAULT NULL COMMENT '失败原因',
+  `latency_ms` int unsigned DEFAULT NULL COMMENT '插件调用耗时（毫秒）',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_channel_created` (`channel_id`, `created_at`),
+  KEY `idx_created_at` (`created_at`),
+  KEY `idx_trade_no` (`trade_no`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='通道上游提交日志';
+
+-- 通道熔断状态（utils/channelBreaker 的持久化副本，服务重启后恢复）
+CREATE TABLE IF NOT EXISTS `channel_breakers` (
+  `channel_id` int NOT NULL COMMENT '通道ID',
+  `state` varchar(20) NOT NULL DEFAULT 'closed' COMMENT '状态：closed正常 open熔断 half_open半开试探',
+  `failures` int unsigned NOT NULL DEFAULT '0' COMMENT '连续失败次数',
+  `opened_at` datetime DEFAULT NULL COMMENT '最近一次熔断时间',
+  `open_until` datetime DEFAULT NULL COMMENT '熔断冷却结束时间',
+  `last_error` varchar(255) DEFAULT NULL COMMENT '最近错误',
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`channel_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='通道熔断状态表';
+
+-- 插件上游调用日志（插件经 utils/pluginHttp 发起的每次请求，内容已脱敏）
+CREATE TABLE IF NOT EXISTS `upstream_call_logs` (
+  `id` bigint NOT NULL AUTO_INCREMENT COMMENT '主键ID',
+  `channel_id` int DEFAULT NULL COMMENT '通道ID',
+  `trade_no` varchar(64) DEFAULT NULL COMMENT '平台交易号',
+  `plugin` varchar(50) DEFAULT NULL COMMENT '插件名',
+  `plugin_method` varchar(50) DEFAULT NULL COMMENT '插件方法（submit/notify/query/refund 等）',
+  `http_method` varchar(10) NOT NULL DEFAULT 'GET' COMMENT 'HTTP方法',
+  `url` varchar(2048) NOT NULL DEFAULT '' COMMENT '请求地址（已脱敏）',
+  `request_headers` json DEFAULT NULL COMMENT '请求头（已脱敏）',
+  `request_body` mediumtext COMMENT '请求内容（已脱敏）',
+  `status` smallint DEFAULT NULL COMMENT 'HTTP状态码（无响应时为空）',
+  `response_body` mediumtext COMMENT '响应内容（已脱敏）',
+  `error` varchar(255) DEFAULT NULL COMMENT '请求异常信息',
+  `latency_ms` int unsigned DEFAULT NULL COMMENT '请求耗时（毫秒）',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  PRIMARY KEY (`id`),
+  KEY `idx_trade_no` (`trade_no`),
+  KEY `idx_channel_created` (`channel_id`, `created_at`),
+  KEY `idx_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='插件上游调用日志';
+
+-- 支付方式表
+CREATE TABLE IF NOT EXISTS `pay_types` (
+  `id` int unsigned NOT NULL AUTO_INCREMENT,
+  `name` varchar(32) NOT NULL COMMENT '支付方式编码（如 alipay、wxpay）',
+  `showname` varchar(64) NOT NULL COMMENT '显示名称',
+  `icon` varchar(128) DEFAULT NULL COMMENT '图标文件名（/assets/icon/ 下）',
+  `device` tinyint NOT NULL DEFAULT '0' COMMENT '适用设备：0全部 1仅PC 2仅移动端',
+  `status` tinyint(1) NOT NULL DEFAULT '1' COMMENT '状态：0禁用 1启用',
+  `sort` int NOT NULL DEFAULT '0' COMMENT '排序（升序）',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_name` (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='支付方式表';
+
 -- 通道轮询组表
 CREATE TABLE IF NOT EXISTS `channel_groups` (
   `id` int unsigned NOT NULL AUTO_INCREMENT,
@@ -281,7 +497,7 @@ CREATE TABLE IF NOT EXISTS `channel_groups` (
   `name` varchar(50) NOT NULL COMMENT '轮询组名称',
   `mode` tinyint DEFAULT '0' COMMENT '轮询模式 0=顺序 1=加权随机 2=首个可用',
   `fee_rate` decimal(5,2) DEFAULT NULL,
-  `channels` text COMMENT '通道配置JSON',
+  `channels` text COMMENT '通道配置JSON：[{id, weight, rules:{min_money, max_money, device, merchant_ids}}]',
   `current_index` int DEFAULT '0' COMMENT '当前轮询索引',
   `status` tinyint DEFAULT '1' COMMENT '状态',
   `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
@@ -785,8 +1001,218 @@ PREPARE stmt FROM @sql;
 EXECUTE stmt;
 DEALLOCATE PREPARE stmt;
 
+-- 为 merchants 表添加 order_timeout 字段（如果不存在）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'merchants' AND COLUMN_NAME = 'order_timeout'),
+  "ALTER TABLE merchants ADD COLUMN `order_timeout` INT DEFAULT NULL COMMENT '订单超时关闭分钟数（NULL使用全局配置，0不自动关闭）' AFTER `pay_group_id`",
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 merchants 表添加退款结果通知字段（如果不存在）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'merchants' AND COLUMN_NAME = 'refund_notify'),
+  "ALTER TABLE merchants ADD COLUMN `refund_notify` TINYINT(1) NOT NULL DEFAULT '0' COMMENT '退款结果通知：0关闭 1开启' AFTER `order_timeout`",
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'merchants' AND COLUMN_NAME = 'refund_notify_url'),
+  "ALTER TABLE merchants ADD COLUMN `refund_notify_url` VARCHAR(500) DEFAULT NULL COMMENT '退款结果通知地址（为空时使用订单 notify_url）' AFTER `refund_notify`",
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 merchants 表添加支付限制字段（如果不存在）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'merchants' AND COLUMN_NAME = 'pay_limits'),
+  "ALTER TABLE merchants ADD COLUMN `pay_limits` JSON DEFAULT NULL COMMENT '商户支付限制：单笔上限、允许的支付方式、按支付方式每日限额' AFTER `refund_notify_url`",
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 provider_channels 表添加月限额、每日笔数上限字段（如果不存在）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'provider_channels' AND COLUMN_NAME = 'month_limit'),
+  "ALTER TABLE provider_channels ADD COLUMN `month_limit` DECIMAL(14,2) DEFAULT '0.00' COMMENT '月限额，0为无限制' AFTER `day_limit`",
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'provider_channels' AND COLUMN_NAME = 'day_count_limit'),
+  "ALTER TABLE provider_channels ADD COLUMN `day_count_limit` INT DEFAULT '0' COMMENT '每日笔数上限，0为无限制' AFTER `month_limit`",
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 provider_channels 表添加 schedule 字段（如果不存在）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'provider_channels' AND COLUMN_NAME = 'schedule'),
+  "ALTER TABLE provider_channels ADD COLUMN `schedule` TEXT COMMENT '开放时段JSON（按星期、精确到分钟，设置后优先于 time_start/time_stop）' AFTER `time_stop`",
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 channel_submit_logs 表添加 latency_ms 字段（如果不存在）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'channel_submit_logs' AND COLUMN_NAME = 'latency_ms'),
+  "ALTER TABLE channel_submit_logs ADD COLUMN `latency_ms` INT UNSIGNED DEFAULT NULL COMMENT '插件调用耗时（毫秒）' AFTER `error_msg`",
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 orders 表添加 exception_note 字段（如果不存在）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'orders' AND COLUMN_NAME = 'exception_note'),
+  'ALTER TABLE orders ADD COLUMN `exception_note` varchar(255) DEFAULT NULL COMMENT ''异常标记（关闭后到账、金额不符、上游关单失败等，需人工核对）'' AFTER `cert_info`',
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 orders 表添加超时关单重试字段（如果不存在）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'orders' AND COLUMN_NAME = 'close_attempts'),
+  'ALTER TABLE orders ADD COLUMN `close_attempts` tinyint unsigned NOT NULL DEFAULT ''0'' COMMENT ''超时关单尝试次数'' AFTER `exception_note`',
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 orders 表添加 next_close_at 字段（如果不存在）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'orders' AND COLUMN_NAME = 'next_close_at'),
+  'ALTER TABLE orders ADD COLUMN `next_close_at` datetime DEFAULT NULL COMMENT ''下次尝试超时关单时间（为空表示立即）'' AFTER `close_attempts`',
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- orders 表添加 reconcile_attempts 字段（主动查单退避）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'orders' AND COLUMN_NAME = 'reconcile_attempts'),
+  'ALTER TABLE orders ADD COLUMN `reconcile_attempts` tinyint unsigned NOT NULL DEFAULT ''0'' COMMENT ''主动查单次数'' AFTER `next_close_at`',
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- orders 表添加 next_reconcile_at 字段（主动查单退避）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'orders' AND COLUMN_NAME = 'next_reconcile_at'),
+  'ALTER TABLE orders ADD COLUMN `next_reconcile_at` datetime DEFAULT NULL COMMENT ''下次主动查单时间（为空表示尽快）'' AFTER `reconcile_attempts`',
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- order_refunds 表添加 order_status 字段（退款失败时恢复订单原状态）
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'order_refunds' AND COLUMN_NAME = 'order_status'),
+  'ALTER TABLE order_refunds ADD COLUMN `order_status` tinyint DEFAULT NULL COMMENT ''发起退款时的订单状态（退款全部失败时据此恢复，如已冻结）'' AFTER `reduce_money`',
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 退款记录增加商户退款单号，同一商户下唯一，用于 API 退款去重
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'order_refunds' AND COLUMN_NAME = 'out_refund_no'),
+  'ALTER TABLE order_refunds ADD COLUMN `out_refund_no` varchar(64) DEFAULT NULL COMMENT ''商户退款单号（API 退款幂等键）'' AFTER `operator_type`',
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+  NOT EXISTS(SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS 
+   WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'order_refunds' AND INDEX_NAME = 'uk_merchant_out_refund_no'),
+  'ALTER TABLE order_refunds ADD UNIQUE KEY `uk_merchant_out_refund_no` (`merchant_id`, `out_refund_no`)',
+  'SELECT 1'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 quota_reservations 表补充过期占用扫描索引（如果不存在）
+SET @sql = (SELECT IF(
+  EXISTS(
+    SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'quota_reservations' AND INDEX_NAME = 'idx_status_updated'
+  ),
+  'SELECT 1',
+  'ALTER TABLE quota_reservations ADD INDEX `idx_status_updated` (`status`, `updated_at`)'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- 为 channel_submit_logs 表补充 trade_no 索引（清理订单时按交易号删除日志，如果不存在）
+SET @sql = (SELECT IF(
+  EXISTS(
+    SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'channel_submit_logs' AND INDEX_NAME = 'idx_trade_no'
+  ),
+  'SELECT 1',
+  'ALTER TABLE channel_submit_logs ADD INDEX `idx_trade_no` (`trade_no`)'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
 -- ==================== 初始化默认数据 ====================
 
+-- 初始化默认支付方式（ID 与支付组配置、轮询组 pay_type_id 对应，不可随意修改）
+INSERT IGNORE INTO `pay_types` (`id`, `name`, `showname`, `icon`, `device`, `status`, `sort`) VALUES
+(1, 'alipay', '支付宝', 'alipay.ico', 0, 1, 1),
+(2, 'wxpay', '微信支付', 'wxpay.ico', 0, 1, 2),
+(3, 'qqpay', 'QQ钱包', 'qqpay.ico', 0, 1, 3),
+(4, 'bank', '网银支付', 'bank.ico', 0, 1, 4),
+(5, 'jdpay', '京东支付', 'jdpay.ico', 0, 1, 5),
+(6, 'paypal', 'PayPal', 'paypal.ico', 0, 1, 6),
+(7, 'ecny', '数字人民币', 'ecny.ico', 0, 1, 7),
+(8, 'usdt', 'USDT', 'usdt.ico', 0, 1, 8);
+
 -- 初始化默认结算选项（如果不存在）
 INSERT IGNORE INTO `settlement_options` (`id`, `alipay_enabled`, `wxpay_enabled`, `bank_enabled`, `crypto_enabled`)
 VALUES (1, 1, 1, 1, 0);
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 const info = {
     name: 'adapay',
@@ -12,6 +12,7 @@ const info = {
     author: 'AdaPay',
     link: 'https://www.adapay.tech/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '应用App_ID',
@@ -7,7 +7,7 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 // 从server目录加载axios (plugins现在在server内)
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const certValidator = require('../../utils/certValidator');
 
 // 插件信息
@@ -18,6 +18,7 @@ const info = {
   link: 'https://b.alipay.com/signing/productSetV2.htm',
   types: ['alipay'],
   transtypes: ['alipay', 'bank'],
+  capabilities: ['submit', 'mapi', 'notify', 'query', 'close', 'refund', 'transfer', 'transferQuery', 'balanceQuery', 'preauth', 'scanpay'],
   inputs: {
     appid: {
       name: '应用APPID',
@@ -664,7 +665,9 @@ async function refund(channelConfig, refundInfo) {
 /**
  * 关闭订单
  */
-async function close(channelConfig, tradeNo) {
+async function close(channelConfig, order) {
+  // 兼容传入订单对象或订单号
+  const tradeNo = order && typeof order === 'object' ? order.trade_no : order;
   const bizContent = {
     out_trade_no: tradeNo
   };
@@ -762,7 +765,6 @@ async function qrcodepc(channelConfig, orderInfo, conf) {
         .join('&');
       const url = `${GATEWAY_URL}?${queryString}`;
       
-      const axios = require('axios');
       const response = await axios.get(url, { maxRedirects: 0, validateStatus: () => true });
       const html = response.data;
       
@@ -1840,6 +1842,7 @@ module.exports = {
     notify,
     return: returnCallback,
     preauthnotify: preAuthNotify,
+    query,
     refund,
     close,
     transfer,
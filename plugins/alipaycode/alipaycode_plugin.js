@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -13,6 +13,7 @@ const info = {
     author: '支付宝',
     link: 'https://open.alipay.com/',
     types: ['alipay'],
+    capabilities: ['submit', 'mapi'],
     inputs: {
         appid: {
             name: '应用APPID',
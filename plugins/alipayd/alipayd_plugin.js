@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const path = require('path');
 const certValidator = require('../../utils/certValidator');
@@ -16,6 +16,7 @@ const info = {
     author: '支付宝',
     link: 'https://b.alipay.com/signing/productSetV2.htm',
     types: ['alipay'],
+    capabilities: ['submit', 'mapi', 'notify', 'close', 'refund', 'preauth'],
     inputs: {
         appid: {
             name: '应用APPID',
@@ -458,7 +459,9 @@ async function refund(channelConfig, refundInfo) {
 /**
  * 关闭订单
  */
-async function close(channelConfig, tradeNo) {
+async function close(channelConfig, order) {
+    // 兼容传入订单对象或订单号
+    const tradeNo = order && typeof order === 'object' ? order.trade_no : order;
     const bizContent = {
         out_trade_no: tradeNo
     };
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -13,6 +13,7 @@ const info = {
     author: 'Antom',
     link: 'https://www.antom.com/',
     types: ['alipay'],
+    capabilities: ['submit', 'mapi', 'notify', 'close', 'refund'],
     inputs: {
         appid: {
             name: '应用Client ID',
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const certValidator = require('../../utils/certValidator');
 
@@ -15,6 +15,7 @@ const info = {
     author: '支付宝',
     link: 'https://b.alipay.com/signing/productSetV2.htm',
     types: ['alipay'],
+    capabilities: ['submit', 'mapi', 'notify', 'query', 'refund'],
     inputs: {
         appid: {
             name: '应用APPID',
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const path = require('path');
 const certValidator = require('../../utils/certValidator');
@@ -16,6 +16,7 @@ const info = {
     author: '支付系统',
     link: 'https://b.alipay.com/signing/productSetV2.htm',
     types: ['alipay'],
+    capabilities: ['submit', 'mapi', 'notify', 'close', 'refund', 'preauth', 'scanpay'],
     inputs: {
         appid: {
             name: '应用APPID',
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 const info = {
     name: 'allinpay',
@@ -12,6 +12,7 @@ const info = {
     author: '通联',
     link: 'https://www.allinpay.com/',
     types: ['alipay', 'wxpay', 'qqpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appmchid: {
             name: '商户号',
@@ -2,7 +2,7 @@
  * 银联商务支付插件
  * https://open.chinaums.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 const querystring = require('querystring');
 
@@ -12,6 +12,7 @@ const info = {
     author: '银联商务',
     link: 'https://open.chinaums.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: 'AppId',
@@ -3,7 +3,7 @@
  * 使用SM2/SM3/SM4国密算法
  * https://www.dinpay.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 
 // 注意：需要安装 sm-crypto 库来支持国密算法
@@ -24,6 +24,7 @@ const info = {
     author: '智付',
     link: 'https://www.dinpay.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '商户号',
@@ -539,13 +540,12 @@ async function notify(channel, order, params) {
 /**
  * 退款
  */
-async function refund(channel, order, config) {
+async function refund(channel, order) {
     const params = {
         interfaceName: 'AppPayRefund',
         payOrderNo: order.trade_no,
         refundOrderNo: order.refund_no,
-        refundAmount: order.refundmoney,
-        notifyUrl: config.localurl + 'pay/refundnotify/' + order.trade_no + '/'
+        refundAmount: order.refundmoney
     };
 
     try {
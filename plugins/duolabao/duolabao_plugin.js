@@ -2,7 +2,7 @@
  * 哆啦宝支付插件
  * http://www.duolabao.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 
 const info = {
@@ -11,6 +11,7 @@ const info = {
     author: '哆啦宝',
     link: 'http://www.duolabao.com/',
     types: ['alipay', 'wxpay', 'qqpay', 'bank', 'jdpay'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         agentNum: {
             name: '代理商编号',
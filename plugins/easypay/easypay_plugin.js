@@ -3,7 +3,7 @@
  * RSA签名
  * https://www.easypay.com.cn/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 
 const info = {
@@ -12,6 +12,7 @@ const info = {
     author: '易生',
     link: 'https://www.easypay.com.cn/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         reqtype: {
             name: '接入模式',
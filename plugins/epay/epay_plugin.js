@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -13,6 +13,7 @@ const info = {
   author: '彩虹',
   link: '',
   types: ['alipay', 'qqpay', 'wxpay', 'bank', 'jdpay'],
+  capabilities: ['submit', 'notify', 'query', 'refund'],
   inputs: {
     appurl: {
       name: '接口地址',
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const querystring = require('querystring');
 
 const info = {
@@ -14,6 +14,7 @@ const info = {
     link: '',
     types: ['alipay', 'qqpay', 'wxpay', 'bank', 'jdpay'],
     transtypes: ['alipay', 'wxpay', 'qqpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'transfer', 'transferQuery', 'balanceQuery'],
     inputs: {
         appurl: {
             name: '接口地址',
@@ -370,25 +371,26 @@ async function notify(params, channel, order) {
 /**
  * 同步回调
  */
-async function returnCallback(params, channel, order) {
+async function returnCallback(channel, params, order) {
     // 验证签名
     if (!verifySign(params, channel.appkey)) {
-        return { type: 'error', msg: '验证失败！' };
+        return { success: false, msg: '验证失败！' };
     }
     
     const outTradeNo = params.out_trade_no;
     const tradeNo = params.trade_no;
     const money = params.money;
+    const orderMoney = order.real_money || order.realmoney;
     
     if (params.trade_status === 'TRADE_SUCCESS') {
         if (outTradeNo === order.trade_no && 
-            Math.abs(parseFloat(money) - parseFloat(order.realmoney)) < 0.01) {
-            return { type: 'page', page: 'return' };
+            Math.abs(parseFloat(money) - parseFloat(orderMoney)) < 0.01) {
+            return { success: true, api_trade_no: tradeNo };
         } else {
-            return { type: 'error', msg: '订单信息校验失败' };
+            return { success: false, msg: '订单信息校验失败' };
         }
     } else {
-        return { type: 'error', msg: 'trade_status=' + params.trade_status };
+        return { success: false, msg: 'trade_status=' + params.trade_status };
     }
 }
 
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 const info = {
     name: 'fubei',
@@ -12,6 +12,7 @@ const info = {
     author: '付呗',
     link: 'https://www.51fubei.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '开放平台ID',
@@ -3,7 +3,7 @@
  * RSA签名
  * https://www.fuiou.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 const xml2js = require('xml2js');
 
@@ -13,6 +13,7 @@ const info = {
     author: '富友',
     link: 'https://www.fuiou.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'scanpay'],
     inputs: {
         appid: {
             name: '机构号',
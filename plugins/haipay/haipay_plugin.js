@@ -3,7 +3,7 @@
  * MD5签名
  * https://www.hkrt.cn/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 
 const info = {
@@ -12,6 +12,7 @@ const info = {
     author: '海科融通',
     link: 'https://www.hkrt.cn/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'scanpay'],
     inputs: {
         accessid: {
             name: 'accessid',
@@ -3,7 +3,7 @@
  * MD5签名 + 3DES加密
  * https://www.heepay.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 const iconv = require('iconv-lite');
 
@@ -13,6 +13,7 @@ const info = {
     author: '汇付宝',
     link: 'https://www.heepay.com/',
     types: ['wxpay'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: 'agent_id',
@@ -420,7 +421,7 @@ async function notify(channel, order, params) {
 /**
  * 退款
  */
-async function refund(channel, order, config) {
+async function refund(channel, order) {
     const money = Math.round(order.refundmoney * 100);
     
     const params = {
@@ -429,8 +430,7 @@ async function refund(channel, order, config) {
         agent_bill_id: order.trade_no,
         jnet_bill_no: order.api_trade_no,
         refund_amt: String(money),
-        refund_note: '退款',
-        notify_url: config.localurl + 'pay/refundnotify/' + order.refund_no + '/'
+        refund_note: '退款'
     };
     
     params.sign = makeSign(params, channel.appkey);
@@ -3,7 +3,7 @@
  * RSA2签名
  * https://www.huilianlink.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 
 const info = {
@@ -13,6 +13,7 @@ const info = {
     link: 'https://www.huilianlink.com/',
     types: ['alipay', 'wxpay', 'bank'],
     transtypes: ['alipay', 'wxpay'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'transfer', 'transferQuery', 'balanceQuery'],
     inputs: {
         appid: {
             name: '应用APPID',
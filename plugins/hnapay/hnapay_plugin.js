@@ -3,7 +3,7 @@
  * RSA签名 + RSA加密
  * https://www.hnapay.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 const fs = require('fs');
 const certValidator = require('../../utils/certValidator');
@@ -15,6 +15,7 @@ const info = {
     link: 'https://www.hnapay.com/',
     types: ['alipay', 'wxpay', 'bank'],
     transtypes: ['bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'transfer', 'transferQuery', 'balanceQuery'],
     inputs: {
         appid: {
             name: '商户ID',
@@ -631,13 +632,12 @@ async function notifys(channel, order, params) {
 /**
  * 退款
  */
-async function refund(channel, order, config) {
+async function refund(channel, order) {
     const bizParams = {
         orgMerOrderId: order.trade_no,
         orgSubmitTime: order.trade_no.substring(0, 14),
         orderAmt: order.realmoney,
-        refundOrderAmt: order.refundmoney,
-        notifyUrl: config.localurl + 'pay/refundnotify/' + order.refund_no + '/'
+        refundOrderAmt: order.refundmoney
     };
 
     const params = {
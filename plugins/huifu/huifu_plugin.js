@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 const info = {
     name: 'huifu',
@@ -12,6 +12,7 @@ const info = {
     author: '汇付天下',
     link: 'https://paas.huifu.com/',
     types: ['alipay', 'wxpay', 'bank', 'ecny'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '汇付系统号',
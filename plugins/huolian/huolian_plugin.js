@@ -3,7 +3,7 @@
  * MD5签名
  * https://www.lianok.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 
 const info = {
@@ -12,6 +12,7 @@ const info = {
     author: '火脸',
     link: 'https://www.lianok.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '对接商授权编号',
@@ -1,140 +1,93 @@
 /**
- * 插件加载器（主线程）
- * 自动扫描并加载所有支付插件
+ * 插件入口（兼容层）
+ * 插件的加载、热更新和版本记录统一由 utils/pluginLoader 负责，这里按插件名提供查询和调用的便捷方法，
+ * 与加载器共用同一份插件对象，不再单独加载
  */
-const fs = require('fs');
-const path = require('path');
-
-class PluginLoader {
-  constructor() {
-    this.plugins = {};
-    this.pluginsPath = __dirname;
-  }
+const pluginLoader = require('../utils/pluginLoader');
 
+class PluginIndex {
   /**
-   * 加载所有插件
+   * 加载所有插件（已加载且源码未变化的插件跳过）
    */
   loadAll() {
-    const pluginDirs = fs.readdirSync(this.pluginsPath, { withFileTypes: true })
-      .filter(dirent => dirent.isDirectory())
-      .map(dirent => dirent.name);
-
-    for (const dir of pluginDirs) {
-      try {
-        this.loadPlugin(dir);
-      } catch (e) {
-        console.error(`[Plugin] 加载 ${dir} 失败:`, e.message);
-      }
-    }
-
-    console.log(`[Plugin] 已加载 ${Object.keys(this.plugins).length} 个支付插件`);
-    return this.plugins;
-  }
-
-  /**
-   * 加载单个插件
-   */
-  loadPlugin(name) {
-    const pluginFile = path.join(this.pluginsPath, name, `${name}_plugin.js`);
-    
-    if (!fs.existsSync(pluginFile)) {
-      return null;
-    }
-
-    const plugin = require(pluginFile);
-    
-    if (!plugin.info || !plugin.info.name) {
-      throw new Error(`Plugin ${name} missing info.name`);
-    }
-
-    this.plugins[plugin.info.name] = plugin;
-    return plugin;
+    pluginLoader.loadAllPlugins();
+    return Object.fromEntries(pluginLoader.plugins);
   }
 
   /**
    * 获取插件
    */
   getPlugin(name) {
-    if (this.plugins[name]) {
-      return this.plugins[name];
-    }
-    
-    // 尝试按需加载
-    const pluginDirs = fs.readdirSync(this.pluginsPath, { withFileTypes: true })
-      .filter(dirent => dirent.isDirectory())
-      .map(dirent => dirent.name);
-    
-    for (const dir of pluginDirs) {
-      const pluginFile = path.join(this.pluginsPath, dir, `${dir}_plugin.js`);
-      if (fs.existsSync(pluginFile)) {
-        try {
-          const plugin = require(pluginFile);
-          if (plugin.info && plugin.info.name === name) {
-            this.plugins[name] = plugin;
-            return plugin;
-          }
-        } catch (e) {
-          // 忽略加载错误
-        }
-      }
-    }
-    
-    return null;
+    return pluginLoader.getPlugin(name) || null;
   }
 
   /**
    * 获取所有插件信息
    */
   getAllPluginInfo() {
-    const infos = [];
-    for (const name in this.plugins) {
-      infos.push(this.plugins[name].info);
-    }
-    return infos;
+    return [...pluginLoader.plugins.values()].map(plugin => plugin.info);
   }
 
   /**
    * 获取支持指定支付类型的插件
    */
   getPluginsByType(payType) {
-    const result = [];
-    for (const name in this.plugins) {
-      const plugin = this.plugins[name];
-      if (plugin.info.types && plugin.info.types.includes(payType)) {
-        result.push(plugin);
-      }
-    }
-    return result;
+    return [...pluginLoader.plugins.values()]
+      .filter(plugin => plugin.info.types && plugin.info.types.includes(payType));
+  }
+
+  /**
+   * 插件是否启用（停用的插件不参与选路，也不处理回调、查单和退款）
+   */
+  isPluginEnabled(name) {
+    return pluginLoader.isPluginEnabled(name);
+  }
+
+  /**
+   * 过滤掉插件已停用的通道
+   */
+  filterEnabledChannels(channels) {
+    return pluginLoader.filterEnabledChannels(channels);
   }
 
   /**
    * 获取支持转账的插件
    */
   getTransferPlugins() {
-    const result = [];
-    for (const name in this.plugins) {
-      const plugin = this.plugins[name];
-      if (plugin.info.transtypes && plugin.info.transtypes.length > 0) {
-        result.push(plugin);
-      }
-    }
-    return result;
+    return [...pluginLoader.plugins.values()]
+      .filter(plugin => plugin.info.transtypes && plugin.info.transtypes.length > 0);
   }
 
   /**
-   * 调用插件方法
+   * 根据通道记录构建插件调用配置（与 /dopay 传给插件的结构一致）
    */
-  async callPluginMethod(pluginName, methodName, ...args) {
-    const plugin = this.getPlugin(pluginName);
-    if (!plugin) {
-      throw new Error(`Plugin ${pluginName} not found`);
+  buildChannelConfig(channel) {
+    let channelConfigJson = {};
+    try {
+      channelConfigJson = typeof channel.config === 'string'
+        ? JSON.parse(channel.config)
+        : (channel.config || {});
+    } catch (e) {
+      channelConfigJson = {};
     }
 
-    if (typeof plugin[methodName] !== 'function') {
-      throw new Error(`Method ${methodName} not found in plugin ${pluginName}`);
-    }
+    return {
+      id: channel.id,
+      name: channel.channel_name,
+      plugin: channel.plugin_name,
+      ...channelConfigJson.params,
+      apptype: channelConfigJson.apptype || [],
+      config: {
+        certs: channelConfigJson.certs || {}
+      }
+    };
+  }
 
-    return await plugin[methodName](...args);
+  /**
+   * 调用插件方法（经 pluginExecutor 隔离执行，带超时和并发限制）
+   */
+  async callPluginMethod(pluginName, methodName, ...args) {
+    return await pluginLoader.callPluginMethod(pluginName, methodName, ...args);
   }
 
   /**
@@ -167,8 +120,9 @@ class PluginLoader {
       throw new Error(`Plugin ${pluginName} not found`);
     }
 
-    if (typeof plugin.return === 'function') {
-      return await plugin.return(params, channel, order);
+    // 同步回调统一为 returnCallback(channelConfig, params, order)，旧名称 return/returnUrl 已在加载时补齐别名
+    if (typeof plugin.returnCallback === 'function') {
+      return await this.callPluginMethod(pluginName, 'returnCallback', channel, params, order);
     }
 
     return { type: 'page', page: 'return' };
@@ -198,7 +152,7 @@ class PluginLoader {
     }
 
     if (typeof plugin.transferQuery === 'function') {
-      return await plugin.transferQuery(channel, bizParam);
+      return await this.callPluginMethod(pluginName, 'transferQuery', channel, bizParam);
     }
 
     throw new Error(`Transfer query not supported by plugin ${pluginName}`);
@@ -214,7 +168,7 @@ class PluginLoader {
     }
 
     if (typeof plugin.balanceQuery === 'function') {
-      return await plugin.balanceQuery(channel, bizParam);
+      return await this.callPluginMethod(pluginName, 'balanceQuery', channel, bizParam);
     }
 
     throw new Error(`Balance query not supported by plugin ${pluginName}`);
@@ -224,61 +178,24 @@ class PluginLoader {
    * 获取插件列表（用于前端展示）
    */
   getPluginList() {
-    const list = [];
-    for (const name in this.plugins) {
-      const plugin = this.plugins[name];
-      const info = plugin.info || {};
-      
-      // 处理证书配置
-      let certs = null;
-      if (info.certs && Array.isArray(info.certs)) {
-        certs = info.certs.map(cert => ({
-          key: cert.key,
-          name: cert.name,
-          ext: cert.ext,
-          desc: cert.desc || '',
-          required: cert.required || false,
-          optional: cert.optional || false,
-          needPassword: cert.needPassword || false
-        }));
-      }
-      
-      list.push({
-        name: info.name,
-        showname: info.showname || info.name,
-        author: info.author || '',
-        link: info.link || '',
-        types: info.types || [],
-        transtypes: info.transtypes || [],
-        inputs: info.inputs || {},
-        select: info.select || null,
-        select_alipay: info.select_alipay || null,
-        select_wxpay: info.select_wxpay || null,
-        select_qqpay: info.select_qqpay || null,
-        select_bank: info.select_bank || null,
-        certs: certs,
-        note: info.note || '',
-        bindwxmp: info.bindwxmp || false,
-        bindwxa: info.bindwxa || false
-      });
-    }
-    
-    list.sort((a, b) => a.name.localeCompare(b.name));
-    return list;
+    return pluginLoader.getPluginList();
   }
 }
 
 // 单例
-const loader = new PluginLoader();
+const loader = new PluginIndex();
 
 module.exports = {
-  PluginLoader,
   loader,
   loadAll: () => loader.loadAll(),
   getPlugin: (name) => loader.getPlugin(name),
   getAllPluginInfo: () => loader.getAllPluginInfo(),
   getPluginList: () => loader.getPluginList(),
   getPluginsByType: (type) => loader.getPluginsByType(type),
+  isPluginEnabled: (name) => loader.isPluginEnabled(name),
+  filterEnabledChannels: (channels) => loader.filterEnabledChannels(channels),
+  buildChannelConfig: (channel) => loader.buildChannelConfig(channel),
+  callPluginMethod: (name, method, ...args) => loader.callPluginMethod(name, method, ...args),
   submit: (name, options) => loader.submit(name, options),
   mapi: (name, options) => loader.mapi(name, options),
   notify: (name, params, channel, order, req) => loader.notify(name, params, channel, order, req),
@@ -3,7 +3,7 @@
  * RSA签名 + 3DES加密
  * https://www.jdpay.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
@@ -15,6 +15,7 @@ const info = {
     author: '京东支付',
     link: 'https://www.jdpay.com/',
     types: ['jdpay'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '商户号',
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -14,6 +14,7 @@ const info = {
   link: 'https://www.jeequan.com/',
   types: ['alipay', 'wxpay', 'bank'],
   transtypes: ['alipay', 'wxpay', 'bank'],
+  capabilities: ['submit', 'notify', 'refund', 'transfer'],
   inputs: {
     appurl: {
       name: '接口地址',
@@ -3,7 +3,7 @@
  * 使用SM2/SM3国密算法签名
  * https://www.jlpay.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 
 // 注意：需要安装 sm-crypto 库来支持国密算法
@@ -24,6 +24,7 @@ const info = {
     author: '嘉联支付',
     link: 'https://www.jlpay.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'scanpay'],
     inputs: {
         appid: {
             name: '应用appid',
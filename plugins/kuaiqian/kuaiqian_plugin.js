@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const path = require('path');
 const certValidator = require('../../utils/certValidator');
@@ -16,6 +16,7 @@ const info = {
     author: '快钱',
     link: 'https://www.99bill.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '快钱账户号',
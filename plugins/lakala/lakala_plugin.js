@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const path = require('path');
 const certValidator = require('../../utils/certValidator');
@@ -15,6 +15,7 @@ const info = {
     author: '拉卡拉',
     link: 'https://www.lakala.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: 'APPID',
@@ -5,7 +5,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 const info = {
     name: 'leshua',
@@ -13,6 +13,7 @@ const info = {
     author: '乐刷',
     link: 'http://www.leshuazf.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '商户号',
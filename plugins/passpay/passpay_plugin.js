@@ -3,7 +3,7 @@
  * RSA签名
  * https://www.jxpays.com/
  */
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const crypto = require('crypto');
 
 const info = {
@@ -12,6 +12,7 @@ const info = {
     author: '精秀',
     link: 'https://www.jxpays.com/',
     types: ['alipay', 'wxpay', 'qqpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appurl: {
             name: 'API接口地址',
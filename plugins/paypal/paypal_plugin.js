@@ -3,7 +3,7 @@
  * 移植自PHP版本
  */
 
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -12,6 +12,7 @@ const info = {
   author: 'PayPal',
   link: 'https://www.paypal.com/',
   types: ['paypal'],
+  capabilities: ['submit', 'notify', 'query', 'refund'],
   inputs: {
     appid: {
       name: 'ClientId',
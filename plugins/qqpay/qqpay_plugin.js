@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const https = require('https');
 const certValidator = require('../../utils/certValidator');
@@ -17,6 +17,7 @@ const info = {
   link: 'https://mp.qpay.tenpay.com/',
   types: ['qqpay'],
   transtypes: ['qqpay'],
+  capabilities: ['submit', 'notify', 'query', 'close', 'refund'],
   inputs: {
     appid: {
       name: 'QQ钱包商户号',
@@ -383,7 +384,9 @@ async function sendRequestWithCert(url, params, key, httpsAgent) {
 /**
  * 关闭订单
  */
-async function close(channelConfig, tradeNo) {
+async function close(channelConfig, order) {
+  // 兼容传入订单对象或订单号
+  const tradeNo = order && typeof order === 'object' ? order.trade_no : order;
   const params = {
     mch_id: channelConfig.appid,
     nonce_str: generateNonceStr(),
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const path = require('path');
 
@@ -15,6 +15,7 @@ const info = {
     link: 'https://www.sandpay.com.cn/',
     types: ['alipay', 'wxpay', 'bank'],
     transtypes: ['bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'transfer', 'transferQuery', 'balanceQuery'],
     inputs: {
         appid: {
             name: '商户编号',
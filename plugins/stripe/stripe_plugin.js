@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -13,6 +13,7 @@ const info = {
   author: 'Stripe',
   link: 'https://stripe.com/',
   types: ['alipay', 'wxpay', 'bank', 'paypal'],
+  capabilities: ['submit', 'notify', 'query', 'refund'],
   inputs: {
     appid: {
       name: 'API密钥',
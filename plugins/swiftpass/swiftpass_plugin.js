@@ -4,7 +4,7 @@
  * 支持支付宝/微信/QQ/京东/云闪付扫码支付
  */
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const xml2js = require('xml2js');
 
 const info = {
@@ -13,6 +13,7 @@ const info = {
     author: '威富通',
     link: 'https://www.swiftpass.cn/',
     types: ['alipay', 'wxpay', 'qqpay', 'bank', 'jdpay'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '商户号',
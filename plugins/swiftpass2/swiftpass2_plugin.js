@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const xml2js = require('xml2js');
 
 // 插件信息
@@ -14,6 +14,7 @@ const info = {
     author: '威富通',
     link: 'https://www.swiftpass.cn/',
     types: ['alipay', 'wxpay', 'qqpay', 'bank', 'jdpay'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '商户号',
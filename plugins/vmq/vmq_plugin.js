@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -13,6 +13,7 @@ const info = {
   author: 'V免签',
   link: 'https://github.com/szvone/vmqphp',
   types: ['alipay', 'qqpay', 'wxpay'],
+  capabilities: ['submit', 'notify'],
   inputs: {
     appurl: {
       name: '接口地址',
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const https = require('https');
 const certValidator = require('../../utils/certValidator');
@@ -17,6 +17,7 @@ const info = {
   link: 'https://pay.weixin.qq.com/',
   types: ['wxpay'],
   transtypes: ['wxpay', 'bank'],
+  capabilities: ['submit', 'notify', 'query', 'close', 'refund'],
   inputs: {
     appid: {
       name: '公众号/小程序AppID',
@@ -438,7 +439,9 @@ async function refund(channelConfig, refundInfo) {
 /**
  * 关闭订单
  */
-async function close(channelConfig, tradeNo) {
+async function close(channelConfig, order) {
+  // 兼容传入订单对象或订单号
+  const tradeNo = order && typeof order === 'object' ? order.trade_no : order;
   const params = {
     appid: channelConfig.appid,
     mch_id: channelConfig.appmchid,
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const path = require('path');
 const certValidator = require('../../utils/certValidator');
@@ -16,6 +16,7 @@ const info = {
     author: '微信',
     link: 'https://pay.weixin.qq.com/',
     types: ['wxpay'],
+    capabilities: ['submit', 'mapi', 'notify', 'close', 'refund', 'refundQuery', 'scanpay'],
     inputs: {
         appid: {
             name: '服务号/小程序/开放平台AppID',
@@ -170,7 +171,7 @@ async function sendRequest(method, apiUrl, body, channelConfig) {
     const url = new URL(apiUrl, API_BASE);
     const bodyStr = body ? JSON.stringify(body) : '';
     
-    const authorization = buildAuthHeader(method, url.pathname, bodyStr, channelConfig.appmchid, channelConfig.appkey, privateKey);
+    const authorization = buildAuthHeader(method, url.pathname + url.search, bodyStr, channelConfig.appmchid, channelConfig.appkey, privateKey);
     
     const headers = {
         'Content-Type': 'application/json',
@@ -181,7 +182,7 @@ async function sendRequest(method, apiUrl, body, channelConfig) {
     const response = await axios({
         method,
         url: url.href,
-        data: body,
+        data: body || undefined,
         headers
     });
     
@@ -549,6 +550,8 @@ async function refund(channelConfig, refundInfo) {
         return {
             code: 0,
             trade_no: result.transaction_id,
+            refund_id: result.refund_id,
+            refund_status: result.status === 'PROCESSING' ? 'processing' : 'success',
             refund_fee: (result.amount?.refund / 100).toFixed(2),
             refund_time: result.success_time
         };
@@ -557,6 +560,30 @@ async function refund(channelConfig, refundInfo) {
     throw new Error(result.message || '退款失败');
 }
 
+/**
+ * 查询退款状态
+ * 返回 refund_status: processing / success / failed
+ */
+async function refundQuery(channelConfig, refundInfo) {
+    const { refund_no } = refundInfo;
+    
+    const result = await sendRequest('GET', `/v3/refund/domestic/refunds/${encodeURIComponent(refund_no)}`, null, channelConfig);
+    
+    const statusMap = {
+        SUCCESS: 'success',
+        PROCESSING: 'processing',
+        CLOSED: 'failed',
+        ABNORMAL: 'failed'
+    };
+    
+    return {
+        code: 0,
+        refund_id: result.refund_id,
+        refund_status: statusMap[result.status] || 'processing',
+        msg: result.status
+    };
+}
+
 /**
  * 关闭订单
  */
@@ -581,5 +608,6 @@ module.exports = {
     scanpay,
     notify,
     refund,
+    refund_query: refundQuery,
     close
 };
@@ -5,7 +5,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const xml2js = require('xml2js');
 const fs = require('fs');
 const path = require('path');
@@ -18,6 +18,7 @@ const info = {
     author: '微信',
     link: 'https://pay.weixin.qq.com/partner/public/home',
     types: ['wxpay'],
+    capabilities: ['submit', 'mapi', 'notify', 'close', 'refund', 'scanpay'],
     inputs: {
         appid: {
             name: '服务号/小程序/开放平台AppID',
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const path = require('path');
 
 // 插件信息
@@ -14,6 +14,7 @@ const info = {
     author: '新生易',
     link: 'https://www.hnapay.com/',
     types: ['wxpay', 'alipay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'scanpay'],
     inputs: {
         appid: {
             name: '机构代码',
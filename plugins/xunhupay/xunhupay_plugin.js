@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -13,6 +13,7 @@ const info = {
   author: '虎皮椒',
   link: 'https://www.xunhupay.com/',
   types: ['alipay', 'wxpay'],
+  capabilities: ['submit', 'notify', 'refund'],
   inputs: {
     appid: {
       name: '商户ID',
@@ -4,7 +4,7 @@
  * 支持支付宝/微信/云闪付
  */
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 const info = {
     name: 'yeepay',
@@ -12,6 +12,7 @@ const info = {
     author: '易宝支付',
     link: 'https://www.yeepay.com/',
     types: ['alipay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appkey: {
             name: '应用标识',
@@ -4,7 +4,7 @@
  * 支持支付宝/微信/QQ/云闪付
  */
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const path = require('path');
 
@@ -14,6 +14,7 @@ const info = {
     author: '银盛支付',
     link: 'https://www.ysepay.com/',
     types: ['alipay', 'qqpay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund'],
     inputs: {
         appid: {
             name: '服务商商户号',
@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
@@ -18,6 +18,7 @@ const info = {
     link: 'https://eqt.ysepay.com/',
     types: ['alipay', 'wxpay', 'bank'],
     transtypes: ['bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'transfer', 'transferQuery'],
     inputs: {
         appid: {
             name: '服务商商户号',
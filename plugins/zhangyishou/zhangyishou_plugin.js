@@ -4,7 +4,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -14,6 +14,7 @@ const info = {
     link: 'http://www.zhangyishou.com/',
     types: ['alipay', 'qqpay', 'wxpay', 'bank'],
     transtypes: ['alipay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify', 'refund', 'transfer', 'balanceQuery'],
     inputs: {
         appid: {
             name: '登录账号',
@@ -5,7 +5,7 @@
  */
 
 const crypto = require('crypto');
-const axios = require('axios');
+const axios = require('../../utils/pluginHttp');
 
 // 插件信息
 const info = {
@@ -14,6 +14,7 @@ const info = {
     author: '知宇',
     link: '',
     types: ['alipay', 'qqpay', 'wxpay', 'bank'],
+    capabilities: ['submit', 'mapi', 'notify'],
     inputs: {
         appurl: {
             name: '支付网关地址',
@@ -5,6 +5,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const systemConfig = require('../utils/systemConfig');
+const orderTimeoutService = require('../utils/orderTimeoutService');
 
 function isValidDirectToken(token) {
   return /^[A-Za-z0-9]{24}$/.test(token) || /^[A-Za-z0-9]{32}$/.test(token);
@@ -104,7 +105,7 @@ router.get('/:token', async (req, res) => {
     // 固定金额直链：已支付直接跳转成功页；已锁定支付方式则直接进收银台。
     if (mode === 'fixed' && fixedLinkId) {
       const [latestOrderRows] = await db.query(
-        `SELECT trade_no, status, channel_id, pay_type, expire_at
+        `SELECT *
          FROM orders
          WHERE direct_mode = 'fixed' AND direct_link_id = ?
          ORDER BY id DESC
@@ -127,7 +128,8 @@ router.get('/:token', async (req, res) => {
           const orderExpired = !latestOrder.expire_at || orderExpireRows.length === 0 || Number(orderExpireRows[0].expired) === 1;
 
           if (orderExpired) {
-            await db.query('UPDATE orders SET status = 2 WHERE trade_no = ? AND status = 0', [latestOrder.trade_no]);
+            // 与超时检查相同：先查上游再关单，上游未关闭的订单保持未支付，由超时检查继续重试
+            await orderTimeoutService.closeExpiredOrder(latestOrder);
           } else {
             const hasSelectedChannel = !!latestOrder.channel_id || !!latestOrder.pay_type;
             if (hasSelectedChannel) {
@@ -4,7 +4,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../config/database');
-const { sendNotify } = require('../../utils/payment');
+const notifyRetryService = require('../../utils/notifyRetryService');
+const { getNotifyAttempts } = require('../../utils/notify');
+const refundLedger = require('../../utils/refundLedger');
 
 /**
  * 获取权限检查中间件（从 auth.js 导入）
@@ -22,7 +24,10 @@ router.get('/orders', requireMerchantRamPermission('order'), async (req, res) =>
            o.money, o.real_money, o.fee_money, o.fee_payer, o.notify_url, o.return_url, 
            o.status, o.created_at, o.paid_at, o.refund_status, o.refund_money,
            o.notify_status, o.notify_count, o.notify_time, o.merchant_confirm, o.order_type,
-           o.direct_mode, o.direct_token, o.expire_at
+           o.direct_mode, o.direct_token, o.expire_at,
+           (SELECT nq.next_time FROM notify_queue nq
+             WHERE nq.notify_type = 'payment' AND nq.biz_no = o.trade_no AND nq.status = 0
+             LIMIT 1) AS notify_next_time
                FROM orders o
                WHERE o.merchant_id = ?`;
     const params = [user_id];
@@ -88,6 +93,58 @@ router.get('/orders', requireMerchantRamPermission('order'), async (req, res) =>
   }
 });
 
+// 获取订单详情（含回调投递记录）
+router.get('/orders/detail', requireMerchantRamPermission('order'), async (req, res) => {
+  try {
+    const { user_id } = req.user;
+    const { tradeNo } = req.query;
+
+    if (!tradeNo) {
+      return res.json({ code: -1, msg: '订单号不能为空' });
+    }
+
+    const [orders] = await db.query(
+      `SELECT o.id, o.trade_no, o.out_trade_no, o.api_trade_no, o.pay_type, o.name,
+              o.money, o.real_money, o.fee_money, o.fee_payer, o.notify_url, o.return_url, o.param,
+              o.status, o.created_at, o.paid_at, o.refund_no, o.refund_status, o.refund_money, o.refund_at,
+              o.notify_status, o.notify_count, o.notify_time, o.merchant_confirm, o.order_type,
+              o.direct_mode, o.expire_at
+       FROM orders o
+       WHERE o.merchant_id = ? AND (o.trade_no = ? OR o.out_trade_no = ?)
+       LIMIT 1`,
+      [user_id, tradeNo, tradeNo]
+    );
+
+    if (orders.length === 0) {
+      return res.json({ code: -1, msg: '订单不存在' });
+    }
+
+    const order = orders[0];
+    const [queueRows] = await db.query(
+      `SELECT notify_type, biz_no, attempts, status, next_time, last_error, updated_at
+       FROM notify_queue WHERE trade_no = ? ORDER BY id ASC`,
+      [order.trade_no]
+    );
+    const notifyAttempts = await getNotifyAttempts(order.trade_no);
+    const refunds = await refundLedger.listRefunds(order.id);
+    const refundSummary = await refundLedger.getRefundSummary(db, order);
+
+    res.json({
+      code: 0,
+      data: {
+        order,
+        notify_queue: queueRows,
+        notify_attempts: notifyAttempts,
+        refunds,
+        refund_summary: refundSummary
+      }
+    });
+  } catch (error) {
+    console.error('获取订单详情错误:', error);
+    res.json({ code: -1, msg: '获取订单详情失败' });
+  }
+});
+
 // 申请退款（直接调用支付插件进行原路退款）
 router.post('/refund', requireMerchantRamPermission('finance'), async (req, res) => {
   try {
@@ -111,179 +168,22 @@ router.post('/refund', requireMerchantRamPermission('finance'), async (req, res)
       return res.json({ code: -1, msg: '订单不存在' });
     }
 
-    const order = orders[0];
-
-    // 检查订单状态：已支付(1)、已退款但有剩余(2)、已冻结(3) 可以退款
-    if (![1, 2, 3].includes(order.status)) {
-      return res.json({ code: -1, msg: '订单状态不允许退款' });
-    }
-
-    // 已退款订单检查剩余可退金额
-    const refundedMoney = parseFloat(order.refund_money || 0);
-    const realMoney = parseFloat(order.real_money || order.money);
-    
-    if (order.status === 2 && refundedMoney <= 0) {
-      return res.json({ code: -1, msg: '订单已全额退款' });
-    }
-    
-    if (order.status === 2 && refundedMoney >= realMoney) {
-      return res.json({ code: -1, msg: '订单已全额退款' });
-    }
-
-    const refundMoney = parseFloat(money);
-    if (isNaN(refundMoney) || refundMoney <= 0) {
-      return res.json({ code: -1, msg: '退款金额无效' });
-    }
-    
-    const maxRefund = order.status === 2 ? (realMoney - refundedMoney) : realMoney;
-    if (refundMoney > maxRefund) {
-      return res.json({ code: -1, msg: `退款金额不能超过${maxRefund.toFixed(2)}元` });
-    }
-
-    // 检查是否有上游交易号（只有有上游交易号才能原路退款）
-    if (!order.api_trade_no) {
-      return res.json({ code: -1, msg: '该订单没有上游交易号，无法原路退款' });
-    }
-
-    // 获取支付通道信息
-    const [channels] = await db.query(
-      'SELECT * FROM provider_channels WHERE id = ?',
-      [order.channel_id]
-    );
-
-    if (channels.length === 0) {
-      return res.json({ code: -1, msg: '支付通道不存在' });
-    }
-
-    const channel = channels[0];
-    
-    // 检查插件是否支持退款
-    const pluginLoader = require('../../plugins');
-    const plugin = pluginLoader.getPlugin(channel.plugin_name);
-    
-    if (!plugin) {
-      return res.json({ code: -1, msg: '支付插件不存在' });
-    }
-    
-    if (typeof plugin.refund !== 'function') {
-      return res.json({ code: -1, msg: '该支付通道不支持原路退款' });
-    }
-
-    // 计算需要扣减的商户余额
-    let reduceMoney;
-    const orderMoney = parseFloat(order.money);
-    const feeMoney = parseFloat(order.fee_money || 0);
-    const merchantReceived = orderMoney - feeMoney;  // 商户实收金额
-    
-    // 已冻结订单不扣余额
-    if (order.status === 3) {
-      reduceMoney = 0;
-    } else if (refundMoney >= orderMoney) {
-      // 全额退款：扣除商户实收金额
-      reduceMoney = merchantReceived;
-    } else {
-      // 部分退款：按比例扣除（退款金额/订单金额 * 实收金额）
-      reduceMoney = (refundMoney / orderMoney) * merchantReceived;
-    }
-    
-    reduceMoney = Math.round(reduceMoney * 100) / 100;  // 保留2位小数
-
-    // 检查商户余额是否足够
-    if (reduceMoney > 0) {
-      const [merchants] = await db.query(
-        'SELECT balance FROM merchants WHERE user_id = ?',
-        [user_id]
-      );
-      
-      if (merchants.length === 0 || parseFloat(merchants[0].balance) < reduceMoney) {
-        return res.json({ code: -1, msg: `商户余额不足（需要 ¥${reduceMoney.toFixed(2)}）` });
-      }
-    }
-
-    // 生成退款单号
-    const refundNo = 'R' + Date.now() + Math.random().toString(36).substr(2, 6).toUpperCase();
+    const result = await refundLedger.applyMerchantRefund(orders[0], {
+      money,
+      reason: reason || '商户发起退款',
+      operator: req.ramUser ? String(req.ramUser.user_id) : String(user_id),
+      operatorType: 'merchant'
+    });
 
-    // 解析通道配置
-    let channelConfig;
-    try {
-      channelConfig = channel.config ? JSON.parse(channel.config) : {};
-    } catch (e) {
-      channelConfig = {};
+    if (result.code !== 0) {
+      return res.json(result);
     }
-    
-    // 合并通道配置
-    const fullConfig = {
-      ...channelConfig,
-      appid: channel.app_id,
-      appmchid: channel.app_mch_id,
-      appkey: channel.app_key,
-      appsecret: channel.app_secret
-    };
-
-    // 调用插件退款
-    try {
-      const refundResult = await plugin.refund(fullConfig, {
-        trade_no: order.trade_no,
-        api_trade_no: order.api_trade_no,
-        refund_no: refundNo,
-        refund_money: refundMoney,
-        total_money: realMoney
-      });
-
-      if (refundResult.code !== 0) {
-        return res.json({ code: -1, msg: '退款失败：' + (refundResult.msg || '未知错误') });
-      }
-
-      // 使用事务处理余额扣减和订单状态更新
-      const connection = await db.getConnection();
-      try {
-        await connection.beginTransaction();
-
-        // 扣减商户余额
-        if (reduceMoney > 0) {
-          await connection.query(
-            'UPDATE merchants SET balance = balance - ? WHERE user_id = ?',
-            [reduceMoney, user_id]
-          );
-        }
-
-        // 更新订单状态
-        const newRefundMoney = refundedMoney + refundMoney;
-        await connection.query(
-          `UPDATE orders SET 
-            status = 2, 
-            refund_status = 1,
-            refund_no = ?,
-            refund_money = ?, 
-            refund_reason = ?,
-            refund_at = NOW()
-           WHERE id = ?`,
-          [refundNo, newRefundMoney, reason || '商户发起退款', order.id]
-        );
-
-        await connection.commit();
-      } catch (txError) {
-        await connection.rollback();
-        throw txError;
-      } finally {
-        connection.release();
-      }
 
-      res.json({ 
-        code: 0, 
-        msg: '退款成功',
-        data: { 
-          tradeNo, 
-          refundNo,
-          refundMoney: refundMoney.toFixed(2),
-          reduceMoney: reduceMoney.toFixed(2)
-        } 
-      });
-
-    } catch (pluginError) {
-      console.error('调用退款插件错误:', pluginError);
-      return res.json({ code: -1, msg: '退款失败：' + pluginError.message });
-    }
+    res.json({ 
+      code: 0, 
+      msg: result.msg,
+      data: { tradeNo, ...result.data }
+    });
 
   } catch (error) {
     console.error('商户退款错误:', error);
@@ -305,7 +205,7 @@ router.post('/refund/query', requireMerchantRamPermission('finance'), async (req
     }
 
     const [orders] = await db.query(
-      'SELECT trade_no, money, real_money, refund_money, status, api_trade_no, channel_id FROM orders WHERE trade_no = ? AND merchant_id = ?',
+      'SELECT id, trade_no, money, real_money, refund_money, status, api_trade_no, channel_id FROM orders WHERE trade_no = ? AND merchant_id = ?',
       [tradeNo, user_id]
     );
 
@@ -341,17 +241,15 @@ router.post('/refund/query', requireMerchantRamPermission('finance'), async (req
       return res.json({ code: -1, msg: '该支付通道不支持原路退款' });
     }
 
-    const refundedMoney = parseFloat(order.refund_money || 0);
-    const realMoney = parseFloat(order.real_money || order.money);
-    const maxRefund = order.status === 2 ? Math.max(0, realMoney - refundedMoney) : realMoney;
+    const refundSummary = await refundLedger.getRefundSummary(db, order);
 
     res.json({ 
       code: 0, 
       data: {
         tradeNo: order.trade_no,
-        money: realMoney.toFixed(2),
-        refundedMoney: refundedMoney.toFixed(2),
-        maxRefund: maxRefund.toFixed(2)
+        money: refundSummary.total.toFixed(2),
+        refundedMoney: refundSummary.refunded.toFixed(2),
+        maxRefund: refundSummary.refundable.toFixed(2)
       }
     });
 
@@ -431,14 +329,13 @@ router.post('/orders/resend-notify', requireMerchantRamPermission('order'), asyn
     notifyParams.sign = makeSign(notifyParams, merchant.api_key);
     notifyParams.sign_type = 'MD5';
 
-    // 发送回调
-    const success = await sendNotify(order.notify_url, notifyParams);
-    
-    // 更新回调状态
-    await db.query(
-      'UPDATE orders SET notify_status = ?, notify_count = notify_count + 1, notify_time = NOW() WHERE id = ?',
-      [success ? 1 : 2, order.id]
-    );
+    // 发送回调（经由通知队列，失败后自动按退避节奏重试并更新回调状态）
+    const { success } = await notifyRetryService.enqueue({
+      orderId: order.id,
+      tradeNo: order.trade_no,
+      notifyUrl: order.notify_url,
+      params: notifyParams
+    });
 
     if (success) {
       res.json({ code: 0, msg: '回调成功' });
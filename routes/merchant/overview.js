@@ -5,20 +5,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../../config/database');
 
-// 支付类型配置（内联）
-const payTypes = [
-  { id: 1, name: 'alipay', showname: '支付宝', icon: 'alipay.ico', device: 0, status: 1, sort: 1 },
-  { id: 2, name: 'wxpay', showname: '微信支付', icon: 'wxpay.ico', device: 0, status: 1, sort: 2 },
-  { id: 3, name: 'qqpay', showname: 'QQ钱包', icon: 'qqpay.ico', device: 0, status: 1, sort: 3 },
-  { id: 4, name: 'bank', showname: '银行卡', icon: 'bank.ico', device: 0, status: 1, sort: 4 },
-  { id: 5, name: 'usdt', showname: 'USDT', icon: 'usdt.ico', device: 0, status: 1, sort: 5 }
-];
-
-function getAllPayTypes(device = null) {
-  if (!device) return payTypes.filter(pt => pt.status === 1).sort((a, b) => a.sort - b.sort);
-  const deviceCode = device === 'mobile' ? 2 : 1;
-  return payTypes.filter(pt => pt.status === 1 && (pt.device === 0 || pt.device === deviceCode)).sort((a, b) => a.sort - b.sort);
-}
+const { getAllPayTypes } = require('../../utils/payTypeRegistry');
 
 // 获取商户概览数据
 router.get('/overview', async (req, res) => {
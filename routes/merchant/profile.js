@@ -79,6 +79,8 @@ router.get('/profile', async (req, res) => {
         api_endpoint_not_set: isEnabledStatus(providerStatus) && !apiEndpoint,
         notify_url: merchant.notify_url,
         return_url: merchant.return_url,
+        refund_notify: Number(merchant.refund_notify) === 1,
+        refund_notify_url: merchant.refund_notify_url || '',
         status: merchant.status
       }
     });
@@ -281,4 +283,38 @@ router.post('/fee-bearer', requireMerchantRamPermission('settings'), async (req,
   }
 });
 
+// 设置退款结果通知
+router.post('/refund-notify', requireMerchantRamPermission('settings'), async (req, res) => {
+  try {
+    const { user_id } = req.user;
+    const { enabled, notifyUrl } = req.body;
+
+    const refundNotifyUrl = String(notifyUrl || '').trim();
+    if (refundNotifyUrl) {
+      if (refundNotifyUrl.length > 500) {
+        return res.json({ code: -1, msg: '通知地址过长' });
+      }
+      let parsed;
+      try {
+        parsed = new URL(refundNotifyUrl);
+      } catch (e) {
+        return res.json({ code: -1, msg: '通知地址格式无效' });
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return res.json({ code: -1, msg: '通知地址仅支持 http/https' });
+      }
+    }
+
+    await db.query(
+      'UPDATE merchants SET refund_notify = ?, refund_notify_url = ? WHERE user_id = ?',
+      [enabled ? 1 : 0, refundNotifyUrl || null, user_id]
+    );
+
+    res.json({ code: 0, msg: '设置成功' });
+  } catch (error) {
+    console.error('设置退款通知错误:', error);
+    res.json({ code: -1, msg: '设置失败' });
+  }
+});
+
 module.exports = router;
@@ -16,6 +16,17 @@ const config = yaml.load(fs.readFileSync(configPath, 'utf8'));
 // 引入系统配置服务（从数据库获取 baseUrl, siteName 等）
 const systemConfig = require('../utils/systemConfig');
 const autoSettlementService = require('../utils/autoSettlementService');
+const notifyRetryService = require('../utils/notifyRetryService');
+const orderReconcileService = require('../utils/orderReconcileService');
+const refundLedger = require('../utils/refundLedger');
+const orderTimeoutService = require('../utils/orderTimeoutService');
+const channelStats = require('../utils/channelStats');
+const channelBreaker = require('../utils/channelBreaker');
+const { filterGroupMembers } = require('../utils/channelGroupRules');
+const channelSchedule = require('../utils/channelSchedule');
+const quotaService = require('../utils/quotaService');
+const merchantPayLimits = require('../utils/merchantPayLimits');
+const clientEnv = require('../utils/clientEnv');
 
 // ==================== 身份证验证函数 ====================
 
@@ -76,34 +87,8 @@ function buildCertInfo(params) {
 }
 
 // ==================== 支付类型配置 ====================
-const payTypes = [
-  { id: 1, name: 'alipay', showname: '支付宝', icon: 'alipay.ico', device: 0, status: 1, sort: 1 },
-  { id: 2, name: 'wxpay', showname: '微信支付', icon: 'wxpay.ico', device: 0, status: 1, sort: 2 },
-  { id: 3, name: 'qqpay', showname: 'QQ钱包', icon: 'qqpay.ico', device: 0, status: 1, sort: 3 },
-  { id: 4, name: 'bank', showname: '网银支付', icon: 'bank.ico', device: 0, status: 1, sort: 4 },
-  { id: 5, name: 'jdpay', showname: '京东支付', icon: 'jdpay.ico', device: 0, status: 1, sort: 5 },
-  { id: 6, name: 'paypal', showname: 'PayPal', icon: 'paypal.ico', device: 0, status: 1, sort: 6 },
-  { id: 7, name: 'ecny', showname: '数字人民币', icon: 'ecny.ico', device: 0, status: 1, sort: 7 }
-];
-
-function getPayTypeByName(name, device = 'pc') {
-  const deviceCode = device === 'mobile' ? 2 : 1;
-  return payTypes.find(pt => pt.name === name && pt.status === 1 && (pt.device === 0 || pt.device === deviceCode)) || null;
-}
-
-function getPayTypeById(id) {
-  return payTypes.find(pt => pt.id === id) || null;
-}
+const { getAllPayTypes, getPayTypeByName } = require('../utils/payTypeRegistry');
 
-function getAllPayTypes(device = null) {
-  if (!device) return payTypes.filter(pt => pt.status === 1).sort((a, b) => a.sort - b.sort);
-  const deviceCode = device === 'mobile' ? 2 : 1;
-  return payTypes.filter(pt => pt.status === 1 && (pt.device === 0 || pt.device === deviceCode)).sort((a, b) => a.sort - b.sort);
-}
-
-const payTypeNames = { alipay: '支付宝', wxpay: '微信支付', qqpay: 'QQ钱包', bank: '网银支付', jdpay: '京东支付', paypal: 'PayPal', ecny: '数字人民币' };
-
-function getPayTypeName(name) { return payTypeNames[name] || name; }
 const {
   makeSignMD5,
   verifySignMD5,
@@ -111,7 +96,6 @@ const {
   verifySignRSA,
   generateRSAKeyPair,
   buildCallbackParams,
-  sendNotify,
   renderReturnPage
 } = require('../utils/payment');
 const axios = require('axios');
@@ -119,9 +103,6 @@ const pluginLoader = require('../plugins');
 const telegramService = require('../Telegram');
 const { getClientIp } = require('../utils/ipUtils');
 
-// 加载所有支付插件
-pluginLoader.loadAll();
-
 // ==================== 公共函数 ====================
 
 // 获取客户端IP
@@ -255,10 +236,12 @@ async function getChannel(type, payGroupId = null, options = {}) {
                 min_money as min_amount, max_money as max_amount
          FROM provider_channels
          WHERE FIND_IN_SET(?, pay_type) AND status = 1 AND (is_deleted = 0 OR is_deleted IS NULL)
-         ORDER BY priority DESC LIMIT 1`,
+         ORDER BY priority DESC`,
         [type]
       );
-      channel = channels[0] || null;
+      // 插件已停用的通道不参与选路
+      const enabledChannels = await pluginLoader.filterEnabledChannels(channels);
+      channel = enabledChannels[0] || null;
     }
 
     if (channel) {
@@ -445,6 +428,33 @@ async function checkAndAutoCloseChannel(errorMsg, channel) {
   }
 }
 
+/**
+ * 记录一次上游提交结果：写入成功率统计，并驱动通道熔断器
+ * 链路异常（执行超时/崩溃、无响应、5xx，见 channelBreaker.getTransportError）计为熔断失败；
+ * 成功返回支付参数才算恢复，上游业务错误和插件自身异常不影响熔断计数
+ * @param {Object} channel - 通道信息
+ * @param {string} tradeNo - 平台交易号
+ * @param {Object|null} result - 插件返回结果
+ * @param {Error|null} thrownError - 插件抛出的异常
+ */
+async function recordChannelSubmitResult(channel, tradeNo, result, thrownError = null, latencyMs = null) {
+  const failed = !!thrownError || !result || result.type === 'error';
+  const errorMsg = thrownError
+    ? thrownError.message
+    : (failed ? (result?.msg || 'UNKNOWN_PLUGIN_ERROR') : null);
+
+  await channelStats.recordSubmit(channel.id, tradeNo, !failed, errorMsg, latencyMs);
+
+  const transportError = channelBreaker.getTransportError(result, thrownError);
+  if (transportError) {
+    await channelBreaker.recordFailure(channel, `${errorMsg}（${transportError}）`);
+  } else if (failed) {
+    channelBreaker.recordBusinessError(channel);
+  } else {
+    channelBreaker.recordSuccess(channel);
+  }
+}
+
 // 获取支付组（优先指定ID，其次默认组，最后第一条）
 async function getPayGroup(payGroupId = null) {
   let payGroup = null;
@@ -548,7 +558,8 @@ async function getPayTypesByGroups(payGroupId = null) {
         sort: pt.sort || 999,
         group_id: payGroup.id,
         channel_mode: typeConfig.channel_mode,
-        roll_group_id: typeConfig.group_id
+        roll_group_id: typeConfig.group_id,
+        env_methods: typeConfig.env_methods || null
       });
     }
   }
@@ -653,6 +664,10 @@ async function createOrder(data) {
       channelId: finalChannelId,
       payType: finalPayType
     });
+    const quotaResult = await reserveOrderQuota(existingOrder.id, existingOrder.trade_no, merchantId, finalChannelId, existingOrder.money);
+    if (!quotaResult.ok) {
+      return { orderId: existingOrder.id, tradeNo: existingOrder.trade_no, isExisting: true, quotaExceeded: true, quotaMsg: quotaResult.msg };
+    }
     return { orderId: existingOrder.id, tradeNo: existingOrder.trade_no, isExisting: true };
   }
   
@@ -685,9 +700,39 @@ async function createOrder(data) {
       certInfoJson
     ]
   );
+  const quotaResult = await reserveOrderQuota(result.insertId, tradeNo, merchantId, channelId, moneyFloat);
+  if (!quotaResult.ok) {
+    return { orderId: result.insertId, tradeNo, isExisting: false, quotaExceeded: true, quotaMsg: quotaResult.msg };
+  }
   return { orderId: result.insertId, tradeNo, isExisting: false };
 }
 
+// 下单时已确定通道则立即占用额度；额度不足时关闭订单，避免超额放单
+async function reserveOrderQuota(orderId, tradeNo, merchantId, channelId, money) {
+  if (!channelId) {
+    return { ok: true };
+  }
+  const quotaResult = await quotaService.reserve({ tradeNo, orderId, merchantId, channelId, money });
+  if (!quotaResult.ok) {
+    console.warn('[Quota] 下单占用额度失败，关闭订单', { tradeNo, channelId, msg: quotaResult.msg });
+    await db.query('UPDATE orders SET status = 2 WHERE id = ? AND status = 0', [orderId]);
+  }
+  return quotaResult;
+}
+
+// 下单后复核商户每日限额（并发下单按写入顺序占用）；超限时关闭订单并释放已占用的通道额度
+async function confirmOrderPayLimit(merchant, payType, orderResult, money) {
+  const limitResult = await merchantPayLimits.confirmOrder(merchant.pay_limits, merchant.user_id, payType, orderResult.orderId, money);
+  if (!limitResult.ok) {
+    console.warn('[PayLimit] 下单复核每日限额失败，关闭订单', { tradeNo: orderResult.tradeNo, payType, msg: limitResult.msg });
+    const [result] = await db.query('UPDATE orders SET status = 2 WHERE id = ? AND status = 0', [orderResult.orderId]);
+    if (result.affectedRows > 0) {
+      await quotaService.releaseOnClose(orderResult.tradeNo);
+    }
+  }
+  return limitResult;
+}
+
 async function closeOrderIfExpired(order) {
   if (!order || order.status !== 0 || !order.expire_at) return false;
 
@@ -699,9 +744,14 @@ async function closeOrderIfExpired(order) {
 
   if (rows.length === 0 || Number(rows[0].expired) !== 1) return false;
 
-  await db.query('UPDATE orders SET status = 2 WHERE id = ? AND status = 0', [order.id]);
-  order.status = 2;
-  return true;
+  // 与超时检查相同：先查上游再关单；上游未关闭时订单保持未支付，但同样按已过期拒绝继续支付
+  await orderTimeoutService.closeExpiredOrder(order);
+  const [latest] = await db.query('SELECT status FROM orders WHERE id = ? LIMIT 1', [order.id]);
+  if (latest.length > 0) {
+    order.status = Number(latest[0].status);
+  }
+  // 查单发现已支付时按已支付处理
+  return order.status !== 1;
 }
 
 // 生成订单号
@@ -728,18 +778,6 @@ function formatDateTimeLocal(date) {
   return `${y}-${m}-${day} ${h}:${min}:${s}`;
 }
 
-// 获取支付方式显示名称
-function getPayTypeName(type) {
-  const names = {
-    wxpay: '微信支付',
-    alipay: '支付宝',
-    qqpay: 'QQ钱包',
-    bank: '银行卡',
-    usdt: 'USDT'
-  };
-  return names[type] || type;
-}
-
 // 验证时间戳（5分钟有效期）
 function validateTimestamp(timestamp) {
   const now = Math.floor(Date.now() / 1000);
@@ -908,9 +946,7 @@ router.all('/v2/query', async (req, res) => {
     }
 
     // 验证签名
-    const signParams = { pid, timestamp };
-    if (trade_no) signParams.trade_no = trade_no;
-    if (out_trade_no) signParams.out_trade_no = out_trade_no;
+    const signParams = pickSignParams(params, ['trade_no', 'out_trade_no']);
 
     let signValid = false;
     if (merchant.rsa_public_key) {
@@ -1348,7 +1384,7 @@ router.post('/direct/create-order', async (req, res) => {
       }
 
       const [existingRows] = await db.query(
-        `SELECT trade_no, expire_at
+        `SELECT *
          FROM orders
          WHERE merchant_id = ? AND direct_mode = 'fixed' AND direct_link_id = ? AND status = 0
          ORDER BY id DESC
@@ -1365,7 +1401,8 @@ router.post('/direct/create-order', async (req, res) => {
         const isExpired = !existingOrder.expire_at || existingExpireRows.length === 0 || Number(existingExpireRows[0].expired) === 1;
 
         if (isExpired) {
-          await db.query('UPDATE orders SET status = 2 WHERE trade_no = ? AND status = 0', [existingOrder.trade_no]);
+          // 与超时检查相同：先查上游再关单，上游未关闭的订单保持未支付，由超时检查继续重试
+          await orderTimeoutService.closeExpiredOrder(existingOrder);
         } else {
           const cashierUrl = `${protocol}://${host}/api/pay/cashier?trade_no=${existingOrder.trade_no}`;
           return res.json({
@@ -1476,6 +1513,7 @@ router.post('/test/cancel', async (req, res) => {
       return res.json({ code: 1, msg: '订单状态已变化，请刷新后重试' });
     }
 
+    await quotaService.releaseOnClose(order.trade_no);
     return res.json({ code: 0, msg: '订单已取消' });
   } catch (error) {
     console.error('Cancel Test Order Error:', error);
@@ -1611,6 +1649,16 @@ router.get('/cashier', async (req, res) => {
     // 获取服务商配置的支付类型列表
     payTypes = await getPayTypesByGroups(forcedGroupId);
 
+    // 隐藏支付组配置为在当前买家环境下关闭的支付方式
+    const buyerEnv = clientEnv.detectClientEnv(req.headers['user-agent']);
+    payTypes = payTypes.filter(pt => !clientEnv.isBlockedInEnv(pt, buyerEnv));
+
+    // 按商户支付限制隐藏不可用的支付方式（测试订单不受商户限制）
+    if (order.order_type !== 'test') {
+      const merchantLimits = await merchantPayLimits.getMerchantLimits(order.merchant_id);
+      payTypes = await merchantPayLimits.filterPayTypes(merchantLimits, order.merchant_id, payTypes, order.money);
+    }
+
     // 收银台允许通过 query 传入 pay_type，命中可用类型时写回订单（仅未锁定订单）
     let autoPayType = '';
     if (requestedPayType && lockedPayment) {
@@ -1769,6 +1817,16 @@ router.post('/select_channel', async (req, res) => {
       }
     }
 
+    // 支付组配置该支付方式在当前买家环境下关闭时，不允许选择
+    const buyerEnv = clientEnv.detectClientEnv(req.headers['user-agent']);
+    const orderGroupId = order.order_type === 'test'
+      ? (await getTestPaymentRuntimeConfig()).payGroupId
+      : getOrderPayGroupSnapshot(order);
+    const groupPayType = (await getPayTypesByGroups(orderGroupId)).find(pt => pt.type_code === pay_type);
+    if (groupPayType && clientEnv.isBlockedInEnv(groupPayType, buyerEnv)) {
+      return res.json({ code: 1, msg: `当前环境（${clientEnv.ENV_NAMES[buyerEnv]}）不支持该支付方式` });
+    }
+
     // 只更新 pay_type（通道会在 dopay 时根据组配置选择）
     await db.query(
       'UPDATE orders SET pay_type = ? WHERE id = ?',
@@ -1789,9 +1847,14 @@ router.post('/select_channel', async (req, res) => {
  * @param {number|null} payGroupId - 支付组ID
  * @param {Object} options - 可选参数
  * @param {number|null} options.minAge - 商户要求的最小年龄，用于过滤通道
+ * @param {number} [options.money] - 订单金额，用于轮询组成员金额规则
+ * @param {string} [options.device] - pc/mobile，用于轮询组成员设备规则
+ * @param {number} [options.merchantId] - 商户ID（users.id），用于轮询组成员商户规则
+ * @param {string} [options.env] - 买家客户端环境（wechat/alipay/qq/mobile/pc），用于按环境限定支付接口
  */
 async function selectChannelFromGroup(payType, payGroupId = null, options = {}) {
-  const { minAge = null } = options;
+  const { minAge = null, money, merchantId, env = null } = options;
+  const device = options.device || (env ? clientEnv.deviceOf(env) : undefined);
   let payGroup;
   const requestedPayGroupId = parsePositiveInt(payGroupId);
   
@@ -1874,10 +1937,22 @@ async function selectChannelFromGroup(payType, payGroupId = null, options = {})
     return null;
   }
   
+  // 支付组配置该环境不提供此支付方式
+  if (clientEnv.isBlockedInEnv(typeConfig, env)) {
+    logChannelSelectionWarn('支付组选择失败：该支付方式在当前客户端环境下关闭', {
+      payType,
+      payGroupId: payGroup.id,
+      payGroupName: payGroup.name,
+      env,
+      reason: 'PAY_TYPE_DISABLED_IN_ENV'
+    });
+    return null;
+  }
+
   // 根据 channel_mode 决定选择策略
   const mode = typeConfig?.channel_mode ?? -1; // 默认随机
   
-  // channel_mode: 0=关闭, -1=随机, -4=顺序轮询, -5=首个可用, -3=使用轮询组） >0=指定通道ID
+  // channel_mode: 0=关闭, -1=随机, -4=顺序轮询, -5=首个可用, -3=使用轮询组, -6=按成功率智能分配） >0=指定通道ID
   
   // 如果使用轮询组，优先处理（轮询组可包含任意通道，不限支付方式）
   if (mode === -3 && typeConfig?.group_id) {
@@ -1893,6 +1968,8 @@ async function selectChannelFromGroup(payType, payGroupId = null, options = {})
       } catch (e) {
         groupChannels = [];
       }
+      // 先按成员路由规则（金额/设备/商户）过滤，再进入轮询选择
+      groupChannels = filterGroupMembers(groupChannels, { money, device, merchantId });
       if (groupChannels.length > 0) {
         // 获取轮询组中所有通道的详细信息（用于 minAge 过滤）
         const channelIds = groupChannels.map(c => c.id);
@@ -1924,6 +2001,19 @@ async function selectChannelFromGroup(payType, payGroupId = null, options = {})
             console.log(`轮询组minAge过滤: 商户要求${merchantMinAge}岁, 原${allGroupChannels.length}个通道, 过滤后${eligibleChannels.length}个`);
           }
         }
+
+        // 按客户端环境只保留支持对应支付接口的通道
+        eligibleChannels = clientEnv.filterChannelsByEnv(eligibleChannels, payType, typeConfig, env);
+
+        // 排除插件已停用的通道
+        eligibleChannels = await pluginLoader.filterEnabledChannels(eligibleChannels);
+
+        // 排除不在开放时间内、熔断中和额度不足的通道
+        eligibleChannels = await quotaService.filterChannels(
+          channelBreaker.filterChannels(eligibleChannels.filter(channel => channelSchedule.isChannelOpen(channel))),
+          money,
+          merchantId
+        );
         
         if (eligibleChannels.length === 0) {
           // 轮询组中没有符合条件的通道，继续走下面的逻辑
@@ -2002,14 +2092,27 @@ async function selectChannelFromGroup(payType, payGroupId = null, options = {})
     });
     return null;
   }
+
+  // 排除插件已停用的通道
+  const enabledChannels = await pluginLoader.filterEnabledChannels(channels);
+  if (enabledChannels.length === 0) {
+    logChannelSelectionWarn('支付组选择失败：可用通道的插件均已停用', {
+      payType,
+      payGroupId: payGroup.id,
+      payGroupName: payGroup.name,
+      channelIds: channels.map(c => c.id),
+      reason: 'PLUGIN_DISABLED'
+    });
+    return null;
+  }
   
   // 如果商户传入了 minAge，过滤掉 force_min_age 限制更严格的通道
   // 规则：通道的 force_min_age 必须 <= 商户的 minAge（或通道未设置 force_min_age）
-  let filteredChannels = channels;
+  let filteredChannels = enabledChannels;
   if (minAge !== null && minAge !== undefined) {
     const merchantMinAge = parseInt(minAge);
     if (!isNaN(merchantMinAge)) {
-      filteredChannels = channels.filter(channel => {
+      filteredChannels = enabledChannels.filter(channel => {
         try {
           const config = typeof channel.config === 'string' ? JSON.parse(channel.config) : (channel.config || {});
           const forceMinAge = config.params?.force_min_age;
@@ -2024,7 +2127,7 @@ async function selectChannelFromGroup(payType, payGroupId = null, options = {})
           return true; // 配置解析失败则认为通道可用
         }
       });
-      console.log(`minAge过滤: 商户要求${merchantMinAge}岁, 原${channels.length}个通道, 过滤后${filteredChannels.length}个`);
+      console.log(`minAge过滤: 商户要求${merchantMinAge}岁, 原${enabledChannels.length}个通道, 过滤后${filteredChannels.length}个`);
     }
   }
   
@@ -2038,6 +2141,65 @@ async function selectChannelFromGroup(payType, payGroupId = null, options = {})
     });
     return null;
   }
+
+  // 按客户端环境只保留支持对应支付接口的通道（如微信内只走 JSAPI）
+  const envChannels = clientEnv.filterChannelsByEnv(filteredChannels, payType, typeConfig, env);
+  if (envChannels.length === 0) {
+    logChannelSelectionWarn('支付组选择失败：没有支持当前客户端环境的通道', {
+      payType,
+      payGroupId: payGroup.id,
+      payGroupName: payGroup.name,
+      env,
+      allowedMethods: typeConfig.env_methods?.[env] || [],
+      channelIds: filteredChannels.map(c => c.id),
+      reason: 'NO_CHANNEL_FOR_CLIENT_ENV'
+    });
+    return null;
+  }
+  filteredChannels = envChannels;
+
+  // 排除不在开放时间内的通道
+  const openChannels = filteredChannels.filter(channel => channelSchedule.isChannelOpen(channel));
+  if (openChannels.length === 0) {
+    logChannelSelectionWarn('支付组选择失败：可用通道均不在开放时间内', {
+      payType,
+      payGroupId: payGroup.id,
+      payGroupName: payGroup.name,
+      timezone: channelSchedule.TIMEZONE,
+      channelIds: filteredChannels.map(c => c.id),
+      reason: 'CHANNEL_CLOSED_BY_SCHEDULE'
+    });
+    return null;
+  }
+
+  // 排除熔断中的通道
+  const breakerPassed = channelBreaker.filterChannels(openChannels);
+  if (breakerPassed.length === 0) {
+    logChannelSelectionWarn('支付组选择失败：可用通道均处于熔断状态', {
+      payType,
+      payGroupId: payGroup.id,
+      payGroupName: payGroup.name,
+      channelIds: filteredChannels.map(c => c.id),
+      reason: 'CHANNEL_CIRCUIT_OPEN'
+    });
+    return null;
+  }
+
+  // 排除额度不足的通道（日/月额度、每日笔数、商户单通道限额）
+  const quotaPassed = await quotaService.filterChannels(breakerPassed, money, merchantId);
+  if (quotaPassed.length === 0) {
+    logChannelSelectionWarn('支付组选择失败：可用通道额度已满', {
+      payType,
+      payGroupId: payGroup.id,
+      payGroupName: payGroup.name,
+      money,
+      merchantId,
+      channelIds: breakerPassed.map(c => c.id),
+      reason: 'CHANNEL_QUOTA_EXCEEDED'
+    });
+    return null;
+  }
+  filteredChannels = quotaPassed;
   
   // 如果只有一个通道，直接返回
   if (filteredChannels.length === 1) {
@@ -2095,6 +2257,24 @@ async function selectChannelFromGroup(payType, payGroupId = null, options = {})
       plugin: selected.plugin_name
     });
     return selected;
+  } else if (mode === -6) {
+    // 按近期成功率智能分配，崩溃通道只分配探测流量
+    const picked = await channelStats.pickSmartChannel(filteredChannels);
+    const selected = picked.channel;
+    logChannelSelectionInfo('支付组选中通道（智能分配）', {
+      payType,
+      payGroupId: payGroup.id,
+      payGroupName: payGroup.name,
+      mode,
+      channelId: selected.id,
+      channelName: selected.channel_name,
+      plugin: selected.plugin_name,
+      probe: picked.probe,
+      score: picked.score.score,
+      conversion: picked.score.conversion,
+      errorRate: picked.score.errorRate
+    });
+    return selected;
   } else {
     // 默认随机
     const randomIndex = Math.floor(Math.random() * filteredChannels.length);
@@ -2165,7 +2345,7 @@ router.post('/dopay', async (req, res) => {
         [order.channel_id]
       );
 
-      if (channels.length === 0) {
+      if (channels.length === 0 || !(await pluginLoader.isPluginEnabled(channels[0].plugin_name))) {
         return res.json({ code: 1, msg: '支付通道已失效，请联系客服' });
       }
       
@@ -2203,6 +2383,15 @@ router.post('/dopay', async (req, res) => {
         return res.json({ code: 1, msg: '未选择支付方式' });
       }
 
+      // 收银台选定支付方式后再按商户支付限制校验（测试订单不受限制）
+      if (order.order_type !== 'test') {
+        const merchantLimits = await merchantPayLimits.getMerchantLimits(order.merchant_id);
+        const limitCheck = await merchantPayLimits.checkOrder(merchantLimits, order.merchant_id, finalPayType, order.money, order.id);
+        if (!limitCheck.ok) {
+          return res.json({ code: 1, msg: limitCheck.msg, err_code: limitCheck.errCode });
+        }
+      }
+
       // 解析商户传入的 min_age 用于通道筛选
       let merchantMinAge = null;
       if (order.cert_info) {
@@ -2218,8 +2407,14 @@ router.post('/dopay', async (req, res) => {
         }
       }
 
-      // 根据支付组选择通道（测试订单强制使用测试支付组）
-      channelConfig = await selectChannelFromGroup(finalPayType, effectiveGroupId, { minAge: merchantMinAge });
+      // 根据支付组选择通道（测试订单强制使用测试支付组），按买家环境限定支付接口
+      const buyerEnv = clientEnv.detectClientEnv(req.headers['user-agent']);
+      channelConfig = await selectChannelFromGroup(finalPayType, effectiveGroupId, {
+        minAge: merchantMinAge,
+        money: parseFloat(order.money) || 0,
+        env: buyerEnv,
+        merchantId: order.merchant_id
+      });
 
       if (!channelConfig) {
         logChannelSelectionWarn('DoPay 选通道失败', {
@@ -2228,6 +2423,7 @@ router.post('/dopay', async (req, res) => {
           payType: finalPayType,
           payGroupId: effectiveGroupId || null,
           minAge: merchantMinAge,
+          env: buyerEnv,
           reason: merchantMinAge ? 'NO_CHANNEL_MATCH_MIN_AGE' : 'NO_AVAILABLE_CHANNEL'
         });
         return res.json({ code: 1, msg: merchantMinAge ? '没有符合年龄限制的支付通道可用' : '支付通道不可用，请联系服务商' });
@@ -2276,6 +2472,26 @@ router.post('/dopay', async (req, res) => {
         feePayer
       });
 
+      // 占用通道额度，并发下单时以此为准
+      const quotaResult = await quotaService.reserve({
+        tradeNo: order.trade_no,
+        orderId: order.id,
+        merchantId: order.merchant_id,
+        channelId: channelConfig.id,
+        money: order.money
+      });
+      if (!quotaResult.ok) {
+        logChannelSelectionWarn('DoPay 通道额度占用失败', {
+          tradeNo: order.trade_no,
+          orderId: order.id,
+          payType: finalPayType,
+          channelId: channelConfig.id,
+          channelName: channelConfig.channel_name,
+          reason: quotaResult.msg
+        });
+        return res.json({ code: 1, msg: '支付通道额度已满，请稍后重试或更换支付方式' });
+      }
+
       // 更新订单通道、支付类型、手续费和插件名（锁定通道）
       await db.query(
         'UPDATE orders SET channel_id = ?, pay_type = ?, plugin_name = ?, fee_money = ?, real_money = ?, fee_payer = ? WHERE id = ?',
@@ -2458,20 +2674,32 @@ router.post('/dopay', async (req, res) => {
 
     console.log('调用支付插件:', channelConfig.plugin_name, orderInfo);
 
-    // 调用插件发起支付
-    let result;
-    if (typeof plugin[finalPayType] === 'function') {
-      // 如果插件有对应支付类型的方法，调用之（如 alipay, wxpay 等）
-      result = await plugin[finalPayType](pluginConfig, orderInfo);
-    } else if (typeof plugin.submit === 'function') {
-      // 否则调用通用 submit 方法
-      result = await plugin.submit(pluginConfig, orderInfo);
-    } else {
+    // 调用插件发起支付：有对应支付类型的方法时调用之（如 alipay, wxpay 等），否则调用通用 submit 方法
+    const submitMethod = typeof plugin[finalPayType] === 'function'
+      ? finalPayType
+      : (typeof plugin.submit === 'function' ? 'submit' : null);
+    if (!submitMethod) {
       return res.json({ code: 1, msg: '支付插件不支持该支付方式' });
     }
+    // 通道熔断中或半开试探订单在途时不提交
+    if (!channelBreaker.beginAttempt(channelConfig)) {
+      return res.json({ code: 1, msg: '支付通道暂时不可用，请稍后重试' });
+    }
+    let result;
+    const submitStartedAt = Date.now();
+    try {
+      result = await pluginLoader.callPluginMethod(channelConfig.plugin_name, submitMethod, pluginConfig, orderInfo);
+    } catch (pluginError) {
+      await recordChannelSubmitResult(channelConfig, order.trade_no, null, pluginError, Date.now() - submitStartedAt);
+      throw pluginError;
+    }
+    const submitLatencyMs = Date.now() - submitStartedAt;
 
     console.log('支付插件返回:', result);
 
+    // 记录上游提交结果和耗时，供智能路由、通道熔断及健康面板统计
+    await recordChannelSubmitResult(channelConfig, order.trade_no, result, null, submitLatencyMs);
+
     // 处理插件返回结果
     if (result.type === 'error') {
       // 检查是否需要自动关闭通道
@@ -2512,7 +2740,7 @@ router.post('/dopay', async (req, res) => {
             localurl: baseUrl + '/',
             http_host: req.get('host')
           };
-          const qrcodeResult = await plugin.qrcode(pluginConfig, orderInfo, conf);
+          const qrcodeResult = await pluginLoader.callPluginMethod(channelConfig.plugin_name, 'qrcode', pluginConfig, orderInfo, conf);
           
           if (qrcodeResult.type === 'qrcode') {
             return sendSuccess({ code: 0, msg: 'success', qrcode: qrcodeResult.url, expire_time: order.expire_at || null });
@@ -2638,6 +2866,9 @@ router.get('/render/:trade_no/:page', async (req, res) => {
     if (!plugin) {
       return res.render('error', { message: '支付插件不存在' });
     }
+    if (!(await pluginLoader.isPluginEnabled(pluginName))) {
+      return res.render('error', { message: '当前支付通道已停用' });
+    }
 
     // 构造订单信息
     const orderInfo = {
@@ -2655,7 +2886,7 @@ router.get('/render/:trade_no/:page', async (req, res) => {
       // 重新调用插件获取SDK数据
       const payType = order.pay_type || 'apppay';
       if (typeof plugin[payType] === 'function') {
-        const result = await plugin[payType](pluginConfig, orderInfo);
+        const result = await pluginLoader.callPluginMethod(pluginName, payType, pluginConfig, orderInfo);
         if (result.type === 'page' && result.data) {
           return res.render('alipay_h5', {
             code_url: result.data.code_url,
@@ -2727,6 +2958,11 @@ router.all('/notify/:trade_no', async (req, res) => {
       console.log('插件不存在或不支持回调', pluginName);
       return res.send('fail');
     }
+    // 插件已停用时不处理回调，应答失败让上游稍后重试
+    if (!(await pluginLoader.isPluginEnabled(pluginName))) {
+      console.log('插件已停用，拒绝处理回调', pluginName);
+      return res.send('fail');
+    }
 
     // 解析通道配置
     let pluginConfig = {};
@@ -2740,24 +2976,16 @@ router.all('/notify/:trade_no', async (req, res) => {
     }
 
     // 调用插件验证回调
-    const notifyResult = await plugin.notify(pluginConfig, params, order);
+    const notifyResult = await pluginLoader.callPluginMethod(pluginName, 'notify', pluginConfig, params, order);
     console.log('插件回调验证结果:', notifyResult);
 
     if (notifyResult.success) {
-      // 订单状态为待支付时才处理
-      if (order.status === 0) {
-        // 更新订单状态
-        await db.query(
-          `UPDATE orders SET status = 1, paid_at = NOW(), api_trade_no = ?, buyer = ? WHERE id = ?`,
-          [notifyResult.api_trade_no || null, notifyResult.buyer || null, order.id]
-        );
-
-        // 重新查询订单
-        const [updatedOrders] = await db.query('SELECT * FROM orders WHERE id = ?', [order.id]);
-        const updatedOrder = updatedOrders[0];
-
-        // 发送下游通知给商户
-        await sendDownstreamNotify(updatedOrder);
+      // 待支付订单，以及已关闭但从未支付的订单（关闭后到账）才处理，已支付/已退款的重复回调直接应答
+      if (order.status === 0 || isClosedUnpaid(order)) {
+        if (order.status !== 0) {
+          console.warn(`订单关闭后收到支付回调，补单处理: ${trade_no}`);
+        }
+        await completeOrderPayment(order, notifyResult);
       }
 
       // 返回成功响应
@@ -2779,6 +3007,88 @@ router.all('/notify/:trade_no', async (req, res) => {
   }
 });
 
+// 退款异步回调：导出 refundnotify 的插件可在退款请求中把 notify 地址指向 pay/refundnotify/<退款单号或订单号>/
+// 未实现 refundnotify 的插件不应提交该地址，其处理中的退款由 refundQuery 或人工确认终结
+router.all('/refundnotify/:refund_no', async (req, res) => {
+  try {
+    const { refund_no } = req.params;
+    const params = { ...req.query, ...req.body };
+
+    console.log('退款回调通知, no:', refund_no);
+
+    // 优先按退款单号匹配，兼容按订单号回调的插件（取最近一笔处理中的退款）
+    let [refunds] = await db.query(
+      'SELECT * FROM order_refunds WHERE refund_no = ?',
+      [refund_no]
+    );
+    if (refunds.length === 0) {
+      [refunds] = await db.query(
+        'SELECT * FROM order_refunds WHERE trade_no = ? AND status = ? ORDER BY id DESC LIMIT 1',
+        [refund_no, refundLedger.REFUND_STATUS.PROCESSING]
+      );
+    }
+
+    if (refunds.length === 0) {
+      console.log('退款记录不存在', refund_no);
+      return res.send('fail');
+    }
+
+    const refund = refunds[0];
+    const [orders] = await db.query('SELECT * FROM orders WHERE id = ?', [refund.order_id]);
+    if (orders.length === 0 || !orders[0].channel_id) {
+      return res.send('fail');
+    }
+    const order = orders[0];
+
+    const [channels] = await db.query(
+      'SELECT * FROM provider_channels WHERE id = ?',
+      [order.channel_id]
+    );
+    if (channels.length === 0) {
+      return res.send('fail');
+    }
+
+    const channel = channels[0];
+    const pluginName = channel.plugin_name || order.plugin_name;
+    const plugin = pluginLoader.getPlugin(pluginName);
+    if (!plugin || typeof plugin.refundnotify !== 'function') {
+      console.log('插件不存在或不支持退款回调', pluginName);
+      return res.send('fail');
+    }
+    if (!(await pluginLoader.isPluginEnabled(pluginName))) {
+      console.log('插件已停用，拒绝处理退款回调', pluginName);
+      return res.send('fail');
+    }
+
+    // 调用插件验证退款回调，返回 { success, refund_status, refund_id }
+    const notifyResult = await pluginLoader.callPluginMethod(pluginName, 'refundnotify', pluginLoader.buildChannelConfig(channel), params, refund, order);
+    console.log('插件退款回调验证结果:', notifyResult);
+
+    if (notifyResult && notifyResult.success) {
+      const status = refundLedger.resolveRefundStatus(notifyResult, refundLedger.REFUND_STATUS.PROCESSING);
+      if (status !== refundLedger.REFUND_STATUS.PROCESSING) {
+        await refundLedger.finishRefund(refund, status, {
+          apiRefundNo: refundLedger.pickApiRefundNo(notifyResult),
+          errorMsg: status === refundLedger.REFUND_STATUS.FAILED ? (notifyResult.msg || '上游退款失败') : null
+        });
+      }
+
+      if (plugin.getNotifyResponse) {
+        return res.send(plugin.getNotifyResponse(true));
+      }
+      return res.send('success');
+    }
+
+    if (plugin.getNotifyResponse) {
+      return res.send(plugin.getNotifyResponse(false));
+    }
+    return res.send('fail');
+  } catch (error) {
+    console.error('Refund Notify Error:', error);
+    res.send('fail');
+  }
+});
+
 // 同步跳转（支付完成后跳转） 按订单号
 router.all('/return/:trade_no', async (req, res) => {
   try {
@@ -2842,7 +3152,8 @@ router.all('/return/:trade_no', async (req, res) => {
         const pluginName = channel.plugin_name || order.plugin_name;
         const plugin = pluginLoader.getPlugin(pluginName);
 
-        if (plugin && typeof plugin.returnCallback === 'function') {
+        // 插件已停用时不验证同步跳转参数，只展示订单当前状态
+        if (plugin && typeof plugin.returnCallback === 'function' && await pluginLoader.isPluginEnabled(pluginName)) {
           let pluginConfig = {};
           try {
             const channelConfig = typeof channel.config === 'string' 
@@ -2853,7 +3164,7 @@ router.all('/return/:trade_no', async (req, res) => {
 
           let returnResult;
           try {
-            returnResult = await plugin.returnCallback(pluginConfig, params, order);
+            returnResult = await pluginLoader.callPluginMethod(pluginName, 'returnCallback', pluginConfig, params, order);
           } catch (pluginError) {
             const paidOrder = await confirmPaidWithDelay(`RETURN_CALLBACK_ERROR:${pluginError.message || 'unknown'}`);
             if (paidOrder) {
@@ -2871,15 +3182,9 @@ router.all('/return/:trade_no', async (req, res) => {
           if (returnResult.success) {
             // 更新订单（如果还未支付）
             if (order.status === 0) {
-              await db.query(
-                `UPDATE orders SET status = 1, paid_at = NOW(), api_trade_no = ?, buyer = ? WHERE id = ?`,
-                [returnResult.api_trade_no || null, returnResult.buyer || null, order.id]
-              );
-              // 发送下游通知
-              const [updatedOrders] = await db.query('SELECT * FROM orders WHERE id = ?', [order.id]);
-              if (updatedOrders.length > 0) {
-                effectiveOrder = updatedOrders[0];
-                await sendDownstreamNotify(effectiveOrder);
+              const updatedOrder = await completeOrderPayment(order, returnResult);
+              if (updatedOrder) {
+                effectiveOrder = updatedOrder;
               }
             }
           } else if (returnResult.msg) {
@@ -2926,10 +3231,6 @@ router.all('/return/:trade_no', async (req, res) => {
   }
 });
 
-function generateRefundNo() {
-  return 'R' + Date.now() + Math.random().toString(36).substring(2, 8).toUpperCase();
-}
-
 async function markTestAutoRefundFailed(orderId, reason) {
   const safeReason = String(reason || '自动退款失败')
     .replace(/\s+/g, ' ')
@@ -3009,13 +3310,20 @@ async function tryAutoRefundTestOrder(order) {
     }
 
     const channel = channels[0];
-    const plugin = pluginLoader.getPlugin(channel.plugin_name || lockedOrder.plugin_name);
+    const pluginName = channel.plugin_name || lockedOrder.plugin_name;
+    const plugin = pluginLoader.getPlugin(pluginName);
     if (!plugin || typeof plugin.refund !== 'function') {
       await connection.rollback();
       await markTestAutoRefundFailed(lockedOrder.id, '自动退款失败：当前通道不支持退款');
       console.warn(`测试订单自动退款跳过: 通道不支持退款, trade_no=${lockedOrder.trade_no}`);
       return;
     }
+    if (!(await pluginLoader.isPluginEnabled(pluginName))) {
+      await connection.rollback();
+      await markTestAutoRefundFailed(lockedOrder.id, '自动退款失败：支付插件已停用');
+      console.warn(`测试订单自动退款跳过: 插件已停用, trade_no=${lockedOrder.trade_no}`);
+      return;
+    }
 
     let channelConfigJson;
     try {
@@ -3048,8 +3356,8 @@ async function tryAutoRefundTestOrder(order) {
       return;
     }
 
-    const refundNo = generateRefundNo();
-    const refundResult = await plugin.refund(fullConfig, {
+    const refundNo = refundLedger.generateRefundNo();
+    const refundResult = await pluginLoader.callPluginMethod(pluginName, 'refund', fullConfig, {
       trade_no: lockedOrder.trade_no,
       api_trade_no: lockedOrder.api_trade_no,
       refund_no: refundNo,
@@ -3065,26 +3373,51 @@ async function tryAutoRefundTestOrder(order) {
       return;
     }
 
+    const ledgerStatus = refundLedger.resolveRefundStatus(refundResult);
+
     // 若此前已给商户加款，则秒退时等额扣回商户实收金额
+    let testReduceMoney = 0;
     if (lockedOrder.balance_added) {
       const orderMoney = parseFloat(lockedOrder.money || 0);
       const feeMoney = parseFloat(lockedOrder.fee_money || 0);
       const reduceMoney = Math.round((orderMoney - feeMoney) * 100) / 100;
       if (reduceMoney > 0) {
-        await connection.query(
-          'UPDATE merchants SET balance = balance - ? WHERE user_id = ?',
-          [reduceMoney, lockedOrder.merchant_id]
+        await refundLedger.changeMerchantBalance(
+          connection,
+          lockedOrder.merchant_id,
+          -reduceMoney,
+          'refund',
+          refundNo,
+          `测试订单自动退款: ${lockedOrder.trade_no}`
         );
+        testReduceMoney = reduceMoney;
       }
     }
 
+    await refundLedger.createRefund(connection, {
+      order: lockedOrder,
+      refundNo,
+      money: totalMoney,
+      reduceMoney: testReduceMoney,
+      reason: '测试支付自动秒退',
+      operatorType: 'system',
+      apiRefundNo: refundLedger.pickApiRefundNo(refundResult),
+      status: ledgerStatus
+    });
+
     await connection.query(
-      'UPDATE orders SET status = 2, refund_status = 1, refund_no = ?, refund_money = ?, refund_reason = ?, refund_at = NOW() WHERE id = ?',
-      [refundNo, totalMoney, '测试支付自动秒退', lockedOrder.id]
+      'UPDATE orders SET status = 2, refund_status = ?, refund_no = ?, refund_money = ?, refund_reason = ?, refund_at = NOW() WHERE id = ?',
+      [ledgerStatus === refundLedger.REFUND_STATUS.PROCESSING ? 0 : 1, refundNo, totalMoney, '测试支付自动秒退', lockedOrder.id]
     );
 
     await connection.commit();
     console.log(`测试订单自动退款成功: trade_no=${lockedOrder.trade_no}, refund_no=${refundNo}`);
+
+    if (ledgerStatus !== refundLedger.REFUND_STATUS.PROCESSING) {
+      refundLedger.notifyRefundResult(refundNo).catch((error) => {
+        console.error('测试订单退款通知失败:', error);
+      });
+    }
   } catch (error) {
     try {
       await connection.rollback();
@@ -3108,6 +3441,50 @@ function scheduleAutoRefundTestOrder(order, delayMs = 30000) {
   }, delayMs);
 }
 
+// 已关闭且从未支付（未退款）的订单：status=2 同时用于已退款订单，按 paid_at 区分
+const CLOSED_UNPAID_CONDITION = 'status = 2 AND paid_at IS NULL AND COALESCE(refund_money, 0) = 0';
+
+function isClosedUnpaid(order) {
+  return Number(order.status) === 2 && !order.paid_at && !(parseFloat(order.refund_money) > 0);
+}
+
+/**
+ * 订单支付完成：更新订单状态后执行入账与下游通知
+ * 异步回调、同步跳转与上游主动查单共用，仅在订单仍为未支付时生效，避免重复入账
+ * @param {Object} order - 订单记录
+ * @param {Object} paidInfo - { api_trade_no, buyer }
+ * @returns {Promise<Object|null>} 更新后的订单，未更新时返回 null
+ */
+async function completeOrderPayment(order, paidInfo = {}) {
+  // 已关闭但从未支付的订单（超时关闭、商户关单）收到支付时同样入账，避免买家付款后订单丢失；
+  // 标记异常便于人工核对。exception_note 需在 status 之前赋值，才能读到更新前的状态
+  const [result] = await db.query(
+    `UPDATE orders
+     SET exception_note = IF(status = 2, ?, exception_note),
+         status = 1, paid_at = NOW(), api_trade_no = COALESCE(?, api_trade_no), buyer = COALESCE(?, buyer)
+     WHERE id = ? AND (status = 0 OR ${CLOSED_UNPAID_CONDITION})`,
+    ['订单关闭后收到支付，已自动补单', paidInfo.api_trade_no || null, paidInfo.buyer || null, order.id]
+  );
+
+  if (!result.affectedRows) {
+    return null;
+  }
+
+  // 额度占用已过期释放或随关单释放的订单，补记用量
+  await quotaService.restoreOnPaid(order.trade_no);
+
+  const [updatedOrders] = await db.query('SELECT * FROM orders WHERE id = ?', [order.id]);
+  if (updatedOrders.length === 0) {
+    return null;
+  }
+
+  // 发送下游通知给商户
+  await sendDownstreamNotify(updatedOrders[0]);
+  return updatedOrders[0];
+}
+
+orderReconcileService.setPaidHandler(completeOrderPayment);
+
 // 发送下游通知给商户，并增加商户余额
 async function sendDownstreamNotify(order) {
   try {
@@ -3192,14 +3569,16 @@ async function sendDownstreamNotify(order) {
         const notifyParams = buildCallbackParams(orderForNotify, merchant.api_key, merchant.pid);
         console.log('发送商户通知:', order.notify_url, notifyParams);
 
-        const success = await sendNotify(order.notify_url, notifyParams);
+        // 首次投递立即执行，失败后由重试队列按退避节奏继续推送
+        const notifyResult = await notifyRetryService.enqueue({
+          orderId: order.id,
+          tradeNo: order.trade_no,
+          notifyUrl: order.notify_url,
+          params: notifyParams
+        });
+        const success = notifyResult.success;
         paymentNotifyStatus = success ? 2 : 1;
         console.log('商户通知结果:', success ? '成功' : '失败');
-
-        await db.query(
-          'UPDATE orders SET notify_status = ?, notify_count = notify_count + 1, notify_time = NOW() WHERE id = ?',
-          [success ? 1 : 2, order.id]
-        );
       }
 
       // 发送 Telegram 通知给用户（订单交易通知）
@@ -3427,6 +3806,38 @@ function logSignContext(endpoint, signType, signParams, providedSign, signValid)
   });
 }
 
+/**
+ * 商户接口签名内容：pid、timestamp 与接口声明的业务字段，空值不参与签名
+ * 查询、关单与 api.php 各接口统一按此规则取签名参数（act、sign、sign_type 不参与签名）
+ * @param {Object} params - 请求参数
+ * @param {string[]} fields - 参与签名的业务字段
+ */
+function pickSignParams(params, fields = []) {
+  const signParams = {};
+  for (const field of ['pid', ...fields, 'timestamp']) {
+    const value = params[field];
+    if (value !== undefined && value !== null && value !== '') {
+      signParams[field] = value;
+    }
+  }
+  return signParams;
+}
+
+/**
+ * 校验商户签名（V1 默认 MD5，V2 默认 RSA）
+ * @returns {string|null} 验签失败的错误信息，通过时返回 null
+ */
+function checkMerchantSign(merchant, signParams, sign, signType, isV2) {
+  const effectiveSignType = signType || (isV2 ? 'RSA' : 'MD5');
+  if (effectiveSignType === 'RSA') {
+    if (!merchant.rsa_public_key) {
+      return '商户未配置RSA公钥，无法使用RSA签名';
+    }
+    return verifySignRSA(signParams, sign, merchant.rsa_public_key) ? null : '签名验证失败';
+  }
+  return verifySignMD5(signParams, sign, merchant.api_key) ? null : '签名验证失败';
+}
+
 // 页面跳转支付处理函数 - 统一处理 /submit 和 /submit.php
 async function handleSubmit(req, res) {
   try {
@@ -3499,6 +3910,12 @@ async function handleSubmit(req, res) {
       return res.status(400).send('签名验证失败');
     }
 
+    // 商户支付限制（单笔上限、允许的支付方式、每日限额）
+    const limitCheck = await merchantPayLimits.checkOrder(merchant.pay_limits, merchant.user_id, type, money);
+    if (!limitCheck.ok) {
+      return res.status(400).send(limitCheck.msg);
+    }
+
     const merchantPayGroupId = await resolveMerchantPayGroupId(merchant);
 
     // 如果指定了type，验证支付通道
@@ -3508,9 +3925,14 @@ async function handleSubmit(req, res) {
           'SELECT *, pay_type as type_code, min_money as min_amount, max_money as max_amount FROM provider_channels WHERE id = ? AND status = 1',
           [channel_id]
         );
-        channel = channels[0];
+        // 指定通道的插件已停用时按通道不可用处理
+        channel = channels[0] && await pluginLoader.isPluginEnabled(channels[0].plugin_name) ? channels[0] : null;
       } else {
-        channel = await getChannel(type, merchantPayGroupId);
+        channel = await getChannel(type, merchantPayGroupId, {
+          money: parseFloat(money),
+          env: clientEnv.detectClientEnv(req.headers['user-agent']),
+          merchantId: merchant.user_id
+        });
       }
       if (!channel) {
         return res.status(400).send('支付通道不存在或已关闭');
@@ -3555,6 +3977,13 @@ async function handleSubmit(req, res) {
       payGroupIdSnapshot: merchantPayGroupId,
       certInfo  // 买家身份限制信息
     });
+    if (orderResult.quotaExceeded) {
+      return res.status(400).send(orderResult.quotaMsg || '支付通道额度已满');
+    }
+    const limitConfirm = await confirmOrderPayLimit(merchant, type, orderResult, money);
+    if (!limitConfirm.ok) {
+      return res.status(400).send(limitConfirm.msg);
+    }
     const tradeNo = orderResult.tradeNo;
 
     // 重定向到收银台（使用相对路径），透传 pay_type 以启用直连页面
@@ -3643,6 +4072,12 @@ async function handleMapi(req, res) {
       return res.json({ code: -1, msg: '签名验证失败' });
     }
 
+    // 商户支付限制（单笔上限、允许的支付方式、每日限额）
+    const limitCheck = await merchantPayLimits.checkOrder(merchant.pay_limits, merchant.user_id, type, money);
+    if (!limitCheck.ok) {
+      return res.json({ code: -1, msg: limitCheck.msg, err_code: limitCheck.errCode });
+    }
+
     const merchantPayGroupId = await resolveMerchantPayGroupId(merchant);
 
     // 获取支付通道
@@ -3653,9 +4088,14 @@ async function handleMapi(req, res) {
           'SELECT *, pay_type as type_code, min_money as min_amount, max_money as max_amount FROM provider_channels WHERE id = ? AND status = 1',
           [channel_id]
         );
-        channel = channels[0];
+        // 指定通道的插件已停用时按通道不可用处理
+        channel = channels[0] && await pluginLoader.isPluginEnabled(channels[0].plugin_name) ? channels[0] : null;
       } else {
-        channel = await getChannel(type, merchantPayGroupId);
+        channel = await getChannel(type, merchantPayGroupId, {
+          money: parseFloat(money),
+          env: clientEnv.envFromDeviceParam(device),
+          merchantId: merchant.user_id
+        });
       }
       if (!channel) {
         return res.json({ code: -1, msg: '支付通道不存在或已关闭' });
@@ -3700,6 +4140,13 @@ async function handleMapi(req, res) {
       payGroupIdSnapshot: merchantPayGroupId,
       certInfo  // 买家身份限制信息
     });
+    if (orderResult.quotaExceeded) {
+      return res.json({ code: -1, msg: orderResult.quotaMsg || '支付通道额度已满' });
+    }
+    const limitConfirm = await confirmOrderPayLimit(merchant, type, orderResult, money);
+    if (!limitConfirm.ok) {
+      return res.json({ code: -1, msg: limitConfirm.msg, err_code: limitConfirm.errCode });
+    }
     const tradeNo = orderResult.tradeNo;
 
     // 保存额外参数
@@ -3808,26 +4255,10 @@ async function handleQuery(req, res) {
       return res.json({ code: -1, msg: '商户不存在或已禁止' });
     }
 
-    // 验证签名
-    const signParams = { pid };
-    if (trade_no) signParams.trade_no = trade_no;
-    if (out_trade_no) signParams.out_trade_no = out_trade_no;
-    if (timestamp) signParams.timestamp = timestamp;
-
-    // V1 默认 MD5，V2 默认 RSA
-    const effectiveSignType = sign_type || (isV2 ? 'RSA' : 'MD5');
-    let signValid = false;
-    if (effectiveSignType === 'RSA') {
-      if (!merchant.rsa_public_key) {
-        return res.json({ code: -1, msg: '商户未配置RSA公钥，无法使用RSA签名' });
-      }
-      signValid = verifySignRSA(signParams, sign, merchant.rsa_public_key);
-    } else {
-      signValid = verifySignMD5(signParams, sign, merchant.api_key);
-    }
-
-    if (!signValid) {
-      return res.json({ code: -1, msg: '签名验证失败' });
+    // 验证签名（V1 默认 MD5，V2 默认 RSA）
+    const signError = checkMerchantSign(merchant, pickSignParams(params, ['trade_no', 'out_trade_no']), sign, sign_type, isV2);
+    if (signError) {
+      return res.json({ code: -1, msg: signError });
     }
 
     // 查询订单
@@ -3899,20 +4330,452 @@ async function handleQuery(req, res) {
   }
 }
 
+/**
+ * 统一关闭订单处理函数（V1/V2 兼容，签名规则同 handleQuery）
+ * 仅允许关闭未支付订单：先向上游查单确认未支付；插件支持 close 时上游关单成功后才关闭本地订单
+ */
+async function handleClose(req, res) {
+  try {
+    const params = { ...req.query, ...req.body };
+    const { pid, trade_no, out_trade_no, sign, sign_type, timestamp } = params;
+
+    const isV2 = req.path.startsWith('/v2/') || !!timestamp;
+
+    const closeRequired = ['pid', 'sign'];
+    if (isV2) {
+      closeRequired.push('timestamp');
+    }
+    const missingFields = getMissingRequiredFields(params, closeRequired);
+    if (missingFields.length > 0) {
+      logMissingParams('close', req, params, missingFields);
+      return res.json({ code: -1, msg: '缺少必要参数', missing_fields: missingFields });
+    }
+
+    if (!trade_no && !out_trade_no) {
+      return res.json({ code: -1, msg: '订单号不能为空' });
+    }
+
+    if (isV2 && !validateTimestamp(timestamp)) {
+      return res.json({ code: -1, msg: '时间戳已过期' });
+    }
+
+    const merchant = await getMerchantByPid(pid);
+    if (!merchant) {
+      return res.json({ code: -1, msg: '商户不存在或已禁止' });
+    }
+
+    // 验证签名
+    const signError = checkMerchantSign(merchant, pickSignParams(params, ['trade_no', 'out_trade_no']), sign, sign_type, isV2);
+    if (signError) {
+      return res.json({ code: -1, msg: signError });
+    }
+
+    // 按商户订单号查询时取最近一笔（同一 out_trade_no 关闭后可重新下单）
+    let query = 'SELECT * FROM orders WHERE merchant_id = ?';
+    const queryParams = [merchant.user_id];
+    if (trade_no) {
+      query += ' AND trade_no = ?';
+      queryParams.push(trade_no);
+    } else {
+      query += ' AND out_trade_no = ?';
+      queryParams.push(out_trade_no);
+    }
+    query += ' ORDER BY id DESC LIMIT 1';
+
+    const [orders] = await db.query(query, queryParams);
+    if (orders.length === 0) {
+      return res.json({ code: -1, msg: '订单不存在' });
+    }
+
+    const order = orders[0];
+    if (order.status === 2) {
+      // status=2 同时表示已关闭和已退款，按退款台账区分
+      const refundedMoney = await refundLedger.getRefundedMoney(db, order);
+      return res.json({ code: -1, msg: refundedMoney > 0 ? '订单已退款，无法关闭' : '订单已关闭' });
+    }
+    if (order.status !== 0) {
+      return res.json({ code: -1, msg: '订单已支付，无法关闭' });
+    }
+
+    // 先向上游查单：已支付的订单由查单流程补单，不允许关闭；查单失败时无法确认支付状态，拒绝关闭
+    const syncResult = await orderReconcileService.syncOrder(order);
+    if (syncResult.code === 0 && syncResult.data.upstream_paid) {
+      return res.json({ code: -1, msg: '订单已支付，无法关闭' });
+    }
+    if (syncResult.code !== 0 && !syncResult.unsupported) {
+      return res.json({ code: -1, msg: syncResult.msg || '上游查单失败，暂无法关闭' });
+    }
+
+    // 已提交到通道的订单必须上游关单成功才能关闭：通道不支持关单时只关本地订单，
+    // 之后到账的支付会把商户已关闭的订单重新置为成功，因此拒绝关闭，由订单超时流程处理
+    const result = await orderTimeoutService.closeOrder(order, { allowLocal: !order.channel_id });
+    if (!result.closed) {
+      if (result.upstreamError) {
+        return res.json({ code: -1, msg: '上游关单失败：' + result.upstreamError });
+      }
+      if (result.unsupported) {
+        return res.json({ code: -1, msg: '该支付通道不支持关闭订单' });
+      }
+      // 关闭期间订单状态发生变化（例如恰好完成支付）
+      return res.json({ code: -1, msg: '订单状态已变化，无法关闭' });
+    }
+
+    if (isV2) {
+      const responseData = {
+        code: 0,
+        msg: 'success',
+        trade_no: order.trade_no,
+        out_trade_no: order.out_trade_no,
+        status: 2,
+        timestamp: Math.floor(Date.now() / 1000).toString(),
+        sign_type: 'RSA'
+      };
+      if (merchant.rsa_private_key) {
+        responseData.sign = makeSignRSA(responseData, merchant.rsa_private_key);
+      }
+      return res.json(responseData);
+    }
+
+    res.json({
+      code: 1,
+      msg: 'success',
+      trade_no: order.trade_no,
+      out_trade_no: order.out_trade_no,
+      status: 2
+    });
+  } catch (error) {
+    console.error('Close Error:', error);
+    res.json({ code: -1, msg: '系统错误' });
+  }
+}
+
 // 注册路由 - 使用统一处理函数
 router.all('/submit', handleSubmit);      // /api/pay/submit
 router.all('/submit.php', handleSubmit);  // /api/pay/submit.php
 router.all('/mapi', handleMapi);          // /api/pay/mapi
 router.all('/mapi.php', handleMapi);      // /api/pay/mapi.php
 router.all('/query', handleQuery);        // /api/pay/query
+router.all('/close', handleClose);        // /api/pay/close
+router.all('/v2/close', handleClose);     // /api/pay/v2/close
+
+// ==================== api.php 兼容接口 ====================
+
+function toUnixTime(value) {
+  return value ? Math.floor(new Date(value).getTime() / 1000) : 0;
+}
+
+/**
+ * api.php 通用验签（与 handleQuery 一致：V1 默认 MD5，V2 默认 RSA 且校验时间戳）
+ * 签名内容见 pickSignParams：pid、timestamp 与各接口声明的 signFields
+ * @param {string[]} signFields - 参与签名的业务字段
+ * @returns {Promise<{error?: string, merchant?: Object, isV2?: boolean}>}
+ */
+async function verifyApiRequest(req, params, action, signFields = []) {
+  const { pid, sign, sign_type, timestamp } = params;
+  const isV2 = !!timestamp;
+
+  const required = ['pid', 'sign'];
+  if (isV2) {
+    required.push('timestamp');
+  }
+  const missingFields = getMissingRequiredFields(params, required);
+  if (missingFields.length > 0) {
+    logMissingParams(action, req, params, missingFields);
+    return { error: '缺少必要参数' };
+  }
 
-// 兼容 api.php - 订单查询（带 act 参数量
+  if (isV2 && !validateTimestamp(timestamp)) {
+    return { error: '时间戳已过期' };
+  }
+
+  const merchant = await getMerchantByPid(pid);
+  if (!merchant) {
+    return { error: '商户不存在或已禁止' };
+  }
+
+  const signError = checkMerchantSign(merchant, pickSignParams(params, signFields), sign, sign_type, isV2);
+  if (signError) {
+    return { error: signError };
+  }
+
+  return { merchant, isV2 };
+}
+
+/**
+ * api.php 成功响应：V1 返回 code=1，V2 返回 code=0 并附带 RSA 签名
+ */
+function sendApiSuccess(res, merchant, isV2, data) {
+  if (!isV2) {
+    return res.json({ code: 1, msg: 'success', ...data });
+  }
+
+  const responseData = {
+    code: 0,
+    msg: 'success',
+    ...data,
+    timestamp: Math.floor(Date.now() / 1000).toString(),
+    sign_type: 'RSA'
+  };
+  if (merchant.rsa_private_key) {
+    // 列表数据不参与签名
+    const signData = Object.fromEntries(
+      Object.entries(responseData).filter(([, value]) => typeof value !== 'object')
+    );
+    responseData.sign = makeSignRSA(signData, merchant.rsa_private_key);
+  }
+  return res.json(responseData);
+}
+
+async function findApiOrder(merchant, params) {
+  const { trade_no, out_trade_no } = params;
+  if (!trade_no && !out_trade_no) {
+    return null;
+  }
+  // 按商户订单号查询时取最近一笔（同一 out_trade_no 关闭后可重新下单）
+  const [orders] = await db.query(
+    trade_no
+      ? 'SELECT * FROM orders WHERE merchant_id = ? AND trade_no = ? LIMIT 1'
+      : 'SELECT * FROM orders WHERE merchant_id = ? AND out_trade_no = ? ORDER BY id DESC LIMIT 1',
+    [merchant.user_id, trade_no || out_trade_no]
+  );
+  return orders[0] || null;
+}
+
+function parseApiPaging(params, defaultLimit, maxLimit) {
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || defaultLimit, 1), maxLimit);
+  const offset = Math.max(parseInt(params.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+// act=query 查询商户信息与余额
+async function handleApiMerchantQuery(req, res, params) {
+  const { error, merchant, isV2 } = await verifyApiRequest(req, params, 'api.query');
+  if (error) {
+    return res.json({ code: -1, msg: error });
+  }
+
+  const [[stats]] = await db.query(
+    `SELECT
+       COUNT(*) AS orders,
+       SUM(CASE WHEN status = 1 AND paid_at >= CURDATE() THEN 1 ELSE 0 END) AS order_today,
+       SUM(CASE WHEN status = 1 AND paid_at >= DATE_SUB(CURDATE(), INTERVAL 1 DAY) AND paid_at < CURDATE() THEN 1 ELSE 0 END) AS order_lastday
+     FROM orders WHERE merchant_id = ?`,
+    [merchant.user_id]
+  );
+
+  const [settlements] = await db.query(
+    'SELECT settle_type, account_no, account_name FROM merchant_settlements WHERE merchant_id = ? ORDER BY is_default DESC, id ASC LIMIT 1',
+    [merchant.user_id]
+  );
+  const settlement = settlements[0] || {};
+
+  return sendApiSuccess(res, merchant, isV2, {
+    pid: merchant.pid,
+    active: merchant.status === 'active' || merchant.status === 'approved' ? 1 : 0,
+    money: parseFloat(merchant.balance || 0).toFixed(2),
+    type: settlement.settle_type || '',
+    account: settlement.account_no || '',
+    username: settlement.account_name || '',
+    orders: Number(stats.orders || 0),
+    order_today: Number(stats.order_today || 0),
+    order_lastday: Number(stats.order_lastday || 0)
+  });
+}
+
+// act=settle 查询结算记录
+async function handleApiSettle(req, res, params) {
+  const { error, merchant, isV2 } = await verifyApiRequest(req, params, 'api.settle', ['offset', 'limit']);
+  if (error) {
+    return res.json({ code: -1, msg: error });
+  }
+
+  const { limit, offset } = parseApiPaging(params, 20, 100);
+  const [records] = await db.query(
+    `SELECT * FROM settle_records WHERE merchant_id = ?
+     ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+    [merchant.user_id, limit, offset]
+  );
+
+  return sendApiSuccess(res, merchant, isV2, {
+    data: records.map(record => ({
+      settle_no: record.settle_no,
+      type: record.settle_type,
+      account: record.account_no || record.crypto_address || '',
+      username: record.account_name || '',
+      money: parseFloat(record.amount).toFixed(2),
+      fee: parseFloat(record.fee).toFixed(2),
+      realmoney: parseFloat(record.real_amount).toFixed(2),
+      status: record.status,
+      addtime: toUnixTime(record.created_at),
+      endtime: toUnixTime(record.processed_at)
+    }))
+  });
+}
+
+// act=orders 分页查询订单列表
+async function handleApiOrders(req, res, params) {
+  const { error, merchant, isV2 } = await verifyApiRequest(req, params, 'api.orders', ['offset', 'limit', 'status']);
+  if (error) {
+    return res.json({ code: -1, msg: error });
+  }
+
+  const { limit, offset } = parseApiPaging(params, 20, 50);
+  let sql = 'SELECT * FROM orders WHERE merchant_id = ?';
+  const sqlParams = [merchant.user_id];
+  if (params.status !== undefined && params.status !== '' && !isNaN(parseInt(params.status, 10))) {
+    sql += ' AND status = ?';
+    sqlParams.push(parseInt(params.status, 10));
+  }
+  sql += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+  sqlParams.push(limit, offset);
+
+  const [orders] = await db.query(sql, sqlParams);
+
+  return sendApiSuccess(res, merchant, isV2, {
+    data: orders.map(order => ({
+      trade_no: order.trade_no,
+      out_trade_no: order.out_trade_no,
+      api_trade_no: order.api_trade_no || '',
+      type: order.pay_type,
+      name: order.name,
+      money: order.money,
+      refundmoney: order.refund_money || '0.00',
+      status: order.status,
+      buyer: order.buyer || '',
+      param: order.param || '',
+      addtime: toUnixTime(order.created_at),
+      endtime: toUnixTime(order.paid_at)
+    }))
+  });
+}
+
+/**
+ * api.php 退款响应：按台账记录返回退款结果（重复提交同一 out_refund_no 时返回首次结果）
+ */
+function sendApiRefundResult(res, merchant, isV2, order, refund) {
+  const refundStatus = Number(refund.status);
+  if (refundStatus === refundLedger.REFUND_STATUS.FAILED) {
+    return res.json({ code: -1, msg: '退款失败：' + (refund.error_msg || '上游退款失败') });
+  }
+  return sendApiSuccess(res, merchant, isV2, {
+    msg: refundStatus === refundLedger.REFUND_STATUS.PROCESSING ? '退款已受理，等待上游处理' : '退款成功',
+    trade_no: order.trade_no,
+    out_trade_no: order.out_trade_no,
+    out_refund_no: refund.out_refund_no,
+    refund_no: refund.refund_no,
+    refund_money: parseFloat(refund.money).toFixed(2),
+    refund_status: refundStatus
+  });
+}
+
+// act=refund 申请原路退款（out_refund_no 为商户退款单号，同一商户内唯一，重复提交不会重复退款）
+async function handleApiRefund(req, res, params) {
+  const { error, merchant, isV2 } = await verifyApiRequest(req, params, 'api.refund', ['trade_no', 'out_trade_no', 'money', 'out_refund_no']);
+  if (error) {
+    return res.json({ code: -1, msg: error });
+  }
+
+  const userRefund = await systemConfig.getConfig('user_refund', '0');
+  if (userRefund !== '1') {
+    return res.json({ code: -1, msg: '管理员未开启商户自助退款功能' });
+  }
+
+  if (!params.money) {
+    return res.json({ code: -1, msg: '退款金额不能为空' });
+  }
+
+  const outRefundNo = String(params.out_refund_no || '').trim();
+  if (!outRefundNo) {
+    return res.json({ code: -1, msg: '商户退款单号不能为空' });
+  }
+  if (outRefundNo.length > 64) {
+    return res.json({ code: -1, msg: '商户退款单号过长' });
+  }
+
+  const order = await findApiOrder(merchant, params);
+  if (!order) {
+    return res.json({ code: -1, msg: '订单不存在' });
+  }
+
+  const findExisting = async () => {
+    const refund = await refundLedger.findRefundByOutRefundNo(order.merchant_id, outRefundNo);
+    if (!refund) {
+      return null;
+    }
+    if (refund.order_id !== order.id) {
+      return res.json({ code: -1, msg: '商户退款单号已被其他订单使用' });
+    }
+    return sendApiRefundResult(res, merchant, isV2, order, refund);
+  };
+
+  const existing = await findExisting();
+  if (existing) {
+    return existing;
+  }
+
+  let result;
+  try {
+    result = await refundLedger.applyMerchantRefund(order, {
+      money: params.money,
+      reason: 'API申请退款',
+      operator: merchant.pid,
+      operatorType: 'api',
+      outRefundNo
+    });
+  } catch (error) {
+    // 并发重复提交：后到的请求写台账时触发唯一键冲突，返回先到请求的结果
+    if (error.code === 'ER_DUP_ENTRY') {
+      const duplicated = await findExisting();
+      if (duplicated) {
+        return duplicated;
+      }
+    }
+    throw error;
+  }
+  if (result.code !== 0) {
+    return res.json(result);
+  }
+
+  return sendApiSuccess(res, merchant, isV2, {
+    msg: result.msg,
+    trade_no: order.trade_no,
+    out_trade_no: order.out_trade_no,
+    out_refund_no: outRefundNo,
+    refund_no: result.data.refundNo,
+    refund_money: result.data.refundMoney,
+    refund_status: result.data.refundStatus
+  });
+}
+
+const apiActHandlers = {
+  query: handleApiMerchantQuery,
+  settle: handleApiSettle,
+  orders: handleApiOrders,
+  refund: handleApiRefund
+};
+
+// 兼容 api.php（act=order 订单查询，act=close 关闭订单，其余 act 见 apiActHandlers）
 router.all('/api.php', async (req, res) => {
-  const { act } = { ...req.query, ...req.body };
+  const params = { ...req.query, ...req.body };
+  const { act } = params;
   if (act === 'order') {
     return handleQuery(req, res);
   }
-  res.json({ code: -1, msg: '未知操作' });
+  if (act === 'close') {
+    return handleClose(req, res);
+  }
+
+  const handler = apiActHandlers[act];
+  if (!handler) {
+    return res.json({ code: -1, msg: '未知操作' });
+  }
+
+  try {
+    await handler(req, res, params);
+  } catch (error) {
+    console.error(`api.php ${act} Error:`, error);
+    res.json({ code: -1, msg: '系统错误' });
+  }
 });
 
 // ==================== 动态支付路由处理 ====================
@@ -3969,6 +4832,11 @@ router.all('/:func/:trade_no', async (req, res) => {
         message: '支付插件不存在'
       });
     }
+    if (!(await pluginLoader.isPluginEnabled(pluginName))) {
+      return res.status(500).render('error', {
+        message: '当前支付通道已停用'
+      });
+    }
 
     // 检查插件是否支持该方法
     if (typeof plugin[func] !== 'function') {
@@ -4062,10 +4930,34 @@ router.all('/:func/:trade_no', async (req, res) => {
     };
 
     // 调用插件方法
-    const result = await plugin[func](pluginConfig, orderInfo, conf);
+    // ok 为支付完成页，不计入上游提交统计
+    const isSubmitCall = func !== 'ok';
+    // 通道熔断中或半开试探订单在途时不提交
+    if (isSubmitCall && !channelBreaker.beginAttempt(channelConfig)) {
+      return res.render('error', {
+        message: '支付通道暂时不可用，请稍后重试',
+        code: 'CHANNEL_UNAVAILABLE',
+        backUrl: orderInfo.return_url || null
+      });
+    }
+    let result;
+    const submitStartedAt = Date.now();
+    try {
+      result = await pluginLoader.callPluginMethod(pluginName, func, pluginConfig, orderInfo, conf);
+    } catch (pluginError) {
+      if (isSubmitCall) {
+        await recordChannelSubmitResult(channelConfig, order.trade_no, null, pluginError, Date.now() - submitStartedAt);
+      }
+      throw pluginError;
+    }
+    const submitLatencyMs = Date.now() - submitStartedAt;
     
     console.log(`插件 ${func} 返回:`, result);
 
+    if (isSubmitCall) {
+      await recordChannelSubmitResult(channelConfig, order.trade_no, result, null, submitLatencyMs);
+    }
+
     // 处理返回结果
     if (result.type === 'error') {
       return res.render('error', {
@@ -6,27 +6,11 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const channelSelector = require('../utils/channelSelector');
+const channelGroupRules = require('../utils/channelGroupRules');
+const clientEnv = require('../utils/clientEnv');
 
-// 支付类型配置（内联）
-const payTypes = [
-  { id: 1, name: 'alipay', showname: '支付宝', icon: 'alipay.ico', device: 0, status: 1, sort: 1 },
-  { id: 2, name: 'wxpay', showname: '微信支付', icon: 'wxpay.ico', device: 0, status: 1, sort: 2 },
-  { id: 3, name: 'qqpay', showname: 'QQ钱包', icon: 'qqpay.ico', device: 0, status: 1, sort: 3 },
-  { id: 4, name: 'bank', showname: '网银支付', icon: 'bank.ico', device: 0, status: 1, sort: 4 },
-  { id: 5, name: 'jdpay', showname: '京东支付', icon: 'jdpay.ico', device: 0, status: 1, sort: 5 },
-  { id: 6, name: 'paypal', showname: 'PayPal', icon: 'paypal.ico', device: 0, status: 1, sort: 6 },
-  { id: 7, name: 'ecny', showname: '数字人民币', icon: 'ecny.ico', device: 0, status: 1, sort: 7 }
-];
-
-function getAllPayTypes(device = null) {
-  if (!device) return payTypes.filter(pt => pt.status === 1).sort((a, b) => a.sort - b.sort);
-  const deviceCode = device === 'mobile' ? 2 : 1;
-  return payTypes.filter(pt => pt.status === 1 && (pt.device === 0 || pt.device === deviceCode)).sort((a, b) => a.sort - b.sort);
-}
-
-function getPayTypeById(id) {
-  return payTypes.find(pt => pt.id === id) || null;
-}
+const payTypeRegistry = require('../utils/payTypeRegistry');
+const { getAllPayTypes, getPayTypeById } = payTypeRegistry;
 
 // 格式化日期时间为中国时区 (UTC+8)
 function formatDateTimeCN(date) {
@@ -135,6 +119,186 @@ router.get('/pay-types', async (req, res) => {
     }
 });
 
+/**
+ * 获取全部支付方式（含禁用，用于支付方式管理）
+ */
+router.get('/pay-types/list', async (req, res) => {
+    try {
+        const payTypes = await payTypeRegistry.listPayTypes();
+        res.json({ code: 0, data: payTypes });
+    } catch (error) {
+        console.error('获取支付方式列表错误:', error);
+        res.json({ code: -1, msg: '获取失败' });
+    }
+});
+
+/**
+ * 校验支付方式字段，返回错误信息或 null
+ */
+function validatePayTypeFields({ showname, icon, device, status, sort }) {
+    if (showname !== undefined && (!String(showname).trim() || String(showname).trim().length > 64)) {
+        return '显示名称不能为空且不超过64个字符';
+    }
+    if (icon !== undefined && icon !== null && icon !== '' && !/^[\w.-]{1,128}$/.test(String(icon))) {
+        return '图标文件名仅支持字母、数字、下划线、点和短横线';
+    }
+    if (device !== undefined && ![0, 1, 2].includes(parseInt(device, 10))) {
+        return '适用设备无效';
+    }
+    if (status !== undefined && ![0, 1].includes(parseInt(status, 10))) {
+        return '状态无效';
+    }
+    if (sort !== undefined && isNaN(parseInt(sort, 10))) {
+        return '排序必须为整数';
+    }
+    return null;
+}
+
+/**
+ * 创建支付方式
+ */
+router.post('/pay-types/create', async (req, res) => {
+    try {
+        const { name, showname, icon, device = 0, status = 1, sort = 0 } = req.body;
+
+        const code = String(name || '').trim().toLowerCase();
+        if (!/^[a-z0-9_]{2,32}$/.test(code)) {
+            return res.json({ code: -1, msg: '支付方式编码仅支持小写字母、数字和下划线（2-32位）' });
+        }
+        if (showname === undefined) {
+            return res.json({ code: -1, msg: '请填写显示名称' });
+        }
+        const fieldError = validatePayTypeFields({ showname, icon, device, status, sort });
+        if (fieldError) {
+            return res.json({ code: -1, msg: fieldError });
+        }
+
+        const [existing] = await db.query('SELECT id FROM pay_types WHERE name = ?', [code]);
+        if (existing.length > 0) {
+            return res.json({ code: -1, msg: '支付方式编码已存在' });
+        }
+
+        await db.query(
+            `INSERT INTO pay_types (name, showname, icon, device, status, sort)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [code, String(showname).trim(), icon || `${code}.ico`, parseInt(device, 10), parseInt(status, 10), parseInt(sort, 10)]
+        );
+        await payTypeRegistry.clearCache();
+
+        res.json({ code: 0, msg: '创建成功' });
+    } catch (error) {
+        console.error('创建支付方式错误:', error);
+        res.json({ code: -1, msg: '创建失败' });
+    }
+});
+
+/**
+ * 更新支付方式（编码创建后不可修改，通道与订单按编码关联）
+ */
+router.post('/pay-types/update', async (req, res) => {
+    try {
+        const { id, showname, icon, device, status, sort } = req.body;
+
+        const fieldError = validatePayTypeFields({ showname, icon, device, status, sort });
+        if (fieldError) {
+            return res.json({ code: -1, msg: fieldError });
+        }
+
+        const updates = [];
+        const params = [];
+
+        if (showname !== undefined) {
+            updates.push('showname = ?');
+            params.push(String(showname).trim());
+        }
+        if (icon !== undefined) {
+            updates.push('icon = ?');
+            params.push(icon || null);
+        }
+        if (device !== undefined) {
+            updates.push('device = ?');
+            params.push(parseInt(device, 10));
+        }
+        if (status !== undefined) {
+            updates.push('status = ?');
+            params.push(parseInt(status, 10));
+        }
+        if (sort !== undefined) {
+            updates.push('sort = ?');
+            params.push(parseInt(sort, 10));
+        }
+
+        if (updates.length === 0) {
+            return res.json({ code: -1, msg: '无更新内容' });
+        }
+
+        params.push(id);
+
+        const [result] = await db.query(
+            `UPDATE pay_types SET ${updates.join(', ')} WHERE id = ?`,
+            params
+        );
+        if (result.affectedRows === 0) {
+            return res.json({ code: -1, msg: '支付方式不存在' });
+        }
+        await payTypeRegistry.clearCache();
+
+        res.json({ code: 0, msg: '更新成功' });
+    } catch (error) {
+        console.error('更新支付方式错误:', error);
+        res.json({ code: -1, msg: '更新失败' });
+    }
+});
+
+/**
+ * 删除支付方式（仍被通道、轮询组或支付组引用时不允许删除）
+ */
+router.post('/pay-types/delete', async (req, res) => {
+    try {
+        const { id } = req.body;
+
+        const [[payType]] = await db.query('SELECT id, name FROM pay_types WHERE id = ?', [id]);
+        if (!payType) {
+            return res.json({ code: -1, msg: '支付方式不存在' });
+        }
+
+        const [channels] = await db.query(
+            'SELECT id FROM provider_channels WHERE FIND_IN_SET(?, pay_type) AND (is_deleted = 0 OR is_deleted IS NULL) LIMIT 1',
+            [payType.name]
+        );
+        if (channels.length > 0) {
+            return res.json({ code: -1, msg: '仍有支付通道使用该支付方式，无法删除' });
+        }
+
+        const [groups] = await db.query('SELECT id FROM channel_groups WHERE pay_type_id = ? LIMIT 1', [payType.id]);
+        if (groups.length > 0) {
+            return res.json({ code: -1, msg: '仍有通道轮询组使用该支付方式，无法删除' });
+        }
+
+        const [payGroups] = await db.query('SELECT config FROM provider_pay_groups');
+        const inUse = payGroups.some(g => {
+            try {
+                const config = typeof g.config === 'string' ? JSON.parse(g.config) : (g.config || {});
+                const typeConfig = config[String(payType.id)];
+                return typeConfig && typeConfig.channel_mode !== 0;
+            } catch (e) {
+                return false;
+            }
+        });
+        if (inUse) {
+            return res.json({ code: -1, msg: '仍有支付组启用该支付方式，无法删除' });
+        }
+
+        await db.query('DELETE FROM pay_types WHERE id = ?', [payType.id]);
+        await payTypeRegistry.clearCache();
+
+        res.json({ code: 0, msg: '删除成功' });
+    } catch (error) {
+        console.error('删除支付方式错误:', error);
+        res.json({ code: -1, msg: '删除失败' });
+    }
+});
+
 // ============ 通道轮询组管理============
 
 /**
@@ -179,6 +343,28 @@ router.get('/channel-groups', async (req, res) => {
     }
 });
 
+/**
+ * 校验轮询组成员及其路由规则，返回 { error, channels }
+ */
+async function validateGroupChannels(channels) {
+    const result = channelGroupRules.normalizeGroupChannels(channels);
+    if (result.error) {
+        return result;
+    }
+
+    const merchantIds = channelGroupRules.collectMerchantIds(result.channels);
+    if (merchantIds.length > 0) {
+        const [rows] = await db.query('SELECT user_id FROM merchants WHERE user_id IN (?)', [merchantIds]);
+        const existing = new Set(rows.map(r => Number(r.user_id)));
+        const missing = merchantIds.filter(id => !existing.has(id));
+        if (missing.length > 0) {
+            return { error: `商户不存在: ${missing.join(',')}`, channels: [] };
+        }
+    }
+
+    return result;
+}
+
 /**
  * 创建通道轮询组
  */
@@ -189,11 +375,16 @@ router.post('/channel-groups/create', async (req, res) => {
         if (!name) {
             return res.json({ code: -1, msg: '请填写组名称' });
         }
+
+        const validated = await validateGroupChannels(channels);
+        if (validated.error) {
+            return res.json({ code: -1, msg: validated.error });
+        }
         
         await db.query(
             `INSERT INTO channel_groups (name, mode, channels, status)
              VALUES (?, ?, ?, 1)`,
-            [name, mode || 0, JSON.stringify(channels || [])]
+            [name, mode || 0, JSON.stringify(validated.channels)]
         );
         
         res.json({ code: 0, msg: '创建成功' });
@@ -222,8 +413,12 @@ router.post('/channel-groups/update', async (req, res) => {
             params.push(mode);
         }
         if (channels !== undefined) {
+            const validated = await validateGroupChannels(channels);
+            if (validated.error) {
+                return res.json({ code: -1, msg: validated.error });
+            }
             updates.push('channels = ?');
-            params.push(JSON.stringify(channels));
+            params.push(JSON.stringify(validated.channels));
         }
         if (status !== undefined) {
             updates.push('status = ?');
@@ -307,6 +502,12 @@ router.post('/pay-groups/create', async (req, res) => {
         if (!name) {
             return res.json({ code: -1, msg: '请输入组名称' });
         }
+
+        // 校验按客户端环境限定的支付接口
+        const normalized = clientEnv.normalizeGroupConfig(config || {});
+        if (normalized.error) {
+            return res.json({ code: -1, msg: normalized.error });
+        }
         
         // 如果设为默认，先取消其他默认组
         if (is_default) {
@@ -318,7 +519,7 @@ router.post('/pay-groups/create', async (req, res) => {
         await db.query(
             `INSERT INTO provider_pay_groups (name, is_default, config)
              VALUES (?, ?, ?)`,
-            [name, is_default ? 1 : 0, JSON.stringify(config || {})]
+            [name, is_default ? 1 : 0, JSON.stringify(normalized.config)]
         );
         
         res.json({ code: 0, msg: '创建成功' });
@@ -334,6 +535,12 @@ router.post('/pay-groups/create', async (req, res) => {
 router.post('/pay-groups/update', async (req, res) => {
     try {
         const { id, name, is_default, config } = req.body;
+
+        // 校验按客户端环境限定的支付接口
+        const normalizedConfig = clientEnv.normalizeGroupConfig(config);
+        if (normalizedConfig.error) {
+            return res.json({ code: -1, msg: normalizedConfig.error });
+        }
         
         const updates = [];
         const params = [];
@@ -354,7 +561,7 @@ router.post('/pay-groups/update', async (req, res) => {
         }
         if (config !== undefined) {
             updates.push('config = ?');
-            params.push(JSON.stringify(config));
+            params.push(JSON.stringify(normalizedConfig.config));
         }
         
         if (updates.length === 0) {
@@ -463,8 +670,15 @@ router.get('/pay-groups/:id', async (req, res) => {
         
         // 获取所有通道
         const [channels] = await db.query(
-            'SELECT id, channel_name, pay_type, plugin_name, status FROM provider_channels'
+            'SELECT id, channel_name, pay_type, plugin_name, apptype, status FROM provider_channels'
         );
+        // 各通道按支付方式推断出的支付接口（null 表示未知，按环境路由时视为全部支持）
+        channels.forEach(channel => {
+            channel.methods = {};
+            String(channel.pay_type || '').split(',').filter(Boolean).forEach(type => {
+                channel.methods[type] = clientEnv.getChannelMethods(channel, type);
+            });
+        });
         
         // 获取所有轮询组
         const [channelGroups] = await db.query(
@@ -477,7 +691,11 @@ router.get('/pay-groups/:id', async (req, res) => {
                 group,
                 payTypes,
                 channels,
-                channelGroups
+                channelGroups,
+                envOptions: {
+                    envs: clientEnv.ENV_NAMES,
+                    methods: clientEnv.METHODS
+                }
             }
         });
     } catch (error) {
@@ -3,8 +3,16 @@
  */
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const db = require('../../config/database');
 const pluginLoader = require('../../utils/pluginLoader');
+const pluginExecutor = require('../../utils/pluginExecutor');
+const channelBreaker = require('../../utils/channelBreaker');
+const channelSchedule = require('../../utils/channelSchedule');
+const quotaService = require('../../utils/quotaService');
+const channelStats = require('../../utils/channelStats');
+const channelConfigVersions = require('../../utils/channelConfigVersions');
+const channelBundle = require('../../utils/channelBundle');
 const { requireProviderRamPermission } = require('../auth');
 
 /**
@@ -47,6 +55,30 @@ function validateApptypeExclusive(apptypeArray) {
   return { valid: true };
 }
 
+/**
+ * 校验额度字段（日限额、月限额、每日笔数），0 或空表示不限制
+ * 只返回请求中提交了的字段
+ */
+function parseQuotaLimits(body) {
+  const values = {};
+  for (const field of ['day_limit', 'month_limit']) {
+    if (body[field] === undefined) continue;
+    const val = body[field] === null || body[field] === '' ? 0 : Number(body[field]);
+    if (!Number.isFinite(val) || val < 0) {
+      return { error: `${field === 'day_limit' ? '日限额' : '月限额'}必须为非负数` };
+    }
+    values[field] = Number(val.toFixed(2));
+  }
+  if (body.day_count_limit !== undefined) {
+    const val = body.day_count_limit === null || body.day_count_limit === '' ? 0 : Number(body.day_count_limit);
+    if (!Number.isInteger(val) || val < 0) {
+      return { error: '每日笔数限制必须为非负整数' };
+    }
+    values.day_count_limit = val;
+  }
+  return { error: null, values };
+}
+
 // 获取支付通道列表（需要 channel 权限）
 router.get('/channels', requireProviderRamPermission('channel'), async (req, res) => {
   try {
@@ -54,7 +86,7 @@ router.get('/channels', requireProviderRamPermission('channel'), async (req, res
 
     // 排除 config 敏感配置字段
     let sql = `SELECT id, channel_id, channel_name, plugin_name, pay_type, 
-               cost_rate, min_money, max_money, day_limit, time_start, time_stop, priority, status, apptype, notify_url, created_at
+               cost_rate, min_money, max_money, day_limit, month_limit, day_count_limit, time_start, time_stop, schedule, priority, status, apptype, notify_url, created_at
                FROM provider_channels WHERE (is_deleted = 0 OR is_deleted IS NULL)`;
     const params = [];
 
@@ -67,21 +99,14 @@ router.get('/channels', requireProviderRamPermission('channel'), async (req, res
 
     const [channels] = await db.query(sql, params);
 
-    // 获取今日每个通道的已用额度（单服务商模式，不按 provider_id 过滤）
-    const [todayUsage] = await db.query(
-      `SELECT channel_id, COALESCE(SUM(money), 0) as used_amount 
-       FROM orders 
-       WHERE status = 1 AND DATE(created_at) = CURDATE()
-       GROUP BY channel_id`
-    );
-    const usageMap = {};
-    todayUsage.forEach(u => { usageMap[u.channel_id] = parseFloat(u.used_amount) || 0; });
+    // 今日/本月已用额度取自额度计数器（含未支付占用）
+    const usageMap = await quotaService.getChannelUsage(channels.map(c => c.id));
 
     // 转换字段名以匹配前端期望
     const list = channels.map(c => {
       const dayLimit = parseFloat(c.day_limit) || 0;
-      const usedToday = usageMap[c.id] || 0;
-      const remaining = dayLimit > 0 ? Math.max(0, dayLimit - usedToday) : -1; // -1 表示无限制
+      const usage = usageMap.get(c.id) || { day_used: 0, day_count: 0, month_used: 0 };
+      const remaining = dayLimit > 0 ? Math.max(0, dayLimit - usage.day_used) : -1; // -1 表示无限制
       
       return {
         ...c,
@@ -89,18 +114,309 @@ router.get('/channels', requireProviderRamPermission('channel'), async (req, res
         plugin: c.plugin_name,
         type: c.pay_type,
         notify_url: c.notify_url || '',
-        day_used: usedToday,
-        day_remaining: remaining
+        day_used: usage.day_used,
+        day_remaining: remaining,
+        day_count: usage.day_count,
+        month_used: usage.month_used,
+        schedule: channelSchedule.normalizeSchedule(c.schedule).schedule,
+        open_now: channelSchedule.isChannelOpen(c),
+        breaker: channelBreaker.getState(c.id)
       };
     });
 
-    res.json({ code: 0, data: list });
+    res.json({ code: 0, data: list, timezone: channelSchedule.TIMEZONE });
   } catch (error) {
     console.error('获取通道列表错误:', error);
     res.json({ code: -1, msg: '获取通道列表失败' });
   }
 });
 
+// 获取通道健康状况（需要 channel 权限）
+// 近1小时/24小时转化、上游提交耗时、回调到账延迟、最近错误、熔断状态和额度使用
+router.get('/channels/health', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const [channels] = await db.query(
+      `SELECT id, channel_name, plugin_name, pay_type, status, day_limit, month_limit, day_count_limit, time_start, time_stop, schedule
+       FROM provider_channels WHERE (is_deleted = 0 OR is_deleted IS NULL)
+       ORDER BY status DESC, priority DESC, id ASC`
+    );
+    const ids = channels.map(c => c.id);
+    const [healthMap, usageMap] = await Promise.all([
+      channelStats.getChannelHealth(ids),
+      quotaService.getChannelUsage(ids)
+    ]);
+
+    const list = channels.map(c => {
+      const health = healthMap.get(c.id);
+      const usage = usageMap.get(c.id) || { day_used: 0, day_count: 0, month_used: 0 };
+      return {
+        id: c.id,
+        name: c.channel_name,
+        plugin: c.plugin_name,
+        type: c.pay_type,
+        status: c.status,
+        open_now: channelSchedule.isChannelOpen(c),
+        breaker: channelBreaker.getState(c.id),
+        ...health,
+        quota: {
+          day_used: usage.day_used,
+          day_limit: parseFloat(c.day_limit) || 0,
+          day_count: usage.day_count,
+          day_count_limit: parseInt(c.day_count_limit, 10) || 0,
+          month_used: usage.month_used,
+          month_limit: parseFloat(c.month_limit) || 0
+        }
+      };
+    });
+
+    // 插件执行器状况：工作线程数，各插件在途/排队调用和累计超时、崩溃次数
+    res.json({ code: 0, data: list, plugin_executor: pluginExecutor.getStats() });
+  } catch (error) {
+    console.error('获取通道健康状况错误:', error);
+    res.json({ code: -1, msg: '获取通道健康状况失败' });
+  }
+});
+
+// 获取通道节假日列表（需要 channel 权限）
+router.get('/channel-holidays', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const list = await channelSchedule.listHolidays();
+    res.json({ code: 0, data: list, timezone: channelSchedule.TIMEZONE });
+  } catch (error) {
+    console.error('获取节假日列表错误:', error);
+    res.json({ code: -1, msg: '获取节假日列表失败' });
+  }
+});
+
+// 添加通道节假日（需要 channel 权限）
+router.post('/channel-holidays/create', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const { date, name } = req.body;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) || isNaN(Date.parse(`${date}T00:00:00Z`))) {
+      return res.json({ code: -1, msg: '日期格式应为 YYYY-MM-DD' });
+    }
+    if (name && String(name).length > 50) {
+      return res.json({ code: -1, msg: '节日名称不能超过50个字符' });
+    }
+
+    const [result] = await db.query(
+      'INSERT IGNORE INTO channel_holidays (holiday_date, name) VALUES (?, ?)',
+      [date, name ? String(name).trim() : null]
+    );
+    if (result.affectedRows === 0) {
+      return res.json({ code: -1, msg: '该日期已存在' });
+    }
+
+    await channelSchedule.refreshHolidays();
+    res.json({ code: 0, msg: '添加成功' });
+  } catch (error) {
+    console.error('添加节假日错误:', error);
+    res.json({ code: -1, msg: '添加失败' });
+  }
+});
+
+// 删除通道节假日（需要 channel 权限）
+router.post('/channel-holidays/delete', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const { id } = req.body;
+
+    const [result] = await db.query('DELETE FROM channel_holidays WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+      return res.json({ code: -1, msg: '节假日不存在' });
+    }
+
+    await channelSchedule.refreshHolidays();
+    res.json({ code: 0, msg: '删除成功' });
+  } catch (error) {
+    console.error('删除节假日错误:', error);
+    res.json({ code: -1, msg: '删除失败' });
+  }
+});
+
+// 获取商户单通道限额列表（需要 channel 权限）
+router.get('/channel-quotas', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const { channel_id, merchant_id } = req.query;
+
+    let sql = `SELECT q.id, q.merchant_id, q.channel_id, q.day_limit, q.month_limit, q.day_count_limit, q.updated_at,
+               u.username AS merchant_name, c.channel_name
+               FROM merchant_channel_quotas q
+               LEFT JOIN users u ON u.id = q.merchant_id
+               LEFT JOIN provider_channels c ON c.id = q.channel_id
+               WHERE 1 = 1`;
+    const params = [];
+    if (channel_id) {
+      sql += ' AND q.channel_id = ?';
+      params.push(channel_id);
+    }
+    if (merchant_id) {
+      sql += ' AND q.merchant_id = ?';
+      params.push(merchant_id);
+    }
+    sql += ' ORDER BY q.channel_id ASC, q.merchant_id ASC';
+
+    const [list] = await db.query(sql, params);
+    res.json({ code: 0, data: list });
+  } catch (error) {
+    console.error('获取商户通道限额错误:', error);
+    res.json({ code: -1, msg: '获取商户通道限额失败' });
+  }
+});
+
+// 设置商户单通道限额（需要 channel 权限）
+router.post('/channel-quotas/save', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const merchantId = parseInt(req.body.merchant_id, 10);
+    const channelId = parseInt(req.body.channel_id, 10);
+    if (!merchantId || !channelId) {
+      return res.json({ code: -1, msg: '请选择商户和通道' });
+    }
+
+    const quotaLimits = parseQuotaLimits({
+      day_limit: req.body.day_limit ?? 0,
+      month_limit: req.body.month_limit ?? 0,
+      day_count_limit: req.body.day_count_limit ?? 0
+    });
+    if (quotaLimits.error) {
+      return res.json({ code: -1, msg: quotaLimits.error });
+    }
+
+    const [merchants] = await db.query('SELECT user_id FROM merchants WHERE user_id = ? LIMIT 1', [merchantId]);
+    if (merchants.length === 0) {
+      return res.json({ code: -1, msg: '商户不存在' });
+    }
+    const [channels] = await db.query(
+      'SELECT id FROM provider_channels WHERE id = ? AND (is_deleted = 0 OR is_deleted IS NULL) LIMIT 1',
+      [channelId]
+    );
+    if (channels.length === 0) {
+      return res.json({ code: -1, msg: '通道不存在' });
+    }
+
+    const { day_limit, month_limit, day_count_limit } = quotaLimits.values;
+    await db.query(
+      `INSERT INTO merchant_channel_quotas (merchant_id, channel_id, day_limit, month_limit, day_count_limit)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE day_limit = VALUES(day_limit), month_limit = VALUES(month_limit), day_count_limit = VALUES(day_count_limit)`,
+      [merchantId, channelId, day_limit, month_limit, day_count_limit]
+    );
+
+    res.json({ code: 0, msg: '保存成功' });
+  } catch (error) {
+    console.error('设置商户通道限额错误:', error);
+    res.json({ code: -1, msg: '保存失败' });
+  }
+});
+
+// 删除商户单通道限额（需要 channel 权限）
+router.post('/channel-quotas/delete', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const { id } = req.body;
+
+    const [result] = await db.query('DELETE FROM merchant_channel_quotas WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+      return res.json({ code: -1, msg: '限额记录不存在' });
+    }
+
+    res.json({ code: 0, msg: '删除成功' });
+  } catch (error) {
+    console.error('删除商户通道限额错误:', error);
+    res.json({ code: -1, msg: '删除失败' });
+  }
+});
+
+// 迁移包上传（内存存储，包含证书内容）
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB
+    files: 1
+  }
+});
+
+/**
+ * 读取上传的迁移包并解密
+ * @returns {{error: string|null, payload: Object|null, strategy: string}}
+ */
+function readUploadedBundle(req) {
+  const strategy = req.body.strategy || channelBundle.CONFLICT_STRATEGY.SKIP;
+  if (!Object.values(channelBundle.CONFLICT_STRATEGY).includes(strategy)) {
+    return { error: '冲突处理方式无效', payload: null, strategy };
+  }
+  if (!req.file) {
+    return { error: '请上传迁移包文件', payload: null, strategy };
+  }
+  if (!req.body.passphrase) {
+    return { error: '请输入迁移包口令', payload: null, strategy };
+  }
+  const { error, payload } = channelBundle.decryptBundle(req.file.buffer, req.body.passphrase);
+  return { error, payload, strategy };
+}
+
+// 导出通道迁移包（通道、轮询组、支付组及证书，口令加密）（需要 channel 权限）
+router.post('/channel-bundle/export', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const { passphrase } = req.body;
+    const passphraseError = channelBundle.validatePassphrase(passphrase);
+    if (passphraseError) {
+      return res.json({ code: -1, msg: passphraseError });
+    }
+
+    const { bundle, summary } = await channelBundle.exportBundle(passphrase);
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.json({
+      code: 0,
+      data: {
+        filename: `channels-${date}.bundle`,
+        bundle,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('导出通道迁移包错误:', error);
+    res.json({ code: -1, msg: '导出失败' });
+  }
+});
+
+// 预览导入通道迁移包（不写入，返回冲突和 ID 映射提示）（需要 channel 权限）
+router.post('/channel-bundle/preview', requireProviderRamPermission('channel'), bundleUpload.single('file'), async (req, res) => {
+  try {
+    const { error, payload, strategy } = readUploadedBundle(req);
+    if (error) {
+      return res.json({ code: -1, msg: error });
+    }
+
+    const plan = await channelBundle.previewImport(payload, strategy);
+    res.json({ code: 0, data: plan });
+  } catch (error) {
+    console.error('预览通道迁移包错误:', error);
+    res.json({ code: -1, msg: '预览失败' });
+  }
+});
+
+// 导入通道迁移包（需要 channel 权限）
+router.post('/channel-bundle/import', requireProviderRamPermission('channel'), bundleUpload.single('file'), async (req, res) => {
+  try {
+    const { error, payload, strategy } = readUploadedBundle(req);
+    if (error) {
+      return res.json({ code: -1, msg: error });
+    }
+
+    const imported = await channelBundle.importBundle(payload, strategy, channelConfigVersions.getOperator(req));
+    if (imported.error) {
+      return res.json({ code: -1, msg: imported.error });
+    }
+
+    // 被覆盖的通道配置已变化，清除熔断状态
+    imported.result.updated_channel_ids.forEach(id => channelBreaker.reset(id));
+    res.json({ code: 0, msg: '导入成功', data: imported.result });
+  } catch (error) {
+    console.error('导入通道迁移包错误:', error);
+    res.json({ code: -1, msg: '导入失败' });
+  }
+});
+
 // 获取可用插件列表（需要 channel 权限）
 router.get('/plugins', requireProviderRamPermission('channel'), async (req, res) => {
   try {
@@ -113,15 +429,77 @@ router.get('/plugins', requireProviderRamPermission('channel'), async (req, res)
   }
 });
 
+// 已加载插件的版本、启用状态和最近一次加载错误（需要 channel 权限）
+router.get('/plugins/versions', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    await pluginLoader.getDisabledPlugins();
+    res.json({ code: 0, data: pluginLoader.listVersions() });
+  } catch (error) {
+    console.error('获取插件版本错误:', error);
+    res.json({ code: -1, msg: '获取插件版本失败' });
+  }
+});
+
+// 强制重新加载插件（需要 channel 权限）
+// 新版本校验失败时继续使用当前版本，返回失败原因
+router.post('/plugins/reload', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string') {
+      return res.json({ code: -1, msg: '请指定插件' });
+    }
+
+    const result = pluginLoader.reloadPlugin(name, { force: true });
+    if (!result.success) {
+      return res.json({
+        code: -1,
+        msg: result.kept ? `重新加载失败，继续使用当前版本: ${result.error}` : `加载失败: ${result.error}`,
+        data: result.version
+      });
+    }
+    res.json({ code: 0, msg: '重新加载成功', data: result.version });
+  } catch (error) {
+    console.error('重新加载插件错误:', error);
+    res.json({ code: -1, msg: '重新加载失败' });
+  }
+});
+
+// 启用/停用插件（需要 channel 权限）
+// 停用后该插件的通道不再参与选路，回调、查单、关单和退款也一并拒绝处理（上游回调会重试）
+router.post('/plugins/status', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const { name, enabled } = req.body;
+    if (!name || !pluginLoader.getVersion(name)) {
+      return res.json({ code: -1, msg: '插件不存在' });
+    }
+    if (![0, 1, '0', '1', true, false].includes(enabled)) {
+      return res.json({ code: -1, msg: '请指定启用状态' });
+    }
+
+    const isEnabled = enabled === 1 || enabled === '1' || enabled === true;
+    await pluginLoader.setEnabled(name, isEnabled);
+    res.json({ code: 0, msg: isEnabled ? '插件已启用' : '插件已停用', data: pluginLoader.getVersion(name) });
+  } catch (error) {
+    console.error('修改插件状态错误:', error);
+    res.json({ code: -1, msg: '操作失败' });
+  }
+});
+
 // 创建支付通道（需要 channel 权限）
 router.post('/channels/create', requireProviderRamPermission('channel'), async (req, res) => {
   try {
-    const { name, plugin, pay_type, cost_rate, min_money, max_money, day_limit, time_start, time_stop, priority, status, config, notify_url } = req.body;
+    const { name, plugin, pay_type, cost_rate, min_money, max_money, time_start, time_stop, schedule, priority, status, config, notify_url } = req.body;
 
     if (!name || !plugin) {
       return res.json({ code: -1, msg: '请填写完整信息' });
     }
 
+    // 验证额度限制
+    const quotaLimits = parseQuotaLimits(req.body);
+    if (quotaLimits.error) {
+      return res.json({ code: -1, msg: quotaLimits.error });
+    }
+
     // 验证时间范围
     const timeStartVal = (time_start !== undefined && time_start !== null && time_start !== '') ? parseInt(time_start) : null;
     const timeStopVal = (time_stop !== undefined && time_stop !== null && time_stop !== '') ? parseInt(time_stop) : null;
@@ -132,6 +510,12 @@ router.post('/channels/create', requireProviderRamPermission('channel'), async (
       return res.json({ code: -1, msg: '结束时间必须在0-23之间' });
     }
 
+    // 验证开放时段
+    const scheduleResult = channelSchedule.normalizeSchedule(schedule);
+    if (scheduleResult.error) {
+      return res.json({ code: -1, msg: scheduleResult.error });
+    }
+
     // 解析 config，提取 apptype
     let configObj = {};
     let apptypeStr = '';
@@ -157,11 +541,18 @@ router.post('/channels/create', requireProviderRamPermission('channel'), async (
     );
     const nextChannelId = maxId.next_id;
 
-    await db.query(
+    const [insertResult] = await db.query(
       `INSERT INTO provider_channels 
-       (channel_id, channel_name, plugin_name, pay_type, cost_rate, min_money, max_money, day_limit, time_start, time_stop, priority, status, config, apptype, notify_url) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [nextChannelId, name, plugin, pay_type || 'alipay', cost_rate || 0, min_money || 0, max_money || 0, day_limit || 0, timeStartVal, timeStopVal, priority || 0, status ?? 1, config || null, apptypeStr, notify_url || null]
+       (channel_id, channel_name, plugin_name, pay_type, cost_rate, min_money, max_money, day_limit, month_limit, day_count_limit, time_start, time_stop, schedule, priority, status, config, apptype, notify_url) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [nextChannelId, name, plugin, pay_type || 'alipay', cost_rate || 0, min_money || 0, max_money || 0, quotaLimits.values.day_limit || 0, quotaLimits.values.month_limit || 0, quotaLimits.values.day_count_limit || 0, timeStartVal, timeStopVal, scheduleResult.schedule ? JSON.stringify(scheduleResult.schedule) : null, priority || 0, status ?? 1, config || null, apptypeStr, notify_url || null]
+    );
+
+    await channelConfigVersions.recordChange(
+      insertResult.insertId,
+      null,
+      channelConfigVersions.ACTION.CREATE,
+      channelConfigVersions.getOperator(req)
     );
 
     res.json({ code: 0, msg: '创建成功' });
@@ -174,7 +565,7 @@ router.post('/channels/create', requireProviderRamPermission('channel'), async (
 // 更新支付通道（需要 channel 权限）
 router.post('/channels/update', requireProviderRamPermission('channel'), async (req, res) => {
   try {
-    const { id, name, pay_type, cost_rate, min_money, max_money, day_limit, time_start, time_stop, priority, status, config, notify_url } = req.body;
+    const { id, name, pay_type, cost_rate, min_money, max_money, time_start, time_stop, schedule, priority, status, config, notify_url } = req.body;
 
     const updates = [];
     const params = [];
@@ -199,9 +590,13 @@ router.post('/channels/update', requireProviderRamPermission('channel'), async (
       updates.push('max_money = ?');
       params.push(max_money);
     }
-    if (day_limit !== undefined) {
-      updates.push('day_limit = ?');
-      params.push(day_limit);
+    const quotaLimits = parseQuotaLimits(req.body);
+    if (quotaLimits.error) {
+      return res.json({ code: -1, msg: quotaLimits.error });
+    }
+    for (const [field, value] of Object.entries(quotaLimits.values)) {
+      updates.push(`${field} = ?`);
+      params.push(value);
     }
     if (time_start !== undefined) {
       const val = (time_start !== null && time_start !== '') ? parseInt(time_start) : null;
@@ -219,6 +614,14 @@ router.post('/channels/update', requireProviderRamPermission('channel'), async (
       updates.push('time_stop = ?');
       params.push(val);
     }
+    if (schedule !== undefined) {
+      const scheduleResult = channelSchedule.normalizeSchedule(schedule);
+      if (scheduleResult.error) {
+        return res.json({ code: -1, msg: scheduleResult.error });
+      }
+      updates.push('schedule = ?');
+      params.push(scheduleResult.schedule ? JSON.stringify(scheduleResult.schedule) : null);
+    }
     if (priority !== undefined) {
       updates.push('priority = ?');
       params.push(priority);
@@ -257,10 +660,19 @@ router.post('/channels/update', requireProviderRamPermission('channel'), async (
     // 单服务商模式，不按 provider_id 过滤
     params.push(id);
 
+    const before = await channelConfigVersions.getCurrentSnapshot(id);
     await db.query(
       `UPDATE provider_channels SET ${updates.join(', ')} WHERE id = ?`,
       params
     );
+    if (before) {
+      await channelConfigVersions.recordChange(id, before, channelConfigVersions.ACTION.UPDATE, channelConfigVersions.getOperator(req));
+    }
+
+    // 管理员重新启用或修改配置后，清除熔断状态重新放量
+    if (Number(status) === 1 || config !== undefined) {
+      channelBreaker.reset(id);
+    }
 
     res.json({ code: 0, msg: '更新成功' });
   } catch (error) {
@@ -291,6 +703,81 @@ router.get('/channels/:id', requireProviderRamPermission('channel'), async (req,
   }
 });
 
+// 获取通道配置版本列表（需要 channel 权限）
+router.get('/channels/:id/versions', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const list = await channelConfigVersions.listVersions(req.params.id);
+    res.json({ code: 0, data: list });
+  } catch (error) {
+    console.error('获取通道配置版本错误:', error);
+    res.json({ code: -1, msg: '获取版本列表失败' });
+  }
+});
+
+// 对比通道配置版本（插件配置 config.* 打码）（需要 channel 权限）
+// from 默认为 to 的上一版本；to 为空时与通道当前配置对比
+router.get('/channels/:id/versions/diff', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const channelId = req.params.id;
+    const toVersion = req.query.to ? parseInt(req.query.to, 10) : null;
+    const fromVersion = req.query.from ? parseInt(req.query.from, 10) : (toVersion ? toVersion - 1 : null);
+
+    if ((req.query.to && !(toVersion > 0)) || (fromVersion !== null && !(fromVersion > 0))) {
+      return res.json({ code: -1, msg: '版本号无效' });
+    }
+
+    const to = toVersion
+      ? await channelConfigVersions.getVersion(channelId, toVersion)
+      : { version: null, snapshot: await channelConfigVersions.getCurrentSnapshot(channelId) };
+    if (!to || !to.snapshot) {
+      return res.json({ code: -1, msg: toVersion ? '版本不存在' : '通道不存在' });
+    }
+
+    let from = null;
+    if (fromVersion) {
+      from = await channelConfigVersions.getVersion(channelId, fromVersion);
+      if (!from) {
+        return res.json({ code: -1, msg: '对比版本不存在' });
+      }
+    }
+
+    res.json({
+      code: 0,
+      data: {
+        from: from ? from.version : null,
+        to: to.version,
+        changes: channelConfigVersions.diffSnapshots(from?.snapshot || null, to.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('对比通道配置版本错误:', error);
+    res.json({ code: -1, msg: '对比失败' });
+  }
+});
+
+// 回滚通道配置到指定版本（需要 channel 权限）
+router.post('/channels/versions/rollback', requireProviderRamPermission('channel'), async (req, res) => {
+  try {
+    const channelId = parseInt(req.body.channel_id, 10);
+    const version = parseInt(req.body.version, 10);
+    if (!channelId || !version) {
+      return res.json({ code: -1, msg: '参数错误' });
+    }
+
+    const result = await channelConfigVersions.rollback(channelId, version, channelConfigVersions.getOperator(req));
+    if (result.error) {
+      return res.json({ code: -1, msg: result.error });
+    }
+
+    // 配置已变化，清除熔断状态重新放量
+    channelBreaker.reset(channelId);
+    res.json({ code: 0, msg: `已回滚到版本 ${version}`, data: { version: result.version } });
+  } catch (error) {
+    console.error('回滚通道配置错误:', error);
+    res.json({ code: -1, msg: '回滚失败' });
+  }
+});
+
 // 删除支付通道（软删除）（需要 channel 权限）
 router.post('/channels/delete', requireProviderRamPermission('channel'), async (req, res) => {
   try {
@@ -367,10 +854,15 @@ router.post('/channels/config', requireProviderRamPermission('channel'), async (
     const { channelId, config } = req.body;
 
     // 单服务商模式，不按 provider_id 过滤
+    const before = await channelConfigVersions.getCurrentSnapshot(channelId);
     await db.query(
       'UPDATE provider_channels SET config = ? WHERE id = ?',
       [JSON.stringify(config), channelId]
     );
+    if (before) {
+      await channelConfigVersions.recordChange(channelId, before, channelConfigVersions.ACTION.UPDATE, channelConfigVersions.getOperator(req));
+      channelBreaker.reset(channelId);
+    }
 
     res.json({ code: 0, msg: '配置保存成功' });
   } catch (error) {
@@ -12,20 +12,8 @@ const {
 } = require('../../utils/helpers');
 const { requireProviderRamPermission } = require('../auth');
 
-// 支付类型配置
-const payTypes = [
-  { id: 1, name: 'alipay', showname: '支付宝', status: 1 },
-  { id: 2, name: 'wxpay', showname: '微信支付', status: 1 },
-  { id: 3, name: 'qqpay', showname: 'QQ钱包', status: 1 },
-  { id: 4, name: 'bank', showname: '网银支付', status: 1 },
-  { id: 5, name: 'jdpay', showname: '京东支付', status: 1 },
-  { id: 6, name: 'paypal', showname: 'PayPal', status: 1 },
-  { id: 7, name: 'ecny', showname: '数字人民币', status: 1 }
-];
-
-function getAllPayTypes() {
-  return payTypes.filter(pt => pt.status === 1);
-}
+const { getAllPayTypes } = require('../../utils/payTypeRegistry');
+const merchantPayLimits = require('../../utils/merchantPayLimits');
 
 async function generateUniqueUsername() {
   while (true) {
@@ -41,7 +29,7 @@ router.get('/merchants', requireProviderRamPermission('merchant'), async (req, r
     const { page = 1, pageSize = 20, merchantId, name, status } = req.query;
 
     // 单服务商模式：merchants 表直接存储商户信息，排除管理员用户
-    let sql = `SELECT m.id, m.pid, m.user_id, m.fee_rate, m.fee_rates, m.fee_payer, m.status, m.pay_group_id,
+    let sql = `SELECT m.id, m.pid, m.user_id, m.fee_rate, m.fee_rates, m.fee_payer, m.status, m.pay_group_id, m.order_timeout, m.pay_limits,
                m.created_at, m.approved_at as joined_at,
                COALESCE(m.name, u.username) as name, m.remark, m.balance,
                u.username
@@ -160,6 +148,7 @@ router.get('/merchants', requireProviderRamPermission('merchant'), async (req, r
       return {
         ...merchant,
         fee_rates: merchantFeeRates,
+        pay_limits: merchantPayLimits.parseLimits(merchant.pay_limits),
         day_money: dayStats?.money || 0,
         yesterday_money: yesterdayStats?.money || 0,
         week_money: weekStats?.money || 0,
@@ -458,7 +447,7 @@ router.get('/merchants/stats', requireProviderRamPermission('merchant'), async (
 router.post('/merchants/update', requireProviderRamPermission('merchant'), async (req, res) => {
   try {
     const ramUser = req.ramUser;
-    const { merchant_id, merchant_user_id, merchant_record_id, remark, fee_rate, fee_rates, fee_payer, status, pay_group_id } = req.body;
+    const { merchant_id, merchant_user_id, merchant_record_id, remark, fee_rate, fee_rates, fee_payer, status, pay_group_id, order_timeout, pay_limits } = req.body;
 
     const merchantKey = parseInt(merchant_id, 10);
     const merchantUserId = parseInt(merchant_user_id, 10);
@@ -543,6 +532,30 @@ router.post('/merchants/update', requireProviderRamPermission('merchant'), async
       params.push(normalizedPayGroupId);
     }
     
+    // 订单超时时间：空值表示使用全局配置，0 表示不自动关闭
+    if (order_timeout !== undefined) {
+      const normalizedTimeout = (order_timeout === null || order_timeout === '')
+        ? null
+        : parseInt(order_timeout, 10);
+
+      if (normalizedTimeout !== null && (Number.isNaN(normalizedTimeout) || normalizedTimeout < 0 || normalizedTimeout > 43200)) {
+        return res.json({ code: -1, msg: '订单超时时间需在0-43200分钟之间' });
+      }
+
+      updates.push('order_timeout = ?');
+      params.push(normalizedTimeout);
+    }
+
+    // 支付限制（单笔上限、允许的支付方式、按支付方式每日限额）属于风控配置，需要 channel 权限
+    if (pay_limits !== undefined && hasChannelPermission) {
+      const limitResult = await merchantPayLimits.normalizeLimits(pay_limits);
+      if (limitResult.error) {
+        return res.json({ code: -1, msg: limitResult.error });
+      }
+      updates.push('pay_limits = ?');
+      params.push(limitResult.limits ? JSON.stringify(limitResult.limits) : null);
+    }
+
     // 状态修改只需要 merchant 权限
     if (status !== undefined) {
       // 新状态：inactive/active/paused（兼容 approved/disabled）
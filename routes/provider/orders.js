@@ -5,6 +5,13 @@ const express = require('express');
 const router = express.Router();
 const db = require('../../config/database');
 const payment = require('../../utils/payment');
+const notifyRetryService = require('../../utils/notifyRetryService');
+const { getNotifyAttempts } = require('../../utils/notify');
+const orderReconcileService = require('../../utils/orderReconcileService');
+const refundStatusService = require('../../utils/refundStatusService');
+const refundLedger = require('../../utils/refundLedger');
+const upstreamCallLogs = require('../../utils/upstreamCallLogs');
+const quotaService = require('../../utils/quotaService');
 const { requireProviderRamPermission } = require('../auth');
 
 // 获取交易流水（需要 order 权限）
@@ -24,6 +31,9 @@ router.get('/orders', requireProviderRamPermission('order'), async (req, res) =>
                o.money, o.fee_money as fee, o.notify_url, o.return_url,
                o.status, o.order_type, o.created_at, o.paid_at, 
                o.notify_status, o.notify_count, o.notify_time, o.merchant_confirm,
+               (SELECT nq.next_time FROM notify_queue nq
+                 WHERE nq.notify_type = 'payment' AND nq.biz_no = o.trade_no AND nq.status = 0
+                 LIMIT 1) AS notify_next_time,
                o.direct_mode, o.direct_token,
                o.refund_status, o.refund_money, o.refund_no, o.refund_at, o.refund_reason,
                u.username as merchant_name,
@@ -130,6 +140,59 @@ router.get('/orders', requireProviderRamPermission('order'), async (req, res) =>
   }
 });
 
+// 获取订单详情（含回调投递记录）（需要 order 权限）
+router.get('/orders/detail', requireProviderRamPermission('order'), async (req, res) => {
+  try {
+    const { trade_no } = req.query;
+
+    if (!trade_no) {
+      return res.json({ code: -1, msg: '订单号不能为空' });
+    }
+
+    const [orders] = await db.query(
+      `SELECT o.*, u.username as merchant_name, m.pid as merchant_pid,
+              pc.channel_name as channel_name, pc.plugin_name as channel_plugin
+       FROM orders o
+       LEFT JOIN users u ON o.merchant_id = u.id
+       LEFT JOIN merchants m ON o.merchant_id = m.user_id
+       LEFT JOIN provider_channels pc ON o.channel_id = pc.id
+       WHERE o.trade_no = ?
+       LIMIT 1`,
+      [trade_no]
+    );
+
+    if (orders.length === 0) {
+      return res.json({ code: -1, msg: '订单不存在' });
+    }
+
+    const order = orders[0];
+    const [queueRows] = await db.query(
+      `SELECT notify_type, biz_no, attempts, status, next_time, last_error, updated_at
+       FROM notify_queue WHERE trade_no = ? ORDER BY id ASC`,
+      [order.trade_no]
+    );
+    const notifyAttempts = await getNotifyAttempts(order.trade_no);
+    const refunds = await refundLedger.listRefunds(order.id);
+    const refundSummary = await refundLedger.getRefundSummary(db, order);
+    const upstreamCalls = await upstreamCallLogs.listByTradeNo(order.trade_no);
+
+    res.json({
+      code: 0,
+      data: {
+        order,
+        notify_queue: queueRows,
+        notify_attempts: notifyAttempts,
+        refunds,
+        refund_summary: refundSummary,
+        upstream_calls: upstreamCalls
+      }
+    });
+  } catch (error) {
+    console.error('获取订单详情错误:', error);
+    res.json({ code: -1, msg: '获取订单详情失败' });
+  }
+});
+
 // 强制完成订单（需要 order 权限）
 router.post('/orders/force-complete', requireProviderRamPermission('order'), async (req, res) => {
   try {
@@ -197,6 +260,9 @@ router.post('/orders/force-complete', requireProviderRamPermission('order'), asy
       connection.release();
     }
 
+    // 额度占用已过期释放或随关单释放的订单，补记用量
+    await quotaService.restoreOnPaid(order.trade_no);
+
     // 获取商户密钥用于签名
     const [merchants] = await db.query(
       'SELECT api_key, pid FROM merchants WHERE user_id = ?',
@@ -211,11 +277,12 @@ router.post('/orders/force-complete', requireProviderRamPermission('order'), asy
       
       // 发送回调并更新状态
       if (order.notify_url) {
-        const success = await payment.sendNotify(order.notify_url, notifyParams);
-        await db.query(
-          'UPDATE orders SET notify_status = ?, notify_count = notify_count + 1, notify_time = NOW() WHERE id = ?',
-          [success ? 1 : 2, order.id]
-        );
+        await notifyRetryService.enqueue({
+          orderId: order.id,
+          tradeNo: order.trade_no,
+          notifyUrl: order.notify_url,
+          params: notifyParams
+        });
       }
     }
 
@@ -268,6 +335,7 @@ async function confirmPaymentHandler(req, res) {
         'UPDATE orders SET notify_status = 1, notify_time = NOW() WHERE id = ?',
         [order.id]
       );
+      await notifyRetryService.cancel('payment', order.trade_no);
       return res.json({ code: 0, msg: '确认支付成功' });
     }
 
@@ -286,12 +354,13 @@ async function confirmPaymentHandler(req, res) {
     // 构建回调参数（带签名）
     const notifyParams = payment.buildCallbackParams(order, merchant.api_key, merchant.pid);
     
-    // 发送回调并更新状态
-    const success = await payment.sendNotify(order.notify_url, notifyParams);
-    await db.query(
-      'UPDATE orders SET notify_status = ?, notify_count = notify_count + 1, notify_time = NOW() WHERE id = ?',
-      [success ? 1 : 2, order.id]
-    );
+    // 发送回调并更新状态（失败后由通知队列继续重试）
+    const { success } = await notifyRetryService.enqueue({
+      orderId: order.id,
+      tradeNo: order.trade_no,
+      notifyUrl: order.notify_url,
+      params: notifyParams
+    });
 
     if (success) {
       res.json({ code: 0, msg: '确认支付成功' });
@@ -304,6 +373,96 @@ async function confirmPaymentHandler(req, res) {
   }
 }
 
+// 从上游同步订单状态（调用通道插件查单，已支付则补单）（需要 order 权限）
+router.post('/orders/sync-upstream', requireProviderRamPermission('order'), async (req, res) => {
+  try {
+    const { trade_no } = req.body;
+
+    if (!trade_no) {
+      return res.json({ code: -1, msg: '订单号不能为空' });
+    }
+
+    const [orders] = await db.query('SELECT * FROM orders WHERE trade_no = ?', [trade_no]);
+    if (orders.length === 0) {
+      return res.json({ code: -1, msg: '订单不存在' });
+    }
+
+    const result = await orderReconcileService.syncOrder(orders[0]);
+    if (result.code !== 0) {
+      return res.json(result);
+    }
+
+    let msg = `上游订单状态：${result.data.upstream_state}`;
+    if (result.data.completed) {
+      msg = '上游显示已支付，订单已补单';
+    } else if (result.data.upstream_paid) {
+      msg = '上游显示已支付，本地订单无需补单';
+    }
+
+    res.json({ code: 0, msg, data: result.data });
+  } catch (error) {
+    console.error('同步上游订单错误:', error);
+    res.json({ code: -1, msg: '操作失败' });
+  }
+});
+
+// 查询处理中退款的上游结果（需要 order 权限）
+router.post('/orders/refund-sync', requireProviderRamPermission('order'), async (req, res) => {
+  try {
+    const { refund_no } = req.body;
+
+    if (!refund_no) {
+      return res.json({ code: -1, msg: '退款单号不能为空' });
+    }
+
+    const [refunds] = await db.query('SELECT * FROM order_refunds WHERE refund_no = ?', [refund_no]);
+    if (refunds.length === 0) {
+      return res.json({ code: -1, msg: '退款记录不存在' });
+    }
+    if (Number(refunds[0].status) !== refundLedger.REFUND_STATUS.PROCESSING) {
+      return res.json({ code: -1, msg: '该退款已完成，无需查询' });
+    }
+
+    const result = await refundStatusService.syncRefund(refunds[0]);
+    if (result.code !== 0) {
+      return res.json(result);
+    }
+
+    const statusText = { 0: '处理中', 1: '退款成功', 2: '退款失败' };
+    res.json({ code: 0, msg: `上游退款状态：${statusText[result.data.status]}`, data: result.data });
+  } catch (error) {
+    console.error('查询退款状态错误:', error);
+    res.json({ code: -1, msg: '操作失败' });
+  }
+});
+
+// 人工确认处理中退款的结果（需要 order 权限）
+// 上游无法查询或长时间未回调的退款由管理员核实后确认成功或失败，失败时退回商户余额
+router.post('/orders/refund-resolve', requireProviderRamPermission('order'), async (req, res) => {
+  try {
+    const { refund_no, status, remark } = req.body;
+
+    if (!refund_no) {
+      return res.json({ code: -1, msg: '退款单号不能为空' });
+    }
+
+    const [refunds] = await db.query('SELECT * FROM order_refunds WHERE refund_no = ?', [refund_no]);
+    if (refunds.length === 0) {
+      return res.json({ code: -1, msg: '退款记录不存在' });
+    }
+
+    const result = await refundStatusService.resolveManually(refunds[0], parseInt(status, 10), remark ? String(remark) : '');
+    if (result.code !== 0) {
+      return res.json(result);
+    }
+
+    res.json({ code: 0, msg: '退款结果已确认' });
+  } catch (error) {
+    console.error('确认退款结果错误:', error);
+    res.json({ code: -1, msg: '操作失败' });
+  }
+});
+
 router.post('/orders/confirm-payment', requireProviderRamPermission('order'), confirmPaymentHandler);
 // 兼容旧入口
 router.post('/orders/notify', requireProviderRamPermission('order'), confirmPaymentHandler);
@@ -329,155 +488,98 @@ router.post('/orders/refund', requireProviderRamPermission('order'), async (req,
 
     const order = orders[0];
 
-    // 检查订单状态：已支付(1)、已退款但有剩余(2)、已冻结(3) 可以退款
+    // 检查订单状态：已支付(1)、已退款但有剩余(2)、已冻结(3) 可以退款（预留退款时加锁后会再次校验）
     if (![1, 2, 3].includes(order.status)) {
       return res.json({ code: 1, msg: '订单状态不允许退款' });
     }
 
-    // 已退款订单检查剩余可退金额
-    const refundedMoney = parseFloat(order.refund_money || 0);
-    const realMoney = parseFloat(order.real_money || order.money);
-    
-    if (order.status === 2 && refundedMoney >= realMoney) {
-      return res.json({ code: 1, msg: '订单已全额退款' });
-    }
-
-    // 计算退款金额
-    const maxRefund = order.status === 2 ? (realMoney - refundedMoney) : realMoney;
-    const refundMoney = money ? Math.min(parseFloat(money), maxRefund) : maxRefund;
-    
-    if (refundMoney <= 0) {
-      return res.json({ code: 1, msg: '退款金额无效' });
-    }
-
-    // 生成退款单号
-    const refundNo = 'R' + Date.now() + Math.random().toString(36).substr(2, 6).toUpperCase();
-
-    // 计算需要扣减的商户余额（管理员退款不检查余额，可以为负）
-    // 逻辑：退款扣除商户实收金额，即订单金额减去手续费
-    // 例如：订单10元，手续费1元，商户实收9元，退款时扣9元
-    let reduceMoney;
-    const orderMoney = parseFloat(order.money);
-    const feeMoney = parseFloat(order.fee_money || 0);
-    const merchantReceived = orderMoney - feeMoney;  // 商户实收金额
-    
-    if (order.status === 3) {
-      // 已冻结订单不扣余额
-      reduceMoney = 0;
-    } else if (refundMoney >= orderMoney) {
-      // 全额退款：扣除商户实收金额
-      reduceMoney = merchantReceived;
-    } else {
-      // 部分退款：按比例扣除（退款金额/订单金额 * 实收金额）
-      reduceMoney = (refundMoney / orderMoney) * merchantReceived;
-    }
-    
-    reduceMoney = Math.round(reduceMoney * 100) / 100;  // 保留2位小数
-
-    // 如果有上游交易号，尝试调用插件退款
-    let pluginRefundSuccess = false;
+    // 有上游交易号且插件支持时原路退款，否则只更新本地状态
+    let channel = null;
+    let pluginLoader = null;
     if (order.api_trade_no && order.channel_id) {
       const [channels] = await db.query('SELECT * FROM provider_channels WHERE id = ?', [order.channel_id]);
       if (channels.length > 0) {
-        const channel = channels[0];
-        const pluginLoader = require('../../plugins');
-        const plugin = pluginLoader.getPlugin(channel.plugin_name);
-        
+        pluginLoader = require('../../plugins');
+        const plugin = pluginLoader.getPlugin(channels[0].plugin_name);
+        if (plugin && !(await pluginLoader.isPluginEnabled(channels[0].plugin_name))) {
+          return res.json({ code: 1, msg: '支付插件已停用，暂无法原路退款' });
+        }
         if (plugin && typeof plugin.refund === 'function') {
-          try {
-            let channelConfig;
-            try {
-              channelConfig = channel.config ? JSON.parse(channel.config) : {};
-            } catch (e) {
-              channelConfig = {};
-            }
-            
-            const fullConfig = {
-              ...channelConfig,
-              appid: channel.app_id,
-              appmchid: channel.app_mch_id,
-              appkey: channel.app_key,
-              appsecret: channel.app_secret
-            };
-
-            const refundResult = await plugin.refund(fullConfig, {
-              trade_no: order.trade_no,
-              api_trade_no: order.api_trade_no,
-              refund_no: refundNo,
-              refund_money: refundMoney,
-              total_money: realMoney
-            });
-
-            if (refundResult.code === 0) {
-              pluginRefundSuccess = true;
-            } else {
-              console.warn('插件退款失败:', refundResult.msg);
-            }
-          } catch (pluginError) {
-            console.warn('调用退款插件异常:', pluginError.message);
-          }
+          channel = channels[0];
         }
       }
     }
 
-    // 使用事务处理余额扣减和订单状态更新
-    const connection = await db.getConnection();
-    try {
-      await connection.beginTransaction();
+    // 锁定订单并预留退款（按台账计算可退余额，金额为空或超出时按可退余额退款）
+    // 管理员退款不检查余额，可以为负；退款扣除商户实收金额，即订单金额减去手续费
+    const reserved = await refundLedger.reserveRefund(order.id, {
+      money,
+      capToRefundable: true,
+      checkBalance: false,
+      reason: '管理员退款',
+      operator: req.ramUser ? String(req.ramUser.user_id) : String(req.user.user_id),
+      operatorType: 'admin'
+    });
+    if (reserved.code !== 0) {
+      return res.json({ code: 1, msg: reserved.msg });
+    }
+    const { refund } = reserved;
 
-      // 扣减商户余额（管理员退款不检查余额，可以为负）
-      if (reduceMoney > 0) {
-        await connection.query(
-          'UPDATE merchants SET balance = balance - ? WHERE user_id = ?',
-          [reduceMoney, order.merchant_id]
-        );
+    let pluginRefundSuccess = false;
+    let apiRefundNo = null;
+    let refundStatus = refundLedger.REFUND_STATUS.SUCCESS;
+    if (channel) {
+      try {
+        const refundResult = await pluginLoader.callPluginMethod(channel.plugin_name, 'refund', pluginLoader.buildChannelConfig(channel), {
+          trade_no: order.trade_no,
+          api_trade_no: order.api_trade_no,
+          refund_no: refund.refund_no,
+          refund_money: refund.money,
+          total_money: reserved.total
+        });
+
+        if (refundResult && refundResult.code === 0) {
+          pluginRefundSuccess = true;
+          apiRefundNo = refundLedger.pickApiRefundNo(refundResult);
+          refundStatus = refundLedger.resolveRefundStatus(refundResult);
+        } else {
+          console.warn('插件退款失败:', refundResult && refundResult.msg);
+        }
+      } catch (pluginError) {
+        console.warn('调用退款插件异常:', pluginError.message);
       }
-
-      // 更新订单状态
-      const newRefundMoney = refundedMoney + refundMoney;
-      await connection.query(
-        `UPDATE orders SET status = 2, refund_status = 1, refund_no = ?, refund_money = ?, refund_at = NOW() WHERE id = ?`,
-        [refundNo, newRefundMoney, order.id]
-      );
-
-      await connection.commit();
-    } catch (txError) {
-      await connection.rollback();
-      throw txError;
-    } finally {
-      connection.release();
     }
 
-    // 获取商户密钥
-    const [merchants] = await db.query(
-      'SELECT api_key, pid FROM merchants WHERE user_id = ?',
-      [order.merchant_id]
-    );
-
-    // 发送退款回调通知（如果有回调地址）
-    if (order.notify_url && merchants.length > 0) {
-      const merchant = merchants[0];
-      const notifyParams = payment.buildCallbackParams({
-        pid: merchant.pid,
-        trade_no: order.trade_no,
-        out_trade_no: order.out_trade_no,
-        type: order.pay_type || 'unknown',
-        name: order.name || '',
-        money: parseFloat(order.money).toFixed(2),
-        trade_status: 'REFUND',
-        refund_no: refundNo
-      }, merchant.api_key);
-
-      // 异步发送回调
-      payment.sendNotify(order.notify_url, notifyParams).catch(err => {
-        console.error('发送退款回调失败:', err);
+    const isProcessing = refundStatus === refundLedger.REFUND_STATUS.PROCESSING;
+    if (!pluginRefundSuccess) {
+      // 未能原路退回时按管理员确认处理，只更新本地状态
+      await db.query('UPDATE order_refunds SET reason = ? WHERE id = ?', ['管理员退款（仅更新状态）', refund.id]);
+    }
+    if (isProcessing) {
+      await refundLedger.markRefundAccepted(refund, apiRefundNo);
+    } else {
+      // 终结退款并发送退款结果通知
+      await refundLedger.finishRefund(refund, refundStatus, {
+        apiRefundNo,
+        errorMsg: refundStatus === refundLedger.REFUND_STATUS.FAILED ? '上游退款失败' : null
       });
     }
 
+    if (refundStatus === refundLedger.REFUND_STATUS.FAILED) {
+      return res.json({ code: 1, msg: '退款失败：上游退款失败' });
+    }
+
     res.json({ 
       code: 0, 
-      msg: pluginRefundSuccess ? '退款成功（已原路退回）' : '退款成功（仅更新状态）',
-      data: { refundNo, refundMoney: refundMoney.toFixed(2), reduceMoney: reduceMoney.toFixed(2) }
+      msg: isProcessing
+        ? '退款已受理，等待上游处理'
+        : (pluginRefundSuccess ? '退款成功（已原路退回）' : '退款成功（仅更新状态）'),
+      data: {
+        refundNo: refund.refund_no,
+        refundStatus,
+        refundMoney: refund.money.toFixed(2),
+        reduceMoney: refund.reduce_money.toFixed(2)
+      }
     });
   } catch (error) {
     console.error('退款订单错误:', error);
@@ -26,7 +26,22 @@ router.get('/system/config', requireProviderRamPermission('settings'), async (re
       test_pay_enabled: allConfig.test_pay_enabled || '0',
       test_pay_group_id: allConfig.test_pay_group_id || '',
       test_pay_max_amount: allConfig.test_pay_max_amount || '50000',
-      test_pay_auto_refund: allConfig.test_pay_auto_refund || '0'
+      test_pay_auto_refund: allConfig.test_pay_auto_refund || '0',
+      order_reconcile_enabled: allConfig.order_reconcile_enabled || '1',
+      order_reconcile_minutes: allConfig.order_reconcile_minutes || '30',
+      order_timeout_minutes: allConfig.order_timeout_minutes || '0',
+      smart_route_minutes: allConfig.smart_route_minutes || '30',
+      smart_route_min_samples: allConfig.smart_route_min_samples || '10',
+      smart_route_collapse_percent: allConfig.smart_route_collapse_percent || '10',
+      smart_route_probe_percent: allConfig.smart_route_probe_percent || '5',
+      channel_breaker_failures: allConfig.channel_breaker_failures || '5',
+      channel_breaker_cooldown: allConfig.channel_breaker_cooldown || '300',
+      plugin_isolation_enabled: allConfig.plugin_isolation_enabled || '1',
+      plugin_call_timeout: allConfig.plugin_call_timeout || '20',
+      plugin_max_concurrency: allConfig.plugin_max_concurrency || '20',
+      upstream_log_retention_days: allConfig.upstream_log_retention_days || '7',
+      notify_log_retention_days: allConfig.notify_log_retention_days || '30',
+      submit_log_retention_days: allConfig.submit_log_retention_days || '7'
     };
     
     res.json({ code: 0, data: paymentConfig });
@@ -52,8 +67,102 @@ router.post('/system/config', requireProviderRamPermission('settings'), async (r
       test_pay_enabled,
       test_pay_group_id,
       test_pay_max_amount,
-      test_pay_auto_refund
+      test_pay_auto_refund,
+      order_reconcile_enabled,
+      order_reconcile_minutes,
+      order_timeout_minutes,
+      smart_route_minutes,
+      smart_route_min_samples,
+      smart_route_collapse_percent,
+      smart_route_probe_percent,
+      channel_breaker_failures,
+      channel_breaker_cooldown,
+      plugin_isolation_enabled,
+      plugin_call_timeout,
+      plugin_max_concurrency,
+      upstream_log_retention_days,
+      notify_log_retention_days,
+      submit_log_retention_days
     } = req.body;
+
+    if (order_reconcile_minutes !== undefined) {
+      const minutes = parseInt(order_reconcile_minutes, 10);
+      if (!Number.isFinite(minutes) || minutes < 1 || minutes > 1440) {
+        return res.json({ code: -1, msg: '主动查单时间窗口需在1-1440分钟之间' });
+      }
+    }
+    if (order_timeout_minutes !== undefined) {
+      const minutes = parseInt(order_timeout_minutes, 10);
+      if (!Number.isFinite(minutes) || minutes < 0 || minutes > 43200) {
+        return res.json({ code: -1, msg: '订单超时时间需在0-43200分钟之间' });
+      }
+    }
+    if (smart_route_minutes !== undefined) {
+      const minutes = parseInt(smart_route_minutes, 10);
+      if (!Number.isFinite(minutes) || minutes < 1 || minutes > 1440) {
+        return res.json({ code: -1, msg: '智能路由统计窗口需在1-1440分钟之间' });
+      }
+    }
+    if (smart_route_min_samples !== undefined) {
+      const samples = parseInt(smart_route_min_samples, 10);
+      if (!Number.isFinite(samples) || samples < 1 || samples > 10000) {
+        return res.json({ code: -1, msg: '智能路由最小样本数需在1-10000之间' });
+      }
+    }
+    if (smart_route_collapse_percent !== undefined) {
+      const percent = parseInt(smart_route_collapse_percent, 10);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        return res.json({ code: -1, msg: '智能路由降级阈值需在0-100之间' });
+      }
+    }
+    if (smart_route_probe_percent !== undefined) {
+      const percent = parseInt(smart_route_probe_percent, 10);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        return res.json({ code: -1, msg: '智能路由探测流量比例需在0-100之间' });
+      }
+    }
+    if (channel_breaker_failures !== undefined) {
+      const failures = parseInt(channel_breaker_failures, 10);
+      if (!Number.isFinite(failures) || failures < 0 || failures > 1000) {
+        return res.json({ code: -1, msg: '通道熔断失败次数需在0-1000之间' });
+      }
+    }
+    if (channel_breaker_cooldown !== undefined) {
+      const seconds = parseInt(channel_breaker_cooldown, 10);
+      if (!Number.isFinite(seconds) || seconds < 10 || seconds > 86400) {
+        return res.json({ code: -1, msg: '通道熔断冷却时间需在10-86400秒之间' });
+      }
+    }
+    if (plugin_call_timeout !== undefined) {
+      const seconds = parseInt(plugin_call_timeout, 10);
+      if (!Number.isFinite(seconds) || seconds < 1 || seconds > 300) {
+        return res.json({ code: -1, msg: '插件调用超时时间需在1-300秒之间' });
+      }
+    }
+    if (plugin_max_concurrency !== undefined) {
+      const concurrency = parseInt(plugin_max_concurrency, 10);
+      if (!Number.isFinite(concurrency) || concurrency < 1 || concurrency > 1000) {
+        return res.json({ code: -1, msg: '单个插件并发调用上限需在1-1000之间' });
+      }
+    }
+    if (upstream_log_retention_days !== undefined) {
+      const days = parseInt(upstream_log_retention_days, 10);
+      if (!Number.isFinite(days) || days < 1 || days > 365) {
+        return res.json({ code: -1, msg: '上游调用日志保留天数需在1-365之间' });
+      }
+    }
+    if (notify_log_retention_days !== undefined) {
+      const days = parseInt(notify_log_retention_days, 10);
+      if (!Number.isFinite(days) || days < 1 || days > 365) {
+        return res.json({ code: -1, msg: '通知投递日志保留天数需在1-365之间' });
+      }
+    }
+    if (submit_log_retention_days !== undefined) {
+      const days = parseInt(submit_log_retention_days, 10);
+      if (!Number.isFinite(days) || days < 2 || days > 365) {
+        return res.json({ code: -1, msg: '通道提交日志保留天数需在2-365之间' });
+      }
+    }
     
     // 更新配置
     if (order_name_template !== undefined) {
@@ -95,6 +204,51 @@ router.post('/system/config', requireProviderRamPermission('settings'), async (r
     if (test_pay_auto_refund !== undefined) {
       await systemConfig.setConfig('test_pay_auto_refund', String(test_pay_auto_refund || '0'), '测试支付成功后自动秒退(0=否,1=是)');
     }
+    if (order_reconcile_enabled !== undefined) {
+      await systemConfig.setConfig('order_reconcile_enabled', String(order_reconcile_enabled), '未支付订单主动查单(0=关闭,1=开启)');
+    }
+    if (order_reconcile_minutes !== undefined) {
+      await systemConfig.setConfig('order_reconcile_minutes', String(parseInt(order_reconcile_minutes, 10)), '主动查单时间窗口（分钟）');
+    }
+    if (order_timeout_minutes !== undefined) {
+      await systemConfig.setConfig('order_timeout_minutes', String(parseInt(order_timeout_minutes, 10)), '未支付订单超时自动关闭（分钟，0=不关闭）');
+    }
+    if (smart_route_minutes !== undefined) {
+      await systemConfig.setConfig('smart_route_minutes', String(parseInt(smart_route_minutes, 10)), '智能路由成功率统计窗口（分钟）');
+    }
+    if (smart_route_min_samples !== undefined) {
+      await systemConfig.setConfig('smart_route_min_samples', String(parseInt(smart_route_min_samples, 10)), '智能路由判定降级的最小样本数');
+    }
+    if (smart_route_collapse_percent !== undefined) {
+      await systemConfig.setConfig('smart_route_collapse_percent', String(parseInt(smart_route_collapse_percent, 10)), '智能路由降级阈值（健康评分百分比，低于则只分配探测流量）');
+    }
+    if (smart_route_probe_percent !== undefined) {
+      await systemConfig.setConfig('smart_route_probe_percent', String(parseInt(smart_route_probe_percent, 10)), '智能路由降级通道探测流量比例（百分比）');
+    }
+    if (channel_breaker_failures !== undefined) {
+      await systemConfig.setConfig('channel_breaker_failures', String(parseInt(channel_breaker_failures, 10)), '通道连续提交异常多少次后熔断（0=关闭熔断）');
+    }
+    if (channel_breaker_cooldown !== undefined) {
+      await systemConfig.setConfig('channel_breaker_cooldown', String(parseInt(channel_breaker_cooldown, 10)), '通道熔断冷却时间（秒），到期后放行一笔试探订单');
+    }
+    if (plugin_isolation_enabled !== undefined) {
+      await systemConfig.setConfig('plugin_isolation_enabled', String(plugin_isolation_enabled), '插件在独立工作线程中执行(0=关闭,1=开启)');
+    }
+    if (plugin_call_timeout !== undefined) {
+      await systemConfig.setConfig('plugin_call_timeout', String(parseInt(plugin_call_timeout, 10)), '插件单次调用超时时间（秒，含排队时间）');
+    }
+    if (plugin_max_concurrency !== undefined) {
+      await systemConfig.setConfig('plugin_max_concurrency', String(parseInt(plugin_max_concurrency, 10)), '单个插件同时在途的调用数上限，超出排队');
+    }
+    if (upstream_log_retention_days !== undefined) {
+      await systemConfig.setConfig('upstream_log_retention_days', String(parseInt(upstream_log_retention_days, 10)), '插件上游调用日志保留天数');
+    }
+    if (notify_log_retention_days !== undefined) {
+      await systemConfig.setConfig('notify_log_retention_days', String(parseInt(notify_log_retention_days, 10)), '商户通知投递日志保留天数');
+    }
+    if (submit_log_retention_days !== undefined) {
+      await systemConfig.setConfig('submit_log_retention_days', String(parseInt(submit_log_retention_days, 10)), '通道上游提交日志保留天数（智能路由与健康面板统计用）');
+    }
 
     // 同步前台站点配置文件（dist/site-config.json）
     try {
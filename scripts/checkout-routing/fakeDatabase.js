@@ -0,0 +1,65 @@
+/**
+ * 内存数据库替身（仅供下单选路测试使用）
+ * 按 SQL 片段匹配规则返回预置数据，未匹配的 SELECT 返回空结果、写操作返回成功，
+ * 写入 orders 的参数记录在 inserts 中供断言
+ */
+class FakeDatabase {
+  constructor() {
+    this.rules = [];
+    this.inserts = [];
+    this.queries = [];
+  }
+
+  /**
+   * 注册查询规则：SQL 匹配 pattern 时返回 handler(params) 的结果（行数组或写操作结果）
+   */
+  on(pattern, handler) {
+    this.rules.unshift({ pattern, handler });
+    return this;
+  }
+
+  reset() {
+    this.rules = [];
+    this.inserts = [];
+    this.queries = [];
+  }
+
+  async query(sql, params = []) {
+    const text = typeof sql === 'string' ? sql : sql.sql;
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    this.queries.push(normalized);
+
+    for (const rule of this.rules) {
+      if (rule.pattern.test(normalized)) {
+        const result = rule.handler(params, normalized);
+        return [result, []];
+      }
+    }
+
+    if (/^INSERT INTO orders\b/i.test(normalized)) {
+      this.inserts.push({ sql: normalized, params });
+      return [{ affectedRows: 1, insertId: this.inserts.length }, []];
+    }
+    if (/^\s*(SELECT|SHOW)\b/i.test(normalized)) {
+      return [[], []];
+    }
+    return [{ affectedRows: 1, insertId: 0 }, []];
+  }
+
+  async execute(sql, params) {
+    return this.query(sql, params);
+  }
+
+  async getConnection() {
+    return {
+      query: (sql, params) => this.query(sql, params),
+      execute: (sql, params) => this.query(sql, params),
+      beginTransaction: async () => {},
+      commit: async () => {},
+      rollback: async () => {},
+      release: () => {}
+    };
+  }
+}
+
+module.exports = FakeDatabase;
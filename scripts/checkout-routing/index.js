@@ -0,0 +1,206 @@
+/**
+ * 下单选路测试：停用插件后真实下单流程不再选中其通道，回调也不再处理
+ *
+ * 用法：node scripts/checkout-routing
+ *
+ * 用内存数据库替身（fakeDatabase.js）替换 config/database，挂载 routes/pay.js，
+ * 按商户接入方式签名请求 /api/pay/submit 和 /api/pay/notify，检查：
+ * 1. 支付组内插件已停用的通道被跳过，订单落在启用插件的通道上
+ * 2. 全部通道的插件都已停用时拒绝下单
+ * 3. 通过 channel_id 指定插件已停用的通道时拒绝下单
+ * 4. 插件停用后该通道订单的支付回调应答 fail，不更新订单
+ * 不连接真实数据库，也不会请求上游；任一检查失败时退出码为 1
+ */
+const path = require('path');
+const FakeDatabase = require('./fakeDatabase');
+
+const ROOT = path.join(__dirname, '../..');
+const fakeDb = new FakeDatabase();
+const dbModulePath = require.resolve(path.join(ROOT, 'config/database'));
+require.cache[dbModulePath] = { id: dbModulePath, filename: dbModulePath, loaded: true, exports: fakeDb };
+
+const express = require('express');
+const pluginLoader = require('../../utils/pluginLoader');
+const pluginHttp = require('../../utils/pluginHttp');
+const systemConfig = require('../../utils/systemConfig');
+const { makeSignMD5 } = require('../../utils/payment');
+const payRoutes = require('../../routes/pay');
+
+const MERCHANT = {
+  user_id: 1001,
+  pid: '1001',
+  api_key: 'checkout-routing-key',
+  status: 'active',
+  pay_group_id: 1,
+  fee_payer: 'merchant'
+};
+
+// 两个同时支持支付宝的通道：1 号通道的插件会被停用
+const CHANNELS = [
+  { id: 1, plugin_name: 'alipay', channel_name: '支付宝官方', pay_type: 'alipay', status: 1, config: '{}', min_money: 0, max_money: 0 },
+  { id: 2, plugin_name: 'epay', channel_name: '易支付', pay_type: 'alipay', status: 1, config: '{}', min_money: 0, max_money: 0 }
+];
+
+// 支付宝（pay_types.id = 1）首个可用模式，通道按 id 顺序排列，1 号通道在前
+const PAY_GROUP = {
+  id: 1,
+  name: '默认组',
+  is_default: 1,
+  config: JSON.stringify({ 1: { channel_mode: -5 } })
+};
+
+class Reporter {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  check(label, problem) {
+    if (problem) {
+      this.failed += 1;
+      console.log(`  ✗ ${label}: ${problem}`);
+    } else {
+      this.passed += 1;
+      console.log(`  ✓ ${label}`);
+    }
+  }
+}
+
+function seedDatabase(settings) {
+  fakeDb.reset();
+  fakeDb
+    .on(/^SELECT config_key, config_value FROM system_config/, () =>
+      Object.entries(settings).map(([config_key, config_value]) => ({ config_key, config_value })))
+    .on(/^INSERT INTO system_config/, (params) => {
+      settings[params[0]] = params[1];
+      return { affectedRows: 1 };
+    })
+    .on(/FROM merchants pm WHERE pm\.pid = \?/, params => (params[0] === MERCHANT.pid ? [{ ...MERCHANT }] : []))
+    .on(/FROM provider_pay_groups WHERE id = \?/, params => (Number(params[0]) === PAY_GROUP.id ? [{ ...PAY_GROUP }] : []))
+    .on(/FROM provider_pay_groups WHERE is_default = 1/, () => [{ ...PAY_GROUP }])
+    .on(/FROM provider_channels WHERE FIND_IN_SET\(\?, pay_type\)/, params =>
+      CHANNELS.filter(channel => channel.pay_type.split(',').includes(params[0])).map(channel => ({ ...channel })))
+    .on(/FROM provider_channels WHERE id = \?/, params =>
+      CHANNELS.filter(channel => channel.id === Number(params[0])).map(channel => ({ ...channel })))
+    // 额度计数器视为已存在且未设上限
+    .on(/^SELECT id FROM quota_counters WHERE/, () => [{ id: 1 }]);
+  systemConfig.clearCache();
+}
+
+function signedSubmitParams(overrides = {}) {
+  const params = {
+    pid: MERCHANT.pid,
+    type: 'alipay',
+    out_trade_no: `CR${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    notify_url: 'http://merchant.example.com/notify',
+    return_url: 'http://merchant.example.com/return',
+    name: '选路测试商品',
+    money: '10.00',
+    ...overrides
+  };
+  params.sign = makeSignMD5(params, MERCHANT.api_key);
+  params.sign_type = 'MD5';
+  return params;
+}
+
+async function post(baseUrl, route, params) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString(),
+    redirect: 'manual'
+  });
+  return { status: response.status, location: response.headers.get('location'), text: await response.text() };
+}
+
+/**
+ * 取最近一次写入 orders 的通道ID（按 INSERT 列名定位参数）
+ */
+function insertedChannelId() {
+  const insert = fakeDb.inserts[fakeDb.inserts.length - 1];
+  if (!insert) {
+    return null;
+  }
+  const columns = insert.sql.match(/INSERT INTO orders \(([^)]+)\)/i)[1].split(',').map(column => column.trim());
+  return insert.params[columns.indexOf('channel_id')];
+}
+
+async function run(baseUrl, reporter) {
+  console.log('\n[checkout] 支付组选路');
+
+  seedDatabase({});
+  let result = await post(baseUrl, '/api/pay/submit', signedSubmitParams());
+  reporter.check('插件均启用时选中首个通道', result.status === 302 && insertedChannelId() === 1
+    ? null
+    : `状态 ${result.status}，通道 ${insertedChannelId()}，${result.text.slice(0, 80)}`);
+
+  seedDatabase({});
+  await pluginLoader.setEnabled('alipay', false);
+  result = await post(baseUrl, '/api/pay/submit', signedSubmitParams());
+  reporter.check('跳过插件已停用的通道', result.status === 302 && insertedChannelId() === 2
+    ? null
+    : `状态 ${result.status}，通道 ${insertedChannelId()}，${result.text.slice(0, 80)}`);
+
+  result = await post(baseUrl, '/api/pay/submit', signedSubmitParams({ channel_id: '1' }));
+  reporter.check('拒绝指定插件已停用的通道', result.status === 400 && fakeDb.inserts.length === 1
+    ? null
+    : `状态 ${result.status}，${result.text.slice(0, 80)}`);
+
+  await pluginLoader.setEnabled('epay', false);
+  fakeDb.inserts = [];
+  result = await post(baseUrl, '/api/pay/submit', signedSubmitParams());
+  reporter.check('插件全部停用时拒绝下单', result.status === 400 && fakeDb.inserts.length === 0
+    ? null
+    : `状态 ${result.status}，${result.text.slice(0, 80)}`);
+
+  console.log('\n[checkout] 停用后的回调');
+
+  const order = {
+    id: 1,
+    trade_no: '2026101912000000001',
+    merchant_id: MERCHANT.user_id,
+    channel_id: 1,
+    plugin_name: 'alipay',
+    money: '10.00',
+    real_money: '10.00',
+    status: 0
+  };
+  fakeDb.on(/FROM orders WHERE trade_no = \?/, params => (params[0] === order.trade_no ? [{ ...order }] : []));
+  const queryCount = fakeDb.queries.length;
+  result = await post(baseUrl, `/api/pay/notify/${order.trade_no}`, { out_trade_no: order.trade_no, trade_status: 'TRADE_SUCCESS' });
+  const orderUpdated = fakeDb.queries.slice(queryCount).some(sql => /^UPDATE orders/i.test(sql));
+  reporter.check('插件停用时回调应答 fail 且不更新订单', result.text === 'fail' && !orderUpdated
+    ? null
+    : `应答 ${result.text.slice(0, 40)}${orderUpdated ? '，订单被更新' : ''}`);
+}
+
+async function main() {
+  // 不连接数据库，上游调用记录不落库
+  pluginHttp.setSink(null);
+  pluginLoader.loadPlugin('alipay', false);
+  pluginLoader.loadPlugin('epay', false);
+
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+  app.use('/api/pay', payRoutes);
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const reporter = new Reporter();
+
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`, reporter);
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n通过 ${reporter.passed}，失败 ${reporter.failed}`);
+  process.exit(reporter.failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('下单选路测试运行失败:', error);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+/**
+ * 支付宝开放平台族夹具（RSA2 签名，公钥模式）
+ * 运行时生成应用密钥对和“支付宝”密钥对：插件用应用私钥签名请求，模拟上游用应用公钥验签；
+ * 回调报文用支付宝私钥签名，插件用配置的支付宝公钥验签
+ */
+const crypto = require('crypto');
+
+const HOST = 'openapi.alipay.com';
+const APP_ID = '2021000000000001';
+const API_TRADE_NO = '2026101922001400000000000001';
+const BUYER_ID = '2088000000000001';
+
+// 独立实现的待签名串：参数按键名排序，去掉 sign（回调另外去掉 sign_type）和空值
+function signString(params, excludeSignType) {
+  return Object.keys(params)
+    .filter(k => k !== 'sign' && !(excludeSignType && k === 'sign_type'))
+    .filter(k => params[k] !== undefined && params[k] !== null && params[k] !== '')
+    .sort()
+    .map(k => `${k}=${params[k]}`)
+    .join('&');
+}
+
+function rsaSign(content, privateKey) {
+  return crypto.createSign('RSA-SHA256').update(content, 'utf8').sign(privateKey, 'base64');
+}
+
+function response(method, body) {
+  const key = `${method.replace(/\./g, '_')}_response`;
+  return { json: { [key]: { code: '10000', msg: 'Success', ...body }, sign: 'mock' } };
+}
+
+function notifyParams(ctx, overrides = {}) {
+  const params = {
+    notify_time: '2026-10-19 12:00:00',
+    notify_type: 'trade_status_sync',
+    notify_id: 'conformance',
+    app_id: APP_ID,
+    charset: 'utf-8',
+    version: '1.0',
+    trade_no: API_TRADE_NO,
+    out_trade_no: ctx.tradeNo,
+    total_amount: ctx.money.toFixed(2),
+    trade_status: 'TRADE_SUCCESS',
+    buyer_id: BUYER_ID
+  };
+  params.sign = rsaSign(signString(params, true), ctx.state.alipayKeys.privateKey);
+  params.sign_type = 'RSA2';
+  return { ...params, ...overrides };
+}
+
+module.exports = {
+  family: 'alipay',
+  plugins: ['alipay'],
+
+  setup(ctx) {
+    ctx.state.appKeys = ctx.generateRsaKeyPair();
+    ctx.state.alipayKeys = ctx.generateRsaKeyPair();
+    return {
+      params: {
+        appid: APP_ID,
+        appkey: ctx.state.alipayKeys.publicKeyRaw,
+        appsecret: ctx.state.appKeys.privateKeyRaw,
+        appmchid: ''
+      },
+      apptype: ['1', '3']
+    };
+  },
+
+  upstream(request, ctx) {
+    if (request.host !== HOST || request.path !== '/gateway.do') {
+      throw new Error(`未知的上游接口 ${request.host}${request.pathWithQuery}`);
+    }
+
+    // 服务端接口参数在 URL 上，页面支付由浏览器以表单提交
+    const params = request.method === 'POST' && typeof request.body === 'object' && request.body.sign
+      ? request.body
+      : request.query;
+    const valid = crypto.createVerify('RSA-SHA256')
+      .update(signString(params, false), 'utf8')
+      .verify(ctx.state.appKeys.publicKey, params.sign, 'base64');
+    if (!valid) {
+      throw new Error(`${params.method} RSA2 签名错误`);
+    }
+    if (params.app_id !== APP_ID || params.sign_type !== 'RSA2' || params.charset !== 'utf-8') {
+      throw new Error('公共参数不正确');
+    }
+
+    const biz = JSON.parse(params.biz_content || '{}');
+    switch (params.method) {
+      case 'alipay.trade.page.pay':
+        if (biz.out_trade_no !== ctx.tradeNo || biz.total_amount !== ctx.money.toFixed(2)) {
+          throw new Error('订单号或金额不正确');
+        }
+        return { text: '<html>收银台</html>' };
+      case 'alipay.trade.precreate':
+        if (biz.out_trade_no !== ctx.tradeNo || biz.total_amount !== ctx.money.toFixed(2)) {
+          throw new Error('订单号或金额不正确');
+        }
+        return response(params.method, { out_trade_no: ctx.tradeNo, qr_code: 'https://qr.alipay.com/conformance' });
+      case 'alipay.trade.query':
+        return response(params.method, {
+          trade_no: API_TRADE_NO,
+          out_trade_no: biz.out_trade_no,
+          trade_status: 'TRADE_SUCCESS',
+          total_amount: ctx.money.toFixed(2),
+          buyer_user_id: BUYER_ID
+        });
+      case 'alipay.trade.refund':
+        if (biz.refund_amount !== ctx.money.toFixed(2) || !biz.out_request_no) {
+          throw new Error('退款金额或退款单号不正确');
+        }
+        return response(params.method, { trade_no: API_TRADE_NO, refund_fee: biz.refund_amount, buyer_user_id: BUYER_ID });
+      default:
+        throw new Error(`未预置的接口 ${params.method}`);
+    }
+  },
+
+  submits: [
+    { name: '电脑网站支付表单', method: 'submit', browser: true },
+    {
+      name: '当面付扫码',
+      method: 'mapi',
+      orderInfo: { device: 'qrcode' },
+      expect: result => (result.type === 'qrcode' && result.url ? null : `应返回二维码，实际为 ${JSON.stringify(result)}`)
+    }
+  ],
+
+  callbacks: [
+    {
+      name: '支付成功通知',
+      args: (ctx, params) => [params, notifyParams(ctx), ctx.order],
+      expect: result => (result.buyer === BUYER_ID ? null : `buyer 应为 ${BUYER_ID}`)
+    },
+    {
+      name: '篡改金额的通知',
+      success: false,
+      args: (ctx, params) => [params, notifyParams(ctx, { total_amount: '0.01' }), ctx.order]
+    },
+    {
+      name: '其他密钥签名的通知',
+      success: false,
+      args: (ctx, params) => {
+        const data = notifyParams(ctx);
+        data.sign = rsaSign(signString(data, true), ctx.state.appKeys.privateKey);
+        return [params, data, ctx.order];
+      }
+    }
+  ],
+
+  refund: {},
+  query: { paid: true }
+};
@@ -0,0 +1,125 @@
+/**
+ * 彩虹易支付族夹具（MD5 签名）
+ */
+const crypto = require('crypto');
+
+const HOST = 'epay.example.com';
+const KEY = 'conformance-epay-key';
+const API_TRADE_NO = '2026101900000001';
+
+// 独立实现的易支付签名：参数按键名排序，去掉 sign、sign_type 和空值，拼接后追加商户密钥取 MD5
+function sign(params) {
+  const str = Object.keys(params)
+    .filter(k => k !== 'sign' && k !== 'sign_type' && params[k] !== '' && params[k] !== undefined)
+    .sort()
+    .map(k => `${k}=${params[k]}`)
+    .join('&');
+  return crypto.createHash('md5').update(str + KEY, 'utf8').digest('hex');
+}
+
+function assertSigned(params) {
+  if (!params.sign || params.sign !== sign(params)) {
+    throw new Error('MD5 签名错误');
+  }
+  if (params.sign_type !== 'MD5') {
+    throw new Error(`sign_type 应为 MD5，实际为 ${params.sign_type}`);
+  }
+}
+
+function notifyParams(ctx, overrides = {}) {
+  const params = {
+    pid: '1001',
+    trade_no: API_TRADE_NO,
+    out_trade_no: ctx.tradeNo,
+    type: 'alipay',
+    name: '一致性测试商品',
+    money: ctx.money.toFixed(2),
+    trade_status: 'TRADE_SUCCESS',
+    buyer: 'buyer@example.com'
+  };
+  params.sign = sign(params);
+  params.sign_type = 'MD5';
+  return { ...params, ...overrides };
+}
+
+module.exports = {
+  family: 'epay',
+  plugins: ['epay'],
+
+  setup() {
+    return {
+      params: {
+        appurl: `https://${HOST}/`,
+        appid: '1001',
+        appkey: KEY,
+        appswitch: '0'
+      }
+    };
+  },
+
+  upstream(request, ctx) {
+    if (request.host !== HOST) {
+      throw new Error(`请求了非预期的上游 ${request.host}`);
+    }
+
+    if (request.path === '/submit.php' || request.path === '/mapi.php') {
+      const params = request.method === 'POST' ? request.body : request.query;
+      assertSigned(params);
+      if (params.pid !== '1001' || params.out_trade_no !== ctx.tradeNo || params.money !== ctx.money.toFixed(2)) {
+        throw new Error('商户号、订单号或金额不正确');
+      }
+      if (request.path === '/submit.php') {
+        return { text: '<html>收银台</html>' };
+      }
+      return { json: { code: 1, trade_no: API_TRADE_NO, payurl: `https://${HOST}/pay/${API_TRADE_NO}` } };
+    }
+
+    if (request.path === '/api.php') {
+      const params = { ...request.query, ...(typeof request.body === 'object' ? request.body : {}) };
+      if (params.pid !== '1001' || params.key !== KEY) {
+        throw new Error('查询/退款接口商户号或密钥不正确');
+      }
+      if (params.act === 'order') {
+        return { json: { code: 1, trade_no: API_TRADE_NO, out_trade_no: ctx.tradeNo, status: 1, money: ctx.money.toFixed(2) } };
+      }
+      if (params.act === 'refund') {
+        if (params.money !== ctx.money.toFixed(2)) {
+          throw new Error(`退款金额不正确: ${params.money}`);
+        }
+        return { json: { code: 0, msg: '退款成功' } };
+      }
+    }
+
+    throw new Error(`未知的上游接口 ${request.pathWithQuery}`);
+  },
+
+  submits: [
+    { name: '页面跳转表单', method: 'submit', browser: true },
+    { name: 'mapi 接口下单', method: 'alipay', params: { appswitch: '1' }, expect: result => (result.type === 'jump' ? null : `应返回 jump，实际为 ${result.type}`) }
+  ],
+
+  callbacks: [
+    {
+      name: '支付成功通知',
+      args: (ctx, params) => [params, notifyParams(ctx), ctx.order],
+      expect: (result, ctx) => (result.api_trade_no === API_TRADE_NO ? null : 'api_trade_no 不正确')
+    },
+    {
+      name: '篡改金额的通知',
+      success: false,
+      args: (ctx, params) => [params, notifyParams(ctx, { money: '0.01' }), ctx.order]
+    },
+    {
+      name: '未支付状态的通知',
+      success: false,
+      args: (ctx, params) => {
+        const data = notifyParams(ctx, { trade_status: 'WAIT_BUYER_PAY' });
+        data.sign = sign(data);
+        return [params, data, ctx.order];
+      }
+    }
+  ],
+
+  refund: {},
+  query: { paid: true }
+};
@@ -0,0 +1,143 @@
+/**
+ * Stripe 族夹具（Bearer 密钥认证，Webhook 使用 HMAC-SHA256 签名）
+ * Stripe 的 notify 仅为兼容接口，回调用例走 webhook(channelConfig, payload, headers, order)
+ */
+const crypto = require('crypto');
+
+const HOST = 'api.stripe.com';
+const SECRET_KEY = 'sk_test_conformance0000000000000000';
+const WEBHOOK_SECRET = 'whsec_conformance000000000000000000';
+const PAYMENT_INTENT_ID = 'pi_3ConformanceTest0000000001';
+
+function signatureHeader(payload, secret = WEBHOOK_SECRET) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return { 'stripe-signature': `t=${timestamp},v1=${signature}` };
+}
+
+function checkoutEvent(ctx, overrides = {}) {
+  return JSON.stringify({
+    id: 'evt_conformance',
+    type: 'checkout.session.completed',
+    data: {
+      object: {
+        id: 'cs_test_conformance',
+        object: 'checkout.session',
+        client_reference_id: ctx.tradeNo,
+        payment_intent: PAYMENT_INTENT_ID,
+        payment_status: 'paid',
+        amount_total: Math.round(ctx.money * 100),
+        ...overrides
+      }
+    }
+  });
+}
+
+module.exports = {
+  family: 'stripe',
+  plugins: ['stripe'],
+
+  setup() {
+    return {
+      params: {
+        appid: SECRET_KEY,
+        appkey: WEBHOOK_SECRET,
+        appswitch: '0',
+        currency_code: 'CNY'
+      }
+    };
+  },
+
+  upstream(request, ctx) {
+    if (request.host !== HOST) {
+      throw new Error(`请求了非预期的上游 ${request.host}`);
+    }
+    if (request.headers.authorization !== `Bearer ${SECRET_KEY}`) {
+      throw new Error('Authorization 头中的密钥不正确');
+    }
+
+    const body = typeof request.body === 'object' ? request.body : {};
+    const amount = String(Math.round(ctx.money * 100));
+    if (request.method === 'POST' && request.path === '/v1/checkout/sessions') {
+      if (body.client_reference_id !== ctx.tradeNo || body['line_items[0][price_data][unit_amount]'] !== amount) {
+        throw new Error('订单号或金额不正确');
+      }
+      return { json: { id: 'cs_test_conformance', url: 'https://checkout.stripe.com/c/pay/cs_test_conformance' } };
+    }
+    if (request.method === 'POST' && request.path === '/v1/payment_methods') {
+      return { json: { id: 'pm_conformance', type: body.type } };
+    }
+    if (request.method === 'POST' && request.path === '/v1/payment_intents') {
+      if (body['metadata[order_id]'] !== ctx.tradeNo || body.amount !== amount || body.payment_method !== 'pm_conformance') {
+        throw new Error('订单号、金额或支付方式不正确');
+      }
+      return {
+        json: {
+          id: PAYMENT_INTENT_ID,
+          status: 'requires_action',
+          next_action: { wechat_pay_display_qr_code: { data: 'weixin://wxpay/bizpayurl?pr=stripe' } }
+        }
+      };
+    }
+    if (request.method === 'GET' && request.path === `/v1/payment_intents/${PAYMENT_INTENT_ID}`) {
+      return { json: { id: PAYMENT_INTENT_ID, status: 'succeeded', amount: Number(amount), metadata: { order_id: ctx.tradeNo } } };
+    }
+    if (request.method === 'POST' && request.path === '/v1/refunds') {
+      if (body.payment_intent !== PAYMENT_INTENT_ID || body.amount !== amount) {
+        throw new Error('退款的 PaymentIntent 或金额不正确');
+      }
+      return { json: { id: 're_conformance', payment_intent: body.payment_intent, amount: Number(body.amount), status: 'succeeded' } };
+    }
+
+    throw new Error(`未知的上游接口 ${request.method} ${request.pathWithQuery}`);
+  },
+
+  submits: [
+    {
+      name: 'Checkout 收银台',
+      method: 'submit',
+      expect: result => (result.type === 'jump' && result.url.startsWith('https://checkout.stripe.com/') ? null : `应跳转到 Checkout，实际为 ${JSON.stringify(result)}`)
+    },
+    {
+      name: '微信直接支付',
+      method: 'submit',
+      params: { appswitch: '1' },
+      orderInfo: { pay_type: 'wxpay' },
+      upstreamCalls: 2,
+      expect: result => (result.type === 'qrcode' ? null : `应返回二维码，实际为 ${JSON.stringify(result)}`)
+    }
+  ],
+
+  callbacks: [
+    {
+      name: 'checkout.session.completed 事件',
+      method: 'webhook',
+      args: (ctx, params) => {
+        const payload = checkoutEvent(ctx);
+        return [params, payload, signatureHeader(payload), ctx.order];
+      },
+      expect: result => (result.api_trade_no === PAYMENT_INTENT_ID ? null : `api_trade_no 应为 ${PAYMENT_INTENT_ID}`)
+    },
+    {
+      name: '签名密钥错误的事件',
+      method: 'webhook',
+      success: false,
+      args: (ctx, params) => {
+        const payload = checkoutEvent(ctx);
+        return [params, payload, signatureHeader(payload, 'whsec_another000000000000000000000'), ctx.order];
+      }
+    },
+    {
+      name: '未完成支付的事件',
+      method: 'webhook',
+      success: false,
+      args: (ctx, params) => {
+        const payload = checkoutEvent(ctx, { payment_status: 'unpaid' });
+        return [params, payload, signatureHeader(payload), ctx.order];
+      }
+    }
+  ],
+
+  refund: {},
+  query: { paid: true }
+};
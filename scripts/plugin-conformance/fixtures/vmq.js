@@ -0,0 +1,82 @@
+/**
+ * V免签族夹具（MD5 拼接签名，无查单 / 退款接口）
+ */
+const crypto = require('crypto');
+
+const HOST = 'vmq.example.com';
+const KEY = 'conformance-vmq-key';
+
+// 支付方式在 V免签中的类型编号
+const PAY_TYPE_CODES = { wxpay: '1', alipay: '2', bank: '3', qqpay: '4' };
+
+function md5(str) {
+  return crypto.createHash('md5').update(str, 'utf8').digest('hex');
+}
+
+function notifyParams(ctx, overrides = {}) {
+  const params = {
+    payId: ctx.tradeNo,
+    param: '',
+    type: PAY_TYPE_CODES.alipay,
+    price: ctx.money.toFixed(2),
+    reallyPrice: ctx.money.toFixed(2)
+  };
+  // 回调签名：md5(payId + param + type + price + reallyPrice + 密钥)，下单不传 param，此处为空
+  params.sign = md5(params.payId + params.type + params.price + params.reallyPrice + KEY);
+  return { ...params, ...overrides };
+}
+
+module.exports = {
+  family: 'vmq',
+  plugins: ['vmq'],
+
+  setup() {
+    return {
+      params: {
+        appurl: `https://${HOST}/`,
+        appid: '1',
+        appkey: KEY
+      }
+    };
+  },
+
+  upstream(request, ctx) {
+    if (request.host !== HOST || request.path !== '/createOrder') {
+      throw new Error(`未知的上游接口 ${request.host}${request.pathWithQuery}`);
+    }
+    const params = request.method === 'POST' ? request.body : request.query;
+    // 下单签名：md5(payId + type + price + 密钥)
+    if (params.sign !== md5(params.payId + params.type + params.price + KEY)) {
+      throw new Error('MD5 签名错误');
+    }
+    if (params.payId !== ctx.tradeNo || params.type !== PAY_TYPE_CODES.alipay || params.price !== ctx.money.toFixed(2)) {
+      throw new Error('订单号、支付类型或金额不正确');
+    }
+    return { text: '<html>收银台</html>' };
+  },
+
+  submits: [
+    { name: '表单提交到 createOrder', method: 'submit', browser: true, orderInfo: { pay_type: 'alipay' } }
+  ],
+
+  callbacks: [
+    {
+      name: '支付成功通知',
+      args: (ctx, params) => [params, notifyParams(ctx), ctx.order]
+    },
+    {
+      name: '签名错误的通知',
+      success: false,
+      args: (ctx, params) => [params, notifyParams(ctx, { sign: md5('tampered') }), ctx.order]
+    },
+    {
+      name: '订单号不符的通知',
+      success: false,
+      args: (ctx, params) => {
+        const data = notifyParams(ctx, { payId: `${ctx.tradeNo}0` });
+        data.sign = md5(data.payId + data.type + data.price + data.reallyPrice + KEY);
+        return [params, data, ctx.order];
+      }
+    }
+  ]
+};
@@ -0,0 +1,169 @@
+/**
+ * 微信支付 APIv3 族夹具（WECHATPAY2-SHA256-RSA2048 请求签名，AEAD_AES_256_GCM 回调加密）
+ * 运行时生成商户密钥对，私钥写入临时证书文件供插件签名，模拟上游用公钥校验 Authorization 头
+ */
+const crypto = require('crypto');
+
+const HOST = 'api.mch.weixin.qq.com';
+const MCH_ID = '1900000001';
+const APP_ID = 'wx0000000000000001';
+const SERIAL_NO = '5157F09EFDC096DE15EBE81A47057A7232F1B8E1';
+const API_V3_KEY = 'conformanceApiV3Key0123456789abc';
+const TRANSACTION_ID = '4200002026101900000000000001';
+const OPENID = 'oConformanceOpenid000000001';
+
+function parseAuthorization(header) {
+  const match = /^WECHATPAY2-SHA256-RSA2048 (.+)$/.exec(header || '');
+  if (!match) {
+    throw new Error('缺少 WECHATPAY2-SHA256-RSA2048 认证头');
+  }
+  const fields = {};
+  for (const part of match[1].split(',')) {
+    const pair = /^(\w+)="([^"]*)"$/.exec(part.trim());
+    if (pair) {
+      fields[pair[1]] = pair[2];
+    }
+  }
+  return fields;
+}
+
+// 按官方格式加密回调资源：密文 = base64(加密数据 + 16 字节认证标签)
+function encryptResource(data, key) {
+  const nonce = crypto.randomBytes(6).toString('hex');
+  const associatedData = 'transaction';
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(key), Buffer.from(nonce));
+  cipher.setAAD(Buffer.from(associatedData));
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+  return {
+    algorithm: 'AEAD_AES_256_GCM',
+    ciphertext: encrypted.toString('base64'),
+    associated_data: associatedData,
+    original_type: 'transaction',
+    nonce
+  };
+}
+
+function notifyBody(ctx, overrides = {}, key = API_V3_KEY) {
+  const transaction = {
+    appid: APP_ID,
+    mchid: MCH_ID,
+    out_trade_no: ctx.tradeNo,
+    transaction_id: TRANSACTION_ID,
+    trade_type: 'NATIVE',
+    trade_state: 'SUCCESS',
+    amount: { total: Math.round(ctx.money * 100), payer_total: Math.round(ctx.money * 100), currency: 'CNY' },
+    payer: { openid: OPENID },
+    ...overrides
+  };
+  return {
+    id: crypto.randomUUID(),
+    event_type: 'TRANSACTION.SUCCESS',
+    resource_type: 'encrypt-resource',
+    resource: encryptResource(transaction, key)
+  };
+}
+
+module.exports = {
+  family: 'wxpayn',
+  plugins: ['wxpayn'],
+
+  setup(ctx) {
+    ctx.state.merchantKeys = ctx.generateRsaKeyPair();
+    return {
+      params: {
+        appid: APP_ID,
+        appmchid: MCH_ID,
+        appkey: SERIAL_NO,
+        appsecret: API_V3_KEY
+      },
+      apptype: ['1'],
+      certs: {
+        privateCert: { filename: ctx.writeCert(ctx.state.merchantKeys.privateKey, '.pem') }
+      }
+    };
+  },
+
+  upstream(request, ctx) {
+    if (request.host !== HOST) {
+      throw new Error(`请求了非预期的上游 ${request.host}`);
+    }
+
+    const auth = parseAuthorization(request.headers.authorization);
+    if (auth.mchid !== MCH_ID || auth.serial_no !== SERIAL_NO) {
+      throw new Error('认证头中的商户号或证书序列号不正确');
+    }
+    const message = `${request.method}\n${request.pathWithQuery}\n${auth.timestamp}\n${auth.nonce_str}\n${request.rawBody}\n`;
+    const valid = crypto.createVerify('RSA-SHA256')
+      .update(message, 'utf8')
+      .verify(ctx.state.merchantKeys.publicKey, auth.signature, 'base64');
+    if (!valid) {
+      throw new Error('APIv3 请求签名错误');
+    }
+
+    const body = request.body || {};
+    if (request.method === 'POST' && request.path === '/v3/pay/transactions/native') {
+      if (body.mchid !== MCH_ID || body.out_trade_no !== ctx.tradeNo || body.amount?.total !== Math.round(ctx.money * 100)) {
+        throw new Error('商户号、订单号或金额不正确');
+      }
+      return { json: { code_url: 'weixin://wxpay/bizpayurl?pr=conformance' } };
+    }
+    if (request.method === 'POST' && request.path === '/v3/refund/domestic/refunds') {
+      if (body.out_refund_no !== ctx.state.refundNo || body.amount?.refund !== Math.round(ctx.money * 100)) {
+        throw new Error('退款单号或退款金额不正确');
+      }
+      return {
+        json: {
+          refund_id: '50000000002026101900000000001',
+          out_refund_no: body.out_refund_no,
+          transaction_id: body.transaction_id || TRANSACTION_ID,
+          status: 'PROCESSING',
+          amount: { refund: body.amount.refund, total: body.amount.total, currency: 'CNY' }
+        }
+      };
+    }
+    if (request.method === 'GET' && request.path.startsWith('/v3/refund/domestic/refunds/')) {
+      return { json: { refund_id: '50000000002026101900000000001', status: 'SUCCESS' } };
+    }
+
+    throw new Error(`未知的上游接口 ${request.method} ${request.pathWithQuery}`);
+  },
+
+  submits: [
+    {
+      name: '电脑端跳转到收银台扫码页',
+      method: 'submit',
+      upstreamCalls: 0,
+      expect: (result, ctx) => (result.type === 'jump' && result.url === `/pay/qrcode/${ctx.tradeNo}/` ? null : `应跳转到本站扫码页，实际为 ${JSON.stringify(result)}`)
+    },
+    {
+      name: 'Native 下单',
+      method: 'mapi',
+      expect: result => (result.type === 'qrcode' && result.url.startsWith('weixin://') ? null : `应返回二维码，实际为 ${JSON.stringify(result)}`)
+    }
+  ],
+
+  callbacks: [
+    {
+      name: '支付成功通知',
+      args: (ctx, params) => [params, notifyBody(ctx), ctx.order, {}],
+      expect: result => (result.buyer === OPENID ? null : `buyer 应为 ${OPENID}`)
+    },
+    {
+      name: '其他密钥加密的通知',
+      success: false,
+      args: (ctx, params) => [params, notifyBody(ctx, {}, 'anotherApiV3Key0123456789abcdefg'), ctx.order, {}]
+    },
+    {
+      name: '金额不符的通知',
+      success: false,
+      args: (ctx, params) => [params, notifyBody(ctx, { amount: { total: 1, payer_total: 1, currency: 'CNY' } }), ctx.order, {}]
+    }
+  ],
+
+  refund: {
+    expect: result => (result.refund_status === 'processing' ? null : `退款状态应为 processing，实际为 ${result.refund_status}`)
+  },
+  refundQuery: {
+    expect: result => (result.refund_status === 'success' ? null : `退款状态应为 success，实际为 ${result.refund_status}`)
+  }
+};
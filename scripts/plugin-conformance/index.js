@@ -0,0 +1,443 @@
+/**
+ * 支付插件一致性测试
+ *
+ * 用法：node scripts/plugin-conformance [夹具或插件名...]
+ *   例：node scripts/plugin-conformance            运行全部夹具
+ *       node scripts/plugin-conformance alipay epay 只运行指定夹具 / 插件
+ *
+ * 每个夹具（fixtures/*.js）描述一个插件族：通道配置、模拟上游的签名校验与响应、预置的回调报文。
+ * 对夹具列出的每个插件：
+ * 1. 通过 utils/pluginLoader 加载（同时校验 info.capabilities 能力约定）
+ * 2. 调用 submit / mapi 等下单方法，发往上游的请求由本地模拟上游校验签名；
+ *    返回表单或跳转到上游的链接时，模拟浏览器提交一次，同样校验签名
+ * 3. 把预置回调报文交给 notify（或夹具指定的方法），检查 {success, api_trade_no, buyer} 约定，
+ *    篡改过的报文必须返回 success: false
+ * 4. 插件支持时执行 refund / refundQuery / query
+ * 不连接数据库，也不会请求真实上游；任一检查失败时退出码为 1
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const pluginLoader = require('../../utils/pluginLoader');
+const pluginHttp = require('../../utils/pluginHttp');
+const certValidator = require('../../utils/certValidator');
+const { normalizeQueryResult, amountMatches } = require('../../utils/queryResult');
+const MockUpstream = require('./mockUpstream');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// 与 routes/pay.js /dopay 处理的插件返回类型一致
+const RESULT_TYPES = ['jump', 'html', 'qrcode', 'page', 'scheme', 'app', 'jsapi', 'error'];
+
+const SITE_URL = 'http://127.0.0.1:3000';
+
+function loadFixtures(filters) {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => require(path.join(FIXTURES_DIR, file)))
+    .map(fixture => {
+      if (filters.length === 0 || filters.includes(fixture.family)) {
+        return fixture;
+      }
+      const plugins = fixture.plugins.filter(name => filters.includes(name));
+      return plugins.length > 0 ? { ...fixture, plugins } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 测试上下文：订单、通道配置和密钥等，夹具的各个方法共用
+ */
+function createContext(pluginName, mock) {
+  const tradeNo = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}${Date.now().toString().slice(-9)}${crypto.randomInt(1000, 9999)}`;
+  const money = 12.34;
+  const certFiles = [];
+
+  return {
+    pluginName,
+    mock,
+    tradeNo,
+    money,
+    state: {},
+    order: {
+      trade_no: tradeNo,
+      out_trade_no: `M${tradeNo}`,
+      money: money.toFixed(2),
+      real_money: money.toFixed(2),
+      api_trade_no: null,
+      status: 0
+    },
+    conf: {
+      siteurl: `${SITE_URL}/`,
+      localurl: `${SITE_URL}/`,
+      http_host: '127.0.0.1:3000'
+    },
+
+    /**
+     * 构建与 /dopay 一致的订单信息
+     */
+    orderInfo(overrides = {}) {
+      return {
+        trade_no: tradeNo,
+        out_trade_no: `M${tradeNo}`,
+        money,
+        name: '一致性测试商品',
+        original_name: '一致性测试商品',
+        pay_type: 'alipay',
+        notify_url: `${SITE_URL}/api/pay/notify/${tradeNo}`,
+        return_url: `${SITE_URL}/api/pay/return/${tradeNo}`,
+        client_ip: '127.0.0.1',
+        clientip: '127.0.0.1',
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+        is_mobile: false,
+        is_wechat: false,
+        is_alipay: false,
+        is_qq: false,
+        device: 'pc',
+        mdevice: '',
+        ...overrides
+      };
+    },
+
+    /**
+     * 生成 RSA 密钥对
+     * @returns {{privateKey: string, publicKey: string, privateKeyRaw: string, publicKeyRaw: string}}
+     */
+    generateRsaKeyPair() {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs1', format: 'pem' }
+      });
+      const strip = pem => pem.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+      return { privateKey, publicKey, privateKeyRaw: strip(privateKey), publicKeyRaw: strip(publicKey) };
+    },
+
+    /**
+     * 写入临时证书文件（测试结束后删除），返回 config.certs 中使用的文件名
+     */
+    writeCert(content, ext) {
+      if (!fs.existsSync(certValidator.CERT_DIR)) {
+        fs.mkdirSync(certValidator.CERT_DIR, { recursive: true });
+      }
+      const filename = `conformance_${pluginName}_${crypto.randomBytes(4).toString('hex')}${ext}`;
+      fs.writeFileSync(path.join(certValidator.CERT_DIR, filename), content);
+      certFiles.push(filename);
+      return filename;
+    },
+
+    cleanup() {
+      for (const filename of certFiles) {
+        const absolutePath = path.join(certValidator.CERT_DIR, filename);
+        if (fs.existsSync(absolutePath)) {
+          fs.unlinkSync(absolutePath);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * 按 /dopay 的方式组装传给插件的通道配置
+ */
+function buildPluginConfig(pluginName, channel) {
+  return {
+    id: 1,
+    name: `${pluginName}-conformance`,
+    plugin: pluginName,
+    ...channel.params,
+    apptype: channel.apptype || [],
+    config: {
+      certs: channel.certs || {}
+    }
+  };
+}
+
+/**
+ * 从插件返回的表单或跳转链接中取出浏览器将要提交的请求
+ * @returns {{method: string, url: string, fields: Object}|null}
+ */
+function extractBrowserRequest(result) {
+  if (result.type === 'jump' && /^https?:\/\//.test(String(result.url))) {
+    return { method: 'GET', url: result.url, fields: null };
+  }
+  if (result.type === 'html' && typeof result.data === 'string') {
+    const form = /<form[^>]*action="([^"]+)"[^>]*>/i.exec(result.data);
+    if (!form) {
+      return null;
+    }
+    const method = (/<form[^>]*method="([^"]+)"/i.exec(result.data)?.[1] || 'GET').toUpperCase();
+    const fields = {};
+    const inputPattern = /<input[^>]*name="([^"]+)"[^>]*value="([^"]*)"/gi;
+    let match;
+    while ((match = inputPattern.exec(result.data)) !== null) {
+      fields[match[1]] = match[2].replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    }
+    return { method, url: form[1], fields };
+  }
+  return null;
+}
+
+async function submitAsBrowser(request) {
+  if (request.method === 'POST') {
+    await axios.post(request.url, new URLSearchParams(request.fields).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      validateStatus: () => true
+    });
+  } else {
+    await axios.get(request.url, { params: request.fields || undefined, validateStatus: () => true });
+  }
+}
+
+class Reporter {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.skipped = 0;
+  }
+
+  pass(label) {
+    this.passed++;
+    console.log(`  ✓ ${label}`);
+  }
+
+  fail(label, reason) {
+    this.failed++;
+    console.log(`  ✗ ${label}\n      ${reason}`);
+  }
+
+  skip(label, reason) {
+    this.skipped++;
+    console.log(`  - ${label}（跳过：${reason}）`);
+  }
+}
+
+/**
+ * 执行一个步骤：捕获异常，并把模拟上游记录到的签名校验失败计入结果
+ */
+async function runStep(reporter, mock, label, fn) {
+  mock.failures = [];
+  mock.requests = [];
+  try {
+    const problem = await fn();
+    if (mock.failures.length > 0) {
+      reporter.fail(label, `上游校验失败: ${mock.failures.join('; ')}`);
+    } else if (problem) {
+      reporter.fail(label, problem);
+    } else {
+      reporter.pass(label);
+    }
+  } catch (error) {
+    const detail = mock.failures.length > 0 ? `（上游校验失败: ${mock.failures.join('; ')}）` : '';
+    reporter.fail(label, `抛出异常: ${error.message}${detail}`);
+  }
+}
+
+function checkSubmitResult(result, testCase) {
+  if (!result || typeof result !== 'object') {
+    return '返回值必须为对象';
+  }
+  if (!RESULT_TYPES.includes(result.type)) {
+    return `未知的返回类型: ${result.type}`;
+  }
+  if (result.type === 'error' && !testCase.expectError) {
+    return `插件返回错误: ${result.msg}`;
+  }
+  if (result.type === 'jump' && !result.url) {
+    return 'jump 类型缺少 url';
+  }
+  if (result.type === 'qrcode' && !(result.url || result.qr_code)) {
+    return 'qrcode 类型缺少二维码内容';
+  }
+  if (result.type === 'html' && !result.data) {
+    return 'html 类型缺少 data';
+  }
+  return null;
+}
+
+function checkCallbackResult(result, expectSuccess) {
+  if (!result || typeof result !== 'object' || typeof result.success !== 'boolean') {
+    return '返回值必须包含布尔类型的 success';
+  }
+  if (result.success !== expectSuccess) {
+    return `success 应为 ${expectSuccess}，实际为 ${result.success}`;
+  }
+  if (result.success) {
+    if (typeof result.api_trade_no !== 'string' || !result.api_trade_no) {
+      return 'success 为 true 时 api_trade_no 必须为非空字符串';
+    }
+    if (result.buyer !== undefined && result.buyer !== null && typeof result.buyer !== 'string') {
+      return 'buyer 必须为字符串';
+    }
+  }
+  return null;
+}
+
+async function runPlugin(fixture, pluginName, mock, reporter) {
+  console.log(`\n[${fixture.family}] ${pluginName}`);
+
+  if (!pluginLoader.loadPlugin(pluginName, false)) {
+    reporter.fail('加载插件', '插件不存在或不符合能力约定');
+    return;
+  }
+  const plugin = pluginLoader.getPlugin(pluginName);
+  console.log(`  能力: ${pluginLoader.getCapabilities(pluginName).join(', ')}`);
+
+  const ctx = createContext(pluginName, mock);
+  try {
+    const channel = await fixture.setup(ctx);
+    const pluginConfig = overrides => buildPluginConfig(pluginName, {
+      ...channel,
+      params: { ...channel.params, ...(overrides || {}) }
+    });
+    mock.use(request => fixture.upstream(request, ctx));
+
+    // 下单
+    for (const testCase of fixture.submits || []) {
+      await runStep(reporter, mock, `${testCase.method}: ${testCase.name}`, async () => {
+        if (typeof plugin[testCase.method] !== 'function') {
+          return `插件未导出 ${testCase.method}`;
+        }
+        const result = await plugin[testCase.method](pluginConfig(testCase.params), ctx.orderInfo(testCase.orderInfo), ctx.conf);
+        const problem = checkSubmitResult(result, testCase);
+        if (problem) {
+          return problem;
+        }
+
+        const browserRequest = testCase.browser ? extractBrowserRequest(result) : null;
+        if (testCase.browser && !browserRequest) {
+          return '未能从返回结果中解析出提交到上游的请求';
+        }
+        if (browserRequest) {
+          await submitAsBrowser(browserRequest);
+        }
+
+        const expectedCalls = testCase.upstreamCalls ?? 1;
+        if (mock.requests.length < expectedCalls) {
+          return `应至少请求上游 ${expectedCalls} 次，实际 ${mock.requests.length} 次`;
+        }
+        return testCase.expect ? testCase.expect(result, ctx) : null;
+      });
+    }
+
+    // 回调
+    for (const testCase of fixture.callbacks || []) {
+      const method = testCase.method || 'notify';
+      await runStep(reporter, mock, `${method}: ${testCase.name}`, async () => {
+        if (typeof plugin[method] !== 'function') {
+          return `插件未导出 ${method}`;
+        }
+        // 回调时 /api/pay/notify 只传通道 params
+        const args = testCase.args(ctx, channel.params);
+        const result = await plugin[method](...args);
+        const problem = checkCallbackResult(result, testCase.success !== false);
+        if (problem) {
+          return problem;
+        }
+        if (result.success) {
+          ctx.order.api_trade_no = result.api_trade_no;
+        }
+        return testCase.expect ? testCase.expect(result, ctx) : null;
+      });
+    }
+
+    // 退款
+    if (fixture.refund) {
+      if (!pluginLoader.hasCapability(pluginName, 'refund')) {
+        reporter.skip('refund', '插件未声明 refund 能力');
+      } else {
+        ctx.state.refundNo = `R${ctx.tradeNo}`;
+        await runStep(reporter, mock, 'refund', async () => {
+          const result = await plugin.refund(pluginConfig(), {
+            trade_no: ctx.order.trade_no,
+            api_trade_no: ctx.order.api_trade_no,
+            refund_no: ctx.state.refundNo,
+            refund_money: ctx.money,
+            total_money: ctx.money
+          });
+          if (!result || result.code !== 0) {
+            return `退款应返回 code: 0，实际为 ${JSON.stringify(result)}`;
+          }
+          return fixture.refund.expect ? fixture.refund.expect(result, ctx) : null;
+        });
+      }
+    }
+
+    if (fixture.refundQuery) {
+      if (!pluginLoader.hasCapability(pluginName, 'refundQuery')) {
+        reporter.skip('refundQuery', '插件未声明 refundQuery 能力');
+      } else {
+        await runStep(reporter, mock, 'refundQuery', async () => {
+          const result = await plugin.refundQuery(pluginConfig(), {
+            trade_no: ctx.order.trade_no,
+            api_trade_no: ctx.order.api_trade_no,
+            refund_no: ctx.state.refundNo || `R${ctx.tradeNo}`
+          });
+          if (!result || !['processing', 'success', 'failed'].includes(result.refund_status)) {
+            return `refund_status 必须为 processing / success / failed，实际为 ${result?.refund_status}`;
+          }
+          return fixture.refundQuery.expect ? fixture.refundQuery.expect(result, ctx) : null;
+        });
+      }
+    }
+
+    // 查单
+    if (fixture.query) {
+      if (!pluginLoader.hasCapability(pluginName, 'query')) {
+        reporter.skip('query', '插件未声明 query 能力');
+      } else {
+        await runStep(reporter, mock, 'query', async () => {
+          const config = pluginConfig();
+          const result = await plugin.query(config, ctx.order.trade_no, ctx.order.api_trade_no);
+          const upstream = normalizeQueryResult(result);
+          if (upstream.paid !== fixture.query.paid) {
+            return `查单结果应为${fixture.query.paid ? '已支付' : '未支付'}，实际状态 ${upstream.state}`;
+          }
+          // 与主动查单服务相同的金额校验，插件返回的金额需能折算回订单金额
+          if (upstream.paid && !amountMatches(upstream.amount, ctx.order.real_money, config.currency_rate)) {
+            return `查单金额 ${upstream.amount} 与订单金额 ${ctx.order.real_money} 不符`;
+          }
+          return null;
+        });
+      }
+    }
+  } finally {
+    ctx.cleanup();
+  }
+}
+
+async function main() {
+  const filters = process.argv.slice(2);
+  const fixtures = loadFixtures(filters);
+  if (fixtures.length === 0) {
+    console.error(`没有匹配的夹具: ${filters.join(', ')}`);
+    process.exit(1);
+  }
+
+  // 不连接数据库，上游调用记录不落库
+  pluginHttp.setSink(null);
+
+  const mock = new MockUpstream();
+  const reporter = new Reporter();
+  await mock.start();
+
+  try {
+    for (const fixture of fixtures) {
+      for (const pluginName of fixture.plugins) {
+        await runPlugin(fixture, pluginName, mock, reporter);
+      }
+    }
+  } finally {
+    await mock.stop();
+  }
+
+  console.log(`\n通过 ${reporter.passed}，失败 ${reporter.failed}，跳过 ${reporter.skipped}`);
+  process.exit(reporter.failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('一致性测试运行失败:', error);
+  process.exit(1);
+});
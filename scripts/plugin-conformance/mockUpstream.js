@@ -0,0 +1,130 @@
+/**
+ * 模拟上游服务
+ * - 插件发往上游的请求（utils/pluginHttp）和模拟浏览器的提交（axios 默认实例）经拦截器改写到本地端口，
+ *   原始域名放在 X-Upstream-Host 头中
+ * - 每个请求交给当前夹具的 upstream 处理函数：校验签名并返回预置的上游响应
+ * - 处理函数抛出的异常记为校验失败，由测试脚本汇总
+ */
+const http = require('http');
+const { URL } = require('url');
+const querystring = require('querystring');
+const axios = require('axios');
+const pluginHttp = require('../../utils/pluginHttp');
+
+const UPSTREAM_HOST_HEADER = 'x-upstream-host';
+
+class MockUpstream {
+  constructor() {
+    this.server = null;
+    this.port = null;
+    this.handler = null;
+    this.requests = [];
+    this.failures = [];
+    this.interceptors = [];
+  }
+
+  /**
+   * 启动服务并接管插件 HTTP 客户端和 axios 默认实例的请求
+   * @param {string[]} passthroughHosts - 不改写的域名（默认只放行本机）
+   */
+  async start(passthroughHosts = ['127.0.0.1', 'localhost']) {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+
+    // 插件经 utils/pluginHttp 请求上游，模拟浏览器提交使用 axios 默认实例，两者都在这里改写目标地址，避免请求真实上游
+    for (const client of [pluginHttp, axios]) {
+      const id = client.interceptors.request.use(config => this._redirect(client, config, passthroughHosts));
+      this.interceptors.push({ client, id });
+    }
+  }
+
+  async stop() {
+    for (const { client, id } of this.interceptors) {
+      client.interceptors.request.eject(id);
+    }
+    this.interceptors = [];
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  _redirect(client, config, passthroughHosts) {
+    const target = new URL(client.getUri(config));
+    if (passthroughHosts.includes(target.hostname)) {
+      return config;
+    }
+    config.url = `http://127.0.0.1:${this.port}${target.pathname}${target.search}`;
+    config.baseURL = undefined;
+    config.params = undefined;
+    config.httpsAgent = undefined;
+    if (config.headers && typeof config.headers.set === 'function') {
+      config.headers.set(UPSTREAM_HOST_HEADER, target.host);
+    } else {
+      config.headers = { ...(config.headers || {}), [UPSTREAM_HOST_HEADER]: target.host };
+    }
+    return config;
+  }
+
+  /**
+   * 切换当前夹具的上游处理函数，并清空请求记录
+   * @param {Function} handler - (request) => {status?, json?, text?}
+   */
+  use(handler) {
+    this.handler = handler;
+    this.requests = [];
+    this.failures = [];
+  }
+
+  _handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const rawBody = Buffer.concat(chunks).toString('utf8');
+      const url = new URL(req.url, `http://127.0.0.1:${this.port}`);
+      const contentType = String(req.headers['content-type'] || '');
+
+      let body = rawBody;
+      if (contentType.includes('application/json') && rawBody) {
+        try { body = JSON.parse(rawBody); } catch (e) { body = rawBody; }
+      } else if (contentType.includes('application/x-www-form-urlencoded')) {
+        body = querystring.parse(rawBody);
+      }
+
+      const request = {
+        method: req.method,
+        host: req.headers[UPSTREAM_HOST_HEADER] || '',
+        path: url.pathname,
+        pathWithQuery: `${url.pathname}${url.search}`,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        rawBody,
+        body
+      };
+      this.requests.push(request);
+
+      let response;
+      try {
+        if (!this.handler) {
+          throw new Error('未设置上游处理函数');
+        }
+        response = await this.handler(request) || {};
+      } catch (error) {
+        this.failures.push(`${request.method} ${request.host}${request.path}: ${error.message}`);
+        response = { status: 400, json: { code: 'MOCK_ASSERTION_FAILED', message: error.message } };
+      }
+
+      res.statusCode = response.status || 200;
+      if (response.json !== undefined) {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(response.json));
+      } else {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.end(response.text || '');
+      }
+    });
+  }
+}
+
+module.exports = MockUpstream;
@@ -0,0 +1,335 @@
+/**
+ * 通道熔断器（按 provider_channels 记录）
+ * - closed：正常放量；连续 N 次提交异常/超时后熔断
+ * - open：熔断冷却期内不参与选路；冷却结束后转为 half_open
+ * - half_open：只放行一笔试探订单，成功则恢复 closed，失败则重新熔断
+ * - 链路异常按异常结构判断（见 getTransportError），上游返回的业务错误既不计失败也不算恢复
+ * 选路读取进程内存中的状态；状态和失败计数同步写入 channel_breakers，服务启动时 load() 恢复
+ * 每次状态变化通知管理员
+ */
+const db = require('../config/database');
+const systemConfig = require('./systemConfig');
+const telegramService = require('../Telegram');
+
+const STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const STATE_NAMES = {
+  closed: '正常',
+  open: '熔断',
+  half_open: '半开试探'
+};
+
+// 试探订单超过该时间仍无结果，允许放行下一笔
+const TRIAL_TIMEOUT_MS = 60 * 1000;
+
+// 插件执行超时、执行线程崩溃（见 pluginExecutor.ERROR_CODE）
+const EXECUTOR_ERROR_CODES = ['PLUGIN_TIMEOUT', 'PLUGIN_CRASHED'];
+// 未经 pluginHttp 发出的请求抛出的 Node/axios 网络异常码
+const NETWORK_ERROR_CODES = [
+  'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN',
+  'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK'
+];
+
+/**
+ * 本次提交的链路异常码：插件执行超时/崩溃、pluginHttp 标记的 transport_error（无响应或 5xx）、
+ * 或抛出的网络异常；上游有正常响应（含业务错误）时返回 null
+ * @param {Object|null} result - 插件返回结果
+ * @param {Error|null} thrownError - 插件抛出的异常
+ * @returns {string|null}
+ */
+function getTransportError(result, thrownError = null) {
+  if (thrownError) {
+    if (thrownError.transport_error) {
+      return thrownError.transport_error;
+    }
+    if (EXECUTOR_ERROR_CODES.includes(thrownError.code)) {
+      return thrownError.code;
+    }
+    if (thrownError.response) {
+      return thrownError.response.status >= 500 ? `HTTP_${thrownError.response.status}` : null;
+    }
+    return NETWORK_ERROR_CODES.includes(thrownError.code) ? thrownError.code : null;
+  }
+  return result && result.type === 'error' && result.transport_error ? result.transport_error : null;
+}
+
+function toDate(timestamp) {
+  return timestamp ? new Date(timestamp) : null;
+}
+
+class ChannelBreaker {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  /**
+   * 从 channel_breakers 恢复熔断状态（服务启动时调用）
+   */
+  async load() {
+    const [rows] = await db.query(
+      "SELECT channel_id, state, failures, opened_at, open_until, last_error FROM channel_breakers WHERE state <> 'closed' OR failures > 0"
+    );
+    for (const row of rows) {
+      this.breakers.set(Number(row.channel_id), {
+        state: Object.values(STATE).includes(row.state) ? row.state : STATE.CLOSED,
+        failures: Number(row.failures) || 0,
+        openedAt: row.opened_at ? new Date(row.opened_at).getTime() : null,
+        openUntil: row.open_until ? new Date(row.open_until).getTime() : null,
+        trialAt: null,
+        lastError: row.last_error || null
+      });
+    }
+    if (rows.length > 0) {
+      console.log(`[ChannelBreaker] 已恢复 ${rows.length} 个通道的熔断状态`);
+    }
+  }
+
+  /**
+   * 写入熔断状态（写库失败只记录日志，内存状态照常生效）
+   */
+  _persist(channelId, breaker) {
+    db.query(
+      `INSERT INTO channel_breakers (channel_id, state, failures, opened_at, open_until, last_error)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE state = VALUES(state), failures = VALUES(failures), opened_at = VALUES(opened_at),
+         open_until = VALUES(open_until), last_error = VALUES(last_error)`,
+      [
+        Number(channelId),
+        breaker.state,
+        breaker.failures,
+        toDate(breaker.openedAt),
+        toDate(breaker.openUntil),
+        breaker.lastError
+      ]
+    ).catch((error) => {
+      console.error('[ChannelBreaker] 保存熔断状态失败:', error.message);
+    });
+  }
+
+  _get(channelId) {
+    const id = Number(channelId);
+    let breaker = this.breakers.get(id);
+    if (!breaker) {
+      breaker = {
+        state: STATE.CLOSED,
+        failures: 0,
+        openedAt: null,
+        openUntil: null,
+        trialAt: null,
+        lastError: null
+      };
+      this.breakers.set(id, breaker);
+    }
+    return breaker;
+  }
+
+  async _getConfig() {
+    const [failures, cooldown] = await Promise.all([
+      systemConfig.getConfig('channel_breaker_failures', '5'),
+      systemConfig.getConfig('channel_breaker_cooldown', '300')
+    ]);
+    return {
+      threshold: Math.max(0, parseInt(failures, 10) || 0),
+      cooldownSeconds: Math.max(1, parseInt(cooldown, 10) || 300)
+    };
+  }
+
+  /**
+   * 通道当前是否允许参与选路（不占用试探名额）
+   * @param {number} channelId
+   * @returns {boolean}
+   */
+  canAttempt(channelId) {
+    const breaker = this.breakers.get(Number(channelId));
+    if (!breaker || breaker.state === STATE.CLOSED) {
+      return true;
+    }
+
+    const now = Date.now();
+    if (breaker.state === STATE.OPEN) {
+      return now >= breaker.openUntil;
+    }
+
+    // half_open：已有试探订单在途时不再放行
+    return !breaker.trialAt || now - breaker.trialAt >= TRIAL_TIMEOUT_MS;
+  }
+
+  /**
+   * 过滤掉熔断中的通道
+   * @param {Array} channels - provider_channels 记录
+   * @returns {Array}
+   */
+  filterChannels(channels) {
+    return channels.filter(channel => this.canAttempt(channel.id));
+  }
+
+  /**
+   * 即将向上游提交：冷却结束的通道在此转为 half_open 并占用试探名额
+   * 检查与占用在同一次同步调用内完成，并发请求中只有一笔能拿到试探名额
+   * @param {Object} channel - provider_channels 记录
+   * @returns {boolean} 是否允许提交；仍在熔断或已有试探订单在途时返回 false
+   */
+  beginAttempt(channel) {
+    const breaker = this.breakers.get(Number(channel.id));
+    if (!breaker || breaker.state === STATE.CLOSED) {
+      return true;
+    }
+
+    const now = Date.now();
+    if (breaker.state === STATE.OPEN) {
+      if (now < breaker.openUntil) {
+        return false;
+      }
+      this._transition(channel, breaker, STATE.HALF_OPEN);
+      this._persist(channel.id, breaker);
+    }
+
+    if (breaker.trialAt && now - breaker.trialAt < TRIAL_TIMEOUT_MS) {
+      return false;
+    }
+    breaker.trialAt = now;
+    return true;
+  }
+
+  /**
+   * 提交成功（插件返回了支付参数）：清零失败计数，试探成功则恢复
+   * @param {Object} channel
+   */
+  recordSuccess(channel) {
+    const breaker = this.breakers.get(Number(channel.id));
+    if (!breaker) {
+      return;
+    }
+
+    const changed = breaker.failures > 0 || breaker.state !== STATE.CLOSED;
+    breaker.failures = 0;
+    breaker.trialAt = null;
+    if (breaker.state !== STATE.CLOSED) {
+      breaker.openedAt = null;
+      breaker.openUntil = null;
+      this._transition(channel, breaker, STATE.CLOSED);
+    }
+    if (changed) {
+      this._persist(channel.id, breaker);
+    }
+  }
+
+  /**
+   * 上游有响应但返回业务错误（如金额超限、参数错误）：链路正常但不能证明通道可用，
+   * 不计失败也不清零计数；试探订单遇到业务错误时释放试探名额，由下一笔订单继续试探
+   * @param {Object} channel
+   */
+  recordBusinessError(channel) {
+    const breaker = this.breakers.get(Number(channel.id));
+    if (breaker && breaker.state === STATE.HALF_OPEN) {
+      breaker.trialAt = null;
+    }
+  }
+
+  /**
+   * 提交异常或超时：累计失败，达到阈值或试探失败时熔断
+   * @param {Object} channel
+   * @param {string} errorMsg
+   */
+  async recordFailure(channel, errorMsg) {
+    const config = await this._getConfig();
+    if (config.threshold === 0) {
+      return;
+    }
+
+    const breaker = this._get(channel.id);
+    breaker.failures += 1;
+    breaker.lastError = errorMsg ? String(errorMsg).slice(0, 200) : null;
+
+    const shouldOpen = breaker.state === STATE.HALF_OPEN
+      || (breaker.state === STATE.CLOSED && breaker.failures >= config.threshold);
+    if (shouldOpen) {
+      breaker.openedAt = Date.now();
+      breaker.openUntil = breaker.openedAt + config.cooldownSeconds * 1000;
+      breaker.trialAt = null;
+      this._transition(channel, breaker, STATE.OPEN, config);
+    }
+    this._persist(channel.id, breaker);
+  }
+
+  /**
+   * 手动恢复通道（后台操作或通道重新启用时调用）
+   * @param {number} channelId
+   */
+  reset(channelId) {
+    this.breakers.delete(Number(channelId));
+    db.query('DELETE FROM channel_breakers WHERE channel_id = ?', [Number(channelId)]).catch((error) => {
+      console.error('[ChannelBreaker] 清除熔断状态失败:', error.message);
+    });
+  }
+
+  /**
+   * 获取通道熔断状态
+   * @param {number} channelId
+   * @returns {{state: string, failures: number, open_until: string|null, last_error: string|null}}
+   */
+  getState(channelId) {
+    const breaker = this.breakers.get(Number(channelId));
+    if (!breaker) {
+      return { state: STATE.CLOSED, failures: 0, open_until: null, last_error: null };
+    }
+    return {
+      state: breaker.state,
+      failures: breaker.failures,
+      open_until: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+      last_error: breaker.lastError
+    };
+  }
+
+  _transition(channel, breaker, nextState, config = null) {
+    const prevState = breaker.state;
+    breaker.state = nextState;
+    if (prevState === nextState) {
+      return;
+    }
+
+    const channelName = channel.channel_name || channel.id;
+    console.log(`[ChannelBreaker] 通道 ${channelName} 状态变更: ${prevState} -> ${nextState}`);
+    this._notify(channel, breaker, prevState, nextState, config).catch((error) => {
+      console.error('[ChannelBreaker] 发送通知失败:', error.message);
+    });
+  }
+
+  async _notify(channel, breaker, prevState, nextState, config) {
+    const siteName = await systemConfig.getSiteName();
+    const lines = [
+      `${siteName} - 支付通道熔断状态变更`,
+      '',
+      `通道：${channel.channel_name || channel.id}（ID: ${channel.id}）`,
+      `插件：${channel.plugin_name || '-'}`,
+      `状态：${STATE_NAMES[prevState]} → ${STATE_NAMES[nextState]}`
+    ];
+
+    if (nextState === STATE.OPEN) {
+      lines.push(`连续失败：${breaker.failures} 次`);
+      if (config) {
+        lines.push(`冷却时间：${config.cooldownSeconds} 秒`);
+      }
+      if (breaker.lastError) {
+        lines.push(`最近错误：${breaker.lastError}`);
+      }
+    } else if (nextState === STATE.HALF_OPEN) {
+      lines.push('冷却结束，放行一笔试探订单');
+    } else {
+      lines.push('试探成功，通道已恢复正常放量');
+    }
+
+    lines.push('', '----------', siteName, new Date().toLocaleString('zh-CN'));
+    await telegramService.notifyAdmins(lines.join('\n'));
+  }
+}
+
+const channelBreaker = new ChannelBreaker();
+channelBreaker.STATE = STATE;
+channelBreaker.getTransportError = getTransportError;
+
+module.exports = channelBreaker;
@@ -0,0 +1,582 @@
+/**
+ * 通道迁移包（导出 / 导入）
+ * - 导出：通道（provider_channels）、轮询组（channel_groups）、支付组（provider_pay_groups）
+ *   以及通道 config.certs 引用的证书文件，整体用口令加密（scrypt 派生密钥 + AES-256-GCM）为一个文件
+ * - 导入：先预览冲突再写入。通道按「名称 + 插件」、轮询组和支付组按名称判断是否已存在，
+ *   冲突策略：skip 保留已有（引用指向已有记录）、overwrite 覆盖已有、create 一律新建
+ * - 新旧实例的 ID 不同：轮询组成员的通道 ID、支付组中指定的通道 / 轮询组 ID、支付方式 ID（按 pay_types.name 对应）
+ *   都会重新映射；无法映射的引用会被移除或关闭，并在结果中给出提示
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const pluginLoader = require('./pluginLoader');
+const certValidator = require('./certValidator');
+const channelConfigVersions = require('./channelConfigVersions');
+const { listPayTypes } = require('./payTypeRegistry');
+const { CHANNEL_MODE } = require('./channelSelector');
+
+const BUNDLE_FORMAT = 'epay-channel-bundle';
+const BUNDLE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const CONFLICT_STRATEGY = {
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  CREATE: 'create'
+};
+
+// 导入动作
+const IMPORT_ACTION = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  SKIP: 'skip'
+};
+
+// 导出的通道字段（不含 ID、删除标记和时间戳）
+const CHANNEL_FIELDS = [
+  'channel_name', 'plugin_name', 'apptype', 'pay_type', 'app_id', 'app_key', 'app_secret', 'app_mch_id',
+  'extra_config', 'config', 'notify_url', 'fee_rate', 'cost_rate', 'min_money', 'max_money', 'day_limit',
+  'month_limit', 'day_count_limit', 'time_start', 'time_stop', 'schedule', 'priority', 'status'
+];
+
+const GROUP_FIELDS = ['name', 'mode', 'fee_rate', 'channels', 'status'];
+
+function parseJson(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, 32);
+}
+
+/**
+ * 校验口令
+ * @returns {string|null} 错误信息
+ */
+function validatePassphrase(passphrase) {
+  if (!passphrase || String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+    return `口令长度不能少于 ${MIN_PASSPHRASE_LENGTH} 位`;
+  }
+  return null;
+}
+
+function encryptPayload(payload, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    cipher: 'aes-256-gcm',
+    kdf: 'scrypt',
+    exported_at: payload.exported_at,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+/**
+ * 解密迁移包
+ * @param {string|Buffer} content - 迁移包文件内容
+ * @param {string} passphrase
+ * @returns {{error: string|null, payload: Object|null}}
+ */
+function decryptBundle(content, passphrase) {
+  const bundle = parseJson(Buffer.isBuffer(content) ? content.toString('utf8') : content, null);
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    return { error: '不是有效的通道迁移包', payload: null };
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return { error: `不支持的迁移包版本: ${bundle.version}`, payload: null };
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      deriveKey(passphrase, Buffer.from(bundle.salt, 'base64')),
+      Buffer.from(bundle.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(bundle.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(bundle.data, 'base64')), decipher.final()]);
+    const payload = JSON.parse(data.toString('utf8'));
+    return { error: null, payload };
+  } catch (e) {
+    // GCM 校验失败即口令错误或文件被篡改
+    return { error: '口令错误或迁移包已损坏', payload: null };
+  }
+}
+
+/**
+ * 通道 config.certs 中引用的证书文件名
+ */
+function collectCertFilenames(config) {
+  const certs = parseJson(config, {})?.certs;
+  if (!certs || typeof certs !== 'object') {
+    return [];
+  }
+  return Object.values(certs)
+    .map(cert => cert?.filename)
+    .filter(Boolean)
+    .map(filename => path.basename(String(filename)));
+}
+
+/**
+ * 导出迁移包
+ * @param {string} passphrase
+ * @returns {Promise<{bundle: string, summary: Object}>}
+ */
+async function exportBundle(passphrase) {
+  const [channels] = await db.query(
+    `SELECT id, ${CHANNEL_FIELDS.join(', ')} FROM provider_channels
+     WHERE is_deleted = 0 OR is_deleted IS NULL ORDER BY id ASC`
+  );
+  const [channelGroups] = await db.query(
+    `SELECT id, pay_type_id, ${GROUP_FIELDS.join(', ')} FROM channel_groups ORDER BY id ASC`
+  );
+  const [payGroups] = await db.query(
+    'SELECT id, name, is_default, config FROM provider_pay_groups ORDER BY id ASC'
+  );
+  const payTypes = (await listPayTypes()).map(pt => ({ id: pt.id, name: pt.name }));
+
+  const certs = [];
+  const missingCerts = [];
+  const seen = new Set();
+  for (const channel of channels) {
+    for (const filename of collectCertFilenames(channel.config)) {
+      if (seen.has(filename)) continue;
+      seen.add(filename);
+      const absolutePath = certValidator.getAbsolutePath(filename);
+      if (!absolutePath) {
+        missingCerts.push(filename);
+        continue;
+      }
+      certs.push({ filename, content: fs.readFileSync(absolutePath).toString('base64') });
+    }
+  }
+
+  const payload = {
+    exported_at: new Date().toISOString(),
+    pay_types: payTypes,
+    channels,
+    channel_groups: channelGroups,
+    pay_groups: payGroups,
+    certs
+  };
+
+  return {
+    bundle: encryptPayload(payload, passphrase),
+    summary: {
+      channels: channels.length,
+      channel_groups: channelGroups.length,
+      pay_groups: payGroups.length,
+      certs: certs.length,
+      missing_certs: missingCerts
+    }
+  };
+}
+
+function resolveAction(existingId, strategy) {
+  if (!existingId || strategy === CONFLICT_STRATEGY.CREATE) {
+    return IMPORT_ACTION.CREATE;
+  }
+  return strategy === CONFLICT_STRATEGY.OVERWRITE ? IMPORT_ACTION.UPDATE : IMPORT_ACTION.SKIP;
+}
+
+/**
+ * 对照当前实例生成导入计划（预览与导入共用）
+ * @param {Object} payload - 解密后的迁移包内容
+ * @param {string} strategy - CONFLICT_STRATEGY
+ * @returns {Promise<Object>}
+ */
+async function buildPlan(payload, strategy) {
+  const [existingChannels] = await db.query(
+    'SELECT id, channel_name, plugin_name FROM provider_channels WHERE is_deleted = 0 OR is_deleted IS NULL ORDER BY id ASC'
+  );
+  const [existingGroups] = await db.query('SELECT id, name FROM channel_groups ORDER BY id ASC');
+  const [existingPayGroups] = await db.query('SELECT id, name FROM provider_pay_groups ORDER BY id ASC');
+  const targetPayTypes = new Map((await listPayTypes()).map(pt => [pt.name, pt.id]));
+  const sourcePayTypes = new Map((payload.pay_types || []).map(pt => [String(pt.id), pt.name]));
+  const warnings = [];
+
+  const channels = (payload.channels || []).map(channel => {
+    const existing = existingChannels.find(e => e.channel_name === channel.channel_name && e.plugin_name === channel.plugin_name);
+    const item = {
+      source_id: channel.id,
+      name: channel.channel_name,
+      plugin_name: channel.plugin_name,
+      existing_id: existing ? existing.id : null,
+      action: resolveAction(existing?.id, strategy)
+    };
+    if (!pluginLoader.getPlugin(channel.plugin_name)) {
+      item.action = IMPORT_ACTION.SKIP;
+      item.reason = `插件 ${channel.plugin_name} 不存在`;
+      warnings.push(`通道「${channel.channel_name}」使用的插件 ${channel.plugin_name} 在当前实例不存在，已跳过`);
+    }
+    return item;
+  });
+
+  const channelGroups = (payload.channel_groups || []).map(group => {
+    const existing = existingGroups.find(e => e.name === group.name);
+    const payTypeName = group.pay_type_id ? sourcePayTypes.get(String(group.pay_type_id)) : null;
+    if (payTypeName && !targetPayTypes.has(payTypeName)) {
+      warnings.push(`轮询组「${group.name}」的支付方式 ${payTypeName} 在当前实例不存在，导入后不限支付方式`);
+    }
+    return {
+      source_id: group.id,
+      name: group.name,
+      existing_id: existing ? existing.id : null,
+      action: resolveAction(existing?.id, strategy)
+    };
+  });
+
+  const payGroups = (payload.pay_groups || []).map(group => {
+    const existing = existingPayGroups.find(e => e.name === group.name);
+    return {
+      source_id: group.id,
+      name: group.name,
+      existing_id: existing ? existing.id : null,
+      action: resolveAction(existing?.id, strategy)
+    };
+  });
+
+  const missingPayTypes = [...new Set([...sourcePayTypes.values()].filter(name => !targetPayTypes.has(name)))];
+  if (missingPayTypes.length > 0) {
+    warnings.push(`当前实例缺少支付方式: ${missingPayTypes.join(', ')}，支付组中对应配置将被忽略`);
+  }
+
+  const certs = (payload.certs || []).map(cert => {
+    const filename = path.basename(String(cert.filename));
+    const absolutePath = certValidator.getAbsolutePath(filename);
+    let status = 'new';
+    if (absolutePath) {
+      const same = fs.readFileSync(absolutePath).equals(Buffer.from(cert.content, 'base64'));
+      // 同名但内容不同的证书导入时换用新文件名，不覆盖现有文件
+      status = same ? 'same' : 'rename';
+    }
+    return { filename, status };
+  });
+
+  return {
+    exported_at: payload.exported_at,
+    strategy,
+    channels,
+    channel_groups: channelGroups,
+    pay_groups: payGroups,
+    certs,
+    warnings,
+    sourcePayTypes,
+    targetPayTypes
+  };
+}
+
+/**
+ * 预览导入结果（不写入）
+ */
+async function previewImport(payload, strategy = CONFLICT_STRATEGY.SKIP) {
+  const { sourcePayTypes, targetPayTypes, ...plan } = await buildPlan(payload, strategy);
+  return plan;
+}
+
+function renameCertFilename(filename) {
+  const ext = path.extname(filename);
+  return `${path.basename(filename, ext)}_${crypto.randomBytes(4).toString('hex')}${ext}`;
+}
+
+function remapCertReferences(config, certNames) {
+  const parsed = parseJson(config, null);
+  if (!parsed || typeof parsed !== 'object' || !parsed.certs) {
+    return config;
+  }
+  for (const cert of Object.values(parsed.certs)) {
+    if (cert && cert.filename) {
+      const filename = path.basename(String(cert.filename));
+      cert.filename = certNames.get(filename) || filename;
+    }
+  }
+  return JSON.stringify(parsed);
+}
+
+function toDbValue(value) {
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value ?? null;
+}
+
+/**
+ * 重新映射轮询组成员：移除未导入的通道，过滤当前实例不存在的商户
+ */
+function remapGroupChannels(channels, channelMap, merchantIds, groupName, warnings) {
+  const members = parseJson(channels, []);
+  if (!Array.isArray(members)) {
+    return [];
+  }
+  const result = [];
+  for (const member of members) {
+    const targetId = channelMap.get(Number(member?.id));
+    if (!targetId) {
+      warnings.push(`轮询组「${groupName}」的成员通道 ${member?.id} 未导入，已移除`);
+      continue;
+    }
+    const item = { ...member, id: targetId };
+    const allowed = item.rules?.merchant_ids;
+    if (Array.isArray(allowed) && allowed.length > 0) {
+      const kept = allowed.filter(id => merchantIds.has(Number(id)));
+      if (kept.length !== allowed.length) {
+        warnings.push(`轮询组「${groupName}」通道 ${targetId} 的商户限制中有商户在当前实例不存在，已移除`);
+      }
+      item.rules = { ...item.rules, merchant_ids: kept };
+    }
+    result.push(item);
+  }
+  return result;
+}
+
+/**
+ * 重新映射支付组配置：支付方式 ID、指定通道、轮询组
+ */
+function remapPayGroupConfig(config, plan, channelMap, groupMap, groupName, warnings) {
+  const source = parseJson(config, {});
+  const result = {};
+  for (const [payTypeId, typeConfig] of Object.entries(source || {})) {
+    const payTypeName = plan.sourcePayTypes.get(String(payTypeId));
+    const targetPayTypeId = payTypeName ? plan.targetPayTypes.get(payTypeName) : null;
+    if (!targetPayTypeId) {
+      continue;
+    }
+    if (!typeConfig || typeof typeConfig !== 'object') {
+      result[targetPayTypeId] = typeConfig;
+      continue;
+    }
+
+    const item = { ...typeConfig };
+    const mode = Number(item.channel_mode);
+    if (mode > 0) {
+      const targetId = channelMap.get(mode);
+      if (targetId) {
+        item.channel_mode = targetId;
+      } else {
+        // 指定的通道未导入时关闭该支付方式，避免落到非预期的通道
+        item.channel_mode = CHANNEL_MODE.DISABLED;
+        warnings.push(`支付组「${groupName}」的 ${payTypeName} 指定的通道 ${mode} 未导入，已关闭该支付方式`);
+      }
+    } else if (mode === CHANNEL_MODE.GROUP && item.group_id) {
+      const targetId = groupMap.get(Number(item.group_id));
+      if (targetId) {
+        item.group_id = targetId;
+      } else {
+        warnings.push(`支付组「${groupName}」的 ${payTypeName} 使用的轮询组 ${item.group_id} 未导入，已关闭该支付方式`);
+        item.channel_mode = CHANNEL_MODE.DISABLED;
+        delete item.group_id;
+      }
+    }
+    result[targetPayTypeId] = item;
+  }
+  return result;
+}
+
+/**
+ * 写入证书文件，返回原文件名 -> 实际文件名
+ * @returns {{error: string|null, certNames: Map, written: string[]}}
+ */
+function writeCerts(payload, plan) {
+  const certNames = new Map();
+  const written = [];
+  const pending = [];
+
+  for (const cert of payload.certs || []) {
+    const filename = path.basename(String(cert.filename));
+    const status = plan.certs.find(c => c.filename === filename)?.status;
+    if (status === 'same') {
+      certNames.set(filename, filename);
+      continue;
+    }
+    const buffer = Buffer.from(cert.content, 'base64');
+    const check = certValidator.securityCheck(buffer, filename);
+    if (!check.safe) {
+      return { error: `证书 ${filename} 未通过安全检查: ${check.message}`, certNames, written };
+    }
+    pending.push({ filename, target: status === 'rename' ? renameCertFilename(filename) : filename, buffer });
+  }
+
+  if (!fs.existsSync(certValidator.CERT_DIR)) {
+    fs.mkdirSync(certValidator.CERT_DIR, { recursive: true });
+  }
+  for (const cert of pending) {
+    const absolutePath = path.join(certValidator.CERT_DIR, cert.target);
+    fs.writeFileSync(absolutePath, cert.buffer);
+    written.push(absolutePath);
+    certNames.set(cert.filename, cert.target);
+  }
+  return { error: null, certNames, written };
+}
+
+/**
+ * 导入迁移包
+ * @param {Object} payload - 解密后的迁移包内容
+ * @param {string} strategy - CONFLICT_STRATEGY
+ * @param {{id: string, name: string|null}} operator - 操作人（记录通道配置版本）
+ * @returns {Promise<{error: string|null, result: Object|null}>}
+ */
+async function importBundle(payload, strategy, operator) {
+  const plan = await buildPlan(payload, strategy);
+  const warnings = [...plan.warnings];
+
+  const { error, certNames, written } = writeCerts(payload, plan);
+  if (error) {
+    written.forEach(file => fs.unlinkSync(file));
+    return { error, result: null };
+  }
+
+  const [merchantRows] = await db.query('SELECT user_id FROM merchants');
+  const merchantIds = new Set(merchantRows.map(r => Number(r.user_id)));
+
+  const channelMap = new Map();
+  const groupMap = new Map();
+  const versionChanges = [];
+  const summary = {
+    channels: { create: 0, update: 0, skip: 0 },
+    channel_groups: { create: 0, update: 0, skip: 0 },
+    pay_groups: { create: 0, update: 0, skip: 0 },
+    certs: written.length
+  };
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    for (const channel of payload.channels || []) {
+      const item = plan.channels.find(c => c.source_id === channel.id);
+      summary.channels[item.action]++;
+      if (item.action === IMPORT_ACTION.SKIP) {
+        if (item.existing_id) {
+          channelMap.set(Number(channel.id), item.existing_id);
+        }
+        continue;
+      }
+
+      const values = CHANNEL_FIELDS.map(field => (
+        field === 'config' ? remapCertReferences(channel.config, certNames) : toDbValue(channel[field])
+      ));
+      if (item.action === IMPORT_ACTION.UPDATE) {
+        versionChanges.push({ id: item.existing_id, before: await channelConfigVersions.getCurrentSnapshot(item.existing_id) });
+        await connection.query(
+          `UPDATE provider_channels SET ${CHANNEL_FIELDS.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+          [...values, item.existing_id]
+        );
+        channelMap.set(Number(channel.id), item.existing_id);
+      } else {
+        // 与后台新建通道一致，分配下一个 channel_id
+        const [[maxId]] = await connection.query(
+          'SELECT COALESCE(MAX(channel_id), 0) + 1 as next_id FROM provider_channels'
+        );
+        const [result] = await connection.query(
+          `INSERT INTO provider_channels (channel_id, ${CHANNEL_FIELDS.join(', ')}) VALUES (?, ${CHANNEL_FIELDS.map(() => '?').join(', ')})`,
+          [maxId.next_id, ...values]
+        );
+        versionChanges.push({ id: result.insertId, before: null });
+        channelMap.set(Number(channel.id), result.insertId);
+      }
+    }
+
+    for (const group of payload.channel_groups || []) {
+      const item = plan.channel_groups.find(g => g.source_id === group.id);
+      summary.channel_groups[item.action]++;
+      if (item.action === IMPORT_ACTION.SKIP) {
+        groupMap.set(Number(group.id), item.existing_id);
+        continue;
+      }
+
+      const payTypeName = group.pay_type_id ? plan.sourcePayTypes.get(String(group.pay_type_id)) : null;
+      const values = [
+        (payTypeName && plan.targetPayTypes.get(payTypeName)) || null,
+        group.name,
+        group.mode || 0,
+        group.fee_rate ?? null,
+        JSON.stringify(remapGroupChannels(group.channels, channelMap, merchantIds, group.name, warnings)),
+        group.status ?? 1
+      ];
+      if (item.action === IMPORT_ACTION.UPDATE) {
+        await connection.query(
+          'UPDATE channel_groups SET pay_type_id = ?, name = ?, mode = ?, fee_rate = ?, channels = ?, status = ?, current_index = 0 WHERE id = ?',
+          [...values, item.existing_id]
+        );
+        groupMap.set(Number(group.id), item.existing_id);
+      } else {
+        const [result] = await connection.query(
+          'INSERT INTO channel_groups (pay_type_id, name, mode, fee_rate, channels, status) VALUES (?, ?, ?, ?, ?, ?)',
+          values
+        );
+        groupMap.set(Number(group.id), result.insertId);
+      }
+    }
+
+    for (const group of payload.pay_groups || []) {
+      const item = plan.pay_groups.find(g => g.source_id === group.id);
+      summary.pay_groups[item.action]++;
+      if (item.action === IMPORT_ACTION.SKIP) {
+        continue;
+      }
+
+      const config = JSON.stringify(remapPayGroupConfig(group.config, plan, channelMap, groupMap, group.name, warnings));
+      if (item.action === IMPORT_ACTION.UPDATE) {
+        // 不改变目标实例的默认组设置
+        await connection.query('UPDATE provider_pay_groups SET config = ? WHERE id = ?', [config, item.existing_id]);
+      } else {
+        await connection.query(
+          'INSERT INTO provider_pay_groups (name, is_default, config) VALUES (?, 0, ?)',
+          [group.name, config]
+        );
+      }
+    }
+
+    await connection.commit();
+  } catch (txError) {
+    await connection.rollback();
+    written.forEach(file => fs.unlinkSync(file));
+    throw txError;
+  } finally {
+    connection.release();
+  }
+
+  for (const change of versionChanges) {
+    await channelConfigVersions.recordChange(change.id, change.before, channelConfigVersions.ACTION.IMPORT, operator);
+  }
+
+  return {
+    error: null,
+    result: {
+      summary,
+      channel_map: Object.fromEntries(channelMap),
+      group_map: Object.fromEntries(groupMap),
+      updated_channel_ids: versionChanges.filter(c => c.before).map(c => c.id),
+      warnings
+    }
+  };
+}
+
+module.exports = {
+  CONFLICT_STRATEGY,
+  IMPORT_ACTION,
+  validatePassphrase,
+  exportBundle,
+  decryptBundle,
+  previewImport,
+  importBundle
+};
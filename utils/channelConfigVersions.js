@@ -0,0 +1,291 @@
+/**
+ * 通道配置版本
+ * - 每次创建、修改、回滚、导入通道都把修改后的完整配置存为一个版本（channel_config_versions）
+ * - 通道第一次修改时先补存修改前的配置作为初始版本，保证可以回滚到改动之前
+ * - 差异按字段路径展开（config 展开到 params.appkey 这一级），插件配置（config.*）的值在差异中一律打码：
+ *   各插件存放密钥的字段名不统一（如 Stripe 的 appid 存的是 Secret Key），不能按字段名判断
+ * - 同一通道的版本号在锁定通道行的事务内分配，并发保存不会取到相同版本号
+ */
+const db = require('../config/database');
+
+// 纳入版本管理的 provider_channels 字段
+const TRACKED_FIELDS = [
+  'channel_name', 'plugin_name', 'pay_type', 'cost_rate', 'min_money', 'max_money',
+  'day_limit', 'month_limit', 'day_count_limit', 'time_start', 'time_stop', 'schedule',
+  'priority', 'status', 'notify_url', 'config', 'apptype'
+];
+
+// 回滚时不恢复的字段（插件不可更换）
+const ROLLBACK_EXCLUDED_FIELDS = ['plugin_name'];
+
+const ACTION = {
+  INIT: 'init',
+  CREATE: 'create',
+  UPDATE: 'update',
+  ROLLBACK: 'rollback',
+  IMPORT: 'import'
+};
+
+const MASK = '******';
+
+function parseJson(value) {
+  if (typeof value !== 'string') {
+    return value ?? null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * 从通道记录中提取快照（JSON 字段解析为对象）
+ */
+function buildSnapshot(channel) {
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) {
+    const value = channel[field] ?? null;
+    if (field === 'config' || field === 'schedule') {
+      snapshot[field] = parseJson(value);
+    } else {
+      // 统一转成字符串，避免 DECIMAL/INT 返回类型不同造成误判变更
+      snapshot[field] = value === null ? null : String(value);
+    }
+  }
+  return snapshot;
+}
+
+function flatten(value, prefix, result) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) {
+      result[prefix] = '{}';
+    }
+    for (const key of keys) {
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, result);
+    }
+    return result;
+  }
+  result[prefix] = Array.isArray(value) ? JSON.stringify(value) : (value === null || value === undefined ? null : String(value));
+  return result;
+}
+
+function isSecretPath(path) {
+  return path === 'config' || path.startsWith('config.');
+}
+
+function maskValue(value) {
+  if (value === null || value === '') {
+    return value;
+  }
+  const text = String(value);
+  return text.length > 12 ? `${MASK}${text.slice(-4)}` : MASK;
+}
+
+/**
+ * 比较两个快照，返回变更字段
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @param {boolean} mask - 是否对插件配置（config.*）打码
+ * @returns {Array<{field: string, before: string|null, after: string|null, secret: boolean}>}
+ */
+function diffSnapshots(before, after, mask = true) {
+  const a = flatten(before || {}, '', {});
+  const b = flatten(after || {}, '', {});
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+
+  const changes = [];
+  for (const field of fields) {
+    const oldValue = a[field] ?? null;
+    const newValue = b[field] ?? null;
+    if (oldValue === newValue) {
+      continue;
+    }
+    const secret = isSecretPath(field);
+    changes.push({
+      field,
+      before: mask && secret ? maskValue(oldValue) : oldValue,
+      after: mask && secret ? maskValue(newValue) : newValue,
+      secret
+    });
+  }
+  return changes;
+}
+
+async function insertVersion(conn, channelId, snapshot, changedFields, action, operator, rollbackFrom = null) {
+  const [[row]] = await conn.query(
+    'SELECT COALESCE(MAX(version), 0) + 1 AS next_version FROM channel_config_versions WHERE channel_id = ?',
+    [channelId]
+  );
+  await conn.query(
+    `INSERT INTO channel_config_versions
+     (channel_id, version, action, snapshot, changed_fields, rollback_from, operator_id, operator_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      channelId,
+      row.next_version,
+      action,
+      JSON.stringify(snapshot),
+      JSON.stringify(changedFields),
+      rollbackFrom,
+      operator?.id ? String(operator.id) : null,
+      operator?.name || null
+    ]
+  );
+  return row.next_version;
+}
+
+/**
+ * 从请求中获取操作人（RAM 子账户优先）
+ * @param {Object} req
+ * @returns {{id: string, name: string|null}}
+ */
+function getOperator(req) {
+  if (req.ramUser) {
+    return { id: String(req.ramUser.user_id), name: req.ramUser.display_name || null };
+  }
+  return { id: String(req.user?.user_id || 'system'), name: null };
+}
+
+/**
+ * 读取通道当前的快照
+ * @param {number} channelId
+ * @returns {Promise<Object|null>}
+ */
+async function getCurrentSnapshot(channelId) {
+  const [rows] = await db.query(
+    `SELECT ${TRACKED_FIELDS.join(', ')} FROM provider_channels WHERE id = ?`,
+    [channelId]
+  );
+  return rows.length > 0 ? buildSnapshot(rows[0]) : null;
+}
+
+/**
+ * 记录一次通道配置变更；没有实际变化时不生成版本
+ * 版本记录失败只打印日志，不影响通道保存
+ * @param {number} channelId
+ * @param {Object|null} before - 修改前快照（创建时为 null）
+ * @param {string} action - ACTION
+ * @param {{id: string, name: string|null}} operator
+ * @param {number|null} rollbackFrom - 回滚来源版本号
+ * @returns {Promise<number|null>} 新版本号
+ */
+async function recordChange(channelId, before, action, operator, rollbackFrom = null) {
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    // 锁定通道行：同一通道的版本号分配串行执行，快照也取加锁后的最新配置
+    const [rows] = await connection.query(
+      `SELECT ${TRACKED_FIELDS.join(', ')} FROM provider_channels WHERE id = ? FOR UPDATE`,
+      [channelId]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+    const after = buildSnapshot(rows[0]);
+
+    const changedFields = diffSnapshots(before, after, false).map(c => c.field);
+    if (before && changedFields.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    if (before) {
+      const [[{ count }]] = await connection.query(
+        'SELECT COUNT(*) AS count FROM channel_config_versions WHERE channel_id = ?',
+        [channelId]
+      );
+      if (Number(count) === 0) {
+        await insertVersion(connection, channelId, before, [], ACTION.INIT, null);
+      }
+    }
+
+    const version = await insertVersion(connection, channelId, after, changedFields, action, operator, rollbackFrom);
+    await connection.commit();
+    return version;
+  } catch (error) {
+    if (connection) {
+      await connection.rollback().catch(() => {});
+    }
+    console.error('[ChannelConfigVersions] 记录配置版本失败:', error.message);
+    return null;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+/**
+ * 获取通道版本列表（不含快照内容）
+ */
+async function listVersions(channelId) {
+  const [rows] = await db.query(
+    `SELECT id, channel_id, version, action, changed_fields, rollback_from, operator_id, operator_name, created_at
+     FROM channel_config_versions WHERE channel_id = ? ORDER BY version DESC`,
+    [channelId]
+  );
+  return rows.map(row => ({ ...row, changed_fields: parseJson(row.changed_fields) || [] }));
+}
+
+/**
+ * 获取指定版本
+ */
+async function getVersion(channelId, version) {
+  const [rows] = await db.query(
+    'SELECT * FROM channel_config_versions WHERE channel_id = ? AND version = ? LIMIT 1',
+    [channelId, version]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  return { ...rows[0], snapshot: parseJson(rows[0].snapshot), changed_fields: parseJson(rows[0].changed_fields) || [] };
+}
+
+/**
+ * 将通道恢复到指定版本的配置，并记录为新的回滚版本
+ * @returns {Promise<{error: string|null, version: number|null}>}
+ */
+async function rollback(channelId, version, operator) {
+  const target = await getVersion(channelId, version);
+  if (!target) {
+    return { error: '版本不存在', version: null };
+  }
+  const before = await getCurrentSnapshot(channelId);
+  if (!before) {
+    return { error: '通道不存在', version: null };
+  }
+
+  const fields = TRACKED_FIELDS.filter(field => !ROLLBACK_EXCLUDED_FIELDS.includes(field));
+  const values = fields.map(field => {
+    const value = target.snapshot[field] ?? null;
+    if (value !== null && (field === 'config' || field === 'schedule')) {
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    return value;
+  });
+
+  await db.query(
+    `UPDATE provider_channels SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+    [...values, channelId]
+  );
+
+  const newVersion = await recordChange(channelId, before, ACTION.ROLLBACK, operator, target.version);
+  return { error: null, version: newVersion };
+}
+
+module.exports = {
+  ACTION,
+  TRACKED_FIELDS,
+  getOperator,
+  getCurrentSnapshot,
+  diffSnapshots,
+  recordChange,
+  listVersions,
+  getVersion,
+  rollback
+};
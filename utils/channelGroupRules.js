@@ -0,0 +1,178 @@
+/**
+ * 通道轮询组成员路由规则
+ * channel_groups.channels 每个成员格式：
+ *   { id, weight, rules?: { min_money, max_money, device, merchant_ids } }
+ * - min_money / max_money：订单金额范围（元），0 表示不限
+ * - device：all / pc / mobile
+ * - merchant_ids：允许的商户ID（users.id，即 orders.merchant_id），空数组表示不限
+ * 规则在轮询组的顺序/加权/首个可用选择之前过滤成员
+ */
+
+const DEVICES = ['all', 'pc', 'mobile'];
+
+function parseMoney(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const num = Number(value);
+  return Number.isFinite(num) ? num : NaN;
+}
+
+/**
+ * 校验并规范化单个成员的规则
+ * @returns {{error: string|null, rules: Object|null}}
+ */
+function normalizeRules(rules, channelId) {
+  if (rules === undefined || rules === null) {
+    return { error: null, rules: null };
+  }
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return { error: `通道 ${channelId} 的路由规则格式错误`, rules: null };
+  }
+
+  const minMoney = parseMoney(rules.min_money);
+  const maxMoney = parseMoney(rules.max_money);
+  if (Number.isNaN(minMoney) || minMoney < 0 || Number.isNaN(maxMoney) || maxMoney < 0) {
+    return { error: `通道 ${channelId} 的金额范围必须为非负数`, rules: null };
+  }
+  if (minMoney > 0 && maxMoney > 0 && minMoney > maxMoney) {
+    return { error: `通道 ${channelId} 的最小金额不能大于最大金额`, rules: null };
+  }
+
+  const device = rules.device ? String(rules.device) : 'all';
+  if (!DEVICES.includes(device)) {
+    return { error: `通道 ${channelId} 的设备限制无效`, rules: null };
+  }
+
+  let merchantIds = rules.merchant_ids ?? [];
+  if (typeof merchantIds === 'string') {
+    merchantIds = merchantIds.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(merchantIds)) {
+    return { error: `通道 ${channelId} 的商户限制格式错误`, rules: null };
+  }
+  const parsedIds = merchantIds.map(v => parseInt(v, 10));
+  if (parsedIds.some(v => isNaN(v) || v <= 0)) {
+    return { error: `通道 ${channelId} 的商户ID无效`, rules: null };
+  }
+
+  const normalized = {
+    min_money: Number(minMoney.toFixed(2)),
+    max_money: Number(maxMoney.toFixed(2)),
+    device,
+    merchant_ids: [...new Set(parsedIds)]
+  };
+
+  // 规则全部为默认值时不保存，保持与旧数据格式一致
+  if (!normalized.min_money && !normalized.max_money && device === 'all' && normalized.merchant_ids.length === 0) {
+    return { error: null, rules: null };
+  }
+  return { error: null, rules: normalized };
+}
+
+/**
+ * 校验并规范化轮询组成员列表
+ * @param {Array} channels - 前端提交的成员列表
+ * @returns {{error: string|null, channels: Array}}
+ */
+function normalizeGroupChannels(channels) {
+  if (channels === undefined || channels === null) {
+    return { error: null, channels: [] };
+  }
+  if (!Array.isArray(channels)) {
+    return { error: '通道列表格式错误', channels: [] };
+  }
+
+  const seen = new Set();
+  const result = [];
+  for (const member of channels) {
+    const id = parseInt(member?.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return { error: '通道ID无效', channels: [] };
+    }
+    if (seen.has(id)) {
+      return { error: `通道 ${id} 重复添加`, channels: [] };
+    }
+    seen.add(id);
+
+    const item = { ...member, id };
+    if (member.weight !== undefined && member.weight !== null && member.weight !== '') {
+      const weight = parseInt(member.weight, 10);
+      if (isNaN(weight) || weight < 0) {
+        return { error: `通道 ${id} 的权重必须为非负整数`, channels: [] };
+      }
+      item.weight = weight;
+    }
+
+    const { error, rules } = normalizeRules(member.rules, id);
+    if (error) {
+      return { error, channels: [] };
+    }
+    if (rules) {
+      item.rules = rules;
+    } else {
+      delete item.rules;
+    }
+    result.push(item);
+  }
+
+  return { error: null, channels: result };
+}
+
+/**
+ * 收集成员规则中引用的商户ID（用于保存前校验商户是否存在）
+ */
+function collectMerchantIds(channels) {
+  const ids = new Set();
+  for (const member of channels || []) {
+    for (const id of member.rules?.merchant_ids || []) {
+      ids.add(id);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * 判断成员是否满足当前订单上下文；上下文缺少某项时不按该项过滤
+ * @param {Object} member - 轮询组成员
+ * @param {{money?: number, device?: string, merchantId?: number}} context
+ * @returns {boolean}
+ */
+function matchMemberRules(member, context = {}) {
+  const rules = member?.rules;
+  if (!rules) {
+    return true;
+  }
+
+  const money = context.money !== undefined && context.money !== null ? Number(context.money) : NaN;
+  if (Number.isFinite(money)) {
+    if (rules.min_money > 0 && money < rules.min_money) return false;
+    if (rules.max_money > 0 && money > rules.max_money) return false;
+  }
+
+  if (context.device && rules.device && rules.device !== 'all' && rules.device !== context.device) {
+    return false;
+  }
+
+  const merchantId = parseInt(context.merchantId, 10);
+  if (!isNaN(merchantId) && Array.isArray(rules.merchant_ids) && rules.merchant_ids.length > 0) {
+    if (!rules.merchant_ids.includes(merchantId)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * 过滤出满足规则的成员
+ */
+function filterGroupMembers(members, context = {}) {
+  return (members || []).filter(member => matchMemberRules(member, context));
+}
+
+module.exports = {
+  DEVICES,
+  normalizeGroupChannels,
+  collectMerchantIds,
+  matchMemberRules,
+  filterGroupMembers
+};
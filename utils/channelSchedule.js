@@ -0,0 +1,315 @@
+/**
+ * 通道开放时间
+ * - provider_channels.schedule：按星期、精确到分钟的开放时段，可设置节假日休息
+ *   { "rules": [{ "days": [1,2,3,4,5], "start": "09:30", "end": "22:45" }], "skip_holidays": true }
+ *   days 取值 1-7（周一至周日）；end 早于 start 表示跨夜，start 等于 end 表示全天
+ * - 未设置 schedule 时沿用旧的整点字段 time_start / time_stop
+ * - 时区取 config.yaml 顶层 timezone，未配置时与数据库连接时区（database.timezone）一致
+ * - 节假日来自 channel_holidays 表，进程内缓存并在后台刷新
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const db = require('../config/database');
+
+const HOLIDAY_CACHE_TTL = 60 * 1000;
+const MAX_RULES = 20;
+const DEFAULT_TIMEZONE = '+08:00';
+
+function loadConfig() {
+  const configPath = path.join(__dirname, '..', 'config.yaml');
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  return yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+}
+
+function isValidTimezone(timezone) {
+  if (timezone === 'Z' || timezone === 'local' || /^[+-]\d{2}:?\d{2}$/.test(timezone)) {
+    return true;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function resolveTimezone() {
+  const config = loadConfig();
+  const timezone = String(config.timezone || db.config?.timezone || DEFAULT_TIMEZONE).trim();
+  if (!isValidTimezone(timezone)) {
+    console.warn(`[ChannelSchedule] 时区配置无效: ${timezone}，使用 ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+  return timezone;
+}
+
+const TIMEZONE = resolveTimezone();
+
+let holidaySet = new Set();
+let holidayExpireTime = 0;
+let refreshing = null;
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toDateKey(year, month, day) {
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+/**
+ * 获取指定时区下的日期和时间
+ * @param {Date} date
+ * @returns {{dateKey: string, prevDateKey: string, weekday: number, prevWeekday: number, minutes: number}}
+ */
+function getZonedNow(date = new Date()) {
+  let year;
+  let month;
+  let day;
+  let hour;
+  let minute;
+
+  const offsetMatch = /^([+-])(\d{2}):?(\d{2})$/.exec(TIMEZONE);
+  if (TIMEZONE === 'Z' || offsetMatch) {
+    const offsetMinutes = offsetMatch
+      ? (offsetMatch[1] === '-' ? -1 : 1) * (parseInt(offsetMatch[2], 10) * 60 + parseInt(offsetMatch[3], 10))
+      : 0;
+    const shifted = new Date(date.getTime() + offsetMinutes * 60000);
+    year = shifted.getUTCFullYear();
+    month = shifted.getUTCMonth() + 1;
+    day = shifted.getUTCDate();
+    hour = shifted.getUTCHours();
+    minute = shifted.getUTCMinutes();
+  } else if (TIMEZONE === 'local') {
+    year = date.getFullYear();
+    month = date.getMonth() + 1;
+    day = date.getDate();
+    hour = date.getHours();
+    minute = date.getMinutes();
+  } else {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    year = parseInt(parts.year, 10);
+    month = parseInt(parts.month, 10);
+    day = parseInt(parts.day, 10);
+    hour = parseInt(parts.hour, 10);
+    minute = parseInt(parts.minute, 10);
+  }
+
+  // 用 UTC 日期做日历运算，避免受服务器本地时区影响
+  const today = new Date(Date.UTC(year, month - 1, day));
+  const yesterday = new Date(Date.UTC(year, month - 1, day - 1));
+
+  return {
+    dateKey: toDateKey(year, month, day),
+    prevDateKey: toDateKey(yesterday.getUTCFullYear(), yesterday.getUTCMonth() + 1, yesterday.getUTCDate()),
+    weekday: today.getUTCDay() || 7,
+    prevWeekday: yesterday.getUTCDay() || 7,
+    minutes: hour * 60 + minute
+  };
+}
+
+/**
+ * 从数据库重新加载节假日
+ */
+async function refreshHolidays() {
+  if (refreshing) {
+    return refreshing;
+  }
+
+  refreshing = (async () => {
+    try {
+      const [rows] = await db.query(
+        "SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date FROM channel_holidays"
+      );
+      holidaySet = new Set(rows.map(r => r.holiday_date));
+    } catch (error) {
+      console.error('[ChannelSchedule] 加载节假日失败:', error.message);
+    } finally {
+      holidayExpireTime = Date.now() + HOLIDAY_CACHE_TTL;
+      refreshing = null;
+    }
+    return holidaySet;
+  })();
+
+  return refreshing;
+}
+
+function isHoliday(dateKey) {
+  if (holidayExpireTime <= Date.now() && !refreshing) {
+    refreshHolidays().catch(() => {});
+  }
+  return holidaySet.has(dateKey);
+}
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour === 24 && minute === 0) {
+    return 1440;
+  }
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return hour * 60 + minute;
+}
+
+function parseSchedule(schedule) {
+  if (!schedule) {
+    return null;
+  }
+  if (typeof schedule === 'string') {
+    try {
+      return JSON.parse(schedule);
+    } catch (e) {
+      return null;
+    }
+  }
+  return typeof schedule === 'object' ? schedule : null;
+}
+
+/**
+ * 校验并规范化开放时间配置
+ * @param {Object|string|null} input
+ * @returns {{error: string|null, schedule: Object|null}}
+ */
+function normalizeSchedule(input) {
+  if (input === undefined || input === null || input === '') {
+    return { error: null, schedule: null };
+  }
+
+  const schedule = parseSchedule(input);
+  if (!schedule || Array.isArray(schedule)) {
+    return { error: '开放时间配置格式错误', schedule: null };
+  }
+
+  const rules = schedule.rules ?? [];
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    return { error: `开放时段最多${MAX_RULES}条`, schedule: null };
+  }
+
+  const normalizedRules = [];
+  for (const rule of rules) {
+    const days = Array.isArray(rule?.days) ? [...new Set(rule.days.map(d => parseInt(d, 10)))] : [];
+    if (days.length === 0 || days.some(d => isNaN(d) || d < 1 || d > 7)) {
+      return { error: '开放时段的星期必须为1-7（周一至周日）', schedule: null };
+    }
+    const start = parseTime(rule.start);
+    const end = parseTime(rule.end);
+    if (start === null || end === null || start === 1440) {
+      return { error: '开放时段时间格式应为 HH:MM', schedule: null };
+    }
+    normalizedRules.push({
+      days: days.sort((a, b) => a - b),
+      start: `${pad2(Math.floor(start / 60))}:${pad2(start % 60)}`,
+      end: `${pad2(Math.floor(end / 60))}:${pad2(end % 60)}`
+    });
+  }
+
+  const skipHolidays = schedule.skip_holidays === true || schedule.skip_holidays === 1 || schedule.skip_holidays === '1';
+  if (normalizedRules.length === 0 && !skipHolidays) {
+    return { error: null, schedule: null };
+  }
+
+  return { error: null, schedule: { rules: normalizedRules, skip_holidays: skipHolidays } };
+}
+
+function isOpenBySchedule(schedule, now) {
+  const rules = Array.isArray(schedule.rules) ? schedule.rules : [];
+  const closedToday = schedule.skip_holidays && isHoliday(now.dateKey);
+  const closedYesterday = schedule.skip_holidays && isHoliday(now.prevDateKey);
+
+  // 只配置了节假日休息：非节假日全天开放
+  if (rules.length === 0) {
+    return !closedToday;
+  }
+
+  return rules.some(rule => {
+    const start = parseTime(rule.start);
+    const end = parseTime(rule.end);
+    if (start === null || end === null) {
+      return false;
+    }
+    const days = rule.days || [];
+
+    if (start === end) {
+      return days.includes(now.weekday) && !closedToday;
+    }
+    if (start < end) {
+      return days.includes(now.weekday) && !closedToday && now.minutes >= start && now.minutes < end;
+    }
+    // 跨夜时段归属开始那一天
+    if (now.minutes >= start) {
+      return days.includes(now.weekday) && !closedToday;
+    }
+    return now.minutes < end && days.includes(now.prevWeekday) && !closedYesterday;
+  });
+}
+
+function isOpenByHourRange(channel, now) {
+  const timeStart = channel.time_start;
+  const timeStop = channel.time_stop;
+  if ((timeStart === null || timeStart === undefined) && (timeStop === null || timeStop === undefined)) {
+    return true;
+  }
+
+  const currentHour = Math.floor(now.minutes / 60);
+  const start = timeStart !== null && timeStart !== undefined ? parseInt(timeStart, 10) : 0;
+  const stop = timeStop !== null && timeStop !== undefined ? parseInt(timeStop, 10) : 23;
+
+  if (start <= stop) {
+    // 正常范围：如 9-18
+    return currentHour >= start && currentHour <= stop;
+  }
+  // 跨夜范围：如 22-6（表示22点到次日6点）
+  return currentHour >= start || currentHour <= stop;
+}
+
+/**
+ * 判断通道当前是否在开放时间内
+ * @param {Object} channel - provider_channels 记录
+ * @param {Date} date - 判断时间，默认当前
+ * @returns {boolean}
+ */
+function isChannelOpen(channel, date = new Date()) {
+  const now = getZonedNow(date);
+  const schedule = parseSchedule(channel.schedule);
+  if (schedule) {
+    return isOpenBySchedule(schedule, now);
+  }
+  return isOpenByHourRange(channel, now);
+}
+
+/**
+ * 获取全部节假日（后台管理用）
+ */
+async function listHolidays() {
+  const [rows] = await db.query(
+    "SELECT id, DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, name, created_at FROM channel_holidays ORDER BY holiday_date ASC"
+  );
+  return rows;
+}
+
+module.exports = {
+  TIMEZONE,
+  getZonedNow,
+  normalizeSchedule,
+  isChannelOpen,
+  refreshHolidays,
+  listHolidays
+};
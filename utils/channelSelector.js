@@ -3,32 +3,15 @@
  * 实现支付通道的智能选择逻辑
  */
 const db = require('../config/database');
-
-// 支付类型配置（内联）
-const payTypes = [
-  { id: 1, name: 'alipay', showname: '支付宝', icon: 'alipay.ico', device: 0, status: 1, sort: 1 },
-  { id: 2, name: 'wxpay', showname: '微信支付', icon: 'wxpay.ico', device: 0, status: 1, sort: 2 },
-  { id: 3, name: 'qqpay', showname: 'QQ钱包', icon: 'qqpay.ico', device: 0, status: 1, sort: 3 },
-  { id: 4, name: 'bank', showname: '网银支付', icon: 'bank.ico', device: 0, status: 1, sort: 4 },
-  { id: 5, name: 'jdpay', showname: '京东支付', icon: 'jdpay.ico', device: 0, status: 1, sort: 5 },
-  { id: 6, name: 'paypal', showname: 'PayPal', icon: 'paypal.ico', device: 0, status: 1, sort: 6 },
-  { id: 7, name: 'ecny', showname: '数字人民币', icon: 'ecny.ico', device: 0, status: 1, sort: 7 }
-];
-
-function getPayTypeByName(name, device = 'pc') {
-  const deviceCode = device === 'mobile' ? 2 : 1;
-  return payTypes.find(pt => pt.name === name && pt.status === 1 && (pt.device === 0 || pt.device === deviceCode)) || null;
-}
-
-function getPayTypeById(id) {
-  return payTypes.find(pt => pt.id === id) || null;
-}
-
-function getAllPayTypes(device = null) {
-  if (!device) return payTypes.filter(pt => pt.status === 1).sort((a, b) => a.sort - b.sort);
-  const deviceCode = device === 'mobile' ? 2 : 1;
-  return payTypes.filter(pt => pt.status === 1 && (pt.device === 0 || pt.device === deviceCode)).sort((a, b) => a.sort - b.sort);
-}
+const { getAllPayTypes, getPayTypeByName, getPayTypeById } = require('./payTypeRegistry');
+const channelStats = require('./channelStats');
+const channelBreaker = require('./channelBreaker');
+const { filterGroupMembers } = require('./channelGroupRules');
+const channelSchedule = require('./channelSchedule');
+const quotaService = require('./quotaService');
+const merchantPayLimits = require('./merchantPayLimits');
+const clientEnv = require('./clientEnv');
+const pluginLoader = require('./pluginLoader');
 
 // 通道选择模式
 const CHANNEL_MODE = {
@@ -37,105 +20,33 @@ const CHANNEL_MODE = {
     SEQUENTIAL: -4,     // 顺序可用通道
     FIRST: -5,          // 首个可用通道
     GROUP: -3,          // 使用轮询组
+    SMART: -6,          // 按近期成功率智能分配
     // 正数表示指定通道ID
 };
 
-/**
- * 获取通道今日已用额度
- * @param {number} channelId - 通道ID（数据库主键）
- * @returns {number} - 今日已用金额
- */
-async function getChannelTodayUsed(channelId) {
-    const [[result]] = await db.query(
-        `SELECT COALESCE(SUM(money), 0) as used 
-         FROM orders 
-         WHERE channel_id = ? AND status = 1 AND DATE(created_at) = CURDATE()`,
-        [channelId]
-    );
-    return parseFloat(result.used) || 0;
-}
-
-/**
- * 检查通道是否可用（单日限额检查）
- * @param {object} channel - 通道对象
- * @param {number} money - 订单金额
- * @returns {boolean} - 是否可用
- */
-async function checkChannelDayLimit(channel, money) {
-    const dayLimit = parseFloat(channel.day_limit) || 0;
-    if (dayLimit === 0) return true; // 无限制
-    
-    const todayUsed = await getChannelTodayUsed(channel.id);
-    return (todayUsed + money) <= dayLimit;
-}
-
 /**
  * 检查通道是否在开放时间段内
  * @param {object} channel - 通道对象
  * @returns {boolean} - 是否在开放时间段
  */
 function checkChannelTimeRange(channel) {
-    const timeStart = channel.time_start;
-    const timeStop = channel.time_stop;
-    
-    // 如果没有设置时间限制，则始终可用
-    if (timeStart === null && timeStop === null) return true;
-    if (timeStart === undefined && timeStop === undefined) return true;
-    
-    // 获取当前小时（北京时间 UTC+8）
-    const now = new Date();
-    const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-    const beijingTime = new Date(utc + (8 * 3600000));
-    const currentHour = beijingTime.getHours();
-    
-    const start = timeStart !== null ? parseInt(timeStart) : 0;
-    const stop = timeStop !== null ? parseInt(timeStop) : 23;
-    
-    // 检查时间范围
-    if (start <= stop) {
-        // 正常范围：如 9-18
-        return currentHour >= start && currentHour <= stop;
-    } else {
-        // 跨夜范围：如 22-6（表示22点到次日6点）
-        return currentHour >= start || currentHour <= stop;
-    }
+    return channelSchedule.isChannelOpen(channel);
 }
 
 /**
- * 从通道列表中过滤出满足单日限额的通道
+ * 从通道列表中过滤出插件已启用、在开放时间段内、未熔断、支持买家环境且额度充足的通道
  * @param {array} channels - 通道列表
  * @param {number} money - 订单金额
+ * @param {object} context - 选路上下文 { merchantId, env, payType, typeConfig }
+ *   merchantId 用于商户单通道限额；env/payType/typeConfig 用于支付组按环境限定支付接口
  * @returns {array} - 过滤后的通道列表
  */
-async function filterByDayLimit(channels, money) {
-    const result = [];
-    for (const channel of channels) {
-        if (await checkChannelDayLimit(channel, money)) {
-            result.push(channel);
-        }
-    }
-    return result;
-}
-
-/**
- * 从通道列表中过滤出在开放时间段内且满足限额的通道
- * @param {array} channels - 通道列表
- * @param {number} money - 订单金额
- * @returns {array} - 过滤后的通道列表
- */
-async function filterAvailableChannels(channels, money) {
-    const result = [];
-    for (const channel of channels) {
-        // 检查时间限制
-        if (!checkChannelTimeRange(channel)) {
-            continue;
-        }
-        // 检查单日限额
-        if (await checkChannelDayLimit(channel, money)) {
-            result.push(channel);
-        }
-    }
-    return result;
+async function filterAvailableChannels(channels, money, context = {}) {
+    const enabled = await pluginLoader.filterEnabledChannels(channels);
+    const opened = enabled.filter(channel => checkChannelTimeRange(channel) && channelBreaker.canAttempt(channel.id));
+    const envMatched = clientEnv.filterChannelsByEnv(opened, context.payType, context.typeConfig, context.env);
+    // 日/月额度和笔数上限（预聚合计数器）
+    return quotaService.filterChannels(envMatched, money, context.merchantId);
 }
 
 /**
@@ -189,11 +100,19 @@ async function getPayType(typeName, device = 'pc') {
  * 获取所有可用支付方式
  * @param {string} merchantId - 商户ID
  * @param {string} device - 设备类型
+ * @param {number|null} money - 订单金额，传入时同时按单笔/每日限额过滤
  * @returns {array}
  */
-async function getAvailablePayTypes(merchantId, device = 'pc') {
-    // 获取所有启用的支付方式（从配置文件）
-    const payTypes = getAllPayTypes(device);
+async function getAvailablePayTypes(merchantId, device = 'pc', money = null) {
+    // 获取所有启用的支付方式，排除商户支付限制不允许的
+    const merchantLimits = await merchantPayLimits.getMerchantLimits(merchantId);
+    const payTypes = await merchantPayLimits.filterPayTypes(
+        merchantLimits,
+        merchantId,
+        getAllPayTypes(device),
+        money,
+        pt => pt.name
+    );
     
     // 获取商户的支付组配置
     const payGroup = await getMerchantPayGroup(merchantId);
@@ -275,9 +194,10 @@ async function hasAvailableChannel(payTypeId, typeConfig = null) {
  * @param {string} merchantId - 商户ID
  * @param {number} money - 支付金额
  * @param {string} device - 设备类型
+ * @param {string|null} env - 买家客户端环境（见 clientEnv.detectClientEnv），为空时不按环境过滤
  * @returns {object|null} - 通道信息
  */
-async function selectChannel(typeName, merchantId, money, device = 'pc') {
+async function selectChannel(typeName, merchantId, money, device = 'pc', env = null) {
     // 1. 获取支付方式
     const payType = await getPayType(typeName, device);
     if (!payType) {
@@ -288,30 +208,34 @@ async function selectChannel(typeName, merchantId, money, device = 'pc') {
     const payGroup = await getMerchantPayGroup(merchantId);
     const typeConfig = payGroup?.config?.[payType.id] || {};
     
-    // 3. 检查是否禁用
-    if (typeConfig.channel_mode === CHANNEL_MODE.DISABLED) {
+    // 3. 检查是否禁用（含支付组配置为当前环境不提供）
+    if (typeConfig.channel_mode === CHANNEL_MODE.DISABLED || clientEnv.isBlockedInEnv(typeConfig, env)) {
         return null;
     }
     
     // 4. 根据配置选择通道
+    const context = { device: env ? clientEnv.deviceOf(env) : device, merchantId, env, payType: payType.name, typeConfig };
     let channel = null;
     const channelMode = typeConfig.channel_mode || CHANNEL_MODE.RANDOM;
     
     if (channelMode > 0) {
         // 指定具体通道
-        channel = await getChannelById(channelMode, money);
+        channel = await getChannelById(channelMode, money, context);
     } else if (channelMode === CHANNEL_MODE.GROUP && typeConfig.group_id) {
         // 使用轮询组
-        channel = await getChannelFromGroup(typeConfig.group_id, money);
+        channel = await getChannelFromGroup(typeConfig.group_id, money, context);
     } else if (channelMode === CHANNEL_MODE.SEQUENTIAL) {
         // 顺序选择
-        channel = await getChannelSequential(payType.name, money, payGroup?.id);
+        channel = await getChannelSequential(payType.name, money, payGroup?.id, context);
     } else if (channelMode === CHANNEL_MODE.FIRST) {
         // 首个可用
-        channel = await getChannelFirst(payType.name, money);
+        channel = await getChannelFirst(payType.name, money, context);
+    } else if (channelMode === CHANNEL_MODE.SMART) {
+        // 按成功率智能选择
+        channel = await getChannelSmart(payType.name, money, context);
     } else {
         // 默认随机选择
-        channel = await getChannelRandom(payType.name, money);
+        channel = await getChannelRandom(payType.name, money, context);
     }
     
     if (!channel) {
@@ -334,7 +258,7 @@ async function selectChannel(typeName, merchantId, money, device = 'pc') {
 /**
  * 根据ID获取通道
  */
-async function getChannelById(channelId, money) {
+async function getChannelById(channelId, money, context = {}) {
     const [channels] = await db.query(
         `SELECT * FROM provider_channels 
          WHERE id = ? AND status = 1 AND (is_deleted = 0 OR is_deleted IS NULL)
@@ -348,22 +272,15 @@ async function getChannelById(channelId, money) {
     
     const channel = channels[0];
     
-    // 检查时间限制
-    if (!checkChannelTimeRange(channel)) {
-        return null;
-    }
-    
-    // 检查单日限额
-    if (await checkChannelDayLimit(channel, money)) {
-        return channel;
-    }
-    return null;
+    // 检查时间限制、熔断状态和额度
+    const available = await filterAvailableChannels([channel], money, context);
+    return available[0] || null;
 }
 
 /**
  * 随机选择通道
  */
-async function getChannelRandom(payTypeName, money) {
+async function getChannelRandom(payTypeName, money, context = {}) {
     const [channels] = await db.query(
         `SELECT * FROM provider_channels 
          WHERE status = 1 AND (is_deleted = 0 OR is_deleted IS NULL)
@@ -373,8 +290,8 @@ async function getChannelRandom(payTypeName, money) {
         [payTypeName, money, money]
     );
     
-    // 过滤时间限制和单日限额
-    const available = await filterAvailableChannels(channels, money);
+    // 过滤开放时间、熔断状态和额度
+    const available = await filterAvailableChannels(channels, money, context);
     if (available.length === 0) return null;
     
     // 随机选择一个
@@ -385,7 +302,7 @@ async function getChannelRandom(payTypeName, money) {
 /**
  * 顺序选择通道
  */
-async function getChannelSequential(payTypeName, money, groupId) {
+async function getChannelSequential(payTypeName, money, groupId, context = {}) {
     const [channels] = await db.query(
         `SELECT * FROM provider_channels 
          WHERE status = 1 AND (is_deleted = 0 OR is_deleted IS NULL)
@@ -396,8 +313,8 @@ async function getChannelSequential(payTypeName, money, groupId) {
         [payTypeName, money, money]
     );
     
-    // 过滤时间限制和单日限额
-    const available = await filterAvailableChannels(channels, money);
+    // 过滤开放时间、熔断状态和额度
+    const available = await filterAvailableChannels(channels, money, context);
     if (available.length === 0) return null;
     
     // 获取当前索引
@@ -438,7 +355,7 @@ async function getChannelSequential(payTypeName, money, groupId) {
 /**
  * 首个可用通道
  */
-async function getChannelFirst(payTypeName, money) {
+async function getChannelFirst(payTypeName, money, context = {}) {
     const [channels] = await db.query(
         `SELECT * FROM provider_channels 
          WHERE status = 1 AND (is_deleted = 0 OR is_deleted IS NULL)
@@ -449,18 +366,42 @@ async function getChannelFirst(payTypeName, money) {
         [payTypeName, money, money]
     );
     
-    // 过滤时间限制和单日限额，返回第一个可用的
-    const available = await filterAvailableChannels(channels, money);
+    // 过滤开放时间、熔断状态和额度，返回第一个可用的
+    const available = await filterAvailableChannels(channels, money, context);
     if (available.length > 0) {
         return available[0];
     }
     return null;
 }
 
+/**
+ * 按近期成功率智能选择通道
+ */
+async function getChannelSmart(payTypeName, money, context = {}) {
+    const [channels] = await db.query(
+        `SELECT * FROM provider_channels 
+         WHERE status = 1 AND (is_deleted = 0 OR is_deleted IS NULL)
+         AND FIND_IN_SET(?, pay_type) > 0
+         AND (min_money = 0 OR min_money <= ?)
+         AND (max_money = 0 OR max_money >= ?)`,
+        [payTypeName, money, money]
+    );
+    
+    // 过滤开放时间、熔断状态和额度
+    const available = await filterAvailableChannels(channels, money, context);
+    if (available.length === 0) return null;
+    
+    const picked = await channelStats.pickSmartChannel(available);
+    return picked ? picked.channel : null;
+}
+
 /**
  * 从轮询组选择通道
+ * @param {number} groupId - 轮询组ID
+ * @param {number} money - 订单金额
+ * @param {object} context - 选路上下文 { device, merchantId, env, payType, typeConfig }，用于成员规则及通道过滤
  */
-async function getChannelFromGroup(groupId, money) {
+async function getChannelFromGroup(groupId, money, context = {}) {
     const [groups] = await db.query(
         'SELECT * FROM channel_groups WHERE id = ? AND status = 1',
         [groupId]
@@ -469,7 +410,8 @@ async function getChannelFromGroup(groupId, money) {
     if (groups.length === 0) return null;
     
     const group = groups[0];
-    const channelsConfig = JSON.parse(group.channels || '[]');
+    // 先按成员路由规则（金额/设备/商户）过滤
+    const channelsConfig = filterGroupMembers(JSON.parse(group.channels || '[]'), { ...context, money });
     
     if (channelsConfig.length === 0) return null;
     
@@ -485,8 +427,8 @@ async function getChannelFromGroup(groupId, money) {
     
     if (channels.length === 0) return null;
     
-    // 过滤时间限制和单日限额
-    const availableChannels = await filterAvailableChannels(channels, money);
+    // 过滤开放时间、熔断状态和额度
+    const availableChannels = await filterAvailableChannels(channels, money, context);
     if (availableChannels.length === 0) return null;
     
     // 创建ID到通道的映射
@@ -562,5 +504,6 @@ module.exports = {
     getChannelInfo,
     getChannelById,
     getChannelRandom,
+    getChannelSmart,
     getChannelFromGroup
 };
@@ -0,0 +1,383 @@
+/**
+ * 通道成功率统计与智能路由
+ * - 记录每次向上游发起支付（/dopay 等）的结果，写入 channel_submit_logs
+ * - 按最近 N 分钟统计各通道的下单转化率（已支付/已下单）和提交失败率
+ * - 智能模式（CHANNEL_MODE.SMART）按健康评分加权选择通道；
+ *   成功率崩溃的通道只分配少量探测流量，恢复后自动回到正常权重
+ * - 后台健康面板：近1小时/24小时转化、上游提交耗时和回调到账延迟分位数
+ * - 提交日志保留 submit_log_retention_days 天（默认 7 天，统计最多用到近 24 小时），每小时清理一次过期记录
+ */
+const db = require('../config/database');
+const systemConfig = require('./systemConfig');
+
+// 刚创建的未支付订单还在支付中，不计入分母
+const PAY_GRACE_SECONDS = 180;
+// 同一组通道的统计结果缓存时间，避免每次下单都做聚合查询
+const STATS_CACHE_TTL = 15 * 1000;
+const ERROR_MSG_MAX_LENGTH = 255;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// 单次清理删除的最大行数，避免长时间锁表
+const PRUNE_BATCH_SIZE = 5000;
+
+const statsCache = new Map();
+let pruneTimer = null;
+
+function toInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+}
+
+/**
+ * 读取智能路由参数
+ * @returns {Promise<{windowMinutes: number, minSamples: number, collapseRate: number, probeRate: number}>}
+ */
+async function getSmartRouteConfig() {
+  const [minutes, minSamples, collapsePercent, probePercent] = await Promise.all([
+    systemConfig.getConfig('smart_route_minutes', '30'),
+    systemConfig.getConfig('smart_route_min_samples', '10'),
+    systemConfig.getConfig('smart_route_collapse_percent', '10'),
+    systemConfig.getConfig('smart_route_probe_percent', '5')
+  ]);
+
+  return {
+    windowMinutes: Math.max(1, toInt(minutes, 30)),
+    minSamples: Math.max(1, toInt(minSamples, 10)),
+    collapseRate: Math.min(100, Math.max(0, toInt(collapsePercent, 10))) / 100,
+    probeRate: Math.min(100, Math.max(0, toInt(probePercent, 5))) / 100
+  };
+}
+
+/**
+ * 记录一次上游提交结果（失败不影响支付流程）
+ * @param {number} channelId - 通道ID
+ * @param {string} tradeNo - 平台交易号
+ * @param {boolean} success - 上游是否成功返回支付参数
+ * @param {string|null} errorMsg - 失败原因
+ * @param {number|null} latencyMs - 插件调用耗时（毫秒）
+ */
+async function recordSubmit(channelId, tradeNo, success, errorMsg = null, latencyMs = null) {
+  if (!channelId) {
+    return;
+  }
+
+  try {
+    await db.query(
+      'INSERT INTO channel_submit_logs (channel_id, trade_no, success, error_msg, latency_ms) VALUES (?, ?, ?, ?, ?)',
+      [
+        channelId,
+        tradeNo || null,
+        success ? 1 : 0,
+        errorMsg ? String(errorMsg).slice(0, ERROR_MSG_MAX_LENGTH) : null,
+        Number.isFinite(latencyMs) ? Math.max(0, Math.round(latencyMs)) : null
+      ]
+    );
+  } catch (error) {
+    console.error('[ChannelStats] 记录提交结果失败:', error.message);
+  }
+}
+
+/**
+ * 统计通道最近时间窗口内的转化率和提交失败率
+ * @param {number[]} channelIds - 通道ID列表
+ * @param {number} windowMinutes - 统计窗口（分钟）
+ * @returns {Promise<Map<number, {created: number, paid: number, submits: number, submitErrors: number}>>}
+ */
+async function getChannelStats(channelIds, windowMinutes) {
+  const ids = [...new Set(channelIds.map(Number).filter(id => id > 0))].sort((a, b) => a - b);
+  const stats = new Map(ids.map(id => [id, { created: 0, paid: 0, submits: 0, submitErrors: 0 }]));
+  if (ids.length === 0) {
+    return stats;
+  }
+
+  const cacheKey = `${windowMinutes}:${ids.join(',')}`;
+  const cached = statsCache.get(cacheKey);
+  if (cached && cached.expireAt > Date.now()) {
+    return cached.stats;
+  }
+
+  const [orderRows] = await db.query(
+    `SELECT channel_id,
+            COUNT(*) AS created,
+            SUM(paid_at IS NOT NULL) AS paid
+     FROM orders
+     WHERE channel_id IN (?)
+       AND created_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+       AND (paid_at IS NOT NULL OR created_at <= DATE_SUB(NOW(), INTERVAL ? SECOND))
+     GROUP BY channel_id`,
+    [ids, windowMinutes, PAY_GRACE_SECONDS]
+  );
+  for (const row of orderRows) {
+    const item = stats.get(Number(row.channel_id));
+    if (item) {
+      item.created = Number(row.created) || 0;
+      item.paid = Number(row.paid) || 0;
+    }
+  }
+
+  const [submitRows] = await db.query(
+    `SELECT channel_id,
+            COUNT(*) AS submits,
+            SUM(success = 0) AS submit_errors
+     FROM channel_submit_logs
+     WHERE channel_id IN (?) AND created_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+     GROUP BY channel_id`,
+    [ids, windowMinutes]
+  );
+  for (const row of submitRows) {
+    const item = stats.get(Number(row.channel_id));
+    if (item) {
+      item.submits = Number(row.submits) || 0;
+      item.submitErrors = Number(row.submit_errors) || 0;
+    }
+  }
+
+  statsCache.set(cacheKey, { stats, expireAt: Date.now() + STATS_CACHE_TTL });
+  return stats;
+}
+
+/**
+ * 计算通道健康评分
+ * 评分 = 平滑转化率 × (1 - 平滑提交失败率)，样本不足时视为健康，避免新通道被饿死
+ * @param {{created: number, paid: number, submits: number, submitErrors: number}} stat
+ * @param {{minSamples: number, collapseRate: number}} config
+ */
+function scoreChannel(stat, config) {
+  const conversion = (stat.paid + 1) / (stat.created + 2);
+  const errorRate = (stat.submitErrors + 1) / (stat.submits + 2);
+  const score = conversion * (1 - errorRate);
+  const samples = Math.max(stat.created, stat.submits);
+  const collapsed = samples >= config.minSamples && score < config.collapseRate;
+
+  return {
+    ...stat,
+    conversion: Number(conversion.toFixed(4)),
+    errorRate: Number(errorRate.toFixed(4)),
+    score: Number(score.toFixed(4)),
+    collapsed
+  };
+}
+
+function pickWeighted(candidates) {
+  const totalWeight = candidates.reduce((sum, item) => sum + item.weight, 0);
+  let random = Math.random() * totalWeight;
+
+  for (const item of candidates) {
+    random -= item.weight;
+    if (random <= 0) {
+      return item;
+    }
+  }
+
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * 智能选择通道
+ * - 健康通道按评分平方加权随机，评分越高分到的流量越多
+ * - 崩溃通道合计只获得 probeRate 比例的探测流量
+ * - 全部崩溃时仍按评分选择，不阻断下单
+ * @param {Array} channels - 候选通道（provider_channels 记录）
+ * @returns {Promise<{channel: Object, probe: boolean, score: Object}|null>}
+ */
+async function pickSmartChannel(channels) {
+  if (!channels || channels.length === 0) {
+    return null;
+  }
+
+  const config = await getSmartRouteConfig();
+  let stats;
+  try {
+    stats = await getChannelStats(channels.map(c => c.id), config.windowMinutes);
+  } catch (error) {
+    // 统计失败时退化为等权随机
+    console.error('[ChannelStats] 统计通道成功率失败:', error.message);
+    stats = new Map();
+  }
+
+  const scored = channels.map(channel => {
+    const stat = stats.get(Number(channel.id)) || { created: 0, paid: 0, submits: 0, submitErrors: 0 };
+    const score = scoreChannel(stat, config);
+    return { channel, score, weight: Math.max(score.score, 0.0001) ** 2 };
+  });
+
+  const healthy = scored.filter(item => !item.score.collapsed);
+  const collapsed = scored.filter(item => item.score.collapsed);
+
+  if (collapsed.length > 0 && (healthy.length === 0 || Math.random() < config.probeRate)) {
+    const probe = healthy.length === 0
+      ? pickWeighted(collapsed)
+      : collapsed[Math.floor(Math.random() * collapsed.length)];
+    return { channel: probe.channel, probe: healthy.length > 0, score: probe.score };
+  }
+
+  const selected = pickWeighted(healthy);
+  return { channel: selected.channel, probe: false, score: selected.score };
+}
+
+/**
+ * 按通道计算中位数和 P95（MySQL 8 窗口函数）
+ * @param {string} valueSql - 取值表达式
+ * @param {string} fromSql - FROM ... WHERE ...，需包含 channel_id IN (?)
+ */
+async function queryPercentiles(valueSql, fromSql, params) {
+  const [rows] = await db.query(
+    `SELECT channel_id, MAX(cnt) AS samples,
+            MAX(CASE WHEN rn = CEIL(cnt * 0.5) THEN val END) AS p50,
+            MAX(CASE WHEN rn = CEIL(cnt * 0.95) THEN val END) AS p95
+     FROM (
+       SELECT channel_id, ${valueSql} AS val,
+              ROW_NUMBER() OVER (PARTITION BY channel_id ORDER BY ${valueSql}) AS rn,
+              COUNT(*) OVER (PARTITION BY channel_id) AS cnt
+       ${fromSql}
+     ) t
+     GROUP BY channel_id`,
+    params
+  );
+  return new Map(rows.map(r => [Number(r.channel_id), {
+    samples: Number(r.samples) || 0,
+    p50: r.p50 === null ? null : Number(r.p50),
+    p95: r.p95 === null ? null : Number(r.p95)
+  }]));
+}
+
+function rate(numerator, denominator) {
+  return denominator > 0 ? Number((numerator / denominator).toFixed(4)) : null;
+}
+
+/**
+ * 通道健康数据（后台健康面板用）
+ * - 近1小时/24小时下单数、支付数和转化率（按下单时间统计）
+ * - 近24小时上游提交耗时中位数/P95（毫秒）和提交失败数
+ * - 近24小时回调到账延迟（paid_at - created_at）中位数/P95（秒）
+ * - 近7天最后一次提交失败原因
+ * @param {number[]} channelIds
+ * @returns {Promise<Map<number, Object>>}
+ */
+async function getChannelHealth(channelIds) {
+  const ids = [...new Set(channelIds.map(Number).filter(id => id > 0))];
+  const health = new Map();
+  if (ids.length === 0) {
+    return health;
+  }
+
+  const [orderRows] = await db.query(
+    `SELECT channel_id,
+            SUM(created_at >= NOW() - INTERVAL 1 HOUR) AS created_hour,
+            SUM(status = 1 AND created_at >= NOW() - INTERVAL 1 HOUR) AS paid_hour,
+            COUNT(*) AS created_day,
+            SUM(status = 1) AS paid_day
+     FROM orders
+     WHERE channel_id IN (?) AND created_at >= NOW() - INTERVAL 1 DAY
+     GROUP BY channel_id`,
+    [ids]
+  );
+  const [submitRows] = await db.query(
+    `SELECT channel_id, COUNT(*) AS submits, SUM(success = 0) AS submit_errors
+     FROM channel_submit_logs
+     WHERE channel_id IN (?) AND created_at >= NOW() - INTERVAL 1 DAY
+     GROUP BY channel_id`,
+    [ids]
+  );
+  const [errorRows] = await db.query(
+    `SELECT l.channel_id, l.error_msg, l.created_at
+     FROM channel_submit_logs l
+     JOIN (
+       SELECT channel_id, MAX(id) AS id FROM channel_submit_logs
+       WHERE channel_id IN (?) AND success = 0 AND created_at >= NOW() - INTERVAL 7 DAY
+       GROUP BY channel_id
+     ) m ON m.id = l.id`,
+    [ids]
+  );
+  const latency = await queryPercentiles(
+    'latency_ms',
+    'FROM channel_submit_logs WHERE channel_id IN (?) AND created_at >= NOW() - INTERVAL 1 DAY AND latency_ms IS NOT NULL',
+    [ids]
+  );
+  const notifyDelay = await queryPercentiles(
+    'TIMESTAMPDIFF(SECOND, created_at, paid_at)',
+    'FROM orders WHERE channel_id IN (?) AND status = 1 AND paid_at >= NOW() - INTERVAL 1 DAY AND paid_at >= created_at',
+    [ids]
+  );
+
+  const orderMap = new Map(orderRows.map(r => [Number(r.channel_id), r]));
+  const submitMap = new Map(submitRows.map(r => [Number(r.channel_id), r]));
+  const errorMap = new Map(errorRows.map(r => [Number(r.channel_id), r]));
+  const empty = { samples: 0, p50: null, p95: null };
+
+  for (const id of ids) {
+    const orders = orderMap.get(id) || {};
+    const submits = submitMap.get(id) || {};
+    const lastError = errorMap.get(id);
+    const createdHour = Number(orders.created_hour) || 0;
+    const paidHour = Number(orders.paid_hour) || 0;
+    const createdDay = Number(orders.created_day) || 0;
+    const paidDay = Number(orders.paid_day) || 0;
+
+    health.set(id, {
+      hour: { created: createdHour, paid: paidHour, conversion: rate(paidHour, createdHour) },
+      day: { created: createdDay, paid: paidDay, conversion: rate(paidDay, createdDay) },
+      submits: Number(submits.submits) || 0,
+      submit_errors: Number(submits.submit_errors) || 0,
+      submit_latency_ms: latency.get(id) || empty,
+      notify_delay_seconds: notifyDelay.get(id) || empty,
+      last_error: lastError ? { msg: lastError.error_msg, at: lastError.created_at } : null
+    });
+  }
+  return health;
+}
+
+/**
+ * 删除超过保留天数的提交日志
+ * @returns {Promise<number>} 删除行数
+ */
+async function pruneSubmitLogs() {
+  const days = Math.max(2, toInt(await systemConfig.getConfig('submit_log_retention_days', '7'), 7));
+  let total = 0;
+  for (;;) {
+    const [result] = await db.query(
+      'DELETE FROM channel_submit_logs WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY) LIMIT ?',
+      [days, PRUNE_BATCH_SIZE]
+    );
+    const affected = Number(result.affectedRows || 0);
+    total += affected;
+    if (affected < PRUNE_BATCH_SIZE) {
+      break;
+    }
+  }
+  if (total > 0) {
+    console.log(`[ChannelStats] 已清理 ${total} 条过期提交日志`);
+  }
+  return total;
+}
+
+function start() {
+  if (pruneTimer) {
+    return;
+  }
+  pruneTimer = setInterval(() => {
+    pruneSubmitLogs().catch((error) => {
+      console.error('[ChannelStats] 清理过期提交日志失败:', error.message);
+    });
+  }, PRUNE_INTERVAL_MS);
+  console.log('[ChannelStats] 提交日志清理已启动');
+}
+
+function stop() {
+  if (pruneTimer) {
+    clearInterval(pruneTimer);
+    pruneTimer = null;
+    console.log('[ChannelStats] 提交日志清理已停止');
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  pruneSubmitLogs,
+  getSmartRouteConfig,
+  recordSubmit,
+  getChannelStats,
+  getChannelHealth,
+  scoreChannel,
+  pickSmartChannel
+};
@@ -0,0 +1,216 @@
+/**
+ * 买家客户端环境识别与按环境路由
+ * - 环境：wechat（微信内）、alipay（支付宝内）、qq（QQ内）、mobile（手机浏览器）、pc（电脑浏览器）
+ * - 支付组 config[支付方式ID].env_methods 按环境限定可用的支付接口：
+ *   { "wechat": ["jspay"], "mobile": ["h5", "wap"], "pc": ["qrcode"] }
+ *   未配置的环境不限制；配置为空数组表示该环境下不提供此支付方式
+ * - 通道支持的接口由通道勾选的 apptype 对照插件 select / select_<支付方式> 的名称推断；
+ *   插件没有接口选项（如聚合收银台类插件）或无法识别时视为支持全部接口
+ */
+const pluginLoader = require('../plugins');
+
+const ENV = {
+  WECHAT: 'wechat',
+  ALIPAY: 'alipay',
+  QQ: 'qq',
+  MOBILE: 'mobile',
+  PC: 'pc'
+};
+
+const ENV_NAMES = {
+  wechat: '微信内',
+  alipay: '支付宝内',
+  qq: 'QQ内',
+  mobile: '手机浏览器',
+  pc: '电脑浏览器'
+};
+
+// 支付接口：qrcode 扫码、jspay 公众号/生活号/小程序内支付、h5、wap 手机网站、app
+const METHODS = ['qrcode', 'jspay', 'h5', 'wap', 'app'];
+
+// 插件接口名称 -> 支付接口
+const METHOD_PATTERNS = [
+  ['jspay', /JSAPI|JS支付|当面付JS|公众号|小程序|服务窗|生活号/i],
+  ['h5', /H5/i],
+  ['wap', /手机网站|WAP/i],
+  ['qrcode', /Native|扫码|二维码|订单码|电脑网站|PC/i],
+  ['app', /APP/i]
+];
+
+/**
+ * 根据 User-Agent 识别买家环境
+ * @param {string} userAgent
+ * @returns {string} ENV 之一
+ */
+function detectClientEnv(userAgent) {
+  const ua = String(userAgent || '').toLowerCase();
+  if (ua.includes('micromessenger')) return ENV.WECHAT;
+  if (ua.includes('alipay')) return ENV.ALIPAY;
+  if (ua.includes('qq/')) return ENV.QQ;
+  if (/mobile|android|iphone|ipad|ipod/.test(ua)) return ENV.MOBILE;
+  return ENV.PC;
+}
+
+/**
+ * 根据 API 下单的 device 参数（pc/mobile/wechat/alipay/qq 等）确定买家环境
+ * @param {string} device
+ * @returns {string} ENV 之一
+ */
+function envFromDeviceParam(device) {
+  const value = String(device || '').toLowerCase();
+  if (!value || value === ENV.PC) return ENV.PC;
+  return ENV_NAMES[value] ? value : ENV.MOBILE;
+}
+
+/**
+ * 环境对应的设备类型（pc/mobile），用于轮询组成员设备规则
+ */
+function deviceOf(env) {
+  return env === ENV.PC ? 'pc' : 'mobile';
+}
+
+/**
+ * 校验并规范化支付组中的按环境接口配置
+ * @param {Object|null} input
+ * @returns {{error: string|null, envMethods: Object|null}}
+ */
+function normalizeEnvMethods(input) {
+  if (input === undefined || input === null || input === '') {
+    return { error: null, envMethods: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: '环境路由配置格式错误', envMethods: null };
+  }
+
+  const envMethods = {};
+  for (const [env, methods] of Object.entries(input)) {
+    if (!ENV_NAMES[env]) {
+      return { error: `未知的客户端环境: ${env}`, envMethods: null };
+    }
+    if (methods === undefined || methods === null) {
+      continue;
+    }
+    if (!Array.isArray(methods)) {
+      return { error: `${ENV_NAMES[env]}的支付接口必须为数组`, envMethods: null };
+    }
+    const unknown = methods.find(m => !METHODS.includes(m));
+    if (unknown) {
+      return { error: `未知的支付接口: ${unknown}`, envMethods: null };
+    }
+    envMethods[env] = [...new Set(methods)];
+  }
+
+  return { error: null, envMethods: Object.keys(envMethods).length > 0 ? envMethods : null };
+}
+
+/**
+ * 校验支付组 config 中每个支付方式的 env_methods，原样返回其余字段
+ * @param {Object} config - provider_pay_groups.config
+ * @returns {{error: string|null, config: Object}}
+ */
+function normalizeGroupConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { error: null, config: config || {} };
+  }
+
+  const result = {};
+  for (const [payTypeId, typeConfig] of Object.entries(config)) {
+    if (!typeConfig || typeof typeConfig !== 'object' || typeConfig.env_methods === undefined) {
+      result[payTypeId] = typeConfig;
+      continue;
+    }
+    const { error, envMethods } = normalizeEnvMethods(typeConfig.env_methods);
+    if (error) {
+      return { error, config: {} };
+    }
+    const item = { ...typeConfig };
+    if (envMethods) {
+      item.env_methods = envMethods;
+    } else {
+      delete item.env_methods;
+    }
+    result[payTypeId] = item;
+  }
+  return { error: null, config: result };
+}
+
+/**
+ * 推断通道在指定支付方式下支持的支付接口
+ * @param {Object} channel - provider_channels 记录
+ * @param {string} payType - 支付方式
+ * @returns {string[]|null} 无法推断时返回 null
+ */
+function getChannelMethods(channel, payType) {
+  const plugin = pluginLoader.getPlugin(channel.plugin_name);
+  const info = plugin?.info;
+  if (!info) {
+    return null;
+  }
+
+  const apptype = String(channel.apptype || '').split(',').map(s => s.trim()).filter(Boolean);
+  const methods = new Set();
+  for (const item of apptype) {
+    const match = /^([a-z]+)_(.+)$/.exec(item);
+    let label;
+    if (match) {
+      if (match[1] !== payType) continue;
+      label = info[`select_${match[1]}`]?.[match[2]];
+    } else {
+      label = info.select?.[item];
+    }
+    if (!label) continue;
+    for (const [method, pattern] of METHOD_PATTERNS) {
+      if (pattern.test(label)) {
+        methods.add(method);
+      }
+    }
+  }
+
+  return methods.size > 0 ? [...methods] : null;
+}
+
+/**
+ * 支付方式在当前环境下是否被支付组关闭（配置为空数组）
+ * @param {Object|null} typeConfig - 支付组中该支付方式的配置
+ * @param {string} env
+ */
+function isBlockedInEnv(typeConfig, env) {
+  const methods = typeConfig?.env_methods?.[env];
+  return Array.isArray(methods) && methods.length === 0;
+}
+
+/**
+ * 按环境过滤通道：只保留支持该环境所配置支付接口的通道
+ * @param {Array} channels - provider_channels 记录
+ * @param {string} payType - 支付方式
+ * @param {Object|null} typeConfig - 支付组中该支付方式的配置
+ * @param {string|null} env - 客户端环境，为空时不过滤
+ * @returns {Array}
+ */
+function filterChannelsByEnv(channels, payType, typeConfig, env) {
+  const allowed = env ? typeConfig?.env_methods?.[env] : null;
+  if (!Array.isArray(allowed)) {
+    return channels;
+  }
+  if (allowed.length === 0) {
+    return [];
+  }
+  return channels.filter(channel => {
+    const methods = getChannelMethods(channel, payType);
+    return !methods || methods.some(m => allowed.includes(m));
+  });
+}
+
+module.exports = {
+  ENV,
+  ENV_NAMES,
+  METHODS,
+  detectClientEnv,
+  envFromDeviceParam,
+  deviceOf,
+  normalizeEnvMethods,
+  normalizeGroupConfig,
+  getChannelMethods,
+  isBlockedInEnv,
+  filterChannelsByEnv
+};
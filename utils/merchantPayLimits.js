@@ -0,0 +1,255 @@
+/**
+ * 商户支付限制（风控）
+ * merchants.pay_limits 格式：
+ *   { "max_order_money": 5000, "allowed_types": ["alipay", "wxpay"], "daily_limits": { "alipay": 20000 } }
+ * - max_order_money：单笔订单金额上限（元），0 表示不限
+ * - allowed_types：允许使用的支付方式（pay_types.name），空数组表示不限
+ * - daily_limits：按支付方式的每日累计上限（元），未配置或 0 表示不限
+ * 每日累计按业务时区（见 channelSchedule）的自然日统计已支付订单和未过期的待支付订单
+ * （有 expire_at 的按 expire_at，其余按订单超时时间，未开启超时关单时按 PENDING_HOLD_MINUTES）；
+ * 下单前 checkOrder 预检，订单写入后 confirmOrder 按写入顺序复核，并发下单不会超出限额
+ */
+const db = require('../config/database');
+const { listPayTypes } = require('./payTypeRegistry');
+const channelSchedule = require('./channelSchedule');
+const systemConfig = require('./systemConfig');
+
+// 下单被拒绝时返回给商户的错误码
+const LIMIT_ERROR = {
+  PAY_TYPE_NOT_ALLOWED: 'MERCHANT_PAY_TYPE_NOT_ALLOWED',
+  ORDER_AMOUNT_EXCEEDED: 'MERCHANT_ORDER_AMOUNT_EXCEEDED',
+  DAILY_AMOUNT_EXCEEDED: 'MERCHANT_DAILY_AMOUNT_EXCEEDED'
+};
+
+// 未开启超时关单时，待支付订单计入每日累计的时长（分钟）
+const PENDING_HOLD_MINUTES = 30;
+
+function parseLimits(raw) {
+  if (!raw) {
+    return null;
+  }
+  if (typeof raw === 'string') {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return null;
+    }
+  }
+  return typeof raw === 'object' ? raw : null;
+}
+
+function toAmount(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const num = Number(value);
+  return Number.isFinite(num) ? num : NaN;
+}
+
+/**
+ * 校验并规范化后台提交的商户支付限制
+ * @param {Object|string|null} input
+ * @returns {Promise<{error: string|null, limits: Object|null}>}
+ */
+async function normalizeLimits(input) {
+  if (input === undefined || input === null || input === '') {
+    return { error: null, limits: null };
+  }
+
+  const limits = parseLimits(input);
+  if (!limits || Array.isArray(limits)) {
+    return { error: '支付限制格式错误', limits: null };
+  }
+
+  const maxOrderMoney = toAmount(limits.max_order_money);
+  if (Number.isNaN(maxOrderMoney) || maxOrderMoney < 0) {
+    return { error: '单笔限额必须为非负数', limits: null };
+  }
+
+  let allowedTypes = limits.allowed_types ?? [];
+  if (typeof allowedTypes === 'string') {
+    allowedTypes = allowedTypes.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(allowedTypes)) {
+    return { error: '允许的支付方式格式错误', limits: null };
+  }
+  const payTypeNames = new Set((await listPayTypes()).map(pt => pt.name));
+  allowedTypes = [...new Set(allowedTypes.map(String))];
+  const unknownType = allowedTypes.find(name => !payTypeNames.has(name));
+  if (unknownType) {
+    return { error: `支付方式 ${unknownType} 不存在`, limits: null };
+  }
+
+  const dailyInput = limits.daily_limits ?? {};
+  if (typeof dailyInput !== 'object' || Array.isArray(dailyInput)) {
+    return { error: '每日限额格式错误', limits: null };
+  }
+  const dailyLimits = {};
+  for (const [name, value] of Object.entries(dailyInput)) {
+    if (!payTypeNames.has(name)) {
+      return { error: `支付方式 ${name} 不存在`, limits: null };
+    }
+    const amount = toAmount(value);
+    if (Number.isNaN(amount) || amount < 0) {
+      return { error: `支付方式 ${name} 的每日限额必须为非负数`, limits: null };
+    }
+    if (amount > 0) {
+      dailyLimits[name] = Number(amount.toFixed(2));
+    }
+  }
+
+  const normalized = {
+    max_order_money: Number(maxOrderMoney.toFixed(2)),
+    allowed_types: allowedTypes,
+    daily_limits: dailyLimits
+  };
+
+  // 全部为默认值时不保存，表示不限制
+  if (!normalized.max_order_money && allowedTypes.length === 0 && Object.keys(dailyLimits).length === 0) {
+    return { error: null, limits: null };
+  }
+  return { error: null, limits: normalized };
+}
+
+/**
+ * 读取商户支付限制
+ * @param {number} merchantId - users.id（即 orders.merchant_id）
+ * @returns {Object|null}
+ */
+async function getMerchantLimits(merchantId) {
+  const [rows] = await db.query('SELECT pay_limits FROM merchants WHERE user_id = ? LIMIT 1', [merchantId]);
+  return parseLimits(rows[0]?.pay_limits);
+}
+
+/**
+ * 商户指定支付方式今日占用金额：已支付订单 + 未过期的待支付订单
+ * @param {Object} options
+ *   - excludeOrderId: 不计入的订单（当前订单）
+ *   - beforeOrderId: 只计入该订单之前写入的待支付订单（按写入顺序复核）
+ */
+async function getDailyUsed(merchantId, payType, { excludeOrderId = null, beforeOrderId = null } = {}) {
+  const { dateKey } = channelSchedule.getZonedNow();
+  const globalTimeout = parseInt(await systemConfig.getConfig('order_timeout_minutes', '0'), 10) || 0;
+  const holdMinutes = globalTimeout > 0 ? globalTimeout : PENDING_HOLD_MINUTES;
+  const params = [merchantId, payType, dateKey, dateKey, holdMinutes];
+  let pendingFilter = `status = 0 AND (
+         (expire_at IS NOT NULL AND expire_at > NOW())
+         OR (expire_at IS NULL AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE))
+       )`;
+  if (beforeOrderId) {
+    pendingFilter += ' AND id < ?';
+    params.push(beforeOrderId);
+  }
+  let sql = `SELECT COALESCE(SUM(money), 0) AS used FROM orders
+     WHERE merchant_id = ? AND pay_type = ?
+       AND created_at >= ? AND created_at < DATE_ADD(?, INTERVAL 1 DAY)
+       AND (status = 1 OR (${pendingFilter}))`;
+  if (excludeOrderId) {
+    sql += ' AND id <> ?';
+    params.push(excludeOrderId);
+  }
+  const [[row]] = await db.query(sql, params);
+  return parseFloat(row?.used) || 0;
+}
+
+function getDailyLimit(parsed, payType) {
+  return parseFloat(parsed?.daily_limits?.[payType]) || 0;
+}
+
+/**
+ * 检查订单是否符合商户支付限制
+ * @param {Object|null} limits - merchants.pay_limits
+ * @param {number} merchantId - users.id
+ * @param {string} payType - 支付方式，为空时只检查单笔限额
+ * @param {number} money - 订单金额
+ * @param {number|null} orderId - 已存在的订单（收银台选择支付方式时），不重复计入占用
+ * @returns {Promise<{ok: boolean, errCode?: string, msg?: string}>}
+ */
+async function checkOrder(limits, merchantId, payType, money, orderId = null) {
+  const parsed = parseLimits(limits);
+  if (!parsed) {
+    return { ok: true };
+  }
+
+  const amount = parseFloat(money) || 0;
+  const maxOrderMoney = parseFloat(parsed.max_order_money) || 0;
+  if (maxOrderMoney > 0 && amount > maxOrderMoney) {
+    return { ok: false, errCode: LIMIT_ERROR.ORDER_AMOUNT_EXCEEDED, msg: `单笔支付金额不能大于 ${maxOrderMoney} 元` };
+  }
+
+  if (!payType) {
+    return { ok: true };
+  }
+
+  const allowedTypes = Array.isArray(parsed.allowed_types) ? parsed.allowed_types : [];
+  if (allowedTypes.length > 0 && !allowedTypes.includes(payType)) {
+    return { ok: false, errCode: LIMIT_ERROR.PAY_TYPE_NOT_ALLOWED, msg: '商户未开通该支付方式' };
+  }
+
+  const dailyLimit = getDailyLimit(parsed, payType);
+  if (dailyLimit > 0) {
+    const used = await getDailyUsed(merchantId, payType, { excludeOrderId: orderId });
+    if (used + amount > dailyLimit) {
+      return { ok: false, errCode: LIMIT_ERROR.DAILY_AMOUNT_EXCEEDED, msg: '该支付方式今日交易额度已满' };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * 订单写入后复核每日限额：只计入先于本单写入的待支付订单，
+ * 并发下单时先写入的订单占用额度，后写入的超限订单由调用方关闭
+ * @param {Object|null} limits - merchants.pay_limits
+ * @param {number} merchantId - users.id
+ * @param {string} payType - 支付方式
+ * @param {number} orderId - 刚写入的订单ID
+ * @param {number} money - 订单金额
+ * @returns {Promise<{ok: boolean, errCode?: string, msg?: string}>}
+ */
+async function confirmOrder(limits, merchantId, payType, orderId, money) {
+  const dailyLimit = payType ? getDailyLimit(parseLimits(limits), payType) : 0;
+  if (dailyLimit <= 0) {
+    return { ok: true };
+  }
+
+  const used = await getDailyUsed(merchantId, payType, { excludeOrderId: orderId, beforeOrderId: orderId });
+  if (used + (parseFloat(money) || 0) > dailyLimit) {
+    return { ok: false, errCode: LIMIT_ERROR.DAILY_AMOUNT_EXCEEDED, msg: '该支付方式今日交易额度已满' };
+  }
+  return { ok: true };
+}
+
+/**
+ * 按商户支付限制过滤支付方式列表（收银台展示用）
+ * @param {Object|null} limits - merchants.pay_limits
+ * @param {number} merchantId - users.id
+ * @param {Array} payTypes - 支付方式列表
+ * @param {number} money - 订单金额
+ * @param {Function} getName - 取支付方式名称，默认读取 type_code
+ * @returns {Promise<Array>}
+ */
+async function filterPayTypes(limits, merchantId, payTypes, money, getName = pt => pt.type_code) {
+  if (!parseLimits(limits)) {
+    return payTypes;
+  }
+
+  const result = [];
+  for (const pt of payTypes) {
+    const check = await checkOrder(limits, merchantId, getName(pt), money);
+    if (check.ok) {
+      result.push(pt);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  LIMIT_ERROR,
+  parseLimits,
+  normalizeLimits,
+  getMerchantLimits,
+  checkOrder,
+  confirmOrder,
+  filterPayTypes
+};
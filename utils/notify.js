@@ -18,6 +18,7 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const db = require('../config/database');
 
 // 加载配置（必须存在 config.yaml）
 function loadConfig() {
@@ -33,16 +34,24 @@ function loadConfig() {
 /**
  * 发送异步通知到商户
  * 如果配置了 callbackProxy，使用反向代理模式
+ * 每一次 HTTP 请求都会写入 notify_attempts，便于排查商户未收到回调的问题
  * @param {string} notifyUrl - 通知 URL
  * @param {Object} params - 回调参数
  * @param {Object} options - 配置选项
  * @param {number} options.timeout - 请求超时毫秒（默认 10000）
  * @param {boolean} options.tryGet - 是否同时尝试 GET 请求（默认 false）
+ * @param {string} options.tradeNo - 关联平台订单号（默认取 params.trade_no）
+ * @param {string} options.notifyType - 通知类型（默认 payment）
  * @returns {Promise<{success: boolean, method: string, lastError: string|null}>}
  */
 async function sendNotify(notifyUrl, params, options = {}) {
   const { timeout = 10000, tryGet = false } = options;
   const config = loadConfig();
+  const logContext = {
+    tradeNo: options.tradeNo || params.trade_no || '',
+    notifyType: options.notifyType || 'payment',
+    params
+  };
   
   // 构建最终URL
   let finalUrl = notifyUrl;
@@ -51,30 +60,74 @@ async function sendNotify(notifyUrl, params, options = {}) {
     finalUrl = config.callbackProxy + notifyUrl;
   }
 
+  let lastError = '商户未返回成功响应';
+
   // 先尝试 POST
+  const postStart = Date.now();
   try {
     const postResponse = await axios.post(finalUrl, params, {
       timeout,
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
     });
+    const success = checkSuccess(postResponse.data);
+    await recordAttempt(logContext, {
+      url: finalUrl,
+      method: 'POST',
+      httpStatus: postResponse.status,
+      latency: Date.now() - postStart,
+      body: postResponse.data,
+      success,
+      error: success ? null : '商户未返回成功响应'
+    });
     
-    if (checkSuccess(postResponse.data)) {
+    if (success) {
       return { success: true, method: 'POST', lastError: null };
     }
   } catch (error) {
     // POST 失败，继续尝试 GET
+    lastError = `请求失败: ${error.message}`;
+    await recordAttempt(logContext, {
+      url: finalUrl,
+      method: 'POST',
+      httpStatus: error.response ? error.response.status : null,
+      latency: Date.now() - postStart,
+      body: error.response ? error.response.data : null,
+      success: false,
+      error: error.message
+    });
   }
 
   // 如果 POST 失败或响应不成功，尝试 GET
   if (tryGet) {
+    const getUrl = buildCallbackUrl(finalUrl, params);
+    const getStart = Date.now();
     try {
-      const getUrl = buildCallbackUrl(finalUrl, params);
       const getResponse = await axios.get(getUrl, { timeout });
+      const success = checkSuccess(getResponse.data);
+      await recordAttempt(logContext, {
+        url: getUrl,
+        method: 'GET',
+        httpStatus: getResponse.status,
+        latency: Date.now() - getStart,
+        body: getResponse.data,
+        success,
+        error: success ? null : '商户未返回成功响应'
+      });
       
-      if (checkSuccess(getResponse.data)) {
+      if (success) {
         return { success: true, method: 'GET', lastError: null };
       }
+      lastError = '商户未返回成功响应';
     } catch (error) {
+      await recordAttempt(logContext, {
+        url: getUrl,
+        method: 'GET',
+        httpStatus: error.response ? error.response.status : null,
+        latency: Date.now() - getStart,
+        body: error.response ? error.response.data : null,
+        success: false,
+        error: error.message
+      });
       return { 
         success: false, 
         method: null, 
@@ -86,10 +139,73 @@ async function sendNotify(notifyUrl, params, options = {}) {
   return { 
     success: false, 
     method: null, 
-    lastError: '商户未返回成功响应' 
+    lastError 
   };
 }
 
+// ==================== 通知投递日志 ====================
+
+const RESPONSE_BODY_MAX_LENGTH = 1000;
+
+function truncateText(value, maxLength) {
+  if (value === null || value === undefined) return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > maxLength ? text.slice(0, maxLength) : text;
+}
+
+/**
+ * 记录单次通知请求（写库失败不影响通知流程）
+ */
+async function recordAttempt(context, attempt) {
+  try {
+    await db.query(
+      `INSERT INTO notify_attempts
+         (trade_no, notify_type, url, method, params, http_status, latency_ms, response_body, success, error)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        context.tradeNo,
+        context.notifyType,
+        truncateText(attempt.url, 1000),
+        attempt.method,
+        JSON.stringify(context.params || {}),
+        attempt.httpStatus,
+        attempt.latency,
+        truncateText(attempt.body, RESPONSE_BODY_MAX_LENGTH),
+        attempt.success ? 1 : 0,
+        truncateText(attempt.error, 500)
+      ]
+    );
+  } catch (error) {
+    console.error('[Notify] 记录通知日志失败:', error.message);
+  }
+}
+
+/**
+ * 查询订单的通知投递记录
+ * @param {string} tradeNo - 平台订单号
+ * @param {number} limit - 返回条数上限
+ * @returns {Promise<Array>}
+ */
+async function getNotifyAttempts(tradeNo, limit = 100) {
+  const [rows] = await db.query(
+    `SELECT id, notify_type, url, method, params, http_status, latency_ms, response_body, success, error, created_at
+     FROM notify_attempts
+     WHERE trade_no = ?
+     ORDER BY id DESC
+     LIMIT ?`,
+    [tradeNo, limit]
+  );
+  return rows.map((row) => {
+    let params = row.params;
+    try {
+      params = JSON.parse(row.params);
+    } catch (e) {
+      // 保留原始文本
+    }
+    return { ...row, params };
+  });
+}
+
 /**
  * 生成 MD5 签名
  * @param {Object} params - 参数
@@ -190,6 +306,41 @@ function buildCallbackParams(order, key, pid = null) {
   return params;
 }
 
+/**
+ * 构建退款结果回调参数（签名方式与支付回调一致）
+ * @param {Object} order - 订单数据
+ * @param {Object} refund - order_refunds 记录
+ * @param {string} key - 商户密钥
+ * @param {string} pid - 商户PID（可选）
+ * @returns {Object} 带签名的参数
+ */
+function buildRefundCallbackParams(order, refund, key, pid = null) {
+  const refundStatusMap = { 0: 'processing', 1: 'success', 2: 'failed' };
+  const params = {
+    pid: pid || order.pid,
+    notify_type: 'refund',
+    trade_no: order.trade_no,
+    out_trade_no: order.out_trade_no,
+    type: order.pay_type || order.type || 'unknown',
+    money: parseFloat(order.money).toFixed(2),
+    refund_no: refund.refund_no,
+    refund_money: parseFloat(refund.money).toFixed(2),
+    refund_status: refundStatusMap[Number(refund.status)] || 'processing'
+  };
+
+  if (refund.api_refund_no) {
+    params.api_refund_no = refund.api_refund_no;
+  }
+  if (order.param) {
+    params.param = order.param;
+  }
+
+  params.sign = makeSign(params, key);
+  params.sign_type = 'MD5';
+
+  return params;
+}
+
 /**
  * 发送普通订单通知
  * @param {string} notifyUrl - 通知 URL
@@ -209,11 +360,15 @@ module.exports = {
   
   // 参数构建
   buildCallbackParams,
+  buildRefundCallbackParams,
   buildCallbackUrl,
   
   // 发送通知（多线程）
   sendNotify,
   sendOrderNotify,
+
+  // 通知日志
+  getNotifyAttempts,
   
   // 工具函数
   checkSuccess
@@ -0,0 +1,255 @@
+/**
+ * 商户异步通知重试队列
+ * - 通知任务持久化在 notify_queue 表，服务重启后继续投递
+ * - 重试间隔沿用易支付经典节奏：0s, 15s, 1m, 5m, 30m, 2h, 6h, 24h
+ * - 商户返回 success 后立即停止重试
+ * - 投递日志 notify_attempts 保留 notify_log_retention_days 天（默认 30 天），每小时清理一次过期记录
+ */
+const db = require('../config/database');
+const systemConfig = require('./systemConfig');
+const { sendNotify } = require('./notify');
+
+// 第 N 次投递前的等待秒数（第 1 次立即投递）
+const RETRY_SCHEDULE = [0, 15, 60, 300, 1800, 7200, 21600, 86400];
+const MAX_ATTEMPTS = RETRY_SCHEDULE.length;
+const BATCH_SIZE = 50;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// 单次清理删除的最大行数，避免长时间锁表
+const PRUNE_BATCH_SIZE = 5000;
+
+// 队列状态：0=待投递 1=已成功 2=已放弃
+const QUEUE_STATUS = {
+  PENDING: 0,
+  SUCCESS: 1,
+  GIVE_UP: 2
+};
+
+function parseParams(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+}
+
+class NotifyRetryService {
+  constructor() {
+    this.timer = null;
+    this.pruneTimer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this._tick().catch((error) => {
+        console.error('[NotifyRetry] 定时投递失败:', error.message);
+      });
+    }, 5000);
+
+    this._tick().catch((error) => {
+      console.error('[NotifyRetry] 启动投递失败:', error.message);
+    });
+
+    this.pruneTimer = setInterval(() => {
+      this.pruneAttempts().catch((error) => {
+        console.error('[NotifyRetry] 清理过期投递日志失败:', error.message);
+      });
+    }, PRUNE_INTERVAL_MS);
+
+    console.log('[NotifyRetry] 调度器已启动');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+      console.log('[NotifyRetry] 调度器已停止');
+    }
+  }
+
+  /**
+   * 删除超过保留天数的通知投递日志
+   * @returns {Promise<number>} 删除行数
+   */
+  async pruneAttempts() {
+    const days = Math.max(1, parseInt(await systemConfig.getConfig('notify_log_retention_days', '30'), 10) || 30);
+    let total = 0;
+    for (;;) {
+      const [result] = await db.query(
+        'DELETE FROM notify_attempts WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY) LIMIT ?',
+        [days, PRUNE_BATCH_SIZE]
+      );
+      const affected = Number(result.affectedRows || 0);
+      total += affected;
+      if (affected < PRUNE_BATCH_SIZE) {
+        break;
+      }
+    }
+    if (total > 0) {
+      console.log(`[NotifyRetry] 已清理 ${total} 条过期通知投递日志`);
+    }
+    return total;
+  }
+
+  /**
+   * 加入通知队列并立即投递一次
+   * 同一业务单号重复入队时重置重试计数（用于手动重发）
+   * @param {Object} task
+   * @param {number} task.orderId - 订单ID
+   * @param {string} task.tradeNo - 平台订单号
+   * @param {string} task.notifyUrl - 商户通知地址
+   * @param {Object} task.params - 已签名的回调参数
+   * @param {string} task.notifyType - 通知类型（默认 payment）
+   * @param {string} task.bizNo - 业务单号（默认取 tradeNo）
+   * @returns {Promise<{success: boolean, attempts: number, nextTime: Date|null, lastError: string|null}>}
+   */
+  async enqueue({ orderId, tradeNo, notifyUrl, params, notifyType = 'payment', bizNo = null }) {
+    const effectiveBizNo = bizNo || tradeNo;
+
+    await db.query(
+      `INSERT INTO notify_queue
+         (order_id, trade_no, notify_type, biz_no, notify_url, params, attempts, status, next_time, last_error)
+       VALUES (?, ?, ?, ?, ?, ?, 0, ?, NOW(), NULL)
+       ON DUPLICATE KEY UPDATE
+         order_id = VALUES(order_id),
+         trade_no = VALUES(trade_no),
+         notify_url = VALUES(notify_url),
+         params = VALUES(params),
+         attempts = 0,
+         status = VALUES(status),
+         next_time = NOW(),
+         last_error = NULL`,
+      [orderId, tradeNo, notifyType, effectiveBizNo, notifyUrl, JSON.stringify(params || {}), QUEUE_STATUS.PENDING]
+    );
+
+    const [rows] = await db.query(
+      'SELECT * FROM notify_queue WHERE notify_type = ? AND biz_no = ? LIMIT 1',
+      [notifyType, effectiveBizNo]
+    );
+
+    if (rows.length === 0) {
+      return { success: false, attempts: 0, nextTime: null, lastError: '通知任务写入失败' };
+    }
+
+    return this._deliver(rows[0]);
+  }
+
+  /**
+   * 取消仍在排队的通知（例如订单已被人工确认，无需再推送）
+   */
+  async cancel(notifyType, bizNo) {
+    await db.query(
+      'UPDATE notify_queue SET status = ?, next_time = NULL WHERE notify_type = ? AND biz_no = ? AND status = ?',
+      [QUEUE_STATUS.GIVE_UP, notifyType, bizNo, QUEUE_STATUS.PENDING]
+    );
+  }
+
+  async _tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const [rows] = await db.query(
+        `SELECT * FROM notify_queue
+         WHERE status = ? AND next_time IS NOT NULL AND next_time <= NOW()
+         ORDER BY next_time ASC
+         LIMIT ?`,
+        [QUEUE_STATUS.PENDING, BATCH_SIZE]
+      );
+
+      for (const row of rows) {
+        try {
+          await this._deliver(row);
+        } catch (error) {
+          console.error(`[NotifyRetry] 投递异常: ${row.notify_type} ${row.biz_no}`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _deliver(row) {
+    // 先占用任务，避免多实例或并发调用重复投递
+    const [claim] = await db.query(
+      `UPDATE notify_queue SET next_time = DATE_ADD(NOW(), INTERVAL 60 SECOND)
+       WHERE id = ? AND status = ? AND attempts = ?`,
+      [row.id, QUEUE_STATUS.PENDING, row.attempts]
+    );
+    if (!claim.affectedRows) {
+      return { success: false, attempts: row.attempts, nextTime: null, lastError: '通知任务已被处理' };
+    }
+
+    const params = parseParams(row.params);
+    let result;
+    try {
+      result = await sendNotify(row.notify_url, params, {
+        tryGet: true,
+        tradeNo: row.trade_no,
+        notifyType: row.notify_type
+      });
+    } catch (error) {
+      result = { success: false, method: null, lastError: error.message };
+    }
+
+    const attempts = Number(row.attempts || 0) + 1;
+    let status = QUEUE_STATUS.PENDING;
+    let delaySeconds = null;
+
+    if (result.success) {
+      status = QUEUE_STATUS.SUCCESS;
+    } else if (attempts >= MAX_ATTEMPTS) {
+      status = QUEUE_STATUS.GIVE_UP;
+    } else {
+      delaySeconds = RETRY_SCHEDULE[attempts];
+    }
+
+    const lastError = result.success ? null : String(result.lastError || '').slice(0, 255);
+    if (delaySeconds === null) {
+      await db.query(
+        'UPDATE notify_queue SET attempts = ?, status = ?, next_time = NULL, last_error = ? WHERE id = ?',
+        [attempts, status, lastError, row.id]
+      );
+    } else {
+      await db.query(
+        'UPDATE notify_queue SET attempts = ?, status = ?, next_time = DATE_ADD(NOW(), INTERVAL ? SECOND), last_error = ? WHERE id = ?',
+        [attempts, status, delaySeconds, lastError, row.id]
+      );
+    }
+
+    if (row.notify_type === 'payment') {
+      await db.query(
+        'UPDATE orders SET notify_status = ?, notify_count = notify_count + 1, notify_time = NOW() WHERE id = ?',
+        [result.success ? 1 : 2, row.order_id]
+      );
+    }
+
+    if (result.success) {
+      console.log(`[NotifyRetry] 通知成功: ${row.notify_type} ${row.biz_no}, 第${attempts}次`);
+    } else if (status === QUEUE_STATUS.GIVE_UP) {
+      console.log(`[NotifyRetry] 通知失败已达上限，停止重试: ${row.notify_type} ${row.biz_no}`);
+    } else {
+      console.log(`[NotifyRetry] 通知失败: ${row.notify_type} ${row.biz_no}, 第${attempts}次, ${delaySeconds}秒后重试`);
+    }
+
+    return {
+      success: !!result.success,
+      attempts,
+      nextTime: delaySeconds === null ? null : new Date(Date.now() + delaySeconds * 1000),
+      lastError
+    };
+  }
+}
+
+module.exports = new NotifyRetryService();
@@ -0,0 +1,189 @@
+/**
+ * 上游主动查单服务
+ * - 定时对近期未支付订单调用通道插件的 query 方法
+ * - 上游显示已支付时，走与异步回调相同的完成流程（更新状态、入账、通知商户）
+ * - 上游金额与订单金额不符时不补单，标记异常等待人工核对
+ * - 每笔订单按查单次数退避，按下次查单时间排序，避免早期订单占满批次导致新订单查不到
+ * - 支持后台手动触发单笔同步
+ */
+const db = require('../config/database');
+const systemConfig = require('./systemConfig');
+const pluginLoader = require('../plugins');
+const { normalizeQueryResult, amountMatches } = require('./queryResult');
+
+const BATCH_SIZE = 50;
+// 下单后至少等待一段时间再查单，避免与用户正在支付的流程抢跑
+const MIN_ORDER_AGE_SECONDS = 60;
+// 查单退避间隔（秒），按已查次数取值，超出后使用最后一档
+const RECONCILE_RETRY_SECONDS = [60, 120, 300, 600, 900];
+
+class OrderReconcileService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.paidHandler = null;
+  }
+
+  /**
+   * 注册订单支付完成处理函数（由 routes/pay.js 提供，与回调共用）
+   * @param {Function} handler - async (order, { api_trade_no, buyer }) => updatedOrder|null
+   */
+  setPaidHandler(handler) {
+    this.paidHandler = handler;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this._tick().catch((error) => {
+        console.error('[OrderReconcile] 定时查单失败:', error.message);
+      });
+    }, 60000);
+
+    console.log('[OrderReconcile] 调度器已启动');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[OrderReconcile] 调度器已停止');
+    }
+  }
+
+  async _tick() {
+    if (this.running) {
+      return;
+    }
+
+    const enabled = await systemConfig.getConfig('order_reconcile_enabled', '1');
+    if (enabled !== '1') {
+      return;
+    }
+
+    const windowMinutes = parseInt(await systemConfig.getConfig('order_reconcile_minutes', '30'), 10);
+    if (!Number.isFinite(windowMinutes) || windowMinutes <= 0) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const [orders] = await db.query(
+        `SELECT * FROM orders
+         WHERE status = 0 AND channel_id IS NOT NULL
+           AND created_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+           AND created_at <= DATE_SUB(NOW(), INTERVAL ? SECOND)
+           AND (next_reconcile_at IS NULL OR next_reconcile_at <= NOW())
+         ORDER BY COALESCE(next_reconcile_at, created_at) ASC
+         LIMIT ?`,
+        [windowMinutes, MIN_ORDER_AGE_SECONDS, BATCH_SIZE]
+      );
+
+      let completed = 0;
+      for (const order of orders) {
+        const result = await this.syncOrder(order);
+        if (result.code === 0 && result.data.completed) {
+          completed += 1;
+        } else {
+          await this._scheduleNext(order);
+        }
+      }
+
+      if (completed > 0) {
+        console.log(`[OrderReconcile] 主动查单补单完成: ${completed} 笔`);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 未补单的订单按查单次数退避到下次查单时间
+   */
+  async _scheduleNext(order) {
+    const attempts = (Number(order.reconcile_attempts) || 0) + 1;
+    const delay = RECONCILE_RETRY_SECONDS[Math.min(attempts, RECONCILE_RETRY_SECONDS.length) - 1];
+    await db.query(
+      `UPDATE orders SET reconcile_attempts = ?, next_reconcile_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE id = ? AND status = 0`,
+      [Math.min(attempts, 255), delay, order.id]
+    );
+  }
+
+  /**
+   * 向上游查询单笔订单，已支付且金额一致则执行完成流程
+   * @param {Object} order - orders 表记录
+   * @returns {Promise<{code: number, msg?: string, data?: Object, unsupported?: boolean}>} unsupported 表示无法向上游查单（未关联通道或插件不支持）
+   */
+  async syncOrder(order) {
+    try {
+      if (!order.channel_id) {
+        return { code: -1, msg: '订单未关联支付通道', unsupported: true };
+      }
+
+      const [channels] = await db.query('SELECT * FROM provider_channels WHERE id = ?', [order.channel_id]);
+      if (channels.length === 0) {
+        return { code: -1, msg: '支付通道不存在' };
+      }
+
+      const channel = channels[0];
+      const pluginName = channel.plugin_name || order.plugin_name;
+      const plugin = pluginLoader.getPlugin(pluginName);
+      if (!plugin) {
+        return { code: -1, msg: '支付插件不存在' };
+      }
+      if (typeof plugin.query !== 'function') {
+        return { code: -1, msg: '该支付通道不支持查单', unsupported: true };
+      }
+      if (!(await pluginLoader.isPluginEnabled(pluginName))) {
+        return { code: -1, msg: '支付插件已停用' };
+      }
+
+      const channelConfig = pluginLoader.buildChannelConfig(channel);
+      const rawResult = await pluginLoader.callPluginMethod(pluginName, 'query', channelConfig, order.trade_no, order.api_trade_no);
+      const upstream = normalizeQueryResult(rawResult);
+
+      const expectedMoney = order.real_money || order.money;
+      const amountMismatch = upstream.paid && !amountMatches(upstream.amount, expectedMoney, channelConfig.currency_rate);
+
+      let completed = false;
+      if (amountMismatch) {
+        const note = `上游支付金额不符（上游 ${upstream.amount}，订单 ${expectedMoney}），未自动补单`;
+        await db.query('UPDATE orders SET exception_note = ? WHERE id = ? AND status = 0', [note, order.id]);
+        console.error(`[OrderReconcile] ${order.trade_no} ${note}`);
+      } else if (upstream.paid && Number(order.status) === 0) {
+        if (!this.paidHandler) {
+          return { code: -1, msg: '订单完成处理未就绪' };
+        }
+        const updatedOrder = await this.paidHandler(order, {
+          api_trade_no: upstream.api_trade_no,
+          buyer: upstream.buyer
+        });
+        completed = !!updatedOrder;
+        if (completed) {
+          console.log(`[OrderReconcile] 上游已支付，订单补单成功: ${order.trade_no}`);
+        }
+      }
+
+      return {
+        code: 0,
+        data: {
+          trade_no: order.trade_no,
+          upstream_paid: upstream.paid,
+          upstream_state: upstream.state,
+          upstream_amount: upstream.amount,
+          amount_mismatch: amountMismatch,
+          completed
+        }
+      };
+    } catch (error) {
+      console.error(`[OrderReconcile] 查单失败: ${order.trade_no}`, error.message);
+      return { code: -1, msg: '上游查单失败: ' + error.message };
+    }
+  }
+}
+
+module.exports = new OrderReconcileService();
@@ -0,0 +1,216 @@
+/**
+ * 订单超时关闭服务
+ * - 超时时间：全局默认（system_config.order_timeout_minutes）+ 商户覆盖（merchants.order_timeout）
+ * - 固定直链订单仍以 orders.expire_at 为准
+ * - 关闭前先向上游查单，避免误关已支付订单
+ * - 插件支持 close 时，上游关单成功后才关闭本地订单；失败则保持未支付并按间隔重试，
+ *   连续失败达到上限时标记异常、停止重试，等待人工处理
+ * - 插件不支持 close 时无法关闭上游交易，按重试间隔多查几次上游仍未支付才关闭本地订单；
+ *   之后收到的支付回调由回调流程补单并标记异常（见 routes/pay.js completeOrderPayment）
+ */
+const db = require('../config/database');
+const systemConfig = require('./systemConfig');
+const pluginLoader = require('../plugins');
+const orderReconcileService = require('./orderReconcileService');
+const quotaService = require('./quotaService');
+
+const BATCH_SIZE = 100;
+// 关单重试间隔（分钟），按已尝试次数取值，超出后使用最后一档
+const CLOSE_RETRY_MINUTES = [1, 5, 15, 30, 60];
+// 上游关单连续失败达到该次数后标记异常，不再自动重试
+const MAX_CLOSE_ATTEMPTS = 10;
+// 不支持 close 的通道：第几次尝试时关闭本地订单
+const LOCAL_CLOSE_ATTEMPT = 3;
+
+class OrderTimeoutService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this._tick().catch((error) => {
+        console.error('[OrderTimeout] 定时检查失败:', error.message);
+      });
+    }, 60000);
+
+    this._tick().catch((error) => {
+      console.error('[OrderTimeout] 启动检查失败:', error.message);
+    });
+
+    console.log('[OrderTimeout] 调度器已启动');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[OrderTimeout] 调度器已停止');
+    }
+  }
+
+  async _tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const globalTimeout = parseInt(await systemConfig.getConfig('order_timeout_minutes', '0'), 10) || 0;
+
+      const [orders] = await db.query(
+        `SELECT o.* FROM orders o
+         LEFT JOIN merchants m ON o.merchant_id = m.user_id
+         WHERE o.status = 0
+           AND o.close_attempts < ?
+           AND (o.next_close_at IS NULL OR o.next_close_at <= NOW())
+           AND (
+             (o.expire_at IS NOT NULL AND o.expire_at <= NOW())
+             OR (
+               o.expire_at IS NULL
+               AND COALESCE(m.order_timeout, ?) > 0
+               AND o.created_at <= DATE_SUB(NOW(), INTERVAL COALESCE(m.order_timeout, ?) MINUTE)
+             )
+           )
+         ORDER BY o.id ASC
+         LIMIT ?`,
+        [MAX_CLOSE_ATTEMPTS, globalTimeout, globalTimeout, BATCH_SIZE]
+      );
+
+      let closedCount = 0;
+      for (const order of orders) {
+        try {
+          if (await this.closeExpiredOrder(order)) {
+            closedCount += 1;
+          }
+        } catch (error) {
+          console.error(`[OrderTimeout] 关闭订单失败: ${order.trade_no}`, error.message);
+        }
+      }
+
+      if (closedCount > 0) {
+        console.log(`[OrderTimeout] 已关闭超时订单: ${closedCount} 笔`);
+      }
+
+      // 未开启超时关单或关单未完成的未支付订单，额度占用到期后释放
+      await quotaService.expireStale();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 关闭一笔已超时的未支付订单（定时检查与固定直链重新下单共用）
+   * 先查一次上游，已支付则由查单流程补单，不再关闭；金额不符的已标记异常，退避后再查。
+   * 未关闭时按重试间隔安排下次尝试，未到重试时间或已达重试上限的订单直接跳过
+   * @param {Object} order - orders 表记录
+   * @returns {Promise<boolean>} 是否已关闭
+   */
+  async closeExpiredOrder(order) {
+    const attempts = Number(order.close_attempts) || 0;
+    if (attempts >= MAX_CLOSE_ATTEMPTS || (order.next_close_at && new Date(order.next_close_at) > new Date())) {
+      return false;
+    }
+    const attempt = attempts + 1;
+
+    const syncResult = await orderReconcileService.syncOrder(order);
+    if (syncResult.code === 0 && syncResult.data.upstream_paid) {
+      if (syncResult.data.amount_mismatch) {
+        await this._scheduleRetry(order, attempt, {});
+      }
+      return false;
+    }
+
+    const result = await this.closeOrder(order, { allowLocal: attempt >= LOCAL_CLOSE_ATTEMPT });
+    if (!result.closed) {
+      await this._scheduleRetry(order, attempt, result);
+    }
+    return result.closed;
+  }
+
+  /**
+   * 关单未完成时安排下次重试；上游关单连续失败达到上限时标记异常
+   */
+  async _scheduleRetry(order, attempt, result) {
+    const delay = CLOSE_RETRY_MINUTES[Math.min(attempt, CLOSE_RETRY_MINUTES.length) - 1];
+    const exceptionNote = result.upstreamError && attempt >= MAX_CLOSE_ATTEMPTS
+      ? `上游关单连续失败，订单保持未支付: ${result.upstreamError}`.slice(0, 255)
+      : null;
+
+    await db.query(
+      `UPDATE orders
+       SET close_attempts = ?, next_close_at = DATE_ADD(NOW(), INTERVAL ? MINUTE), exception_note = COALESCE(?, exception_note)
+       WHERE id = ? AND status = 0`,
+      [attempt, delay, exceptionNote, order.id]
+    );
+
+    if (exceptionNote) {
+      console.error(`[OrderTimeout] ${order.trade_no} ${exceptionNote}`);
+    }
+  }
+
+  /**
+   * 关闭未支付订单
+   * 插件支持 close 时必须上游关单成功才关闭本地订单；不支持时仅在 allowLocal 为 true 时关闭本地订单
+   * @param {Object} order - orders 表记录
+   * @param {Object} options - {allowLocal: 插件不支持关单时是否只关闭本地订单}
+   * @returns {Promise<{closed: boolean, upstreamClosed: boolean, upstreamError: string|null, unsupported: boolean}>}
+   */
+  async closeOrder(order, { allowLocal = true } = {}) {
+    let upstreamClosed = false;
+    let upstreamError = null;
+    let unsupported = true;
+
+    if (order.channel_id) {
+      const [channels] = await db.query('SELECT * FROM provider_channels WHERE id = ?', [order.channel_id]);
+      const channel = channels[0] || null;
+      const pluginName = channel ? (channel.plugin_name || order.plugin_name) : null;
+      const plugin = pluginName ? pluginLoader.getPlugin(pluginName) : null;
+
+      if (plugin && typeof plugin.close === 'function') {
+        unsupported = false;
+        try {
+          // 插件已停用时不调用上游关单，按关单失败处理（保持未支付，稍后重试）
+          if (!(await pluginLoader.isPluginEnabled(pluginName))) {
+            throw new Error('支付插件已停用');
+          }
+          const closeResult = await pluginLoader.callPluginMethod(pluginName, 'close', pluginLoader.buildChannelConfig(channel), order);
+          upstreamClosed = !closeResult || closeResult.code === undefined || closeResult.code === 0;
+          if (!upstreamClosed) {
+            upstreamError = closeResult.msg || '上游关闭失败';
+          }
+        } catch (error) {
+          upstreamError = error.message;
+        }
+
+        if (upstreamError) {
+          console.warn(`[OrderTimeout] 上游关单失败: ${order.trade_no}`, upstreamError);
+        }
+      }
+    }
+
+    // 上游交易未关闭时本地订单保持未支付，避免之后到账的支付无法入账
+    if (upstreamError || (unsupported && !allowLocal)) {
+      return { closed: false, upstreamClosed, upstreamError, unsupported };
+    }
+
+    const [result] = await db.query('UPDATE orders SET status = 2 WHERE id = ? AND status = 0', [order.id]);
+    if (result.affectedRows > 0) {
+      await quotaService.releaseOnClose(order.trade_no);
+    }
+
+    return {
+      closed: result.affectedRows > 0,
+      upstreamClosed,
+      upstreamError,
+      unsupported
+    };
+  }
+}
+
+module.exports = new OrderTimeoutService();
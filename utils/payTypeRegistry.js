@@ -0,0 +1,160 @@
+/**
+ * 支付方式注册表
+ * 从数据库 pay_types 表读取支付方式，进程内缓存，供通道选择、收银台、支付组等统一使用
+ * - 读取接口为同步函数，缓存过期后在后台刷新，不阻塞调用方
+ * - 数据库不可用时使用内置默认列表
+ */
+
+const db = require('../config/database');
+
+const CACHE_TTL = 60 * 1000; // 缓存 60 秒
+
+// 设备限制：0=全部 1=仅PC 2=仅移动端
+const DEVICE = {
+  ALL: 0,
+  PC: 1,
+  MOBILE: 2
+};
+
+// 内置默认支付方式（与 initialization.sql 初始数据一致）
+const DEFAULT_PAY_TYPES = [
+  { id: 1, name: 'alipay', showname: '支付宝', icon: 'alipay.ico', device: 0, status: 1, sort: 1 },
+  { id: 2, name: 'wxpay', showname: '微信支付', icon: 'wxpay.ico', device: 0, status: 1, sort: 2 },
+  { id: 3, name: 'qqpay', showname: 'QQ钱包', icon: 'qqpay.ico', device: 0, status: 1, sort: 3 },
+  { id: 4, name: 'bank', showname: '网银支付', icon: 'bank.ico', device: 0, status: 1, sort: 4 },
+  { id: 5, name: 'jdpay', showname: '京东支付', icon: 'jdpay.ico', device: 0, status: 1, sort: 5 },
+  { id: 6, name: 'paypal', showname: 'PayPal', icon: 'paypal.ico', device: 0, status: 1, sort: 6 },
+  { id: 7, name: 'ecny', showname: '数字人民币', icon: 'ecny.ico', device: 0, status: 1, sort: 7 },
+  { id: 8, name: 'usdt', showname: 'USDT', icon: 'usdt.ico', device: 0, status: 1, sort: 8 }
+];
+
+let payTypesCache = DEFAULT_PAY_TYPES.map(pt => ({ ...pt }));
+let cacheExpireTime = 0;
+let refreshing = null;
+
+function normalizeRow(row) {
+  return {
+    id: Number(row.id),
+    name: row.name,
+    showname: row.showname,
+    icon: row.icon || `${row.name}.ico`,
+    device: Number(row.device) || 0,
+    status: Number(row.status) === 1 ? 1 : 0,
+    sort: Number(row.sort) || 0
+  };
+}
+
+function deviceCodeOf(device) {
+  return device === 'mobile' ? DEVICE.MOBILE : DEVICE.PC;
+}
+
+/**
+ * 从数据库重新加载支付方式
+ * @returns {Promise<Array>} 全部支付方式（含禁用）
+ */
+async function refresh() {
+  if (refreshing) {
+    return refreshing;
+  }
+
+  refreshing = (async () => {
+    try {
+      const [rows] = await db.query(
+        'SELECT id, name, showname, icon, device, status, sort FROM pay_types ORDER BY sort ASC, id ASC'
+      );
+      if (rows.length > 0) {
+        payTypesCache = rows.map(normalizeRow);
+      }
+      cacheExpireTime = Date.now() + CACHE_TTL;
+    } catch (error) {
+      // 表不存在或数据库异常时保留现有缓存，稍后重试
+      console.error('[PayTypes] 加载支付方式失败:', error.message);
+      cacheExpireTime = Date.now() + CACHE_TTL;
+    } finally {
+      refreshing = null;
+    }
+    return payTypesCache;
+  })();
+
+  return refreshing;
+}
+
+function ensureFresh() {
+  if (cacheExpireTime <= Date.now() && !refreshing) {
+    refresh().catch(() => {});
+  }
+}
+
+/**
+ * 获取启用的支付方式（按排序）
+ * @param {string|null} device - pc/mobile，为空时不按设备过滤
+ */
+function getAllPayTypes(device = null) {
+  ensureFresh();
+  return payTypesCache
+    .filter(pt => pt.status === 1 && (!device || pt.device === DEVICE.ALL || pt.device === deviceCodeOf(device)))
+    .sort((a, b) => a.sort - b.sort)
+    .map(pt => ({ ...pt }));
+}
+
+/**
+ * 按编码获取启用的支付方式
+ * @param {string} name - 支付方式编码 alipay/wxpay/...
+ * @param {string} device - pc/mobile
+ */
+function getPayTypeByName(name, device = 'pc') {
+  ensureFresh();
+  const deviceCode = deviceCodeOf(device);
+  const payType = payTypesCache.find(pt => pt.name === name && pt.status === 1 && (pt.device === DEVICE.ALL || pt.device === deviceCode));
+  return payType ? { ...payType } : null;
+}
+
+/**
+ * 按ID获取支付方式（含禁用）
+ */
+function getPayTypeById(id) {
+  ensureFresh();
+  const payType = payTypesCache.find(pt => pt.id === Number(id));
+  return payType ? { ...payType } : null;
+}
+
+/**
+ * 获取支付方式显示名称（未登记的编码原样返回）
+ */
+function getPayTypeName(name) {
+  ensureFresh();
+  const payType = payTypesCache.find(pt => pt.name === name);
+  return payType ? payType.showname : name;
+}
+
+/**
+ * 获取全部支付方式（含禁用，后台管理用，直接读取数据库）
+ */
+async function listPayTypes() {
+  const list = await refresh();
+  return list.map(pt => ({ ...pt })).sort((a, b) => a.sort - b.sort || a.id - b.id);
+}
+
+/**
+ * 清除缓存并立即重新加载（后台修改后调用）
+ */
+async function clearCache() {
+  // 等待进行中的加载结束，避免读到修改前的数据
+  if (refreshing) {
+    await refreshing;
+  }
+  cacheExpireTime = 0;
+  await refresh();
+}
+
+module.exports = {
+  DEVICE,
+  DEFAULT_PAY_TYPES,
+  refresh,
+  getAllPayTypes,
+  getPayTypeByName,
+  getPayTypeById,
+  getPayTypeName,
+  listPayTypes,
+  clearCache
+};
@@ -175,10 +175,11 @@ function buildCallbackUrl(baseUrl, params) {
  * @deprecated 建议直接使用 require('./notify').sendNotify
  * @param {String} notifyUrl - 通知URL
  * @param {Object} params - 参数
+ * @param {Object} options - 透传给 notify 模块的选项（如 notifyType）
  * @returns {Promise<Boolean>} 是否成功
  */
-async function sendNotify(notifyUrl, params) {
-  const result = await notifyService.sendNotify(notifyUrl, params, { tryGet: true });
+async function sendNotify(notifyUrl, params, options = {}) {
+  const result = await notifyService.sendNotify(notifyUrl, params, { tryGet: true, ...options });
   return result.success;
 }
 
@@ -0,0 +1,103 @@
+/**
+ * 插件能力约定
+ * - 插件在 info.capabilities 中声明支持的操作，加载时与实际导出的方法对照
+ * - 历史插件导出名不统一（transfer_query / transferQuery 等），加载时双向补齐别名，
+ *   调用方统一使用标准方法名，旧名称继续可用
+ * - 声明了但未实现的能力不对外展示；实现了但未声明的能力给出警告
+ */
+
+// 标准能力（即标准方法名）
+const CAPABILITIES = [
+  'submit', 'mapi', 'notify', 'query', 'close', 'refund', 'refundQuery',
+  'transfer', 'transferQuery', 'balanceQuery', 'preauth', 'scanpay'
+];
+
+// 必须实现的能力
+const REQUIRED_CAPABILITIES = ['submit'];
+
+// 标准方法名 -> 兼容的旧方法名
+const METHOD_ALIASES = {
+  refundQuery: ['refund_query'],
+  transferQuery: ['transfer_query'],
+  balanceQuery: ['balance_query'],
+  // 同步回调（不属于对外操作，只统一方法名）
+  returnCallback: ['return', 'returnUrl']
+};
+
+/**
+ * 补齐标准方法名与旧方法名之间的别名（修改插件导出对象）
+ * @param {Object} plugin
+ */
+function applyAliases(plugin) {
+  for (const [method, aliases] of Object.entries(METHOD_ALIASES)) {
+    if (typeof plugin[method] !== 'function') {
+      const legacy = aliases.find(alias => typeof plugin[alias] === 'function');
+      if (legacy) {
+        plugin[method] = plugin[legacy];
+      }
+    }
+    if (typeof plugin[method] === 'function') {
+      for (const alias of aliases) {
+        if (typeof plugin[alias] !== 'function') {
+          plugin[alias] = plugin[method];
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 应用能力约定：补齐别名并校验 info.capabilities
+ * @param {string} name - 插件目录名
+ * @param {Object} plugin - 插件导出对象
+ * @returns {{capabilities: string[], errors: string[], warnings: string[]}}
+ */
+function applyContract(name, plugin) {
+  applyAliases(plugin);
+
+  const errors = [];
+  const warnings = [];
+  const implemented = CAPABILITIES.filter(cap => typeof plugin[cap] === 'function');
+
+  for (const cap of REQUIRED_CAPABILITIES) {
+    if (!implemented.includes(cap)) {
+      errors.push(`未实现必需的方法 ${cap}`);
+    }
+  }
+
+  const declared = plugin.info?.capabilities;
+  if (declared === undefined) {
+    warnings.push(`未声明 info.capabilities，按导出方法推断为 ${implemented.join(', ')}`);
+    return { capabilities: implemented, errors, warnings };
+  }
+  if (!Array.isArray(declared)) {
+    errors.push('info.capabilities 必须为数组');
+    return { capabilities: [], errors, warnings };
+  }
+
+  const unknown = declared.filter(cap => !CAPABILITIES.includes(cap));
+  if (unknown.length > 0) {
+    warnings.push(`声明了未知能力 ${unknown.join(', ')}`);
+  }
+  const missing = declared.filter(cap => CAPABILITIES.includes(cap) && !implemented.includes(cap));
+  if (missing.length > 0) {
+    warnings.push(`声明了能力但未导出对应方法 ${missing.join(', ')}`);
+  }
+  const undeclared = implemented.filter(cap => !declared.includes(cap));
+  if (undeclared.length > 0) {
+    warnings.push(`导出了方法但未声明能力 ${undeclared.join(', ')}`);
+  }
+
+  return {
+    capabilities: CAPABILITIES.filter(cap => declared.includes(cap) && implemented.includes(cap)),
+    errors,
+    warnings
+  };
+}
+
+module.exports = {
+  CAPABILITIES,
+  METHOD_ALIASES,
+  applyAliases,
+  applyContract
+};
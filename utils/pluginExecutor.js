@@ -0,0 +1,490 @@
+/**
+ * 插件隔离执行器
+ * - 插件方法在工作线程池（utils/pluginWorker.js）中执行，插件卡死或崩溃不会阻塞主线程
+ * - 每次调用有超时时间（含排队时间），超时抛出 PLUGIN_TIMEOUT 异常，调用方按普通插件异常处理，
+ *   提交类调用经 recordChannelSubmitResult 计入通道失败统计和熔断器
+ * - 每个插件的在途调用数有上限，超出的调用排队等待；超时只让调用方提前失败，插件调用真正结束
+ *   （返回结果、抛错或所在线程被结束）后才归还名额，卡住的调用不会让实际并发超出上限
+ * - 工作线程异常退出或心跳无响应时，其上的在途调用全部以 PLUGIN_CRASHED 失败，并重新创建线程
+ * - 超时后迟迟未结束的调用（如等待一个永不完成的 Promise）所在线程被回收：不再分配新调用，
+ *   其余未超时的调用结束后结束该线程，释放卡住的名额
+ * - 关闭隔离（plugin_isolation_enabled=0）或参数无法跨线程传递时在主线程执行，超时与并发限制同样生效
+ * - 工作线程运行的插件源码由 utils/pluginLoader 登记（register），与主线程加载的版本一致
+ * - 调用最后一个上游请求链路异常（见 pluginHttp）时，插件返回的 {type:'error'} 结果与抛出的异常
+ *   带上 transport_error（异常码），熔断器据此区分链路故障与上游业务错误
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const systemConfig = require('./systemConfig');
+const pluginHttp = require('./pluginHttp');
+const upstreamCallLogs = require('./upstreamCallLogs');
+
+const WORKER_SCRIPT = path.join(__dirname, 'pluginWorker.js');
+const WORKER_COUNT = 2;
+// 调用超时后向工作线程发心跳，超过该时间无响应视为线程卡死
+const HEARTBEAT_TIMEOUT_MS = 2000;
+// 调用超时后仍未结束超过该时间，回收其所在的工作线程
+const ORPHAN_RECYCLE_MS = 30000;
+
+const ERROR_CODE = {
+  TIMEOUT: 'PLUGIN_TIMEOUT',
+  CRASHED: 'PLUGIN_CRASHED'
+};
+
+function toInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+}
+
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 标记链路异常：插件吞掉 HTTP 异常后返回 {type:'error'}，或直接抛出异常时，补充 transport_error
+ */
+function attachTransportError(target, transportError) {
+  if (!transportError || !target || typeof target !== 'object' || target.transport_error) {
+    return target;
+  }
+  if (target instanceof Error || target.type === 'error') {
+    target.transport_error = transportError;
+  }
+  return target;
+}
+
+/**
+ * 工作线程返回的异常对象还原为 Error
+ */
+function restoreError(serialized) {
+  const error = new Error(serialized.message);
+  if (serialized.name) error.name = serialized.name;
+  if (serialized.code) error.code = serialized.code;
+  if (serialized.response) error.response = serialized.response;
+  return error;
+}
+
+class PluginExecutor {
+  constructor() {
+    this.slots = [];
+    this.nextCallId = 1;
+    this.nextPingId = 1;
+    // pluginName -> {active, queue: [{resolve, reject, timer}]}
+    this.limits = new Map();
+    // pluginName -> {calls, timeouts, crashes, inline}
+    this.stats = new Map();
+    this.warnedInline = new Set();
+    // pluginName -> {hash, source}，由插件加载器登记
+    this.sources = new Map();
+    this.stopped = false;
+  }
+
+  /**
+   * 读取执行参数
+   * @returns {Promise<{isolation: boolean, timeoutMs: number, maxConcurrency: number}>}
+   */
+  async _getConfig() {
+    const [isolation, timeout, concurrency] = await Promise.all([
+      systemConfig.getConfig('plugin_isolation_enabled', '1'),
+      systemConfig.getConfig('plugin_call_timeout', '20'),
+      systemConfig.getConfig('plugin_max_concurrency', '20')
+    ]);
+    return {
+      isolation: String(isolation) !== '0',
+      timeoutMs: Math.min(300, Math.max(1, toInt(timeout, 20))) * 1000,
+      maxConcurrency: Math.max(1, toInt(concurrency, 20))
+    };
+  }
+
+  _stat(pluginName) {
+    let stat = this.stats.get(pluginName);
+    if (!stat) {
+      stat = { calls: 0, timeouts: 0, crashes: 0, inline: 0 };
+      this.stats.set(pluginName, stat);
+    }
+    return stat;
+  }
+
+  /**
+   * 占用插件并发名额，名额已满时排队，超过截止时间仍未轮到则以超时失败
+   */
+  _acquire(pluginName, maxConcurrency, deadline, label) {
+    let limit = this.limits.get(pluginName);
+    if (!limit) {
+      limit = { active: 0, queue: [] };
+      this.limits.set(pluginName, limit);
+    }
+
+    if (limit.active < maxConcurrency) {
+      limit.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        const index = limit.queue.indexOf(waiter);
+        if (index !== -1) {
+          limit.queue.splice(index, 1);
+        }
+        this._stat(pluginName).timeouts++;
+        reject(createError(ERROR_CODE.TIMEOUT, `插件 ${label} 排队超时（在途调用已达上限 ${maxConcurrency}）`));
+      }, Math.max(0, deadline - Date.now()));
+      limit.queue.push(waiter);
+    });
+  }
+
+  _release(pluginName) {
+    const limit = this.limits.get(pluginName);
+    if (!limit) {
+      return;
+    }
+    const waiter = limit.queue.shift();
+    if (waiter) {
+      // 名额直接转交给排队中的调用
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    } else {
+      limit.active = Math.max(0, limit.active - 1);
+    }
+  }
+
+  /**
+   * 创建工作线程；线程退出时其在途调用全部失败，下次调用时重新创建
+   */
+  _spawn(index) {
+    const worker = new Worker(WORKER_SCRIPT);
+    // loaded: pluginName -> 已下发给该线程的源码版本
+    const slot = { index, worker, pending: new Map(), pings: new Map(), loaded: new Map(), exited: false };
+
+    worker.on('message', (message) => {
+      if (message.type === 'upstream') {
+        // 已超时调用的上游记录同样保存，便于排查
+        upstreamCallLogs.record(message.entry);
+        return;
+      }
+      if (message.type === 'pong') {
+        const resolve = slot.pings.get(message.id);
+        if (resolve) {
+          slot.pings.delete(message.id);
+          resolve(true);
+        }
+        return;
+      }
+      const call = slot.pending.get(message.id);
+      if (!call) {
+        return;
+      }
+      slot.pending.delete(message.id);
+      call.finish();
+      // 已超时的调用迟到的结果直接丢弃，只归还名额
+      if (!call.timedOut) {
+        if (message.type === 'result') {
+          call.resolve(attachTransportError(message.result, message.transportError));
+        } else {
+          call.reject(attachTransportError(restoreError(message.error), message.transportError));
+        }
+      }
+      if (slot.retired) {
+        this._terminateIfDrained(slot);
+      }
+    });
+
+    worker.on('error', (error) => {
+      console.error(`[PluginExecutor] 工作线程 #${index} 异常:`, error);
+      this._failSlot(slot, error.message);
+    });
+
+    worker.on('exit', (code) => {
+      if (!slot.exited) {
+        console.error(`[PluginExecutor] 工作线程 #${index} 退出，退出码 ${code}`);
+      }
+      this._failSlot(slot, `退出码 ${code}`);
+    });
+
+    // 工作线程空闲时不阻止进程退出
+    worker.unref();
+    this.slots[index] = slot;
+    return slot;
+  }
+
+  _failSlot(slot, reason) {
+    slot.exited = true;
+    if (this.slots[slot.index] === slot) {
+      this.slots[slot.index] = null;
+    }
+    for (const call of slot.pending.values()) {
+      call.finish();
+      if (!call.timedOut) {
+        this._stat(call.pluginName).crashes++;
+        call.reject(createError(ERROR_CODE.CRASHED, `插件 ${call.label} 执行线程异常退出: ${reason}`));
+      }
+    }
+    slot.pending.clear();
+    for (const resolve of slot.pings.values()) {
+      resolve(false);
+    }
+    slot.pings.clear();
+  }
+
+  /**
+   * 回收线程：不再分配新调用（下次调用时创建新线程），其余调用结束后结束该线程
+   */
+  _retireSlot(slot) {
+    if (slot.exited || slot.retired) {
+      return;
+    }
+    console.error(`[PluginExecutor] 工作线程 #${slot.index} 有超时调用长时间未结束，回收该线程`);
+    slot.retired = true;
+    if (this.slots[slot.index] === slot) {
+      this.slots[slot.index] = null;
+    }
+    this._terminateIfDrained(slot);
+  }
+
+  /**
+   * 已回收的线程上只剩超时调用时结束线程，超时调用占用的名额随之归还
+   */
+  _terminateIfDrained(slot) {
+    if (slot.exited) {
+      return;
+    }
+    for (const call of slot.pending.values()) {
+      if (!call.timedOut) {
+        return;
+      }
+    }
+    this._failSlot(slot, '线程已回收');
+    slot.worker.terminate();
+  }
+
+  /**
+   * 选择在途调用最少的工作线程
+   */
+  _pickSlot() {
+    let picked = null;
+    for (let i = 0; i < WORKER_COUNT; i++) {
+      const slot = this.slots[i] || this._spawn(i);
+      if (!picked || slot.pending.size < picked.pending.size) {
+        picked = slot;
+      }
+    }
+    return picked;
+  }
+
+  /**
+   * 心跳检测：调用超时后确认线程事件循环是否仍在响应，卡死（如同步死循环）则结束该线程
+   */
+  async _checkAlive(slot) {
+    if (slot.exited) {
+      return;
+    }
+    const id = this.nextPingId++;
+    const alive = await new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        slot.pings.delete(id);
+        resolve(false);
+      }, HEARTBEAT_TIMEOUT_MS);
+      slot.pings.set(id, (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      });
+      slot.worker.postMessage({ type: 'ping', id });
+    });
+
+    if (!alive && !slot.exited) {
+      console.error(`[PluginExecutor] 工作线程 #${slot.index} 无响应，强制结束`);
+      this._failSlot(slot, '线程无响应');
+      slot.worker.terminate();
+    }
+  }
+
+  /**
+   * 在工作线程中执行；调用在线程中结束（或线程被结束）时调用 finish 归还名额
+   * 参数无法跨线程传递时以 DataCloneError 失败且不调用 finish，由调用方改为主线程执行
+   */
+  _runInWorker(pluginName, methodName, args, deadline, label, finish) {
+    let slot;
+    try {
+      slot = this._pickSlot();
+      // 线程中的插件版本与主线程不一致时先下发源码（消息按顺序处理，编译先于调用完成）
+      const { hash, source } = this.sources.get(pluginName);
+      if (slot.loaded.get(pluginName) !== hash) {
+        slot.worker.postMessage({ type: 'load', plugin: pluginName, hash, source });
+        slot.loaded.set(pluginName, hash);
+      }
+    } catch (error) {
+      // 线程创建失败，调用未开始执行
+      finish();
+      return Promise.reject(error);
+    }
+    const id = this.nextCallId++;
+
+    return new Promise((resolve, reject) => {
+      // 参数无法跨线程克隆（如包含函数、req 对象）时抛出 DataCloneError，由调用方改为主线程执行
+      try {
+        slot.worker.postMessage({ type: 'call', id, plugin: pluginName, method: methodName, args });
+      } catch (error) {
+        if (error.name !== 'DataCloneError') {
+          finish();
+        }
+        reject(error);
+        return;
+      }
+
+      const call = {
+        pluginName,
+        label,
+        timedOut: false,
+        finish,
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (error) => { clearTimeout(timer); reject(error); }
+      };
+
+      const timer = setTimeout(() => {
+        if (slot.pending.get(id) !== call) {
+          return;
+        }
+        // 调用留在 pending 中继续占用名额，线程返回结果或被结束时归还
+        call.timedOut = true;
+        this._stat(pluginName).timeouts++;
+        reject(createError(ERROR_CODE.TIMEOUT, `插件 ${label} 调用超时`));
+        this._checkAlive(slot);
+        setTimeout(() => {
+          if (slot.pending.get(id) === call) {
+            this._retireSlot(slot);
+          }
+        }, ORPHAN_RECYCLE_MS).unref();
+        if (slot.retired) {
+          this._terminateIfDrained(slot);
+        }
+      }, Math.max(0, deadline - Date.now()));
+
+      slot.pending.set(id, call);
+    });
+  }
+
+  /**
+   * 在主线程执行；主线程无法中止插件代码，超时后名额保留到调用真正结束
+   */
+  _runInline(pluginName, plugin, methodName, args, deadline, label, finish) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(createError(ERROR_CODE.TIMEOUT, `插件 ${label} 调用超时`));
+      }, Math.max(0, deadline - Date.now()));
+
+      const context = pluginHttp.buildContext(pluginName, methodName, args);
+      Promise.resolve()
+        .then(() => pluginHttp.runWithContext(context, () => plugin[methodName](...args)))
+        .then(
+          (result) => { clearTimeout(timer); resolve(attachTransportError(result, context.transportError)); },
+          (error) => { clearTimeout(timer); reject(attachTransportError(error, context.transportError)); }
+        )
+        .finally(finish);
+    });
+  }
+
+  /**
+   * 执行插件方法
+   * @param {string} pluginName - 插件名（plugins 目录名）
+   * @param {string} methodName - 方法名
+   * @param {Array} args - 参数
+   * @param {Object} localPlugin - 主线程已加载的插件对象（主线程执行时使用）
+   * @returns {Promise<any>} 插件返回值；超时抛出 code=PLUGIN_TIMEOUT，线程崩溃抛出 code=PLUGIN_CRASHED
+   */
+  async call(pluginName, methodName, args, localPlugin) {
+    const config = await this._getConfig();
+    const label = `${pluginName}.${methodName}`;
+    const deadline = Date.now() + config.timeoutMs;
+    const stat = this._stat(pluginName);
+
+    await this._acquire(pluginName, config.maxConcurrency, deadline, label);
+    stat.calls++;
+
+    // 名额在插件调用真正结束时归还（可能晚于超时返回），只归还一次
+    let released = false;
+    const finish = () => {
+      if (!released) {
+        released = true;
+        this._release(pluginName);
+      }
+    };
+
+    if (config.isolation && !this.stopped && this.sources.has(pluginName)) {
+      try {
+        return await this._runInWorker(pluginName, methodName, args, deadline, label, finish);
+      } catch (error) {
+        if (error.name !== 'DataCloneError') {
+          throw error;
+        }
+        if (!this.warnedInline.has(label)) {
+          this.warnedInline.add(label);
+          console.warn(`[PluginExecutor] ${label} 参数无法传入工作线程，改为主线程执行: ${error.message}`);
+        }
+      }
+    }
+    stat.inline++;
+    return this._runInline(pluginName, localPlugin, methodName, args, deadline, label, finish);
+  }
+
+  /**
+   * 登记插件源码（插件加载或热更新成功后调用），工作线程在下次调用该插件时换用新版本
+   * @param {string} pluginName - 插件名（plugins 目录名）
+   * @param {{hash: string, source: string}} version
+   */
+  register(pluginName, { hash, source }) {
+    this.sources.set(pluginName, { hash, source });
+  }
+
+  /**
+   * 移除插件，通知工作线程丢弃已加载的模块
+   */
+  unregister(pluginName) {
+    this.sources.delete(pluginName);
+    for (const slot of this.slots) {
+      if (slot && !slot.exited) {
+        slot.loaded.delete(pluginName);
+        slot.worker.postMessage({ type: 'unload', plugin: pluginName });
+      }
+    }
+  }
+
+  /**
+   * 各插件执行情况（在途、排队、累计调用/超时/崩溃/主线程执行次数）
+   */
+  getStats() {
+    const plugins = {};
+    for (const [name, stat] of this.stats) {
+      const limit = this.limits.get(name);
+      plugins[name] = {
+        active: limit ? limit.active : 0,
+        queued: limit ? limit.queue.length : 0,
+        ...stat
+      };
+    }
+    return {
+      workers: this.slots.filter(slot => slot && !slot.exited).length,
+      plugins
+    };
+  }
+
+  /**
+   * 结束全部工作线程
+   */
+  async stop() {
+    this.stopped = true;
+    const slots = this.slots.filter(Boolean);
+    this.slots = [];
+    await Promise.all(slots.map((slot) => {
+      slot.exited = true;
+      return slot.worker.terminate();
+    }));
+  }
+}
+
+const pluginExecutor = new PluginExecutor();
+pluginExecutor.ERROR_CODE = ERROR_CODE;
+
+module.exports = pluginExecutor;
@@ -0,0 +1,277 @@
+/**
+ * 插件共享 HTTP 客户端
+ * - 插件统一通过 require('../../utils/pluginHttp') 发起上游请求，用法与 axios 相同
+ * - 每次请求（含失败、超时）生成一条上游调用记录：通道、交易号、URL、状态码、耗时、请求与响应内容
+ * - 记录前脱敏：密钥/签名/证书类字段替换为 ***，当前通道配置中的密钥原文在任何位置出现都会被替换
+ * - 记录交给 sink 处理：主线程写入 upstream_call_logs（utils/upstreamCallLogs），工作线程转发给主线程
+ * - 上下文记录本次插件调用最后一个请求是否链路异常（transportError），供熔断器按异常结构而非错误文案判断
+ * 本模块在工作线程中加载，不能依赖数据库
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+
+const MASK = '***';
+const MAX_BODY_LENGTH = 16000;
+const MAX_URL_LENGTH = 1000;
+const MAX_ERROR_LENGTH = 255;
+// 插件未指定超时时的兜底值，避免挂起的连接一直占用
+const DEFAULT_TIMEOUT_MS = 30000;
+// 通道密钥原文短于该长度时不做全文替换，避免误伤普通内容
+const MIN_SECRET_LENGTH = 6;
+
+// 字段名命中即脱敏
+const SENSITIVE_KEY_PATTERN = /key|secret|sign|password|passwd|pwd|token|authorization|cert|private|credential|cookie/i;
+
+const storage = new AsyncLocalStorage();
+let sink = null;
+
+const http = axios.create({ timeout: DEFAULT_TIMEOUT_MS });
+
+/**
+ * 收集通道配置中需要全文替换的密钥原文
+ */
+function collectSecrets(channel) {
+  const secrets = new Set();
+  for (const [key, value] of Object.entries(channel || {})) {
+    if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH && SENSITIVE_KEY_PATTERN.test(key)) {
+      secrets.add(value);
+      // PEM 格式密钥在报文中可能只出现去掉首尾行和换行后的内容
+      const stripped = value.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+      if (stripped.length >= MIN_SECRET_LENGTH) {
+        secrets.add(stripped);
+      }
+    }
+  }
+  return [...secrets].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * 根据插件调用参数构建记录上下文
+ * 第一个参数为通道配置；交易号取最后一个带 trade_no 的对象参数（订单、退款信息），
+ * 没有时取通道配置之后的第一个字符串参数（query(config, tradeNo) 等）
+ */
+function buildContext(pluginName, methodName, args) {
+  const [channel, ...rest] = args;
+  const context = {
+    plugin: pluginName,
+    method: methodName,
+    channelId: null,
+    tradeNo: null,
+    secrets: [],
+    transportError: null
+  };
+
+  if (channel && typeof channel === 'object') {
+    context.channelId = parseInt(channel.id, 10) || null;
+    context.secrets = collectSecrets(channel);
+  }
+
+  const withTradeNo = [...rest].reverse().find(arg => arg && typeof arg === 'object' && arg.trade_no);
+  if (withTradeNo) {
+    context.tradeNo = String(withTradeNo.trade_no);
+  } else {
+    const tradeNo = rest.find(arg => typeof arg === 'string' && arg);
+    context.tradeNo = tradeNo || null;
+  }
+  return context;
+}
+
+/**
+ * 在指定上下文中执行插件方法，期间发起的请求都归到该上下文
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * 设置上游调用记录的处理函数
+ * @param {Function|null} handler - (entry) => void
+ */
+function setSink(handler) {
+  sink = handler;
+}
+
+function maskSecrets(text, secrets) {
+  let result = text;
+  for (const secret of secrets) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(MASK);
+    }
+  }
+  return result;
+}
+
+function redactObject(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactObject);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SENSITIVE_KEY_PATTERN.test(key) && item !== null && item !== '' && typeof item !== 'object'
+        ? MASK
+        : redactObject(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+function redactForm(text) {
+  const params = new URLSearchParams(text);
+  for (const key of [...params.keys()]) {
+    if (SENSITIVE_KEY_PATTERN.test(key)) {
+      params.set(key, MASK);
+    }
+  }
+  return params.toString();
+}
+
+function redactXml(text) {
+  return text.replace(/<([A-Za-z_][\w.-]*)>(<!\[CDATA\[[\s\S]*?\]\]>|[^<]*)<\/\1>/g, (match, tag) => (
+    SENSITIVE_KEY_PATTERN.test(tag) ? `<${tag}>${MASK}</${tag}>` : match
+  ));
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}...(已截断，共 ${text.length} 字符)` : text;
+}
+
+/**
+ * 请求/响应内容脱敏并转为文本：JSON、表单、XML 按字段名脱敏，其他文本只做密钥原文替换
+ */
+function redactBody(value, secrets) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let text;
+  if (Buffer.isBuffer(value) || value instanceof ArrayBuffer) {
+    return `[二进制内容 ${value.byteLength} 字节]`;
+  } else if (value instanceof URLSearchParams) {
+    text = redactForm(value.toString());
+  } else if (typeof value === 'object') {
+    try {
+      text = JSON.stringify(redactObject(value));
+    } catch (e) {
+      return '[无法序列化的内容]';
+    }
+  } else {
+    text = String(value).trim();
+    if (/^[[{]/.test(text)) {
+      try {
+        text = JSON.stringify(redactObject(JSON.parse(text)));
+      } catch (e) {
+        // 非合法 JSON，按普通文本处理
+      }
+    } else if (text.startsWith('<')) {
+      text = redactXml(text);
+    } else if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(text)) {
+      text = redactForm(text);
+    }
+  }
+
+  return truncate(maskSecrets(text, secrets), MAX_BODY_LENGTH);
+}
+
+function redactUrl(config, secrets) {
+  let url;
+  try {
+    url = new URL(http.getUri(config));
+  } catch (e) {
+    return truncate(maskSecrets(String(config.url || ''), secrets), MAX_URL_LENGTH);
+  }
+  for (const key of [...url.searchParams.keys()]) {
+    if (SENSITIVE_KEY_PATTERN.test(key)) {
+      url.searchParams.set(key, MASK);
+    }
+  }
+  return truncate(maskSecrets(url.toString(), secrets), MAX_URL_LENGTH);
+}
+
+function redactHeaders(headers, secrets) {
+  const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : (headers || {});
+  const result = {};
+  for (const [key, value] of Object.entries(plain)) {
+    if (value === undefined || value === null || typeof value === 'object') {
+      continue;
+    }
+    result[key] = SENSITIVE_KEY_PATTERN.test(key) ? MASK : maskSecrets(String(value), secrets);
+  }
+  return result;
+}
+
+function record(config, response, error) {
+  if (!sink || !config) {
+    return;
+  }
+  const context = storage.getStore() || { plugin: null, method: null, channelId: null, tradeNo: null, secrets: [] };
+  const secrets = context.secrets || [];
+  const startedAt = config.upstreamStartedAt;
+
+  try {
+    sink({
+      channel_id: context.channelId,
+      trade_no: context.tradeNo,
+      plugin: context.plugin,
+      plugin_method: context.method,
+      http_method: String(config.method || 'get').toUpperCase(),
+      url: redactUrl(config, secrets),
+      request_headers: redactHeaders(config.headers, secrets),
+      request_body: redactBody(config.data, secrets),
+      status: response ? response.status : null,
+      response_body: response ? redactBody(response.data, secrets) : null,
+      error: error ? maskSecrets(error.message || String(error), secrets).slice(0, MAX_ERROR_LENGTH) : null,
+      latency_ms: startedAt ? Date.now() - startedAt : null
+    });
+  } catch (sinkError) {
+    console.error('[PluginHttp] 记录上游调用失败:', sinkError.message);
+  }
+}
+
+/**
+ * 链路异常码：请求没有得到上游响应（连接失败、超时等，axios 异常不带 response）或上游返回 5xx；
+ * 上游正常响应（含 4xx 业务错误）返回 null
+ * @param {Error} error - axios 异常
+ * @returns {string|null}
+ */
+function getTransportError(error) {
+  if (!error) {
+    return null;
+  }
+  if (error.response) {
+    return error.response.status >= 500 ? `HTTP_${error.response.status}` : null;
+  }
+  return error.code || 'NO_RESPONSE';
+}
+
+function markTransport(transportError) {
+  const context = storage.getStore();
+  if (context) {
+    context.transportError = transportError;
+  }
+}
+
+http.interceptors.request.use((config) => {
+  config.upstreamStartedAt = Date.now();
+  return config;
+});
+
+http.interceptors.response.use(
+  (response) => {
+    record(response.config, response, null);
+    markTransport(null);
+    return response;
+  },
+  (error) => {
+    record(error.config, error.response || null, error);
+    markTransport(getTransportError(error));
+    return Promise.reject(error);
+  }
+);
+
+http.buildContext = buildContext;
+http.runWithContext = runWithContext;
+http.setSink = setSink;
+
+module.exports = http;
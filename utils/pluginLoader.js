@@ -1,16 +1,35 @@
 /**
  * 插件加载器（主线程）
- * 自动扫描并加载所有支付插件，支持热更新
+ * - 自动扫描并加载所有支付插件，plugins/index.js 只是本加载器的兼容入口，两者共用同一份插件
+ * - 热更新：插件文件变化时先编译新版本并校验能力约定，通过后才替换；失败时继续使用当前版本并记录错误
+ * - 每个插件记录版本（info.version）和源码摘要，工作线程运行与主线程相同的源码
+ * - 停用的插件不参与通道选路，也不处理回调、查单、关单和退款（回调应答失败，由上游重试，重新启用后继续处理）；
+ *   停用列表保存在 system_config.plugin_disabled
  */
 const fs = require('fs');
 const path = require('path');
 const chokidar = require('chokidar');
+const pluginCapabilities = require('./pluginCapabilities');
+const pluginExecutor = require('./pluginExecutor');
+const systemConfig = require('./systemConfig');
+const { PLUGINS_DIR, readPluginSource, compilePlugin } = require('./pluginSource');
+
+const DISABLED_CONFIG_KEY = 'plugin_disabled';
+// 文件变化后等待写入完成再加载（编辑器保存时可能连续触发多次）
+const RELOAD_DELAY_MS = 300;
 
 class PluginLoader {
   constructor() {
     this.plugins = new Map();
-    this.pluginsDir = path.join(__dirname, '../plugins');
+    this.capabilities = new Map();
+    // 插件名 -> {version, hash, loaded_at}
+    this.versions = new Map();
+    // 插件名 -> 最近一次加载失败 {hash, error, failed_at}，加载成功后清除
+    this.loadErrors = new Map();
+    this.disabled = new Set();
+    this.pluginsDir = PLUGINS_DIR;
     this.watcher = null;
+    this.reloadTimers = new Map();
   }
 
   /**
@@ -19,6 +38,9 @@ class PluginLoader {
   init() {
     console.log('[Plugin] 初始化插件加载器...');
     this.loadAllPlugins();
+    this.getDisabledPlugins().catch((error) => {
+      console.error('[Plugin] 读取插件停用列表失败:', error.message);
+    });
     this.watchPlugins();
   }
 
@@ -39,7 +61,7 @@ class PluginLoader {
       });
 
     pluginFolders.forEach(name => {
-      this.loadPlugin(name, false);
+      this.reloadPlugin(name, { log: false });
     });
 
     console.log(`[Plugin] 已加载 ${this.plugins.size} 个插件`);
@@ -47,51 +69,101 @@ class PluginLoader {
 
   /**
    * 加载单个插件
+   * @returns {boolean} 是否加载成功（含源码未变化）
    */
   loadPlugin(name, log = true) {
+    return this.reloadPlugin(name, { log }).success;
+  }
+
+  /**
+   * 加载或重新加载插件：先编译新版本并校验，通过后替换已加载的版本；
+   * 失败时保留当前版本（如有）并记录错误
+   * @param {string} name - 插件目录名
+   * @param {Object} options - {log: 是否输出日志, force: 源码未变化时也重新编译}
+   * @returns {{success: boolean, changed: boolean, kept?: boolean, version: Object|null, error?: string}}
+   *   失败时 kept 表示是否仍在使用之前加载的版本
+   */
+  reloadPlugin(name, { log = true, force = false } = {}) {
+    const current = this.versions.get(name);
+    let candidate;
     try {
-      const pluginPath = path.join(this.pluginsDir, name, `${name}_plugin.js`);
-      
-      if (!fs.existsSync(pluginPath)) {
-        if (log) console.warn(`[Plugin] 插件文件不存在: ${pluginPath}`);
-        return false;
-      }
+      candidate = readPluginSource(name);
+    } catch (error) {
+      return this._loadFailed(name, null, error.message, log);
+    }
 
-      // 清除缓存以支持热加载
-      delete require.cache[require.resolve(pluginPath)];
-      
-      const plugin = require(pluginPath);
-      
-      if (!plugin.info || !plugin.info.name) {
-        if (log) console.warn(`[Plugin] 插件 ${name} 缺少必要的 info 信息`);
-        return false;
-      }
+    if (current && current.hash === candidate.hash && !force) {
+      return { success: true, changed: false, version: this.getVersion(name) };
+    }
 
-      this.plugins.set(name, plugin);
-      if (log) console.log(`[Plugin] 加载成功: ${plugin.info.showname || name}`);
-      return true;
+    let plugin;
+    try {
+      plugin = compilePlugin(candidate.filePath, candidate.source);
     } catch (error) {
-      if (log) console.error(`[Plugin] 加载 ${name} 失败:`, error.message);
-      return false;
+      return this._loadFailed(name, candidate.hash, error.message, log);
+    }
+
+    if (!plugin || !plugin.info || !plugin.info.name) {
+      return this._loadFailed(name, candidate.hash, '缺少必要的 info 信息', log);
+    }
+
+    // 校验能力约定并补齐兼容别名
+    const contract = pluginCapabilities.applyContract(name, plugin);
+    contract.warnings.forEach(msg => console.warn(`[Plugin] ${name}: ${msg}`));
+    if (contract.errors.length > 0) {
+      return this._loadFailed(name, candidate.hash, `不符合能力约定: ${contract.errors.join('; ')}`, log);
     }
+
+    this.plugins.set(name, plugin);
+    this.capabilities.set(name, contract.capabilities);
+    this.versions.set(name, {
+      version: plugin.info.version || null,
+      hash: candidate.hash,
+      loaded_at: new Date()
+    });
+    this.loadErrors.delete(name);
+    pluginExecutor.register(name, candidate);
+
+    if (log) {
+      console.log(current
+        ? `[Plugin] 更新成功: ${plugin.info.showname || name} (${current.hash} -> ${candidate.hash})`
+        : `[Plugin] 加载成功: ${plugin.info.showname || name} (${candidate.hash})`);
+    }
+    return { success: true, changed: true, version: this.getVersion(name) };
+  }
+
+  _loadFailed(name, hash, message, log) {
+    this.loadErrors.set(name, { hash, error: message, failed_at: new Date() });
+    const kept = this.plugins.has(name);
+    if (log) {
+      console.error(`[Plugin] 加载 ${name} 失败${kept ? '，继续使用当前版本' : ''}: ${message}`);
+    }
+    return { success: false, changed: false, kept, version: this.getVersion(name), error: message };
   }
 
   /**
-   * 卸载插件
+   * 卸载插件（插件目录被删除时）
    */
   unloadPlugin(name) {
+    this.loadErrors.delete(name);
     if (this.plugins.has(name)) {
       this.plugins.delete(name);
+      this.capabilities.delete(name);
+      this.versions.delete(name);
+      pluginExecutor.unregister(name);
       console.log(`[Plugin] 卸载: ${name}`);
     }
   }
 
   /**
-   * 重新加载插件
+   * 延迟重新加载插件，合并短时间内的多次文件变化
    */
-  reloadPlugin(name) {
-    this.unloadPlugin(name);
-    return this.loadPlugin(name);
+  scheduleReload(name) {
+    clearTimeout(this.reloadTimers.get(name));
+    this.reloadTimers.set(name, setTimeout(() => {
+      this.reloadTimers.delete(name);
+      this.reloadPlugin(name);
+    }, RELOAD_DELAY_MS));
   }
 
   /**
@@ -100,31 +172,29 @@ class PluginLoader {
   watchPlugins() {
     this.watcher = chokidar.watch(this.pluginsDir, {
       ignored: /node_modules/,
+      ignoreInitial: true,
       persistent: true,
       depth: 2
     });
 
+    const onPluginFile = (filePath) => {
+      const relativePath = path.relative(this.pluginsDir, filePath);
+      const pluginName = relativePath.split(path.sep)[0];
+
+      if (relativePath === path.join(pluginName, `${pluginName}_plugin.js`)) {
+        console.log(`[Plugin] 检测到文件变化: ${pluginName}`);
+        this.scheduleReload(pluginName);
+      }
+    };
+
     this.watcher
-      .on('change', (filePath) => {
-        const relativePath = path.relative(this.pluginsDir, filePath);
-        const pluginName = relativePath.split(path.sep)[0];
-        
-        if (filePath.endsWith('_plugin.js')) {
-          console.log(`[Plugin] 检测到文件变化: ${pluginName}`);
-          setTimeout(() => this.reloadPlugin(pluginName), 100);
-        }
-      })
-      .on('addDir', (dirPath) => {
-        const relativePath = path.relative(this.pluginsDir, dirPath);
-        if (!relativePath.includes(path.sep)) {
-          const pluginName = relativePath;
-          setTimeout(() => this.loadPlugin(pluginName), 500);
-        }
-      })
+      .on('add', onPluginFile)
+      .on('change', onPluginFile)
       .on('unlinkDir', (dirPath) => {
         const relativePath = path.relative(this.pluginsDir, dirPath);
-        if (!relativePath.includes(path.sep)) {
+        if (relativePath && !relativePath.includes(path.sep)) {
           const pluginName = relativePath;
+          clearTimeout(this.reloadTimers.get(pluginName));
           this.unloadPlugin(pluginName);
         }
       });
@@ -132,6 +202,93 @@ class PluginLoader {
     console.log('[Plugin] 热加载监听已启动');
   }
 
+  /**
+   * 读取停用的插件列表（system_config 有缓存，可在选路时频繁调用）
+   * @returns {Promise<Set<string>>}
+   */
+  async getDisabledPlugins() {
+    const value = await systemConfig.getConfig(DISABLED_CONFIG_KEY, '[]');
+    let names = [];
+    try {
+      names = JSON.parse(value);
+    } catch (e) {
+      names = [];
+    }
+    this.disabled = new Set(Array.isArray(names) ? names : []);
+    return this.disabled;
+  }
+
+  /**
+   * 插件是否启用（按最近一次读取的停用列表）
+   */
+  isEnabled(name) {
+    return !this.disabled.has(name);
+  }
+
+  /**
+   * 插件是否启用（重新读取停用列表，供回调、查单、退款等入口校验）
+   */
+  async isPluginEnabled(name) {
+    const disabled = await this.getDisabledPlugins();
+    return !disabled.has(name);
+  }
+
+  /**
+   * 过滤掉插件已停用的通道（下单选路用）
+   * @param {Array} channels - provider_channels 记录
+   */
+  async filterEnabledChannels(channels) {
+    const disabled = await this.getDisabledPlugins();
+    return channels.filter(channel => !disabled.has(channel.plugin_name));
+  }
+
+  /**
+   * 启用或停用插件
+   * @param {string} name - 插件目录名
+   * @param {boolean} enabled
+   */
+  async setEnabled(name, enabled) {
+    const disabled = new Set(await this.getDisabledPlugins());
+    if (enabled) {
+      disabled.delete(name);
+    } else {
+      disabled.add(name);
+    }
+    await systemConfig.setConfig(DISABLED_CONFIG_KEY, JSON.stringify([...disabled].sort()), '已停用的支付插件（不参与选路，不处理回调、查单和退款）');
+    this.disabled = disabled;
+    console.log(`[Plugin] ${enabled ? '启用' : '停用'}: ${name}`);
+  }
+
+  /**
+   * 插件版本信息
+   * @returns {Object|null} {name, version, hash, loaded_at, enabled, last_error}，插件从未加载成功且无错误记录时为 null
+   */
+  getVersion(name) {
+    const version = this.versions.get(name);
+    const loadError = this.loadErrors.get(name);
+    if (!version && !loadError) {
+      return null;
+    }
+    return {
+      name,
+      showname: this.plugins.get(name)?.info.showname || name,
+      loaded: !!version,
+      version: version ? version.version : null,
+      hash: version ? version.hash : null,
+      loaded_at: version ? version.loaded_at : null,
+      enabled: this.isEnabled(name),
+      last_error: loadError || null
+    };
+  }
+
+  /**
+   * 所有插件（含加载失败的）的版本信息
+   */
+  listVersions() {
+    const names = new Set([...this.versions.keys(), ...this.loadErrors.keys()]);
+    return [...names].sort().map(name => this.getVersion(name));
+  }
+
   /**
    * 获取插件
    */
@@ -139,6 +296,20 @@ class PluginLoader {
     return this.plugins.get(name);
   }
 
+  /**
+   * 获取插件实际支持的能力（已声明且已实现）
+   */
+  getCapabilities(name) {
+    return this.capabilities.get(name) || [];
+  }
+
+  /**
+   * 插件是否支持指定能力
+   */
+  hasCapability(name, capability) {
+    return this.getCapabilities(name).includes(capability);
+  }
+
   /**
    * 获取所有插件列表
    */
@@ -168,6 +339,8 @@ class PluginLoader {
         link: info.link || '',
         types: info.types || [],
         transtypes: info.transtypes || [],
+        capabilities: this.getCapabilities(name),
+        enabled: this.isEnabled(name),
         inputs: info.inputs || {},
         select: info.select || null,
         select_alipay: info.select_alipay || null,
@@ -186,7 +359,7 @@ class PluginLoader {
   }
 
   /**
-   * 调用插件方法
+   * 调用插件方法（经 pluginExecutor 隔离执行，带超时和并发限制）
    */
   async callPluginMethod(pluginName, methodName, ...args) {
     const plugin = this.getPlugin(pluginName);
@@ -196,13 +369,15 @@ class PluginLoader {
     if (typeof plugin[methodName] !== 'function') {
       throw new Error(`插件方法不存在: ${pluginName}.${methodName}`);
     }
-    return await plugin[methodName](...args);
+    return await pluginExecutor.call(pluginName, methodName, args, plugin);
   }
 
   /**
    * 停止监听
    */
   stopWatching() {
+    this.reloadTimers.forEach(timer => clearTimeout(timer));
+    this.reloadTimers.clear();
     if (this.watcher) {
       this.watcher.close();
       console.log('[Plugin] 监听已停止');
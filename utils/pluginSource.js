@@ -0,0 +1,68 @@
+/**
+ * 插件源码读取与编译
+ * - 主线程加载器与工作线程共用：主线程读取并编译插件源码，校验通过后把同一份源码交给工作线程，
+ *   保证两边运行的插件版本一致
+ * - 直接从源码编译模块，不经过 require 缓存，新版本编译失败不影响已加载的旧版本
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('module');
+
+const PLUGINS_DIR = path.join(__dirname, '../plugins');
+
+/**
+ * 插件主文件路径
+ * @param {string} name - 插件目录名
+ */
+function getPluginPath(name) {
+  return path.join(PLUGINS_DIR, name, `${name}_plugin.js`);
+}
+
+/**
+ * 源码摘要（SHA-256 前 12 位），作为插件版本标识
+ */
+function hashSource(source) {
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 12);
+}
+
+/**
+ * 读取插件源码
+ * @param {string} name - 插件目录名
+ * @returns {{filePath: string, source: string, hash: string}}
+ */
+function readPluginSource(name) {
+  // 只允许目录名格式，防止拼出插件目录以外的路径
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error(`插件名不合法: ${name}`);
+  }
+  const filePath = getPluginPath(name);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`插件文件不存在: ${filePath}`);
+  }
+  const source = fs.readFileSync(filePath, 'utf8');
+  return { filePath, source, hash: hashSource(source) };
+}
+
+/**
+ * 编译插件源码，返回插件导出对象（语法错误、顶层代码异常直接抛出）
+ * @param {string} filePath - 插件文件路径（用于解析插件内的相对 require 和错误堆栈）
+ * @param {string} source - 插件源码
+ * @returns {Object}
+ */
+function compilePlugin(filePath, source) {
+  const mod = new Module(filePath, module);
+  mod.filename = filePath;
+  mod.paths = Module._nodeModulePaths(path.dirname(filePath));
+  mod._compile(source, filePath);
+  mod.loaded = true;
+  return mod.exports;
+}
+
+module.exports = {
+  PLUGINS_DIR,
+  getPluginPath,
+  hashSource,
+  readPluginSource,
+  compilePlugin
+};
@@ -0,0 +1,128 @@
+/**
+ * 插件工作线程
+ * 由 utils/pluginExecutor 创建，在独立线程中加载插件并执行插件方法，
+ * 插件卡死、同步抛错或加载失败只影响本线程，不阻塞主线程的事件循环
+ * 插件源码由主线程下发（与主线程校验通过的版本一致），不直接读取磁盘上的文件
+ *
+ * 消息协议（主线程 -> 工作线程）：
+ * - {type: 'load', plugin, hash, source}      编译并替换插件模块
+ * - {type: 'unload', plugin}                  丢弃已加载的插件模块
+ * - {type: 'call', id, plugin, method, args}  执行插件方法
+ * - {type: 'ping', id}                        心跳检测
+ * 工作线程 -> 主线程：
+ * - {type: 'result', id, result, transportError} / {type: 'error', id, error, transportError}
+ *   transportError 为本次调用最后一个上游请求的链路异常码（见 pluginHttp），没有时为 null
+ * - {type: 'upstream', entry}                 插件经 pluginHttp 发起的上游请求记录（已脱敏），由主线程写库
+ * - {type: 'pong', id}
+ */
+const { parentPort } = require('worker_threads');
+const { applyAliases } = require('./pluginCapabilities');
+const { getPluginPath, compilePlugin } = require('./pluginSource');
+const pluginHttp = require('./pluginHttp');
+
+// 插件名 -> {hash, plugin} 或 {hash, error}（编译失败时在调用时抛出）
+const plugins = new Map();
+
+function loadPlugin({ plugin: name, hash, source }) {
+  try {
+    const plugin = compilePlugin(getPluginPath(name), source);
+    applyAliases(plugin);
+    plugins.set(name, { hash, plugin });
+  } catch (error) {
+    plugins.set(name, { hash, error: error.message });
+  }
+}
+
+function getPlugin(name) {
+  const loaded = plugins.get(name);
+  if (!loaded) {
+    throw new Error(`插件未加载: ${name}`);
+  }
+  if (loaded.error) {
+    throw new Error(`插件 ${name} 加载失败: ${loaded.error}`);
+  }
+  return loaded.plugin;
+}
+
+/**
+ * 主线程传来的 Buffer 经结构化克隆后变为 Uint8Array，还原为 Buffer 以保持插件收到的参数类型不变
+ */
+function restoreBuffers(args) {
+  return args.map(arg => (arg instanceof Uint8Array && !Buffer.isBuffer(arg)
+    ? Buffer.from(arg.buffer, arg.byteOffset, arg.byteLength)
+    : arg));
+}
+
+/**
+ * 异常转为可跨线程传递的普通对象，保留插件和调用方常用的字段（code、上游响应）
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+  const serialized = { message: error.message, name: error.name, code: error.code };
+  if (error.response) {
+    serialized.response = { status: error.response.status, data: error.response.data };
+  }
+  return serialized;
+}
+
+function post(message) {
+  try {
+    parentPort.postMessage(message);
+  } catch (cloneError) {
+    // 插件返回了函数等无法克隆的值：按 JSON 可表示的部分返回
+    if (message.type === 'result') {
+      parentPort.postMessage({ ...message, result: JSON.parse(JSON.stringify(message.result ?? null)) });
+    } else if (message.type === 'error' && message.error.response) {
+      parentPort.postMessage({ ...message, error: { ...message.error, response: { status: message.error.response.status } } });
+    } else {
+      throw cloneError;
+    }
+  }
+}
+
+async function handleCall({ id, plugin: name, method, args }) {
+  let context = null;
+  try {
+    const plugin = getPlugin(name);
+    if (typeof plugin[method] !== 'function') {
+      throw new Error(`插件方法不存在: ${name}.${method}`);
+    }
+    const callArgs = restoreBuffers(args);
+    context = pluginHttp.buildContext(name, method, callArgs);
+    const result = await pluginHttp.runWithContext(context, () => plugin[method](...callArgs));
+    post({ type: 'result', id, result, transportError: context.transportError });
+  } catch (error) {
+    post({ type: 'error', id, error: serializeError(error), transportError: context ? context.transportError : null });
+  }
+}
+
+// 工作线程不连接数据库，上游请求记录转发给主线程
+pluginHttp.setSink((entry) => {
+  parentPort.postMessage({ type: 'upstream', entry });
+});
+
+parentPort.on('message', (message) => {
+  switch (message.type) {
+    case 'load':
+      loadPlugin(message);
+      break;
+    case 'unload':
+      plugins.delete(message.plugin);
+      break;
+    case 'call':
+      handleCall(message);
+      break;
+    case 'ping':
+      parentPort.postMessage({ type: 'pong', id: message.id });
+      break;
+    default:
+      break;
+  }
+});
+
+// 插件内部遗漏的 Promise 异常只记录，不让整个工作线程退出
+process.on('unhandledRejection', (reason) => {
+  console.error('[PluginWorker] 未处理的 Promise 异常:', reason);
+});
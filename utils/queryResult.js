@@ -0,0 +1,62 @@
+/**
+ * 插件查单结果归一化
+ * 主动查单服务和插件一致性测试共用，保证两边对“已支付”和金额的判断一致
+ */
+
+// 各插件 query 返回的支付金额字段（元；PayPal/Stripe 的 amount 为外币金额）
+const AMOUNT_FIELDS = ['total_amount', 'money', 'total_fee', 'trans_amount', 'amount'];
+
+// 各插件 query 返回的“已支付”状态值（统一转为大写比较）
+const PAID_STATES = ['TRADE_SUCCESS', 'TRADE_FINISHED', 'SUCCESS', 'SUCCEEDED', 'COMPLETED', 'PAID', '1'];
+
+/**
+ * 归一化插件查单结果
+ * 兼容 trade_status（支付宝）、trade_state（微信/QQ）、status（易支付/PayPal/Stripe）以及 {code, data} 包装
+ * @returns {{paid: boolean, state: string, api_trade_no: string|null, buyer: string|null, amount: number|null}}
+ */
+function normalizeQueryResult(result) {
+  if (!result || typeof result !== 'object') {
+    return { paid: false, state: 'UNKNOWN', api_trade_no: null, buyer: null, amount: null };
+  }
+
+  if (result.code !== undefined && result.code !== 0 && !result.trade_status && !result.trade_state) {
+    return { paid: false, state: result.msg || 'QUERY_FAILED', api_trade_no: null, buyer: null, amount: null };
+  }
+
+  const data = result.data && typeof result.data === 'object' ? result.data : result;
+  const rawState = data.trade_status ?? data.trade_state ?? data.status ?? 'UNKNOWN';
+  const state = String(rawState);
+  const amountField = AMOUNT_FIELDS.find(field => data[field] !== undefined && data[field] !== null && data[field] !== '');
+  const amount = amountField ? parseFloat(data[amountField]) : NaN;
+
+  return {
+    paid: PAID_STATES.includes(state.toUpperCase()),
+    state,
+    api_trade_no: data.api_trade_no || data.order_id || null,
+    buyer: data.buyer || null,
+    amount: Number.isFinite(amount) ? amount : null
+  };
+}
+
+/**
+ * 比较上游支付金额与订单应付金额
+ * 外币通道（配置了 currency_rate）的上游金额按汇率折回人民币，允许外币最小单位的舍入误差
+ * @param {number|null} upstreamAmount - normalizeQueryResult 返回的 amount，为空表示上游未返回金额
+ * @param {number|string} expected - 订单应付金额（real_money || money）
+ * @param {number|string} currencyRate - 通道配置的汇率，未配置为 1
+ * @returns {boolean} 上游未返回金额时视为一致
+ */
+function amountMatches(upstreamAmount, expected, currencyRate) {
+  if (upstreamAmount === null || upstreamAmount === undefined) {
+    return true;
+  }
+  const rate = parseFloat(currencyRate) || 1;
+  const tolerance = Math.max(0.01, 0.01 / rate) + 1e-9;
+  return Math.abs(upstreamAmount / rate - parseFloat(expected)) <= tolerance;
+}
+
+module.exports = {
+  PAID_STATES,
+  normalizeQueryResult,
+  amountMatches
+};
@@ -0,0 +1,510 @@
+/**
+ * 通道额度控制（预聚合计数器）
+ * - quota_counters 按 通道 / 商户+通道、自然日 / 自然月 累计金额和笔数，选路时按唯一键读取，不再扫描 orders
+ * - 订单锁定通道时占用额度（quota_reservations），未支付关闭时释放；已支付订单的额度不释放
+ * - 未关闭的未支付订单占用超过有效期（不短于 RESERVATION_TTL_MINUTES）后自动释放，
+ *   未开启超时关单时放弃支付的订单也不会长期占满通道；释放后又支付的订单在入账时补记用量
+ * - 占用在事务内先锁定订单的占用记录、再对计数器加行锁后校验，并发下单不会超出限额，
+ *   同一订单并发占用或换通道时也不会重复计数
+ * - 限额来源：provider_channels（day_limit / month_limit / day_count_limit）
+ *   与 merchant_channel_quotas（单商户在单通道的限额），0 表示不限制
+ * - 日期按通道开放时间所用的业务时区划分；计数器首次创建时从已支付订单回填当期用量
+ */
+const db = require('../config/database');
+const channelSchedule = require('./channelSchedule');
+const systemConfig = require('./systemConfig');
+
+// 占用状态：0=占用中 1=已释放
+const RESERVATION_STATUS = {
+  RESERVED: 0,
+  RELEASED: 1
+};
+
+// 未支付订单占用额度的最短有效期（分钟），订单超时时间更长时以超时时间为准
+const RESERVATION_TTL_MINUTES = 30;
+const EXPIRE_BATCH_SIZE = 100;
+
+function toCents(value) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? Math.round(num * 100) : 0;
+}
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * 当前日、月周期键
+ * @returns {{dayKey: string, monthKey: string}}
+ */
+function getPeriodKeys(date = new Date()) {
+  const now = channelSchedule.getZonedNow(date);
+  return { dayKey: now.dateKey, monthKey: now.dateKey.slice(0, 7) };
+}
+
+/**
+ * 周期对应的 created_at 区间（用于首次创建计数器时回填）
+ */
+function getPeriodRange(periodType, periodKey) {
+  const [year, month, day] = periodKey.split('-').map(v => parseInt(v, 10));
+  const start = periodType === 'day' ? new Date(Date.UTC(year, month - 1, day)) : new Date(Date.UTC(year, month - 1, 1));
+  const end = periodType === 'day' ? new Date(Date.UTC(year, month - 1, day + 1)) : new Date(Date.UTC(year, month, 1));
+  const format = d => `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())} 00:00:00`;
+  return [format(start), format(end)];
+}
+
+function normalizeLimits(row) {
+  return {
+    dayAmount: toCents(row?.day_limit),
+    monthAmount: toCents(row?.month_limit),
+    dayCount: parseInt(row?.day_count_limit, 10) || 0
+  };
+}
+
+function hasLimits(limits) {
+  return limits.dayAmount > 0 || limits.monthAmount > 0 || limits.dayCount > 0;
+}
+
+/**
+ * 校验用量加上本笔后是否超限，返回超限原因或 null
+ */
+function checkLimits(limits, dayCounter, monthCounter, moneyCents, label) {
+  if (limits.dayAmount > 0 && dayCounter.amount + moneyCents > limits.dayAmount) {
+    return `${label}今日额度已满`;
+  }
+  if (limits.monthAmount > 0 && monthCounter.amount + moneyCents > limits.monthAmount) {
+    return `${label}本月额度已满`;
+  }
+  if (limits.dayCount > 0 && dayCounter.count + 1 > limits.dayCount) {
+    return `${label}今日笔数已满`;
+  }
+  return null;
+}
+
+function counterKey(channelId, merchantId, periodType) {
+  return `${channelId}:${merchantId}:${periodType}`;
+}
+
+/**
+ * 批量读取计数器
+ * @returns {Promise<Map<string, {amount: number, count: number}>>} 金额单位为分
+ */
+async function loadCounters(channelIds, merchantIds, keys, conn = db) {
+  const counters = new Map();
+  if (channelIds.length === 0) {
+    return counters;
+  }
+
+  const [rows] = await conn.query(
+    `SELECT channel_id, merchant_id, period_type, amount, order_count
+     FROM quota_counters
+     WHERE channel_id IN (?) AND merchant_id IN (?)
+       AND ((period_type = 'day' AND period_key = ?) OR (period_type = 'month' AND period_key = ?))`,
+    [channelIds, merchantIds, keys.dayKey, keys.monthKey]
+  );
+  for (const row of rows) {
+    counters.set(counterKey(row.channel_id, row.merchant_id, row.period_type), {
+      amount: toCents(row.amount),
+      count: Number(row.order_count) || 0
+    });
+  }
+  return counters;
+}
+
+function getCounter(counters, channelId, merchantId, periodType) {
+  return counters.get(counterKey(channelId, merchantId, periodType)) || { amount: 0, count: 0 };
+}
+
+async function loadMerchantQuotas(merchantId, channelIds, conn = db) {
+  const quotas = new Map();
+  if (!merchantId || channelIds.length === 0) {
+    return quotas;
+  }
+
+  const [rows] = await conn.query(
+    `SELECT channel_id, day_limit, month_limit, day_count_limit
+     FROM merchant_channel_quotas WHERE merchant_id = ? AND channel_id IN (?)`,
+    [merchantId, channelIds]
+  );
+  for (const row of rows) {
+    quotas.set(Number(row.channel_id), normalizeLimits(row));
+  }
+  return quotas;
+}
+
+/**
+ * 过滤出额度足够的通道（选路预检，最终以 reserve 为准）
+ * @param {Array} channels - provider_channels 记录
+ * @param {number} money - 订单金额
+ * @param {number|null} merchantId - 商户ID（users.id）
+ * @returns {Promise<Array>}
+ */
+async function filterChannels(channels, money, merchantId = null) {
+  if (!channels || channels.length === 0) {
+    return [];
+  }
+
+  const moneyCents = toCents(money);
+  const channelIds = channels.map(c => Number(c.id));
+  const merchantKey = parseInt(merchantId, 10) || 0;
+  const merchantQuotas = await loadMerchantQuotas(merchantKey, channelIds);
+
+  const needCounters = channels.some(c => hasLimits(normalizeLimits(c))) || merchantQuotas.size > 0;
+  if (!needCounters) {
+    return channels;
+  }
+
+  const keys = getPeriodKeys();
+  const counters = await loadCounters(channelIds, [0, merchantKey], keys);
+
+  return channels.filter(channel => {
+    const id = Number(channel.id);
+    const channelLimits = normalizeLimits(channel);
+    if (checkLimits(channelLimits, getCounter(counters, id, 0, 'day'), getCounter(counters, id, 0, 'month'), moneyCents, '通道')) {
+      return false;
+    }
+    const merchantLimits = merchantQuotas.get(id);
+    if (merchantLimits && checkLimits(merchantLimits, getCounter(counters, id, merchantKey, 'day'), getCounter(counters, id, merchantKey, 'month'), moneyCents, '商户')) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * 确保计数器行存在，首次创建时从当期已支付订单回填
+ */
+async function ensureCounter(channelId, merchantId, periodType, periodKey) {
+  const [existing] = await db.query(
+    'SELECT id FROM quota_counters WHERE channel_id = ? AND merchant_id = ? AND period_type = ? AND period_key = ?',
+    [channelId, merchantId, periodType, periodKey]
+  );
+  if (existing.length > 0) {
+    return;
+  }
+
+  const [rangeStart, rangeEnd] = getPeriodRange(periodType, periodKey);
+  const merchantFilter = merchantId > 0 ? ' AND merchant_id = ?' : '';
+  const params = [channelId, rangeStart, rangeEnd];
+  if (merchantId > 0) {
+    params.push(merchantId);
+  }
+  const [[seed]] = await db.query(
+    `SELECT COALESCE(SUM(money), 0) AS amount, COUNT(*) AS order_count
+     FROM orders
+     WHERE channel_id = ? AND status = 1 AND created_at >= ? AND created_at < ?${merchantFilter}`,
+    params
+  );
+
+  await db.query(
+    `INSERT IGNORE INTO quota_counters (channel_id, merchant_id, period_type, period_key, amount, order_count)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [channelId, merchantId, periodType, periodKey, seed.amount || 0, seed.order_count || 0]
+  );
+}
+
+/**
+ * 在事务内释放一条占用记录（调用方已对该记录加锁）
+ */
+async function releaseReservation(conn, reservation) {
+  const scopes = Number(reservation.merchant_id) > 0 ? [0, Number(reservation.merchant_id)] : [0];
+  await conn.query(
+    `UPDATE quota_counters
+     SET amount = GREATEST(amount - ?, 0), order_count = GREATEST(order_count - 1, 0)
+     WHERE channel_id = ? AND merchant_id IN (?)
+       AND ((period_type = 'day' AND period_key = ?) OR (period_type = 'month' AND period_key = ?))
+     ORDER BY merchant_id ASC, period_type ASC`,
+    [reservation.money, reservation.channel_id, scopes, reservation.day_key, reservation.month_key]
+  );
+  await conn.query(
+    'UPDATE quota_reservations SET status = ? WHERE id = ?',
+    [RESERVATION_STATUS.RELEASED, reservation.id]
+  );
+}
+
+/**
+ * 为订单占用通道额度（同一订单重复调用幂等；换通道时在同一事务内释放旧占用）
+ * @param {Object} data - { tradeNo, orderId, merchantId, channelId, money }
+ * @returns {Promise<{ok: boolean, msg?: string}>}
+ */
+async function reserve({ tradeNo, orderId, merchantId, channelId, money }) {
+  const id = parseInt(channelId, 10);
+  if (!tradeNo || !id) {
+    return { ok: true };
+  }
+
+  const merchantKey = parseInt(merchantId, 10) || 0;
+  const moneyCents = toCents(money);
+  const keys = getPeriodKeys();
+  const scopes = merchantKey > 0 ? [0, merchantKey] : [0];
+
+  for (const scope of scopes) {
+    await ensureCounter(id, scope, 'day', keys.dayKey);
+    await ensureCounter(id, scope, 'month', keys.monthKey);
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // 先锁定本订单的占用记录：同一订单的并发占用在此排队，后到的请求看到已占用的通道直接返回
+    const [reservations] = await connection.query(
+      'SELECT * FROM quota_reservations WHERE trade_no = ? FOR UPDATE',
+      [tradeNo]
+    );
+    const current = reservations.find(row => Number(row.status) === RESERVATION_STATUS.RESERVED);
+    if (current) {
+      if (Number(current.channel_id) === id) {
+        await connection.commit();
+        return { ok: true };
+      }
+      // 换通道：旧占用与新占用在同一事务内完成，新通道额度不足时旧占用随回滚保留
+      await releaseReservation(connection, current);
+    }
+
+    // 固定顺序加锁（merchant_id 升序、day 先于 month），避免并发死锁
+    const [lockedRows] = await connection.query(
+      `SELECT id FROM quota_counters
+       WHERE channel_id = ? AND merchant_id IN (?)
+         AND ((period_type = 'day' AND period_key = ?) OR (period_type = 'month' AND period_key = ?))
+       ORDER BY merchant_id ASC, period_type ASC
+       FOR UPDATE`,
+      [id, scopes, keys.dayKey, keys.monthKey]
+    );
+    const counters = await loadCounters([id], scopes, keys, connection);
+
+    const [channels] = await connection.query(
+      'SELECT day_limit, month_limit, day_count_limit FROM provider_channels WHERE id = ?',
+      [id]
+    );
+    const merchantQuotas = await loadMerchantQuotas(merchantKey, [id], connection);
+
+    const channelError = checkLimits(
+      normalizeLimits(channels[0]),
+      getCounter(counters, id, 0, 'day'),
+      getCounter(counters, id, 0, 'month'),
+      moneyCents,
+      '通道'
+    );
+    const merchantLimits = merchantQuotas.get(id);
+    const merchantError = merchantLimits
+      ? checkLimits(merchantLimits, getCounter(counters, id, merchantKey, 'day'), getCounter(counters, id, merchantKey, 'month'), moneyCents, '商户')
+      : null;
+
+    if (channelError || merchantError) {
+      await connection.rollback();
+      return { ok: false, msg: channelError || merchantError };
+    }
+
+    await connection.query(
+      'UPDATE quota_counters SET amount = amount + ?, order_count = order_count + 1 WHERE id IN (?)',
+      [moneyCents / 100, lockedRows.map(r => r.id)]
+    );
+    await connection.query(
+      `INSERT INTO quota_reservations (trade_no, order_id, channel_id, merchant_id, money, day_key, month_key, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE order_id = VALUES(order_id), channel_id = VALUES(channel_id), merchant_id = VALUES(merchant_id),
+         money = VALUES(money), day_key = VALUES(day_key), month_key = VALUES(month_key), status = VALUES(status)`,
+      [tradeNo, orderId || null, id, merchantKey, moneyCents / 100, keys.dayKey, keys.monthKey, RESERVATION_STATUS.RESERVED]
+    );
+
+    await connection.commit();
+    return { ok: true };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * 释放订单占用的额度（订单未支付关闭时调用，重复调用无副作用）
+ * @param {string} tradeNo - 平台交易号
+ * @returns {Promise<boolean>} 是否发生释放
+ */
+async function release(tradeNo) {
+  if (!tradeNo) {
+    return false;
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      'SELECT * FROM quota_reservations WHERE trade_no = ? AND status = ? FOR UPDATE',
+      [tradeNo, RESERVATION_STATUS.RESERVED]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    await releaseReservation(connection, rows[0]);
+
+    await connection.commit();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * 订单关闭后释放额度（出错只记录日志，不影响关单流程）
+ * @param {string} tradeNo - 平台交易号
+ */
+async function releaseOnClose(tradeNo) {
+  try {
+    return await release(tradeNo);
+  } catch (error) {
+    console.error(`[Quota] 释放额度失败: ${tradeNo}`, error.message);
+    return false;
+  }
+}
+
+/**
+ * 释放超过有效期的未支付订单占用（订单超时服务定时调用）
+ * 固定直链订单在 expire_at 之前不释放；释放时锁定订单行确认仍未支付，与支付入账互斥
+ * @returns {Promise<number>} 释放笔数
+ */
+async function expireStale() {
+  const globalTimeout = parseInt(await systemConfig.getConfig('order_timeout_minutes', '0'), 10) || 0;
+  const ttlMinutes = Math.max(globalTimeout, RESERVATION_TTL_MINUTES);
+
+  const [rows] = await db.query(
+    `SELECT r.trade_no FROM quota_reservations r
+     JOIN orders o ON o.trade_no = r.trade_no
+     WHERE r.status = ? AND r.updated_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+       AND o.status = 0 AND (o.expire_at IS NULL OR o.expire_at <= NOW())
+     ORDER BY r.id ASC
+     LIMIT ?`,
+    [RESERVATION_STATUS.RESERVED, ttlMinutes, EXPIRE_BATCH_SIZE]
+  );
+
+  let expired = 0;
+  for (const row of rows) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [reservations] = await connection.query(
+        'SELECT * FROM quota_reservations WHERE trade_no = ? AND status = ? FOR UPDATE',
+        [row.trade_no, RESERVATION_STATUS.RESERVED]
+      );
+      const [orders] = await connection.query(
+        'SELECT status FROM orders WHERE trade_no = ? FOR UPDATE',
+        [row.trade_no]
+      );
+      if (reservations.length === 0 || orders.length === 0 || Number(orders[0].status) !== 0) {
+        await connection.rollback();
+        continue;
+      }
+
+      await releaseReservation(connection, reservations[0]);
+      await connection.commit();
+      expired += 1;
+    } catch (error) {
+      await connection.rollback();
+      console.error(`[Quota] 释放过期占用失败: ${row.trade_no}`, error.message);
+    } finally {
+      connection.release();
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`[Quota] 已释放过期未支付订单占用: ${expired} 笔`);
+  }
+  return expired;
+}
+
+/**
+ * 订单支付入账时补记已释放的占用（过期释放或关单后才收到支付），不再校验限额
+ * 出错只记录日志，不影响入账流程
+ * @param {string} tradeNo - 平台交易号
+ * @returns {Promise<boolean>} 是否补记
+ */
+async function restoreOnPaid(tradeNo) {
+  if (!tradeNo) {
+    return false;
+  }
+
+  let connection = null;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      'SELECT * FROM quota_reservations WHERE trade_no = ? AND status = ? FOR UPDATE',
+      [tradeNo, RESERVATION_STATUS.RELEASED]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    const reservation = rows[0];
+    const scopes = Number(reservation.merchant_id) > 0 ? [0, Number(reservation.merchant_id)] : [0];
+    await connection.query(
+      `UPDATE quota_counters
+       SET amount = amount + ?, order_count = order_count + 1
+       WHERE channel_id = ? AND merchant_id IN (?)
+         AND ((period_type = 'day' AND period_key = ?) OR (period_type = 'month' AND period_key = ?))
+       ORDER BY merchant_id ASC, period_type ASC`,
+      [reservation.money, reservation.channel_id, scopes, reservation.day_key, reservation.month_key]
+    );
+    await connection.query(
+      'UPDATE quota_reservations SET status = ? WHERE id = ?',
+      [RESERVATION_STATUS.RESERVED, reservation.id]
+    );
+
+    await connection.commit();
+    return true;
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error(`[Quota] 补记已支付订单额度失败: ${tradeNo}`, error.message);
+    return false;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+/**
+ * 获取通道当期用量（后台展示用）
+ * @param {number[]} channelIds
+ * @returns {Promise<Map<number, {day_used: number, day_count: number, month_used: number}>>}
+ */
+async function getChannelUsage(channelIds) {
+  const ids = channelIds.map(Number).filter(id => id > 0);
+  const usage = new Map(ids.map(id => [id, { day_used: 0, day_count: 0, month_used: 0 }]));
+  if (ids.length === 0) {
+    return usage;
+  }
+
+  const counters = await loadCounters(ids, [0], getPeriodKeys());
+  for (const id of ids) {
+    const day = getCounter(counters, id, 0, 'day');
+    const month = getCounter(counters, id, 0, 'month');
+    usage.set(id, { day_used: day.amount / 100, day_count: day.count, month_used: month.amount / 100 });
+  }
+  return usage;
+}
+
+module.exports = {
+  RESERVATION_STATUS,
+  getPeriodKeys,
+  filterChannels,
+  reserve,
+  release,
+  releaseOnClose,
+  expireStale,
+  restoreOnPaid,
+  getChannelUsage
+};
@@ -3,6 +3,7 @@
  * - 支持手动清理与每日定时清理
  * - 商户范围支持 all 或 ids
  * - 订单状态允许 0(未支付)、1(支付成功)、4(已退款)
+ * - 删除订单时一并删除其通知投递日志（notify_attempts）和通道提交日志（channel_submit_logs）
  */
 const db = require('../config/database');
 
@@ -766,6 +767,15 @@ class RecordCleanupService {
       }
 
       if (includeStatusOrders || cleanupTestOrders || cleanupUnnotifiedPaid) {
+        // 先删除子记录，订单删除后无法再按条件定位
+        await conn.query(
+          `DELETE FROM notify_attempts WHERE trade_no IN (SELECT trade_no FROM orders WHERE ${filter.orderWhere})`,
+          filter.orderParams
+        );
+        await conn.query(
+          `DELETE FROM channel_submit_logs WHERE trade_no IN (SELECT trade_no FROM orders WHERE ${filter.orderWhere})`,
+          filter.orderParams
+        );
         const [result] = await conn.query(
           `DELETE FROM orders WHERE ${filter.orderWhere}`,
           filter.orderParams
@@ -0,0 +1,646 @@
+/**
+ * 订单退款台账
+ * - 每笔退款一条 order_refunds 记录，支持同一订单多次部分退款
+ * - 可退余额以台账为准（处理中 + 成功的退款均占用额度）
+ * - 发起退款时先锁定订单行，在同一事务内预留处理中的台账记录并扣减余额，再调用上游；
+ *   并发退款在订单行锁上排队，不会超出可退余额
+ * - orders.refund_* 字段仍同步为累计退款金额与最近一笔退款，兼容旧页面
+ * - 退款终结后推送退款结果通知：管理员退款始终通知，其余按商户设置（与支付通知共用重试队列和日志）
+ */
+const db = require('../config/database');
+const { buildRefundCallbackParams } = require('./notify');
+const notifyRetryService = require('./notifyRetryService');
+const pluginLoader = require('../plugins');
+const channelBreaker = require('./channelBreaker');
+
+// 退款状态：0=处理中 1=成功 2=失败
+const REFUND_STATUS = {
+  PROCESSING: 0,
+  SUCCESS: 1,
+  FAILED: 2
+};
+
+function round2(value) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? Math.round(num * 100) / 100 : 0;
+}
+
+/**
+ * 生成退款单号
+ */
+function generateRefundNo() {
+  return 'R' + Date.now() + Math.random().toString(36).substring(2, 8).toUpperCase();
+}
+
+/**
+ * 从插件退款结果中提取上游退款单号（各插件字段不统一）
+ * 插件返回的 trade_no 是上游支付交易号而非退款单号，不作为退款单号使用
+ */
+function pickApiRefundNo(refundResult) {
+  if (!refundResult || typeof refundResult !== 'object') return null;
+  return refundResult.refund_id || refundResult.api_refund_no || null;
+}
+
+/**
+ * 将插件返回的退款状态归一化为台账状态
+ * 插件可返回 refund_status（processing/success/failed）或上游原始 status；未返回时视为同步成功
+ * @param {Object} result - 插件 refund / refundQuery 返回值
+ * @param {number|null} fallback - 无法识别时的默认状态
+ */
+function resolveRefundStatus(result, fallback = REFUND_STATUS.SUCCESS) {
+  if (!result || typeof result !== 'object') return fallback;
+
+  const state = String(result.refund_status || result.status || '').toUpperCase();
+  if (['PROCESSING', 'REFUNDING', 'PENDING', 'WAITING'].includes(state)) {
+    return REFUND_STATUS.PROCESSING;
+  }
+  if (['FAILED', 'FAIL', 'ABNORMAL', 'CLOSED', 'REFUNDCLOSE'].includes(state)) {
+    return REFUND_STATUS.FAILED;
+  }
+  if (['SUCCESS', 'REFUND_SUCCESS'].includes(state)) {
+    return REFUND_STATUS.SUCCESS;
+  }
+  return fallback;
+}
+
+/**
+ * 调整商户余额并写入余额变动日志（需在事务内调用）
+ * @param {Object} conn - 事务连接
+ * @param {number} merchantId - 商户用户ID
+ * @param {number} amount - 变动金额（正数增加，负数减少）
+ * @param {string} type - 日志类型（refund / refund_reject）
+ */
+async function changeMerchantBalance(conn, merchantId, amount, type, relatedNo, remark) {
+  const changeAmount = round2(amount);
+  if (!merchantId || changeAmount === 0) return;
+
+  const [rows] = await conn.query(
+    'SELECT balance FROM merchants WHERE user_id = ? FOR UPDATE',
+    [merchantId]
+  );
+  if (rows.length === 0) return;
+
+  const beforeBalance = round2(rows[0].balance);
+  const afterBalance = round2(beforeBalance + changeAmount);
+
+  await conn.query(
+    'UPDATE merchants SET balance = ? WHERE user_id = ?',
+    [afterBalance, merchantId]
+  );
+  await conn.query(
+    `INSERT INTO merchant_balance_logs
+      (merchant_id, type, amount, before_balance, after_balance, related_no, remark)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [merchantId, type, changeAmount, beforeBalance, afterBalance, relatedNo, remark]
+  );
+}
+
+/**
+ * 写入退款记录（同时记录发起退款时的订单状态，传入的 order 应为更新前的记录）
+ * @param {Object} conn - 数据库连接（事务内传入 connection，否则传 db）
+ * @param {Object} refund
+ * @returns {Promise<number>} 记录ID
+ */
+async function createRefund(conn, {
+  order,
+  refundNo,
+  money,
+  reduceMoney = 0,
+  reason = null,
+  operator = null,
+  operatorType = 'system',
+  outRefundNo = null,
+  apiRefundNo = null,
+  status = REFUND_STATUS.SUCCESS,
+  errorMsg = null
+}) {
+  const [result] = await conn.query(
+    `INSERT INTO order_refunds
+       (order_id, trade_no, merchant_id, refund_no, money, reduce_money, order_status, reason,
+        operator, operator_type, out_refund_no, api_refund_no, status, error_msg, finished_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, IF(? = ?, NULL, NOW()))`,
+    [
+      order.id,
+      order.trade_no,
+      order.merchant_id || null,
+      refundNo,
+      round2(money),
+      round2(reduceMoney),
+      order.status === undefined || order.status === null ? null : Number(order.status),
+      reason,
+      operator,
+      operatorType,
+      outRefundNo,
+      apiRefundNo,
+      status,
+      errorMsg ? String(errorMsg).slice(0, 255) : null,
+      status,
+      REFUND_STATUS.PROCESSING
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * 获取订单已占用的退款金额（处理中 + 成功）
+ * 兼容台账上线前的历史订单：取台账合计与 orders.refund_money 的较大值
+ */
+async function getRefundedMoney(conn, order) {
+  const [[row]] = await conn.query(
+    'SELECT COALESCE(SUM(money), 0) AS total FROM order_refunds WHERE order_id = ? AND status IN (?, ?)',
+    [order.id, REFUND_STATUS.PROCESSING, REFUND_STATUS.SUCCESS]
+  );
+  const ledgerTotal = round2(row ? row.total : 0);
+  const legacyTotal = round2(order.refund_money || 0);
+  return Math.max(ledgerTotal, legacyTotal);
+}
+
+/**
+ * 计算订单可退余额
+ * @returns {Promise<{total: number, refunded: number, refundable: number}>}
+ */
+async function getRefundSummary(conn, order) {
+  const total = round2(order.real_money || order.money);
+  const refunded = await getRefundedMoney(conn, order);
+  return {
+    total,
+    refunded,
+    refundable: Math.max(0, round2(total - refunded))
+  };
+}
+
+/**
+ * 订单在首笔退款前的状态：取最早一笔记录了非退款状态的台账，历史记录未记录时视为已支付
+ */
+async function getStatusBeforeRefund(conn, orderId) {
+  const [rows] = await conn.query(
+    'SELECT order_status FROM order_refunds WHERE order_id = ? AND order_status IN (1, 3) ORDER BY id ASC LIMIT 1',
+    [orderId]
+  );
+  return rows.length > 0 ? Number(rows[0].order_status) : 1;
+}
+
+/**
+ * 退款状态终结：处理中 → 成功 / 失败
+ * 失败时退还已扣减的商户余额（记 refund_reject），并回滚订单累计退款金额
+ * @param {Object} refund - order_refunds 记录
+ * @param {number} status - REFUND_STATUS.SUCCESS / REFUND_STATUS.FAILED
+ * @param {Object} extra - { apiRefundNo, errorMsg, notify: 是否推送退款结果通知（同步失败的退款已直接返回给调用方，不再通知） }
+ * @returns {Promise<boolean>} 是否发生状态变更
+ */
+async function finishRefund(refund, status, { apiRefundNo = null, errorMsg = null, notify = true } = {}) {
+  if (![REFUND_STATUS.SUCCESS, REFUND_STATUS.FAILED].includes(status)) {
+    return false;
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [updateResult] = await connection.query(
+      `UPDATE order_refunds
+       SET status = ?, api_refund_no = COALESCE(?, api_refund_no), error_msg = ?, finished_at = NOW()
+       WHERE id = ? AND status = ?`,
+      [status, apiRefundNo, errorMsg ? String(errorMsg).slice(0, 255) : null, refund.id, REFUND_STATUS.PROCESSING]
+    );
+
+    if (!updateResult.affectedRows) {
+      await connection.rollback();
+      return false;
+    }
+
+    if (status === REFUND_STATUS.SUCCESS) {
+      await connection.query(
+        'UPDATE orders SET refund_status = 1, refund_at = NOW() WHERE id = ? AND refund_no = ?',
+        [refund.order_id, refund.refund_no]
+      );
+    } else {
+      const reduceMoney = round2(refund.reduce_money);
+      if (reduceMoney > 0) {
+        await changeMerchantBalance(
+          connection,
+          refund.merchant_id,
+          reduceMoney,
+          'refund_reject',
+          refund.refund_no,
+          `退款失败退回余额: ${refund.trade_no}`
+        );
+      }
+
+      // 回滚累计退款金额；全部退款失败时订单恢复为首笔退款前的状态（已支付或已冻结）
+      const previousStatus = await getStatusBeforeRefund(connection, refund.order_id);
+      // MySQL 按顺序求值 SET 子句，status 需在 refund_money 之前计算
+      await connection.query(
+        `UPDATE orders
+         SET status = IF(status = 2 AND COALESCE(refund_money, 0) - ? <= 0, ?, status),
+             refund_status = IF(refund_no = ?, 2, refund_status),
+             refund_money = GREATEST(COALESCE(refund_money, 0) - ?, 0)
+         WHERE id = ?`,
+        [round2(refund.money), previousStatus, refund.refund_no, round2(refund.money), refund.order_id]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (notify) {
+    notifyRefundResult(refund.refund_no).catch((error) => {
+      console.error(`[RefundNotify] 退款通知入队失败: ${refund.refund_no}`, error.message);
+    });
+  }
+  return true;
+}
+
+/**
+ * 推送退款结果通知给商户
+ * 退款已成功/失败时发送；管理员发起的退款始终通知（与上线退款通知设置前的后台退款行为一致），
+ * 其余退款仅在商户开启退款通知时发送；地址优先使用商户 refund_notify_url，否则使用订单 notify_url
+ * @param {string} refundNo - 退款单号
+ * @returns {Promise<{sent: boolean, success?: boolean}>}
+ */
+async function notifyRefundResult(refundNo) {
+  const [refunds] = await db.query('SELECT * FROM order_refunds WHERE refund_no = ?', [refundNo]);
+  const refund = refunds[0];
+  if (!refund || Number(refund.status) === REFUND_STATUS.PROCESSING) {
+    return { sent: false };
+  }
+
+  const [orders] = await db.query('SELECT * FROM orders WHERE id = ?', [refund.order_id]);
+  const order = orders[0];
+  if (!order) {
+    return { sent: false };
+  }
+
+  const [merchants] = await db.query(
+    'SELECT pid, api_key, refund_notify, refund_notify_url FROM merchants WHERE user_id = ?',
+    [order.merchant_id]
+  );
+  const merchant = merchants[0];
+  if (!merchant || (refund.operator_type !== 'admin' && Number(merchant.refund_notify) !== 1)) {
+    return { sent: false };
+  }
+
+  const notifyUrl = merchant.refund_notify_url || order.notify_url;
+  if (!notifyUrl) {
+    return { sent: false };
+  }
+
+  const params = buildRefundCallbackParams(order, refund, merchant.api_key, merchant.pid);
+  const result = await notifyRetryService.enqueue({
+    orderId: order.id,
+    tradeNo: order.trade_no,
+    notifyUrl,
+    params,
+    notifyType: 'refund',
+    bizNo: refund.refund_no
+  });
+
+  return { sent: true, success: result.success };
+}
+
+/**
+ * 计算退款需要扣减的商户余额：按退款金额占订单金额的比例扣除商户实收（订单金额 - 手续费）
+ * 已冻结订单的款项未入商户余额，不扣减
+ */
+function calcReduceMoney(order, refundMoney) {
+  if (Number(order.status) === 3) {
+    return 0;
+  }
+  const orderMoney = parseFloat(order.money);
+  const merchantReceived = orderMoney - parseFloat(order.fee_money || 0);
+  if (refundMoney >= orderMoney) {
+    return round2(merchantReceived);
+  }
+  return round2((refundMoney / orderMoney) * merchantReceived);
+}
+
+/**
+ * 预留退款（调用上游前执行）
+ * 在一个事务内锁定订单行、按台账计算可退余额、扣减商户余额并写入处理中的退款记录，
+ * 同时累加 orders.refund_money；并发退款在订单行锁上排队，后到的请求按最新台账校验
+ * @param {number} orderId - 订单ID
+ * @param {Object} options
+ *   - money: 退款金额
+ *   - capToRefundable: 为 true 时金额为空或超出可退余额按可退余额退款（管理员退款），否则超出报错
+ *   - checkBalance: 是否校验商户余额足够扣减
+ *   - reason / operator / operatorType / refundNo
+ *   - outRefundNo: 商户退款单号（API 退款），同一商户重复提交时写入台账触发唯一键冲突
+ * @returns {Promise<{code: number, msg?: string, refund?: Object, order?: Object, total?: number}>}
+ *   refund 为台账记录（含 id、refund_no、money、reduce_money），可直接传给 finishRefund
+ */
+async function reserveRefund(orderId, {
+  money,
+  capToRefundable = false,
+  checkBalance = true,
+  reason = null,
+  operator = null,
+  operatorType = 'merchant',
+  outRefundNo = null,
+  refundNo = generateRefundNo()
+}) {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [orders] = await connection.query('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+    const order = orders[0];
+    if (!order) {
+      await connection.rollback();
+      return { code: -1, msg: '订单不存在' };
+    }
+
+    // 已支付(1)、已退款但有剩余(2)、已冻结(3) 可以退款
+    if (![1, 2, 3].includes(Number(order.status))) {
+      await connection.rollback();
+      return { code: -1, msg: '订单状态不允许退款' };
+    }
+
+    const refundSummary = await getRefundSummary(connection, order);
+    // status=2 且没有退款记录的是已关闭的未支付订单
+    if (Number(order.status) === 2 && refundSummary.refunded <= 0) {
+      await connection.rollback();
+      return { code: -1, msg: '订单未支付或已关闭，无法退款' };
+    }
+    if (refundSummary.refundable <= 0) {
+      await connection.rollback();
+      return { code: -1, msg: '订单已全额退款' };
+    }
+
+    let refundMoney = round2(money);
+    if (capToRefundable) {
+      refundMoney = money ? Math.min(refundMoney, refundSummary.refundable) : refundSummary.refundable;
+    }
+    if (!(refundMoney > 0)) {
+      await connection.rollback();
+      return { code: -1, msg: '退款金额无效' };
+    }
+    if (refundMoney > refundSummary.refundable) {
+      await connection.rollback();
+      return { code: -1, msg: `退款金额不能超过${refundSummary.refundable.toFixed(2)}元` };
+    }
+
+    const reduceMoney = calcReduceMoney(order, refundMoney);
+    if (reduceMoney > 0) {
+      if (checkBalance) {
+        const [merchants] = await connection.query(
+          'SELECT balance FROM merchants WHERE user_id = ? FOR UPDATE',
+          [order.merchant_id]
+        );
+        if (merchants.length === 0 || parseFloat(merchants[0].balance) < reduceMoney) {
+          await connection.rollback();
+          return { code: -1, msg: `商户余额不足（需要 ¥${reduceMoney.toFixed(2)}）` };
+        }
+      }
+      // 处理中的退款同样先扣，失败后由 finishRefund 退回
+      await changeMerchantBalance(
+        connection,
+        order.merchant_id,
+        -reduceMoney,
+        'refund',
+        refundNo,
+        `订单退款: ${order.trade_no}`
+      );
+    }
+
+    const refundId = await createRefund(connection, {
+      order,
+      refundNo,
+      money: refundMoney,
+      reduceMoney,
+      reason,
+      operator,
+      operatorType,
+      outRefundNo,
+      status: REFUND_STATUS.PROCESSING
+    });
+
+    // refund_money 按本次退款累加，与台账同步变化
+    await connection.query(
+      `UPDATE orders SET
+        status = 2,
+        refund_status = 0,
+        refund_no = ?,
+        refund_money = COALESCE(refund_money, 0) + ?,
+        refund_reason = COALESCE(?, refund_reason),
+        refund_at = NOW()
+       WHERE id = ?`,
+      [refundNo, refundMoney, reason, order.id]
+    );
+
+    await connection.commit();
+
+    return {
+      code: 0,
+      order,
+      total: refundSummary.total,
+      refund: {
+        id: refundId,
+        order_id: order.id,
+        trade_no: order.trade_no,
+        merchant_id: order.merchant_id || null,
+        refund_no: refundNo,
+        money: refundMoney,
+        reduce_money: reduceMoney
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * 记录上游已受理、尚未完成的退款的上游退款单号，退款状态仍为处理中
+ */
+async function markRefundAccepted(refund, apiRefundNo) {
+  if (!apiRefundNo) return;
+  await db.query(
+    'UPDATE order_refunds SET api_refund_no = ? WHERE id = ? AND status = ?',
+    [apiRefundNo, refund.id, REFUND_STATUS.PROCESSING]
+  );
+}
+
+/**
+ * 上游调用链路异常（超时、插件崩溃、无响应或 5xx）时退款结果未知：保持处理中并记录异常，
+ * 由退款状态服务查询上游或管理员人工处理，不能直接判失败退回余额
+ */
+async function markRefundUnknown(refund, errorMsg) {
+  await db.query(
+    'UPDATE order_refunds SET error_msg = ? WHERE id = ? AND status = ?',
+    [`上游调用异常，结果待确认：${errorMsg}`.slice(0, 255), refund.id, REFUND_STATUS.PROCESSING]
+  );
+}
+
+/**
+ * 商户发起原路退款（商户后台与 api.php 共用）
+ * - 校验通道支持原路退款后预留退款（锁定订单、校验可退余额与商户余额、扣减余额），再调用通道插件退款
+ * - 上游明确拒绝时台账记为失败并退回余额；上游受理但未完成、或调用超时/链路异常结果未知的退款保持处理中，
+ *   由退款状态服务查询或人工确认
+ * @param {Object} order - orders 表记录
+ * @param {Object} options - { money, reason, operator, operatorType }
+ * @returns {Promise<{code: number, msg: string, data?: Object}>}
+ */
+async function applyMerchantRefund(order, { money, reason, operator = null, operatorType = 'merchant', outRefundNo = null }) {
+  // 检查订单状态：已支付(1)、已退款但有剩余(2)、已冻结(3) 可以退款（加锁后会再次校验）
+  if (![1, 2, 3].includes(order.status)) {
+    return { code: -1, msg: '订单状态不允许退款' };
+  }
+
+  // 检查是否有上游交易号（只有有上游交易号才能原路退款）
+  if (!order.api_trade_no) {
+    return { code: -1, msg: '该订单没有上游交易号，无法原路退款' };
+  }
+
+  const [channels] = await db.query(
+    'SELECT * FROM provider_channels WHERE id = ?',
+    [order.channel_id]
+  );
+  if (channels.length === 0) {
+    return { code: -1, msg: '支付通道不存在' };
+  }
+
+  const channel = channels[0];
+  const plugin = pluginLoader.getPlugin(channel.plugin_name);
+  if (!plugin) {
+    return { code: -1, msg: '支付插件不存在' };
+  }
+  if (typeof plugin.refund !== 'function') {
+    return { code: -1, msg: '该支付通道不支持原路退款' };
+  }
+  if (!(await pluginLoader.isPluginEnabled(channel.plugin_name))) {
+    return { code: -1, msg: '支付插件已停用，暂无法退款' };
+  }
+
+  const reserved = await reserveRefund(order.id, { money, reason, operator, operatorType, outRefundNo });
+  if (reserved.code !== 0) {
+    return reserved;
+  }
+  const { refund } = reserved;
+
+  let refundResult;
+  try {
+    refundResult = await pluginLoader.callPluginMethod(channel.plugin_name, 'refund', pluginLoader.buildChannelConfig(channel), {
+      trade_no: order.trade_no,
+      api_trade_no: order.api_trade_no,
+      refund_no: refund.refund_no,
+      refund_money: refund.money,
+      total_money: reserved.total
+    });
+  } catch (pluginError) {
+    console.error('调用退款插件错误:', pluginError);
+    const transportError = channelBreaker.getTransportError(null, pluginError);
+    if (transportError) {
+      await markRefundUnknown(refund, `${pluginError.message}（${transportError}）`);
+      return buildUnknownRefundResult(refund);
+    }
+    await finishRefund(refund, REFUND_STATUS.FAILED, { errorMsg: pluginError.message, notify: false });
+    return { code: -1, msg: '退款失败：' + pluginError.message };
+  }
+
+  if (!refundResult || refundResult.code !== 0) {
+    const errorMsg = (refundResult && refundResult.msg) || '未知错误';
+    if (refundResult && refundResult.transport_error) {
+      await markRefundUnknown(refund, `${errorMsg}（${refundResult.transport_error}）`);
+      return buildUnknownRefundResult(refund);
+    }
+    await finishRefund(refund, REFUND_STATUS.FAILED, { errorMsg, notify: false });
+    return { code: -1, msg: '退款失败：' + errorMsg };
+  }
+
+  const refundStatus = resolveRefundStatus(refundResult);
+  const apiRefundNo = pickApiRefundNo(refundResult);
+  if (refundStatus === REFUND_STATUS.PROCESSING) {
+    await markRefundAccepted(refund, apiRefundNo);
+  } else {
+    const failed = refundStatus === REFUND_STATUS.FAILED;
+    await finishRefund(refund, refundStatus, {
+      apiRefundNo,
+      errorMsg: failed ? (refundResult.msg || '上游退款失败') : null,
+      notify: !failed
+    });
+  }
+
+  const isProcessing = refundStatus === REFUND_STATUS.PROCESSING;
+  if (refundStatus === REFUND_STATUS.FAILED) {
+    return { code: -1, msg: '退款失败：' + (refundResult.msg || '上游退款失败') };
+  }
+
+  return {
+    code: 0,
+    msg: isProcessing ? '退款已受理，等待上游处理' : '退款成功',
+    data: {
+      refundNo: refund.refund_no,
+      refundStatus,
+      refundMoney: refund.money.toFixed(2),
+      reduceMoney: refund.reduce_money.toFixed(2)
+    }
+  };
+}
+
+/**
+ * 退款结果未知时返回给商户的处理中结果
+ */
+function buildUnknownRefundResult(refund) {
+  return {
+    code: 0,
+    msg: '退款结果未知，等待上游确认',
+    data: {
+      refundNo: refund.refund_no,
+      refundStatus: REFUND_STATUS.PROCESSING,
+      refundMoney: refund.money.toFixed(2),
+      reduceMoney: refund.reduce_money.toFixed(2)
+    }
+  };
+}
+
+/**
+ * 获取订单退款记录
+ */
+async function listRefunds(orderId) {
+  const [rows] = await db.query(
+    `SELECT id, refund_no, money, reduce_money, reason, operator, operator_type, api_refund_no,
+            status, error_msg, created_at, updated_at, finished_at
+     FROM order_refunds
+     WHERE order_id = ?
+     ORDER BY id ASC`,
+    [orderId]
+  );
+  return rows;
+}
+
+/**
+ * 按商户退款单号查找退款记录（API 退款幂等）
+ */
+async function findRefundByOutRefundNo(merchantId, outRefundNo) {
+  const [rows] = await db.query(
+    'SELECT * FROM order_refunds WHERE merchant_id = ? AND out_refund_no = ?',
+    [merchantId, outRefundNo]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  REFUND_STATUS,
+  generateRefundNo,
+  pickApiRefundNo,
+  resolveRefundStatus,
+  changeMerchantBalance,
+  createRefund,
+  calcReduceMoney,
+  reserveRefund,
+  markRefundAccepted,
+  finishRefund,
+  notifyRefundResult,
+  applyMerchantRefund,
+  getRefundedMoney,
+  getRefundSummary,
+  listRefunds,
+  findRefundByOutRefundNo
+};
@@ -0,0 +1,205 @@
+/**
+ * 异步退款状态跟踪服务
+ * - 上游受理但未完成的退款记为处理中（order_refunds.status = 0）
+ * - 定时调用插件 refundQuery 查询结果，成功/失败后终结台账
+ * - 失败时由台账退回已扣减的商户余额
+ * - 无法查询（插件不支持 refundQuery）或超出跟踪期仍未完成的退款标记为待人工确认，
+ *   由管理员在后台确认成功或失败后终结（见 routes/provider/orders.js /orders/refund-resolve）
+ */
+const db = require('../config/database');
+const pluginLoader = require('../plugins');
+const refundLedger = require('./refundLedger');
+
+const BATCH_SIZE = 50;
+// 只跟踪近 7 天发起的退款，更早的交由人工处理
+const TRACK_DAYS = 7;
+// 处理中超过该时长且无法自动查询的退款标记为待人工确认
+const MANUAL_AFTER_HOURS = 24;
+const MANUAL_NOTE = '长时间未确认结果，请人工核实后处理';
+
+class RefundStatusService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this._tick().catch((error) => {
+        console.error('[RefundStatus] 定时查询失败:', error.message);
+      });
+    }, 60000);
+
+    console.log('[RefundStatus] 调度器已启动');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[RefundStatus] 调度器已停止');
+    }
+  }
+
+  async _tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const [refunds] = await db.query(
+        `SELECT * FROM order_refunds
+         WHERE status = ? AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         ORDER BY id ASC
+         LIMIT ?`,
+        [refundLedger.REFUND_STATUS.PROCESSING, TRACK_DAYS, BATCH_SIZE]
+      );
+
+      let finished = 0;
+      for (const refund of refunds) {
+        const result = await this.syncRefund(refund);
+        if (result.code === 0 && result.data.finished) {
+          finished += 1;
+        }
+      }
+
+      if (finished > 0) {
+        console.log(`[RefundStatus] 退款状态已更新: ${finished} 笔`);
+      }
+
+      await this._flagStaleRefunds();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * 标记需要人工确认的处理中退款：超出跟踪期的，以及超时且插件不支持退款查询的
+   * 标记只写入 error_msg 供后台展示，不改变退款状态（退款额度仍被占用，直至人工确认）
+   */
+  async _flagStaleRefunds() {
+    const [refunds] = await db.query(
+      `SELECT r.id, r.refund_no, r.created_at, c.plugin_name
+       FROM order_refunds r
+       LEFT JOIN orders o ON o.id = r.order_id
+       LEFT JOIN provider_channels c ON c.id = o.channel_id
+       WHERE r.status = ? AND r.error_msg IS NULL AND r.created_at <= DATE_SUB(NOW(), INTERVAL ? HOUR)
+       ORDER BY r.id ASC
+       LIMIT ?`,
+      [refundLedger.REFUND_STATUS.PROCESSING, MANUAL_AFTER_HOURS, BATCH_SIZE]
+    );
+
+    const trackSince = Date.now() - TRACK_DAYS * 24 * 3600 * 1000;
+    for (const refund of refunds) {
+      const plugin = refund.plugin_name ? pluginLoader.getPlugin(refund.plugin_name) : null;
+      const queryable = plugin && typeof plugin.refundQuery === 'function';
+      if (queryable && new Date(refund.created_at).getTime() >= trackSince) {
+        continue;
+      }
+      await db.query(
+        'UPDATE order_refunds SET error_msg = ? WHERE id = ? AND status = ? AND error_msg IS NULL',
+        [MANUAL_NOTE, refund.id, refundLedger.REFUND_STATUS.PROCESSING]
+      );
+      console.warn(`[RefundStatus] 退款待人工确认: ${refund.refund_no}`);
+    }
+  }
+
+  /**
+   * 人工确认处理中退款的结果（上游无法查询或长时间未回调时使用）
+   * @param {Object} refund - order_refunds 表记录
+   * @param {number} status - REFUND_STATUS.SUCCESS / REFUND_STATUS.FAILED
+   * @param {string} remark - 备注，失败时记为失败原因
+   * @returns {Promise<{code: number, msg?: string}>}
+   */
+  async resolveManually(refund, status, remark = '') {
+    if (Number(refund.status) !== refundLedger.REFUND_STATUS.PROCESSING) {
+      return { code: -1, msg: '该退款已完成，无需确认' };
+    }
+    if (![refundLedger.REFUND_STATUS.SUCCESS, refundLedger.REFUND_STATUS.FAILED].includes(status)) {
+      return { code: -1, msg: '退款结果无效' };
+    }
+
+    const failed = status === refundLedger.REFUND_STATUS.FAILED;
+    const finished = await refundLedger.finishRefund(refund, status, {
+      errorMsg: failed ? (remark || '人工确认退款失败') : null
+    });
+    if (!finished) {
+      return { code: -1, msg: '退款状态已变化，请刷新后重试' };
+    }
+
+    console.log(`[RefundStatus] 人工确认退款${failed ? '失败' : '成功'}: ${refund.refund_no}`);
+    return { code: 0 };
+  }
+
+  /**
+   * 向上游查询单笔退款状态并终结台账
+   * @param {Object} refund - order_refunds 表记录
+   * @returns {Promise<{code: number, msg?: string, data?: Object}>}
+   */
+  async syncRefund(refund) {
+    try {
+      const [orders] = await db.query('SELECT * FROM orders WHERE id = ?', [refund.order_id]);
+      if (orders.length === 0 || !orders[0].channel_id) {
+        return { code: -1, msg: '订单不存在或未关联支付通道' };
+      }
+      const order = orders[0];
+
+      const [channels] = await db.query('SELECT * FROM provider_channels WHERE id = ?', [order.channel_id]);
+      if (channels.length === 0) {
+        return { code: -1, msg: '支付通道不存在' };
+      }
+
+      const channel = channels[0];
+      const pluginName = channel.plugin_name || order.plugin_name;
+      const plugin = pluginLoader.getPlugin(pluginName);
+      if (!plugin || typeof plugin.refundQuery !== 'function') {
+        return { code: -1, msg: '该支付通道不支持退款查询' };
+      }
+      if (!(await pluginLoader.isPluginEnabled(pluginName))) {
+        return { code: -1, msg: '支付插件已停用' };
+      }
+
+      const queryResult = await pluginLoader.callPluginMethod(pluginName, 'refundQuery', pluginLoader.buildChannelConfig(channel), {
+        trade_no: order.trade_no,
+        api_trade_no: order.api_trade_no,
+        refund_no: refund.refund_no,
+        refund_money: parseFloat(refund.money)
+      });
+
+      if (queryResult && queryResult.code !== undefined && queryResult.code !== 0) {
+        return { code: -1, msg: queryResult.msg || '退款查询失败' };
+      }
+
+      const status = refundLedger.resolveRefundStatus(queryResult, refundLedger.REFUND_STATUS.PROCESSING);
+      let finished = false;
+      if (status !== refundLedger.REFUND_STATUS.PROCESSING) {
+        finished = await refundLedger.finishRefund(refund, status, {
+          apiRefundNo: refundLedger.pickApiRefundNo(queryResult),
+          errorMsg: status === refundLedger.REFUND_STATUS.FAILED ? (queryResult.msg || '上游退款失败') : null
+        });
+        if (finished) {
+          console.log(`[RefundStatus] 退款${status === refundLedger.REFUND_STATUS.SUCCESS ? '成功' : '失败'}: ${refund.refund_no}`);
+        }
+      }
+
+      return {
+        code: 0,
+        data: {
+          refund_no: refund.refund_no,
+          status,
+          finished
+        }
+      };
+    } catch (error) {
+      console.error(`[RefundStatus] 退款查询失败: ${refund.refund_no}`, error.message);
+      return { code: -1, msg: '退款查询失败: ' + error.message };
+    }
+  }
+}
+
+module.exports = new RefundStatusService();
@@ -0,0 +1,134 @@
+/**
+ * 上游调用日志
+ * - 插件经 utils/pluginHttp 发起的每次上游请求写入 upstream_call_logs（内容已脱敏）
+ * - 后台订单详情按交易号查看该订单的上游往来报文，定位失败原因
+ * - 日志保留 upstream_log_retention_days 天（默认 7 天），每小时清理一次过期记录
+ */
+const db = require('../config/database');
+const systemConfig = require('./systemConfig');
+const pluginHttp = require('./pluginHttp');
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// 单次清理删除的最大行数，避免长时间锁表
+const PRUNE_BATCH_SIZE = 5000;
+const LIST_LIMIT = 200;
+
+/**
+ * 写入一条上游调用记录（失败不影响插件调用）
+ * @param {Object} entry - pluginHttp 生成的记录
+ */
+async function record(entry) {
+  try {
+    await db.query(
+      `INSERT INTO upstream_call_logs
+       (channel_id, trade_no, plugin, plugin_method, http_method, url, request_headers, request_body, status, response_body, error, latency_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.channel_id || null,
+        entry.trade_no ? String(entry.trade_no).slice(0, 64) : null,
+        entry.plugin || null,
+        entry.plugin_method || null,
+        entry.http_method || 'GET',
+        entry.url || '',
+        JSON.stringify(entry.request_headers || {}),
+        entry.request_body,
+        entry.status || null,
+        entry.response_body,
+        entry.error || null,
+        entry.latency_ms ?? null
+      ]
+    );
+  } catch (error) {
+    console.error('[UpstreamLog] 写入上游调用日志失败:', error.message);
+  }
+}
+
+/**
+ * 查询订单的上游调用记录（按时间正序）
+ * @param {string} tradeNo - 平台交易号
+ * @returns {Promise<Array>}
+ */
+async function listByTradeNo(tradeNo) {
+  const [rows] = await db.query(
+    `SELECT id, channel_id, plugin, plugin_method, http_method, url, request_headers, request_body,
+            status, response_body, error, latency_ms, created_at
+     FROM upstream_call_logs
+     WHERE trade_no = ?
+     ORDER BY id ASC
+     LIMIT ?`,
+    [tradeNo, LIST_LIMIT]
+  );
+
+  return rows.map(row => {
+    let headers = row.request_headers;
+    if (typeof headers === 'string') {
+      try {
+        headers = JSON.parse(headers);
+      } catch (e) {
+        headers = {};
+      }
+    }
+    return { ...row, request_headers: headers || {} };
+  });
+}
+
+class UpstreamCallLogService {
+  constructor() {
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.prune().catch((error) => {
+        console.error('[UpstreamLog] 清理过期日志失败:', error.message);
+      });
+    }, PRUNE_INTERVAL_MS);
+
+    console.log('[UpstreamLog] 日志清理已启动');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[UpstreamLog] 日志清理已停止');
+    }
+  }
+
+  /**
+   * 删除超过保留天数的日志
+   * @returns {Promise<number>} 删除行数
+   */
+  async prune() {
+    const days = Math.max(1, parseInt(await systemConfig.getConfig('upstream_log_retention_days', '7'), 10) || 7);
+    let total = 0;
+    for (;;) {
+      const [result] = await db.query(
+        'DELETE FROM upstream_call_logs WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY) LIMIT ?',
+        [days, PRUNE_BATCH_SIZE]
+      );
+      const affected = Number(result.affectedRows || 0);
+      total += affected;
+      if (affected < PRUNE_BATCH_SIZE) {
+        break;
+      }
+    }
+    if (total > 0) {
+      console.log(`[UpstreamLog] 已清理 ${total} 条过期上游调用日志`);
+    }
+    return total;
+  }
+}
+
+// 主线程中插件发起的请求（关闭隔离或主线程执行时）直接写库
+pluginHttp.setSink(entry => record(entry));
+
+const upstreamCallLogService = new UpstreamCallLogService();
+upstreamCallLogService.record = record;
+upstreamCallLogService.listByTradeNo = listByTradeNo;
+
+module.exports = upstreamCallLogService;